@@ -1,35 +1,50 @@
-import { COMBAT_CONFIG } from './combatConfig';
+const { COMBAT_CONFIG } = require('./combatConfig');
+const { ELEMENTS, WEAPON_TYPES, DEFAULT_ELEMENT, DEFAULT_SIZE } = require('./elements');
+const { getStatBonuses } = require('./PrimaryStats');
 
 /**
  * Classe que gerencia estatísticas de combate para entidades
  */
-export class CombatStats {
+class CombatStats {
   /**
    * @param {Object} initialStats - Estatísticas iniciais
    * @param {number} initialStats.maxHp - HP máximo
    * @param {number} initialStats.maxMp - MP máximo
    * @param {number} initialStats.attack - Poder de ataque
-   * @param {number} initialStats.defense - Poder de defesa
+   * @param {number} initialStats.magicAttack - Poder de ataque mágico (MATQ)
+   * @param {number} initialStats.defense - Defesa (DEF, reduz o dano físico em %)
+   * @param {number} initialStats.magicDefense - Defesa mágica (MDEF, reduz o dano mágico em %)
+   * @param {number} initialStats.softDefense - DEF soft (subtraída do dano físico)
+   * @param {number} initialStats.softMagicDefense - MDEF soft (subtraída do dano mágico)
+   * @param {number} initialStats.hit - Precisão (HIT)
+   * @param {number} initialStats.flee - Esquiva (FLEE)
+   * @param {number} initialStats.perfectDodge - Chance de esquiva perfeita (fração entre 0 e 1)
+   * @param {Object} initialStats.element - Elemento de defesa ({ type, level }, padrão: neutro 1)
+   * @param {string} initialStats.size - Tamanho (small/medium/large, padrão: medium)
    * @param {number} initialStats.level - Nível da entidade
    * @param {string} initialStats.type - Tipo da entidade (player/monster)
+   * @param {boolean} initialStats.ranged - ATQ dos atributos primários baseado em DEX (classes à distância)
    */
   constructor(initialStats = {}) {
     // Valores padrão do sistema baseados no nível
     const level = initialStats.level || 1;
-    const baseHp = COMBAT_CONFIG.BASE_HP + (COMBAT_CONFIG.HP_PER_LEVEL * (level - 1));
-    const baseMp = COMBAT_CONFIG.BASE_MP + (COMBAT_CONFIG.MP_PER_LEVEL * (level - 1));
-    const baseAttack = COMBAT_CONFIG.BASE_ATTACK + (COMBAT_CONFIG.ATTACK_PER_LEVEL * (level - 1));
-    const baseDefense = COMBAT_CONFIG.BASE_DEFENSE + (COMBAT_CONFIG.DEFENSE_PER_LEVEL * (level - 1));
+    const base = CombatStats.getLevelStats(level);
     
     // Valores principais
-    this.maxHp = initialStats.maxHp || baseHp;
-    this.maxMp = initialStats.maxMp || baseMp;
+    this.maxHp = initialStats.maxHp || base.maxHp;
+    this.maxMp = initialStats.maxMp || base.maxMp;
     this.hp = initialStats.hp || this.maxHp;
     this.mp = initialStats.mp || this.maxMp;
     
     // Atributos de combate
-    this.attack = initialStats.attack || baseAttack;
-    this.defense = initialStats.defense || baseDefense;
+    this.attack = initialStats.attack || base.attack;
+    this.magicAttack = initialStats.magicAttack || base.magicAttack;
+    this.defense = initialStats.defense || base.defense;
+    this.magicDefense = initialStats.magicDefense || base.magicDefense;
+    this.softDefense = initialStats.softDefense || base.softDefense;
+    this.softMagicDefense = initialStats.softMagicDefense || base.softMagicDefense;
+    this.hit = initialStats.hit || base.hit;
+    this.flee = initialStats.flee || base.flee;
     this.level = level;
     
     // Atributos para cálculo de dano
@@ -38,6 +53,23 @@ export class CombatStats {
     this.attackRange = initialStats.attackRange || COMBAT_CONFIG.MELEE_RANGE;
     this.attackSpeed = initialStats.attackSpeed || 1.0;
     
+    // Atributos primários (STR, AGI...), apenas de jogadores; entram como bônus 'stats'
+    this.primaryStats = null;
+    this.ranged = Boolean(initialStats.ranged);
+    
+    // Apenas jogadores têm esquiva perfeita por padrão
+    this.perfectDodge = initialStats.perfectDodge !== undefined
+      ? initialStats.perfectDodge
+      : (initialStats.type === 'player' ? COMBAT_CONFIG.BASE_PERFECT_DODGE : 0);
+    
+    // Elemento de defesa e tamanho (tabelas de elementos.js)
+    this.element = { ...(initialStats.element || DEFAULT_ELEMENT) };
+    this.size = initialStats.size || DEFAULT_SIZE;
+    
+    // Arma equipada: tipo (modificador de tamanho) e elemento dos ataques físicos
+    this.weaponType = WEAPON_TYPES.UNARMED;
+    this.attackElement = ELEMENTS.NEUTRAL;
+    
     // Resistências elementais (%)
     this.resistances = initialStats.resistances || {
       physical: 0,
@@ -48,6 +80,26 @@ export class CombatStats {
       poison: 0
     };
     
+    // Atributos sem bônus (nível ou tipo de monstro) e bônus por origem
+    // ('equipment', efeitos de status...)
+    this.baseStats = {
+      maxHp: this.maxHp,
+      maxMp: this.maxMp,
+      attack: this.attack,
+      magicAttack: this.magicAttack,
+      defense: this.defense,
+      magicDefense: this.magicDefense,
+      softDefense: this.softDefense,
+      softMagicDefense: this.softMagicDefense,
+      hit: this.hit,
+      flee: this.flee,
+      critChance: this.critChance,
+      perfectDodge: this.perfectDodge,
+      attackSpeed: this.attackSpeed,
+      resistances: { ...this.resistances }
+    };
+    this.bonusSources = new Map();
+    
     // Status
     this.isDead = false;
     
@@ -55,46 +107,204 @@ export class CombatStats {
     this.lastAttackTime = 0;
     this.attackCooldown = initialStats.attackCooldown || 
       COMBAT_CONFIG.DEFAULT_ATTACK_COOLDOWN / this.attackSpeed;
+    this.baseAttackCooldown = this.attackCooldown;
     
     // Eventos
     this.onDamageListeners = [];
     this.onHealListeners = [];
     this.onDeathListeners = [];
     this.onReviveListeners = [];
+    this.onLevelUpListeners = [];
+  }
+  
+  /**
+   * Calcula os atributos base de um nível (crescimento por nível do COMBAT_CONFIG)
+   * @param {number} level - Nível da entidade
+   * @returns {Object} { maxHp, maxMp, attack, magicAttack, defense, magicDefense, softDefense, softMagicDefense, hit, flee }
+   */
+  static getLevelStats(level) {
+    return {
+      maxHp: COMBAT_CONFIG.BASE_HP + (COMBAT_CONFIG.HP_PER_LEVEL * (level - 1)),
+      maxMp: COMBAT_CONFIG.BASE_MP + (COMBAT_CONFIG.MP_PER_LEVEL * (level - 1)),
+      attack: COMBAT_CONFIG.BASE_ATTACK + (COMBAT_CONFIG.ATTACK_PER_LEVEL * (level - 1)),
+      magicAttack: COMBAT_CONFIG.BASE_MAGIC_ATTACK + (COMBAT_CONFIG.MAGIC_ATTACK_PER_LEVEL * (level - 1)),
+      defense: COMBAT_CONFIG.BASE_DEFENSE + (COMBAT_CONFIG.DEFENSE_PER_LEVEL * (level - 1)),
+      magicDefense: COMBAT_CONFIG.BASE_MAGIC_DEFENSE + (COMBAT_CONFIG.MAGIC_DEFENSE_PER_LEVEL * (level - 1)),
+      softDefense: Math.floor(COMBAT_CONFIG.SOFT_DEFENSE_PER_LEVEL * level),
+      softMagicDefense: Math.floor(COMBAT_CONFIG.SOFT_MAGIC_DEFENSE_PER_LEVEL * level),
+      hit: COMBAT_CONFIG.BASE_HIT + (COMBAT_CONFIG.HIT_PER_LEVEL * (level - 1)),
+      flee: COMBAT_CONFIG.BASE_FLEE + (COMBAT_CONFIG.FLEE_PER_LEVEL * (level - 1))
+    };
+  }
+  
+  /**
+   * Converte um intervalo entre ataques na ASPD exibida (escala do Ragnarok)
+   * @param {number} attackDelay - Intervalo entre ataques (ms)
+   * @returns {number} ASPD (até COMBAT_CONFIG.MAX_ASPD)
+   */
+  static getAspd(attackDelay) {
+    return Math.min(COMBAT_CONFIG.MAX_ASPD, Math.round(200 - attackDelay / 10));
+  }
+  
+  /**
+   * Intervalo entre ataques de uma ASPD
+   * @param {number} aspd - ASPD
+   * @returns {number} Intervalo (ms)
+   */
+  static getAttackDelay(aspd) {
+    return (200 - aspd) * 10;
+  }
+  
+  /**
+   * Sobe a entidade para um novo nível, recalculando os atributos base
+   * (e os bônus dos atributos primários, que dependem deles) e restaurando
+   * HP e MP
+   * @param {number} level - Novo nível
+   */
+  levelUp(level) {
+    const previousLevel = this.level;
+    const stats = CombatStats.getLevelStats(level);
+    
+    this.level = level;
+    Object.assign(this.baseStats, stats);
+    if (this.primaryStats) {
+      this.setPrimaryStats(this.primaryStats);
+    } else {
+      this.recalculateStats();
+    }
+    
+    if (!this.isDead) {
+      this.hp = this.maxHp;
+      this.mp = this.maxMp;
+    }
+    
+    // Notificar listeners
+    this._notifyLevelUpListeners(level, previousLevel);
+  }
+  
+  /**
+   * Define os bônus de uma origem e recalcula os atributos
+   * @param {string} source - Origem dos bônus ('equipment', 'status:<id>'...)
+   * @param {Object} bonuses - Bônus ({ attack, magicAttack, defense, magicDefense, softDefense, softMagicDefense,
+   *   maxHp, maxMp, hit, flee, critChance, perfectDodge, attackSpeed, resistances }; attackSpeed é uma fração)
+   */
+  setBonuses(source, bonuses = {}) {
+    this.bonusSources.set(source, bonuses);
+    this.recalculateStats();
+  }
+  
+  /**
+   * Remove os bônus de uma origem e recalcula os atributos
+   * @param {string} source - Origem dos bônus
+   */
+  removeBonuses(source) {
+    if (this.bonusSources.delete(source)) {
+      this.recalculateStats();
+    }
+  }
+  
+  /**
+   * Define a arma equipada
+   * @param {Object} weapon - { weaponType, element } (vazio = sem arma)
+   */
+  setWeapon(weapon = {}) {
+    this.weaponType = weapon.weaponType || WEAPON_TYPES.UNARMED;
+    this.attackElement = weapon.element || ELEMENTS.NEUTRAL;
+  }
+  
+  /**
+   * Define os atributos primários e recalcula os atributos derivados deles
+   * @param {Object} values - Atributos primários ({ str, agi, vit, int, dex, luk })
+   */
+  setPrimaryStats(values) {
+    this.primaryStats = { ...values };
+    this.setBonuses('stats', getStatBonuses(this.primaryStats, this.baseStats, { ranged: this.ranged }));
+  }
+  
+  /**
+   * Define os bônus dos equipamentos e recalcula os atributos
+   * @param {Object} bonuses - Bônus somados dos equipamentos
+   */
+  setEquipmentBonuses(bonuses = {}) {
+    this.setBonuses('equipment', bonuses);
+  }
+  
+  /**
+   * Recalcula os atributos a partir dos valores base e dos bônus de todas as origens.
+   * HP e MP atuais são limitados aos novos máximos.
+   */
+  recalculateStats() {
+    const base = this.baseStats;
+    
+    this.maxHp = base.maxHp;
+    this.maxMp = base.maxMp;
+    this.attack = base.attack;
+    this.magicAttack = base.magicAttack;
+    this.defense = base.defense;
+    this.magicDefense = base.magicDefense;
+    this.softDefense = base.softDefense;
+    this.softMagicDefense = base.softMagicDefense;
+    this.hit = base.hit;
+    this.flee = base.flee;
+    this.critChance = base.critChance;
+    this.perfectDodge = base.perfectDodge;
+    this.resistances = { ...base.resistances };
+    let attackSpeedBonus = 0;
+    
+    for (const bonus of this.bonusSources.values()) {
+      this.maxHp += bonus.maxHp || 0;
+      this.maxMp += bonus.maxMp || 0;
+      this.attack += bonus.attack || 0;
+      this.magicAttack += bonus.magicAttack || 0;
+      this.defense += bonus.defense || 0;
+      this.magicDefense += bonus.magicDefense || 0;
+      this.softDefense += bonus.softDefense || 0;
+      this.softMagicDefense += bonus.softMagicDefense || 0;
+      this.hit += bonus.hit || 0;
+      this.flee += bonus.flee || 0;
+      this.critChance += bonus.critChance || 0;
+      this.perfectDodge += bonus.perfectDodge || 0;
+      attackSpeedBonus += bonus.attackSpeed || 0;
+      
+      Object.entries(bonus.resistances || {}).forEach(([type, value]) => {
+        this.resistances[type] = (this.resistances[type] || 0) + value;
+      });
+    }
+    
+    // Debuffs não deixam a defesa negativa
+    this.defense = Math.max(0, this.defense);
+    this.magicDefense = Math.max(0, this.magicDefense);
+    
+    // Velocidade de ataque proporcional aos bônus; o intervalo entre ataques acompanha,
+    // limitado pela ASPD máxima
+    this.attackSpeed = base.attackSpeed * Math.max(0.1, 1 + attackSpeedBonus);
+    this.attackCooldown = Math.max(
+      CombatStats.getAttackDelay(COMBAT_CONFIG.MAX_ASPD),
+      this.baseAttackCooldown * base.attackSpeed / this.attackSpeed
+    );
+    
+    this.hp = Math.min(this.hp, this.maxHp);
+    this.mp = Math.min(this.mp, this.maxMp);
   }
   
   /**
    * Aplica dano à entidade
+   *
+   * O dano já deve estar mitigado (defesa e resistências são aplicadas por
+   * DamageCalculator.mitigateDamage); o detalhamento da mitigação, se
+   * informado, define quanto foi absorvido.
    * @param {number} amount - Quantidade de dano
    * @param {string} type - Tipo de dano
    * @param {string} attackerId - ID do atacante
    * @param {Object} options - Opções adicionais
+   * @param {Object} options.breakdown - Detalhamento da mitigação ({ base, final, ... })
    * @returns {Object} Informações sobre o dano aplicado
    */
   applyDamage(amount, type = 'physical', attackerId = null, options = {}) {
     if (this.isDead) return { damage: 0, absorbed: 0, targetDied: false };
     
-    // Calcular resistência (se não for dano "true")
-    let resistance = 0;
-    let absorbedByDefense = 0;
-    
-    if (type !== 'true' && type !== 'TRUE') {
-      // Aplicar defesa para dano físico
-      if (type === 'physical' && this.defense > 0) {
-        // Redução de dano baseada na defesa (fórmula simplificada)
-        absorbedByDefense = Math.min(amount * 0.6, this.defense * 0.8);
-      }
-      
-      // Aplicar resistência elemental
-      if (this.resistances[type]) {
-        resistance = this.resistances[type];
-      }
-    }
-    
-    // Calcular dano final
-    const resistanceMultiplier = 1 - (resistance / 100);
-    const finalDamage = Math.max(0, (amount - absorbedByDefense) * resistanceMultiplier);
-    const roundedDamage = Math.round(finalDamage);
+    const roundedDamage = Math.max(0, Math.round(amount));
+    const { breakdown } = options;
     
     // Aplicar dano
     this.hp = Math.max(0, this.hp - roundedDamage);
@@ -110,7 +320,7 @@ export class CombatStats {
     
     return {
       damage: roundedDamage,
-      absorbed: absorbedByDefense + (amount - finalDamage),
+      absorbed: breakdown ? Math.max(0, breakdown.base - breakdown.final) : 0,
       targetDied,
       critical: options.critical || false
     };
@@ -164,7 +374,16 @@ export class CombatStats {
    * @returns {boolean} Se pode atacar
    */
   canAttack(currentTime = Date.now()) {
-    return !this.isDead && (currentTime - this.lastAttackTime >= this.attackCooldown);
+    return !this.isDead && this.getAttackRemaining(currentTime) <= 0;
+  }
+  
+  /**
+   * Tempo até o próximo ataque básico permitido pela velocidade de ataque
+   * @param {number} currentTime - Tempo atual
+   * @returns {number} Tempo restante (ms, 0 = pode atacar)
+   */
+  getAttackRemaining(currentTime = Date.now()) {
+    return Math.max(0, this.lastAttackTime + this.attackCooldown - currentTime);
   }
   
   /**
@@ -234,6 +453,14 @@ export class CombatStats {
     this.onReviveListeners.push(listener);
   }
   
+  /**
+   * Adiciona um listener para evento de subida de nível
+   * @param {Function} listener - Função de callback
+   */
+  onLevelUp(listener) {
+    this.onLevelUpListeners.push(listener);
+  }
+  
   /**
    * Notifica listeners de dano
    * @private
@@ -274,6 +501,16 @@ export class CombatStats {
     }
   }
   
+  /**
+   * Notifica listeners de subida de nível
+   * @private
+   */
+  _notifyLevelUpListeners(level, previousLevel) {
+    for (const listener of this.onLevelUpListeners) {
+      listener(level, previousLevel);
+    }
+  }
+  
   /**
    * Retorna estatísticas atuais para serialização
    * @returns {Object} Dados serializáveis
@@ -285,9 +522,15 @@ export class CombatStats {
       mp: this.mp,
       maxMp: this.maxMp,
       attack: this.attack,
+      magicAttack: this.magicAttack,
       defense: this.defense,
+      magicDefense: this.magicDefense,
+      hit: this.hit,
+      flee: this.flee,
       level: this.level,
       isDead: this.isDead
     };
   }
-} 
\ No newline at end of file
+}
+
+module.exports = { CombatStats }; 
\ No newline at end of file
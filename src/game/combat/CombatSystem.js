@@ -1,11 +1,14 @@
-import { COMBAT_CONFIG, DAMAGE_TYPES } from './combatConfig';
+import { COMBAT_CONFIG, DAMAGE_TYPES, HIT_RESULTS } from './combatConfig';
 import { DamageCalculator } from './DamageCalculator';
-import { StatusEffect, StatusEffectManager } from './StatusEffect';
+import { StatusEffectManager } from './StatusEffect';
 import { CombatStats } from './CombatStats';
 
 /**
  * Sistema de combate principal que gerencia todas as
  * interações de combate entre entidades
+ *
+ * O uso de habilidades é resolvido pelo servidor (skillUse); o cliente exibe
+ * os resultados recebidos pelos eventos de rede (ver Game).
  */
 export class CombatSystem {
   /**
@@ -28,9 +31,6 @@ export class CombatSystem {
    */
   init() {
     console.log('[CombatSystem] Inicializando sistema de combate');
-    
-    // Inicializar listeners para eventos do jogo
-    this._setupEventListeners();
   }
   
   /**
@@ -53,7 +53,9 @@ export class CombatSystem {
     if (!entity.combatStats) {
       const initialStats = {
         level: options.level || entity.level || 1,
-        type: entity.type || 'unknown'
+        type: entity.type || 'unknown',
+        element: entity.element,
+        size: entity.size
       };
       
       // Adicionar outras estatísticas se fornecidas
@@ -103,6 +105,10 @@ export class CombatSystem {
   
   /**
    * Processa um ataque básico de uma entidade em outra
+   *
+   * O ataque pode ser evitado pelo alvo (`result` 'miss' ou 'lucky', ver
+   * HIT_RESULTS): nesse caso nenhum dano é aplicado. A FLEE do alvo cai
+   * quando várias entidades o atacam ao mesmo tempo.
    * @param {Object} attacker - Entidade atacante
    * @param {Object} target - Entidade alvo
    * @param {Object} options - Opções de ataque
@@ -144,118 +150,58 @@ export class CombatSystem {
     attacker.combatStats.registerAttack(currentTime);
     this._lastAttackTime[attacker.id] = currentTime;
     
-    // Calcular dano
-    const damageResult = DamageCalculator.calculateBasicAttackDamage(attacker, target, options);
-    
-    // Aplicar dano
-    const result = target.combatStats.applyDamage(
-      damageResult.damage,
-      damageResult.type,
-      attacker.id,
-      { critical: damageResult.critical, ...options }
-    );
-    
     // Registrar que esta entidade está atacando o alvo
     const attackerData = this.entities.get(attacker.id);
     if (attackerData) {
       attackerData.attackTargets.add(target.id);
     }
     
-    // Notificar evento de ataque
-    this._notifyAttack(attacker, target, {
-      damage: result.damage,
-      type: damageResult.type,
-      critical: damageResult.critical,
-      absorbed: result.absorbed,
-      targetDied: result.targetDied,
+    // Calcular precisão e dano
+    const damageResult = DamageCalculator.calculateBasicAttackDamage(attacker, target, {
+      attackerCount: this._countAttackers(target.id),
       ...options
     });
     
-    return {
-      success: true,
-      damage: result.damage,
-      attackerId: attacker.id,
-      targetId: target.id,
-      critical: damageResult.critical,
-      targetDied: result.targetDied,
-      type: damageResult.type
-    };
-  }
-  
-  /**
-   * Processa um ataque usando uma habilidade
-   * @param {Object} attacker - Entidade atacante
-   * @param {Object} target - Entidade alvo
-   * @param {Object} skill - Habilidade usada
-   * @param {Object} options - Opções adicionais
-   * @returns {Object} Resultado do ataque
-   */
-  processSkillUse(attacker, target, skill, options = {}) {
-    if (!attacker || !target || !skill) {
-      return { success: false, message: 'Parâmetros inválidos para uso de habilidade' };
-    }
-    
-    // Garantir que ambas entidades estão registradas no sistema
-    this.setupEntity(attacker);
-    this.setupEntity(target);
-    
-    // Verificar custo de MP
-    if (skill.mpCost && !attacker.combatStats.consumeMp(skill.mpCost)) {
-      return {
-        success: false,
-        message: 'MP insuficiente',
-        attackerId: attacker.id,
-        targetId: target.id,
-        skillId: skill.id
-      };
-    }
-    
-    // Verificar cooldown de habilidade (implementar sistema de cooldown de skills)
-    // ...
-    
-    // Validar a habilidade (verificar alcance, etc)
-    const customOptions = {
-      range: skill.range,
-      ignoreRange: skill.ignoreRange,
-      canTargetDead: skill.canTargetDead,
-      ...options
-    };
-    
-    const validation = DamageCalculator.validateAttack(attacker, target, customOptions);
-    if (!validation.valid) {
+    // Ataque evitado (Miss/Lucky): nenhum dano
+    if (damageResult.result !== HIT_RESULTS.HIT) {
+      this._notifyAttack(attacker, target, {
+        damage: 0,
+        type: damageResult.type,
+        critical: false,
+        result: damageResult.result,
+        targetDied: false,
+        ...options
+      });
+      
       return {
-        success: false,
-        message: validation.reason,
+        success: true,
+        damage: 0,
         attackerId: attacker.id,
         targetId: target.id,
-        skillId: skill.id
+        critical: false,
+        targetDied: false,
+        type: damageResult.type,
+        result: damageResult.result
       };
     }
     
-    // Calcular dano da habilidade
-    const damageResult = DamageCalculator.calculateSkillDamage(attacker, target, skill, options);
-    
     // Aplicar dano
     const result = target.combatStats.applyDamage(
       damageResult.damage,
       damageResult.type,
       attacker.id,
-      { critical: damageResult.critical, skillId: skill.id, ...options }
+      { critical: damageResult.critical, breakdown: damageResult.breakdown, ...options }
     );
     
-    // Aplicar efeitos da habilidade, se houver
-    if (skill.effects) {
-      this._applySkillEffects(attacker, target, skill);
-    }
-    
-    // Notificar evento de ataque com habilidade
+    // Notificar evento de ataque
     this._notifyAttack(attacker, target, {
       damage: result.damage,
       type: damageResult.type,
       critical: damageResult.critical,
+      result: damageResult.result,
+      breakdown: damageResult.breakdown,
       absorbed: result.absorbed,
       targetDied: result.targetDied,
-      skillId: skill.id,
       ...options
     });
     
@@ -267,12 +213,30 @@ export class CombatSystem {
       critical: damageResult.critical,
       targetDied: result.targetDied,
       type: damageResult.type,
-      skillId: skill.id
+      result: damageResult.result,
+      breakdown: damageResult.breakdown
     };
   }
   
+  /**
+   * Quantas entidades vivas estão atacando um alvo (reduz a FLEE do alvo)
+   * @private
+   */
+  _countAttackers(targetId) {
+    let count = 0;
+    this.entities.forEach((entityData) => {
+      const stats = entityData.entity.combatStats;
+      if (entityData.attackTargets.has(targetId) && (!stats || !stats.isDead)) {
+        count++;
+      }
+    });
+    return count;
+  }
+  
   /**
    * Aplica dano direto a uma entidade (sem atacante)
+   *
+   * O dano passa pela defesa e pelas resistências do alvo, como nos ataques.
    * @param {Object} target - Entidade alvo
    * @param {number} amount - Quantidade de dano
    * @param {string} type - Tipo de dano (physical, magical, etc)
@@ -288,15 +252,17 @@ export class CombatSystem {
     // Garantir que a entidade está registrada no sistema
     this.setupEntity(target);
     
-    // Aplicar dano diretamente
-    const result = target.combatStats.applyDamage(amount, type, sourceId, options);
+    // Aplicar defesa e resistências
+    const { damage, breakdown } = DamageCalculator.mitigateDamage(amount, type, target.combatStats);
+    const result = target.combatStats.applyDamage(damage, type, sourceId, { breakdown, ...options });
     
     return {
       success: true,
       damage: result.damage,
       targetId: target.id,
       targetDied: result.targetDied,
-      type
+      type,
+      breakdown
     };
   }
   
@@ -368,7 +334,7 @@ export class CombatSystem {
       
       // Atualizar efeitos de status
       if (entity.statusEffects) {
-        entity.statusEffects.update(deltaTime);
+        entity.statusEffects.update();
       }
     }
   }
@@ -405,77 +371,6 @@ export class CombatSystem {
     this.onHealListeners.push(listener);
   }
   
-  /**
-   * Configura listeners para eventos do jogo
-   * @private
-   */
-  _setupEventListeners() {
-    // Aqui conectamos com os eventos do jogo principal
-    if (this.game && this.game.network) {
-      // Exemplo: processar evento de ataque vindo da rede
-      this.game.network.on('playerAttack', (data) => {
-        const attackerId = data.attackerId;
-        const targetId = data.targetId;
-        const attacker = this.game.entityManager.getEntityById(attackerId);
-        const target = this.game.entityManager.getEntityById(targetId);
-        
-        if (attacker && target) {
-          this.processAttack(attacker, target, data.options || {});
-        }
-      });
-      
-      // Exemplo: processar evento de uso de habilidade
-      this.game.network.on('playerUseSkill', (data) => {
-        const attackerId = data.attackerId;
-        const targetId = data.targetId;
-        const skillId = data.skillId;
-        
-        const attacker = this.game.entityManager.getEntityById(attackerId);
-        const target = this.game.entityManager.getEntityById(targetId);
-        
-        // Obter definição da habilidade (implementar sistema de habilidades)
-        const skill = this._getSkillById(skillId);
-        
-        if (attacker && target && skill) {
-          this.processSkillUse(attacker, target, skill, data.options || {});
-        }
-      });
-    }
-  }
-  
-  /**
-   * Aplica efeitos de uma habilidade
-   * @param {Object} attacker - Entidade atacante
-   * @param {Object} target - Entidade alvo
-   * @param {Object} skill - Habilidade usada
-   * @private
-   */
-  _applySkillEffects(attacker, target, skill) {
-    if (!skill.effects || !Array.isArray(skill.effects)) return;
-    
-    for (const effectConfig of skill.effects) {
-      // Criar instância do efeito
-      const effect = new StatusEffect({
-        id: effectConfig.id,
-        name: effectConfig.name,
-        description: effectConfig.description,
-        type: effectConfig.type,
-        duration: effectConfig.duration,
-        effects: effectConfig.effects,
-        onApply: effectConfig.onApply,
-        onRemove: effectConfig.onRemove,
-        onTick: effectConfig.onTick,
-        tickInterval: effectConfig.tickInterval,
-        isStackable: effectConfig.isStackable,
-        maxStacks: effectConfig.maxStacks,
-        iconUrl: effectConfig.iconUrl
-      });
-      
-      // Aplicar efeito
-      this.applyStatusEffect(target, effect, attacker);
-    }
-  }
-  
   /**
    * Manipula evento de dano em uma entidade
    * @private
@@ -523,32 +418,6 @@ export class CombatSystem {
     }
   }
   
-  /**
-   * Obtém uma habilidade pelo ID
-   * @param {string} skillId - ID da habilidade
-   * @returns {Object} Definição da habilidade
-   * @private
-   */
-  _getSkillById(skillId) {
-    // Implementar sistema para obter definição de habilidades
-    // Pode ser um objeto Skills no game ou um sistema dedicado
-    if (this.game && this.game.skillManager) {
-      return this.game.skillManager.getSkillById(skillId);
-    }
-    
-    // Provisório: retornar habilidade teste
-    return {
-      id: skillId,
-      name: 'Habilidade Teste',
-      mpCost: 10,
-      baseDamage: 50,
-      scaling: { attack: 1.5 },
-      damageType: DAMAGE_TYPES.MAGICAL,
-      range: 10,
-      cooldown: 5000
-    };
-  }
-  
   /**
    * Notifica evento de ataque
    * @private
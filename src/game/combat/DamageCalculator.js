@@ -1,16 +1,150 @@
-import { COMBAT_CONFIG, DAMAGE_TYPES } from './combatConfig';
+const { COMBAT_CONFIG, DAMAGE_TYPES, HIT_RESULTS } = require('./combatConfig');
+const { getElementMultiplier, getSizeMultiplier, getDamageElement } = require('./elements');
+const { ERROR_CODES } = require('../core/errorCodes');
+const { STATUS_BLOCKS, getBlockingEffect, isActionBlocked, getDefenseElement } = require('./statusEffects');
+
+// Defesas que reduzem cada tipo de dano (veneno só é reduzido por resistência)
+const MAGIC_DEFENSE = { hard: 'magicDefense', soft: 'softMagicDefense' };
+const DEFENSE_BY_TYPE = {
+  [DAMAGE_TYPES.PHYSICAL]: { hard: 'defense', soft: 'softDefense' },
+  [DAMAGE_TYPES.MAGICAL]: MAGIC_DEFENSE,
+  [DAMAGE_TYPES.FIRE]: MAGIC_DEFENSE,
+  [DAMAGE_TYPES.ICE]: MAGIC_DEFENSE,
+  [DAMAGE_TYPES.LIGHTNING]: MAGIC_DEFENSE
+};
 
 /**
  * Classe responsável por calcular dano em combate
  */
-export class DamageCalculator {
+class DamageCalculator {
+  /**
+   * FLEE efetiva do alvo, reduzida quando vários inimigos o atacam ao mesmo tempo
+   *
+   * Até COMBAT_CONFIG.FLEE_PENALTY_FREE_ATTACKERS atacantes não há redução;
+   * cada atacante além desses tira FLEE_PENALTY_PER_ATTACKER da FLEE.
+   * @param {Object} targetStats - CombatStats do alvo
+   * @param {number} attackerCount - Inimigos atacando o alvo
+   * @returns {number} FLEE efetiva
+   */
+  static getEffectiveFlee(targetStats, attackerCount = 1) {
+    const extraAttackers = Math.max(0, attackerCount - COMBAT_CONFIG.FLEE_PENALTY_FREE_ATTACKERS);
+    const multiplier = Math.max(0, 1 - extraAttackers * COMBAT_CONFIG.FLEE_PENALTY_PER_ATTACKER);
+    return (targetStats.flee || 0) * multiplier;
+  }
+  
+  /**
+   * Chance de um ataque básico acertar (BASE_HIT_RATE + HIT - FLEE, limitada)
+   * @param {Object} attackerStats - CombatStats do atacante
+   * @param {Object} targetStats - CombatStats do alvo
+   * @param {number} attackerCount - Inimigos atacando o alvo
+   * @returns {number} Chance de acerto (fração entre 0 e 1)
+   */
+  static getHitChance(attackerStats, targetStats, attackerCount = 1) {
+    const hitRate = COMBAT_CONFIG.BASE_HIT_RATE + (attackerStats.hit || 0) -
+      this.getEffectiveFlee(targetStats, attackerCount);
+    return Math.min(COMBAT_CONFIG.MAX_HIT_RATE, Math.max(COMBAT_CONFIG.MIN_HIT_RATE, hitRate)) / 100;
+  }
+  
+  /**
+   * Modificadores de elemento e de tamanho de um ataque
+   *
+   * O elemento do ataque vem do tipo de dano (dano físico usa o elemento da
+   * arma) e é comparado ao elemento de defesa do alvo; o tamanho do alvo só
+   * afeta dano físico, conforme o tipo de arma do atacante.
+   * @param {Object} attackerStats - CombatStats do atacante
+   * @param {Object} targetStats - CombatStats do alvo
+   * @param {string} damageType - Tipo de dano (ver DAMAGE_TYPES)
+   * @param {Object} targetElement - Elemento de defesa do alvo (padrão: o das
+   *   CombatStats; congelamento e petrificação o trocam)
+   * @returns {{ attackElement: string|null, element: number, size: number }}
+   *   Elemento do ataque e multiplicadores de elemento e de tamanho
+   */
+  static getDamageModifiers(attackerStats, targetStats, damageType, targetElement = targetStats.element) {
+    const attackElement = getDamageElement(damageType, attackerStats.attackElement);
+    
+    return {
+      attackElement,
+      element: attackElement ? getElementMultiplier(attackElement, targetElement) : 1,
+      size: damageType === DAMAGE_TYPES.PHYSICAL ? getSizeMultiplier(attackerStats.weaponType, targetStats.size) : 1
+    };
+  }
+  
+  /**
+   * Aplica a defesa e as resistências do alvo a um dano
+   *
+   * Ordem: DEF (ou MDEF para dano mágico e elemental) reduz o dano em %,
+   * limitada a COMBAT_CONFIG.MAX_HARD_DEFENSE; a DEF soft (ou MDEF soft) é
+   * subtraída; por fim a resistência ao tipo de dano reduz em % (valores
+   * negativos são fraquezas e aumentam o dano). Um acerto causa ao menos
+   * MIN_DAMAGE, exceto com resistência total. Dano verdadeiro não é reduzido.
+   * @param {number} amount - Dano antes da mitigação
+   * @param {string} type - Tipo de dano (ver DAMAGE_TYPES)
+   * @param {Object} targetStats - CombatStats do alvo
+   * @returns {{ damage: number, breakdown: Object }} Dano final e quanto cada etapa
+   *   reduziu ({ base, defense, softDefense, resistance, final })
+   */
+  static mitigateDamage(amount, type, targetStats) {
+    // Cada etapa é arredondada para que o detalhamento some exatamente
+    const base = Math.round(Math.max(0, amount));
+    const breakdown = { base, defense: 0, softDefense: 0, resistance: 0, final: base };
+    
+    if (type === DAMAGE_TYPES.TRUE || !targetStats || base <= 0) {
+      return { damage: base, breakdown };
+    }
+    
+    let damage = base;
+    
+    // DEF/MDEF: redução percentual; DEF/MDEF soft: redução fixa
+    const defense = DEFENSE_BY_TYPE[type];
+    if (defense) {
+      const hardDefense = Math.min(COMBAT_CONFIG.MAX_HARD_DEFENSE, Math.max(0, targetStats[defense.hard] || 0));
+      breakdown.defense = damage - Math.round(damage * (1 - hardDefense / 100));
+      damage -= breakdown.defense;
+      
+      breakdown.softDefense = Math.min(damage, Math.max(0, Math.round(targetStats[defense.soft] || 0)));
+      damage -= breakdown.softDefense;
+    }
+    
+    // Resistência ao tipo de dano (%)
+    const resistance = Math.min(COMBAT_CONFIG.MAX_RESISTANCE, (targetStats.resistances || {})[type] || 0);
+    breakdown.resistance = damage - Math.round(damage * (1 - resistance / 100));
+    damage -= breakdown.resistance;
+    
+    breakdown.final = resistance >= COMBAT_CONFIG.MAX_RESISTANCE
+      ? 0
+      : Math.max(COMBAT_CONFIG.MIN_DAMAGE, damage);
+    
+    return { damage: breakdown.final, breakdown };
+  }
+  
+  /**
+   * Descreve o detalhamento da mitigação para o log de combate
+   * @param {Object} breakdown - Detalhamento retornado por mitigateDamage
+   * @returns {string} Texto como "40 - 10 def. - 2 def. soft - 0 resist. = 28"
+   */
+  static describeBreakdown(breakdown) {
+    if (!breakdown) return '';
+    
+    return `${breakdown.base} - ${breakdown.defense} def. - ${breakdown.softDefense} def. soft` +
+      ` - ${breakdown.resistance} resist. = ${breakdown.final}`;
+  }
+  
   /**
    * Calcula o dano básico baseado em estatísticas
+   *
+   * Antes do dano é verificada a precisão: a esquiva perfeita do alvo
+   * (Lucky) evita qualquer ataque, e ataques que não são críticos ainda podem
+   * errar pela FLEE (Miss). Ataques evitados têm dano 0 e `result` indica o
+   * motivo (ver HIT_RESULTS). O dano que acerta é multiplicado pelos
+   * modificadores de elemento e tamanho (ver getDamageModifiers) e passa pela
+   * defesa e pelas resistências do alvo (ver mitigateDamage).
    * 
    * @param {Object} attacker - Entidade atacante
    * @param {Object} target - Entidade alvo
    * @param {Object} options - Opções de ataque
-   * @returns {Object} Informações do cálculo de dano
+   * @param {number} options.attackerCount - Inimigos atacando o alvo (reduz a FLEE, padrão: 1)
+   * @param {boolean} options.ignoreAccuracy - Sempre acertar (sem Miss nem Lucky)
+   * @returns {Object} Informações do cálculo de dano ({ damage, type, critical, result, modifiers, breakdown })
    */
   static calculateBasicAttackDamage(attacker, target, options = {}) {
     // Obtém as estatísticas relevantes
@@ -26,6 +160,26 @@ export class DamageCalculator {
       };
     }
     
+    // Tipo de dano (padrão: físico)
+    const damageType = options.damageType || DAMAGE_TYPES.PHYSICAL;
+    
+    // Alvos que não podem se mover (atordoados, congelados...) não esquivam
+    const ignoreAccuracy = options.ignoreAccuracy || isActionBlocked(target, STATUS_BLOCKS.MOVE);
+    
+    // Esquiva perfeita (fração entre 0 e 1): evita até acertos críticos
+    if (!ignoreAccuracy && Math.random() < (targetStats.perfectDodge || 0)) {
+      return { damage: 0, type: damageType, critical: false, result: HIT_RESULTS.LUCKY };
+    }
+    
+    // Verificar acerto crítico (critChance é uma fração entre 0 e 1)
+    const isCritical = Math.random() < attackerStats.critChance;
+    
+    // Críticos sempre acertam; os demais dependem de HIT contra FLEE
+    if (!ignoreAccuracy && !isCritical &&
+        Math.random() >= this.getHitChance(attackerStats, targetStats, options.attackerCount)) {
+      return { damage: 0, type: damageType, critical: false, result: HIT_RESULTS.MISS };
+    }
+    
     // Cálculo de dano base (ataque do atacante)
     let baseDamage = attackerStats.attack;
     
@@ -33,10 +187,6 @@ export class DamageCalculator {
     const randomFactor = 0.9 + (Math.random() * 0.2);
     baseDamage *= randomFactor;
     
-    // Verificar acerto crítico
-    const criticalRoll = Math.random() * 100;
-    const isCritical = criticalRoll <= attackerStats.critChance;
-    
     // Aplicar multiplicador de crítico se necessário
     if (isCritical) {
       baseDamage *= attackerStats.critMultiplier;
@@ -47,13 +197,19 @@ export class DamageCalculator {
       baseDamage *= options.damageMultiplier;
     }
     
-    // Tipo de dano (padrão: físico)
-    const damageType = options.damageType || DAMAGE_TYPES.PHYSICAL;
+    // Elemento do ataque contra o elemento do alvo e arma contra o tamanho
+    const modifiers = this.getDamageModifiers(attackerStats, targetStats, damageType, getDefenseElement(target));
+    baseDamage *= modifiers.element * modifiers.size;
+    
+    const { damage, breakdown } = this.mitigateDamage(baseDamage, damageType, targetStats);
     
     return {
-      damage: Math.round(baseDamage),
+      damage,
       type: damageType,
-      critical: isCritical
+      critical: isCritical,
+      result: HIT_RESULTS.HIT,
+      modifiers,
+      breakdown
     };
   }
   
@@ -64,7 +220,7 @@ export class DamageCalculator {
    * @param {Object} target - Entidade alvo
    * @param {Object} skill - Habilidade usada
    * @param {Object} options - Opções adicionais
-   * @returns {Object} Informações do cálculo de dano
+   * @returns {Object} Informações do cálculo de dano ({ damage, type, critical, skillId, modifiers, breakdown })
    */
   static calculateSkillDamage(attacker, target, skill, options = {}) {
     // Obtém as estatísticas relevantes
@@ -89,7 +245,10 @@ export class DamageCalculator {
         baseDamage += attackerStats.attack * skill.scaling.attack;
       }
       
-      // Outros atributos podem ser adicionados aqui (ex: inteligência, etc)
+      // Magias escalam com o ATQ mágico (MATQ, vindo principalmente de INT)
+      if (skill.scaling.magicAttack) {
+        baseDamage += (attackerStats.magicAttack || 0) * skill.scaling.magicAttack;
+      }
     }
     
     // Variação aleatória menor para skills (±5%)
@@ -101,8 +260,7 @@ export class DamageCalculator {
       attackerStats.critChance + skill.critChanceBonus : 
       attackerStats.critChance;
       
-    const criticalRoll = Math.random() * 100;
-    const isCritical = criticalRoll <= critChance;
+    const isCritical = Math.random() < critChance;
     
     // Aplicar multiplicador de crítico (pode ser modificado pela skill)
     if (isCritical) {
@@ -113,11 +271,19 @@ export class DamageCalculator {
     // Tipo de dano da skill
     const damageType = skill.damageType || DAMAGE_TYPES.PHYSICAL;
     
+    // Elemento da habilidade contra o elemento do alvo e arma contra o tamanho
+    const modifiers = this.getDamageModifiers(attackerStats, targetStats, damageType, getDefenseElement(target));
+    baseDamage *= modifiers.element * modifiers.size;
+    
+    const { damage, breakdown } = this.mitigateDamage(baseDamage, damageType, targetStats);
+    
     return {
-      damage: Math.round(baseDamage),
+      damage,
       type: damageType,
       critical: isCritical,
-      skillId: skill.id
+      skillId: skill.id,
+      modifiers,
+      breakdown
     };
   }
   
@@ -147,8 +313,8 @@ export class DamageCalculator {
     const attackerStats = attacker.combatStats;
     let attackRange = options.range || (attackerStats ? attackerStats.attackRange : COMBAT_CONFIG.MELEE_RANGE);
     
-    // Aplicar tolerância configurada
-    attackRange *= (1 + COMBAT_CONFIG.ATTACK_RANGE_TOLERANCE);
+    // Aplicar tolerância configurada (ex.: 1.2 = 20% além do alcance)
+    attackRange *= COMBAT_CONFIG.ATTACK_RANGE_TOLERANCE;
     
     // Adicionar raio do alvo ao cálculo
     const targetRadius = target.radius || 0.5;
@@ -162,37 +328,53 @@ export class DamageCalculator {
    * @param {Object} attacker - Entidade atacante
    * @param {Object} target - Entidade alvo
    * @param {Object} options - Opções de ataque
-   * @returns {Object} Resultado da verificação
+   * @param {number} options.currentTime - Momento usado na checagem de cooldown (padrão: agora)
+   * @param {boolean} options.ignoreAttackCooldown - Não checar o cooldown de ataque básico (habilidades)
+   * @param {string} options.action - Ação que os efeitos de status podem impedir
+   *   (ver STATUS_BLOCKS, padrão: ataque; habilidades usam STATUS_BLOCKS.SKILL)
+   * @returns {Object} Resultado da verificação ({ valid } ou { valid: false, reason, code },
+   *   com o tempo restante em `remaining` quando o atacante está em cooldown)
    */
   static validateAttack(attacker, target, options = {}) {
     // Verificar se entidades são válidas
     if (!attacker || !target) {
-      return { valid: false, reason: 'Entidades inválidas' };
+      return { valid: false, reason: 'Entidades inválidas', code: ERROR_CODES.INVALID_TARGET };
     }
     
     // Verificar se atacante está vivo
     if (attacker.combatStats && attacker.combatStats.isDead) {
-      return { valid: false, reason: 'Atacante está morto' };
+      return { valid: false, reason: 'Atacante está morto', code: ERROR_CODES.INVALID_REQUEST };
     }
     
     // Verificar se alvo está vivo (a menos que a opção permita atacar mortos)
     if (!options.canTargetDead && target.combatStats && target.combatStats.isDead) {
-      return { valid: false, reason: 'Alvo está morto' };
+      return { valid: false, reason: 'Alvo está morto', code: ERROR_CODES.INVALID_TARGET };
     }
     
-    // Verificar cooldown de ataque
-    if (attacker.combatStats && !attacker.combatStats.canAttack(Date.now())) {
-      return { valid: false, reason: 'Atacante em cooldown' };
+    // Verificar efeitos de status que impedem a ação (atordoamento, silêncio...)
+    const blocking = getBlockingEffect(attacker, options.action || STATUS_BLOCKS.ATTACK);
+    if (blocking) {
+      return { valid: false, reason: `Impedido por ${blocking.name}`, code: ERROR_CODES.ACTION_BLOCKED };
+    }
+    
+    // Verificar cooldown de ataque (velocidade de ataque)
+    const currentTime = options.currentTime || Date.now();
+    if (!options.ignoreAttackCooldown && attacker.combatStats && !attacker.combatStats.canAttack(currentTime)) {
+      return {
+        valid: false,
+        reason: 'Atacante em cooldown',
+        code: ERROR_CODES.ATTACK_ON_COOLDOWN,
+        remaining: attacker.combatStats.getAttackRemaining(currentTime)
+      };
     }
     
     // Verificar alcance
     if (!options.ignoreRange && !this.isInRange(attacker, target, options)) {
-      return { valid: false, reason: 'Alvo fora de alcance' };
+      return { valid: false, reason: 'Alvo fora de alcance', code: ERROR_CODES.TARGET_OUT_OF_RANGE };
     }
     
-    // Pode haver mais verificações baseadas em estados do jogo
-    // ...
-    
     return { valid: true };
   }
-} 
\ No newline at end of file
+}
+
+module.exports = { DamageCalculator }; 
\ No newline at end of file
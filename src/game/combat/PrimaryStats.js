@@ -0,0 +1,200 @@
+const { ERROR_CODES } = require('../core/errorCodes');
+
+// Atributos primários (na ordem exibida)
+const PRIMARY_STATS = ['str', 'agi', 'vit', 'int', 'dex', 'luk'];
+
+const STAT_NAMES = {
+  str: 'Força',
+  agi: 'Agilidade',
+  vit: 'Vitalidade',
+  int: 'Inteligência',
+  dex: 'Destreza',
+  luk: 'Sorte'
+};
+
+// Pontos de atributo: todos os atributos começam em `min` e o personagem
+// recebe `initial` pontos ao ser criado
+const STAT_POINTS = {
+  initial: 48,
+  min: 1,
+  max: 99
+};
+
+/**
+ * Gerencia os atributos primários (STR/AGI/VIT/INT/DEX/LUK) de um personagem
+ *
+ * Guarda o valor de cada atributo e os pontos disponíveis. Subir um atributo
+ * custa mais pontos quanto maior o valor (curva do Ragnarok) e cada nível de
+ * personagem concede mais pontos. O servidor é a fonte de verdade; o cliente
+ * recebe o estado pelo evento 'statsUpdate'. Os atributos de combate
+ * derivados entram nas CombatStats como bônus (ver getStatBonuses).
+ */
+class PrimaryStats {
+  /**
+   * @param {Object} record - Estado salvo ({ values: { str, agi, ... }, points })
+   */
+  constructor(record = {}) {
+    this.values = {};
+    this.points = 0;
+
+    this.load(record);
+  }
+
+  /**
+   * Pontos ganhos ao alcançar um nível de personagem
+   * @param {number} characterLevel - Nível alcançado
+   * @returns {number} Pontos de atributo
+   */
+  static getPointsForLevelUp(characterLevel) {
+    return Math.floor((characterLevel - 1) / 5) + 3;
+  }
+
+  /**
+   * Pontos de um personagem que ainda não tem registro de atributos
+   * @param {number} characterLevel - Nível do personagem
+   * @returns {number} Pontos acumulados até o nível
+   */
+  static getPointsForLevel(characterLevel) {
+    let points = STAT_POINTS.initial;
+    for (let level = 2; level <= characterLevel; level++) {
+      points += PrimaryStats.getPointsForLevelUp(level);
+    }
+    return points;
+  }
+
+  /**
+   * Custo para subir um atributo a partir de um valor
+   * @param {number} value - Valor atual do atributo
+   * @returns {number} Pontos necessários
+   */
+  static getRaiseCost(value) {
+    return Math.floor((value - 1) / 10) + 2;
+  }
+
+  /**
+   * Substitui o estado pelo registro informado
+   * @param {Object} record - { values, points }
+   */
+  load(record = {}) {
+    const values = record.values || {};
+
+    this.values = {};
+    PRIMARY_STATS.forEach(stat => {
+      const value = Math.floor(Number(values[stat])) || STAT_POINTS.min;
+      this.values[stat] = Math.min(STAT_POINTS.max, Math.max(STAT_POINTS.min, value));
+    });
+
+    this.points = Math.max(0, Number(record.points) || 0);
+  }
+
+  /**
+   * Custo para subir um atributo uma vez
+   * @param {string} stat - Atributo (ver PRIMARY_STATS)
+   * @returns {number} Pontos necessários
+   */
+  getCost(stat) {
+    return PrimaryStats.getRaiseCost(this.values[stat]);
+  }
+
+  /**
+   * Verifica se um atributo pode subir
+   * @param {string} stat - Atributo
+   * @returns {string|null} Código de erro ou null se puder subir
+   */
+  canRaise(stat) {
+    if (!PRIMARY_STATS.includes(stat)) {
+      return ERROR_CODES.INVALID_STAT;
+    }
+
+    if (this.values[stat] >= STAT_POINTS.max) {
+      return ERROR_CODES.STAT_MAX_VALUE;
+    }
+
+    if (this.points < this.getCost(stat)) {
+      return ERROR_CODES.NOT_ENOUGH_STAT_POINTS;
+    }
+
+    return null;
+  }
+
+  /**
+   * Gasta pontos para subir um atributo em 1
+   * @param {string} stat - Atributo
+   * @returns {{ error: string }|{ stat: string, value: number, points: number }} Resultado
+   */
+  raise(stat) {
+    const error = this.canRaise(stat);
+    if (error) {
+      return { error };
+    }
+
+    this.points -= this.getCost(stat);
+    this.values[stat] += 1;
+
+    return { stat, value: this.values[stat], points: this.points };
+  }
+
+  /**
+   * Adiciona pontos de atributo (ex: ao subir de nível)
+   * @param {number} amount - Quantidade de pontos
+   */
+  addPoints(amount) {
+    this.points += Math.max(0, amount);
+  }
+
+  /**
+   * Registro persistente dos atributos
+   * @returns {Object} { values, points }
+   */
+  toRecord() {
+    return { values: { ...this.values }, points: this.points };
+  }
+
+  /**
+   * Dados enviados ao dono dos atributos
+   * @returns {Object} { values, points, costs }
+   */
+  serialize() {
+    const costs = {};
+    PRIMARY_STATS.forEach(stat => {
+      costs[stat] = this.getCost(stat);
+    });
+
+    return { ...this.toRecord(), costs };
+  }
+}
+
+/**
+ * Bônus de combate concedidos pelos atributos primários
+ *
+ * Fórmulas no estilo do Ragnarok, somadas aos atributos do nível: VIT e INT
+ * aumentam HP e MP máximos em 1% por ponto; o ATQ usa STR (DEX em classes à
+ * distância) com bônus a cada 10 pontos, mais DEX e LUK; INT dá MATQ e MDEF
+ * soft, VIT a DEF soft; DEX dá HIT, AGI dá FLEE; LUK aumenta crítico e
+ * esquiva perfeita; AGI e DEX aceleram os ataques (ASPD).
+ * @param {Object} values - Atributos primários ({ str, agi, vit, int, dex, luk })
+ * @param {Object} levelStats - Atributos do nível ({ maxHp, maxMp, ... })
+ * @param {Object} options - { ranged: ATQ baseado em DEX }
+ * @returns {Object} Bônus para CombatStats.setBonuses
+ */
+function getStatBonuses(values, levelStats, { ranged = false } = {}) {
+  const { str, agi, vit, int, dex, luk } = values;
+  const main = ranged ? dex : str;
+  const secondary = ranged ? str : dex;
+
+  return {
+    maxHp: Math.floor(levelStats.maxHp * vit / 100),
+    maxMp: Math.floor(levelStats.maxMp * int / 100),
+    attack: main + Math.floor(main / 10) ** 2 + Math.floor(secondary / 5) + Math.floor(luk / 5),
+    magicAttack: int + Math.floor(int / 7) ** 2,
+    softDefense: Math.floor(vit / 2),
+    softMagicDefense: Math.floor(int / 2),
+    hit: dex,
+    flee: agi,
+    critChance: luk * 0.003,
+    perfectDodge: luk * 0.001,
+    attackSpeed: (agi * 4 + dex) / 400
+  };
+}
+
+module.exports = { PRIMARY_STATS, STAT_NAMES, STAT_POINTS, PrimaryStats, getStatBonuses }; 
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Recargas de habilidades de uma entidade
+ *
+ * Cada habilidade tem a sua própria recarga e o uso de qualquer habilidade
+ * também inicia a recarga global, que bloqueia todas as habilidades por um
+ * curto período. O servidor guarda uma instância por jogador (fonte de
+ * verdade), o CombatSystem uma por entidade e a barra de atalhos usa a mesma
+ * classe para desenhar a recarga.
+ */
+class SkillCooldowns {
+  constructor() {
+    this.cooldowns = new Map(); // skillId -> { start, end }
+    this.globalCooldown = null; // { start, end }
+  }
+
+  /**
+   * Recarga ativa que bloqueia uma habilidade (a que termina por último)
+   * @param {string} skillId - ID da habilidade
+   * @param {number} now - Tempo atual
+   * @returns {{ start: number, end: number }|null} Recarga ou null se a habilidade estiver pronta
+   */
+  getCooldown(skillId, now = Date.now()) {
+    return [this.cooldowns.get(skillId), this.globalCooldown]
+      .filter(cooldown => cooldown && now < cooldown.end)
+      .sort((a, b) => b.end - a.end)[0] || null;
+  }
+
+  /**
+   * Tempo restante até a habilidade poder ser usada
+   * @param {string} skillId - ID da habilidade
+   * @param {number} now - Tempo atual
+   * @returns {number} Tempo restante em ms (0 se estiver pronta)
+   */
+  getRemaining(skillId, now = Date.now()) {
+    const cooldown = this.getCooldown(skillId, now);
+    return cooldown ? cooldown.end - now : 0;
+  }
+
+  /**
+   * Verifica se a habilidade pode ser usada
+   * @param {string} skillId - ID da habilidade
+   * @param {number} now - Tempo atual
+   * @returns {boolean} Se não há recarga ativa
+   */
+  isReady(skillId, now = Date.now()) {
+    return this.getRemaining(skillId, now) === 0;
+  }
+
+  /**
+   * Inicia a recarga de uma habilidade e a recarga global
+   * @param {string} skillId - ID da habilidade
+   * @param {number} cooldown - Recarga da habilidade em ms (0 = nenhuma)
+   * @param {number} globalCooldown - Recarga global em ms (0 = nenhuma)
+   * @param {number} now - Tempo atual
+   */
+  start(skillId, cooldown, globalCooldown = 0, now = Date.now()) {
+    if (cooldown > 0) {
+      this.cooldowns.set(skillId, { start: now, end: now + cooldown });
+    } else {
+      this.cooldowns.delete(skillId);
+    }
+
+    // Uma recarga global menor não encurta a que já está ativa
+    if (globalCooldown > 0 && (!this.globalCooldown || this.globalCooldown.end < now + globalCooldown)) {
+      this.globalCooldown = { start: now, end: now + globalCooldown };
+    }
+  }
+
+  /**
+   * Remove todas as recargas
+   */
+  clear() {
+    this.cooldowns.clear();
+    this.globalCooldown = null;
+  }
+}
+
+module.exports = { SkillCooldowns }; 
\ No newline at end of file
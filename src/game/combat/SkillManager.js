@@ -0,0 +1,166 @@
+const { ERROR_CODES } = require('../core/errorCodes');
+const { SKILL_POINTS, getSkillDefinition, getClassSkills, resolveSkill } = require('../skills/skillDefinitions');
+
+/**
+ * Gerencia as habilidades aprendidas por um personagem
+ *
+ * Guarda o nível aprendido de cada habilidade da classe e os pontos de
+ * habilidade disponíveis. O servidor é a fonte de verdade; o cliente recebe
+ * o estado pelo evento 'skillsUpdate' e usa o mesmo registro para montar as
+ * habilidades exibidas e usadas pelo CombatSystem.
+ */
+class SkillManager {
+  /**
+   * @param {string} characterClass - Classe do personagem
+   * @param {Object} record - Estado salvo ({ levels: { skillId: nível }, points })
+   */
+  constructor(characterClass, record = {}) {
+    this.characterClass = characterClass;
+    this.levels = {};
+    this.points = 0;
+
+    this.load(record);
+  }
+
+  /**
+   * Pontos de um personagem que ainda não tem registro de habilidades
+   * @param {number} characterLevel - Nível do personagem
+   * @returns {number} Pontos acumulados até o nível
+   */
+  static getPointsForLevel(characterLevel) {
+    return SKILL_POINTS.initial + SKILL_POINTS.perLevel * (Math.max(characterLevel, 1) - 1);
+  }
+
+  /**
+   * Substitui o estado pelo registro informado
+   * @param {Object} record - { levels, points }
+   */
+  load(record = {}) {
+    const levels = record.levels || {};
+
+    // Ignorar habilidades que não existem mais ou não pertencem à classe
+    this.levels = {};
+    this.getClassSkills().forEach(definition => {
+      const level = Number(levels[definition.id]) || 0;
+      if (level > 0) {
+        this.levels[definition.id] = Math.min(level, definition.maxLevel);
+      }
+    });
+
+    this.points = Math.max(0, Number(record.points) || 0);
+  }
+
+  /**
+   * Definições das habilidades da classe
+   * @returns {Array<Object>} Definições
+   */
+  getClassSkills() {
+    return getClassSkills(this.characterClass);
+  }
+
+  /**
+   * Verifica se a habilidade pertence à classe do personagem
+   * @param {string} skillId - ID da habilidade
+   * @returns {boolean} Se a classe pode aprender a habilidade
+   */
+  isClassSkill(skillId) {
+    const definition = getSkillDefinition(skillId);
+    return Boolean(definition && (!definition.classes || definition.classes.includes(this.characterClass)));
+  }
+
+  /**
+   * Nível aprendido de uma habilidade
+   * @param {string} skillId - ID da habilidade
+   * @returns {number} Nível (0 = não aprendida)
+   */
+  getLevel(skillId) {
+    return this.levels[skillId] || 0;
+  }
+
+  /**
+   * Obtém uma habilidade aprendida, pronta para o combate
+   * @param {string} skillId - ID da habilidade
+   * @param {number} level - Nível desejado (opcional, limitado ao nível aprendido)
+   * @returns {Object|null} Habilidade resolvida ou null se não foi aprendida
+   */
+  getSkillById(skillId, level = null) {
+    const learned = this.getLevel(skillId);
+    if (!learned || !this.isClassSkill(skillId)) {
+      return null;
+    }
+
+    const requested = Number.isInteger(level) && level > 0 ? Math.min(level, learned) : learned;
+    return resolveSkill(getSkillDefinition(skillId), requested);
+  }
+
+  /**
+   * Verifica se o personagem pode aprender (ou subir) uma habilidade
+   * @param {string} skillId - ID da habilidade
+   * @param {number} characterLevel - Nível do personagem
+   * @returns {string|null} Código de erro ou null se puder aprender
+   */
+  canLearn(skillId, characterLevel) {
+    if (!this.isClassSkill(skillId)) {
+      return ERROR_CODES.SKILL_NOT_AVAILABLE;
+    }
+
+    const definition = getSkillDefinition(skillId);
+    if (this.getLevel(skillId) >= definition.maxLevel) {
+      return ERROR_CODES.SKILL_MAX_LEVEL;
+    }
+
+    if (characterLevel < definition.requiredLevel) {
+      return ERROR_CODES.SKILL_LEVEL_TOO_LOW;
+    }
+
+    if (this.points <= 0) {
+      return ERROR_CODES.NO_SKILL_POINTS;
+    }
+
+    return null;
+  }
+
+  /**
+   * Gasta um ponto para aprender ou subir uma habilidade
+   * @param {string} skillId - ID da habilidade
+   * @param {number} characterLevel - Nível do personagem
+   * @returns {{ error: string }|{ skillId: string, level: number }} Resultado
+   */
+  learn(skillId, characterLevel) {
+    const error = this.canLearn(skillId, characterLevel);
+    if (error) {
+      return { error };
+    }
+
+    this.levels[skillId] = this.getLevel(skillId) + 1;
+    this.points -= 1;
+
+    return { skillId, level: this.levels[skillId] };
+  }
+
+  /**
+   * Adiciona pontos de habilidade (ex: ao subir de nível)
+   * @param {number} amount - Quantidade de pontos
+   */
+  addPoints(amount) {
+    this.points += Math.max(0, amount);
+  }
+
+  /**
+   * Registro persistente das habilidades
+   * @returns {Object} { levels, points }
+   */
+  toRecord() {
+    return { levels: { ...this.levels }, points: this.points };
+  }
+
+  /**
+   * Dados enviados ao dono das habilidades
+   * @returns {Object} { levels, points }
+   */
+  serialize() {
+    return this.toRecord();
+  }
+}
+
+module.exports = { SkillManager }; 
\ No newline at end of file
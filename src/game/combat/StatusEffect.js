@@ -1,7 +1,9 @@
+const { getStatusEffectDefinition } = require('./statusEffects');
+
 /**
  * Classe que representa um efeito de status (buff/debuff)
  */
-export class StatusEffect {
+class StatusEffect {
   /**
    * @param {Object} config - Configuração do efeito
    * @param {string} config.id - ID único do efeito
@@ -12,8 +14,11 @@ export class StatusEffect {
    * @param {Object} config.effects - Efeitos do status
    * @param {Function} config.onApply - Função chamada quando efeito é aplicado
    * @param {Function} config.onRemove - Função chamada quando efeito é removido
-   * @param {Function} config.onTick - Função chamada a cada tick
+   * @param {Function} config.onTick - Função chamada a cada tick (sem ela o efeito não tem ticks)
    * @param {number} config.tickInterval - Intervalo entre ticks em ms (padrão: 1000ms)
+   * @param {Array<string>} config.blocks - Ações impedidas pelo efeito (ver STATUS_BLOCKS)
+   * @param {Object} config.element - Elemento de defesa imposto ao alvo ({ type, level })
+   * @param {string} config.icon - Ícone exibido na interface (opcional)
    * @param {boolean} config.isStackable - Se o efeito pode acumular
    * @param {number} config.maxStacks - Número máximo de acumulações
    * @param {string} config.iconUrl - URL do ícone (opcional)
@@ -28,7 +33,10 @@ export class StatusEffect {
     this.onApply = config.onApply || (() => {});
     this.onRemove = config.onRemove || (() => {});
     this.onTick = config.onTick || (() => {});
-    this.tickInterval = config.tickInterval || 1000;
+    this.tickInterval = config.onTick ? (config.tickInterval || 1000) : 0;
+    this.blocks = config.blocks || [];
+    this.element = config.element || null;
+    this.icon = config.icon || '';
     this.isStackable = config.isStackable || false;
     this.maxStacks = config.maxStacks || 1;
     this.iconUrl = config.iconUrl || '';
@@ -39,8 +47,69 @@ export class StatusEffect {
     this.startTime = 0;
     this.endTime = 0;
     this.stacks = 1;
-    this.tickTimer = null;
+    this.nextTickTime = 0;
     this.isActive = false;
+    this.clock = Date.now;
+  }
+  
+  /**
+   * Cria um efeito da biblioteca de efeitos de status (ver statusEffects.js)
+   *
+   * A definição com o mesmo ID fornece os valores padrão (ações impedidas,
+   * elemento, dano por tempo...) e `config` pode trocar qualquer campo, como
+   * a duração e os bônus de cada nível de uma habilidade; IDs fora da
+   * biblioteca usam apenas `config`. Os bônus ficam registrados nas
+   * CombatStats com a origem 'status:<id>' enquanto o efeito estiver ativo.
+   * @param {Object} config - { id, name, type, duration, bonuses, ... }
+   * @param {Function} onChange - Chamado com (target) após aplicar ou remover os
+   *   bônus e após cada dano por tempo
+   * @returns {StatusEffect} Efeito criado
+   */
+  static create(config, onChange = () => {}) {
+    const definition = { ...getStatusEffectDefinition(config.id) };
+    Object.entries(config).forEach(([key, value]) => {
+      if (value !== undefined) {
+        definition[key] = value;
+      }
+    });
+    
+    const source = `status:${definition.id}`;
+    const { bonuses, damageOverTime } = definition;
+    
+    return new StatusEffect({
+      id: definition.id,
+      name: definition.name,
+      description: definition.description,
+      type: definition.type || 'buff',
+      duration: definition.duration,
+      icon: definition.icon,
+      blocks: definition.blocks,
+      element: definition.element,
+      effects: { bonuses },
+      tickInterval: definition.tickInterval,
+      onApply: (target) => {
+        if (bonuses) {
+          target.combatStats.setBonuses(source, bonuses);
+        }
+        onChange(target);
+      },
+      onRemove: (target) => {
+        if (bonuses) {
+          target.combatStats.removeBonuses(source);
+        }
+        onChange(target);
+      },
+      // Dano por tempo nunca mata: o alvo fica com pelo menos 1 HP
+      onTick: damageOverTime ? (target, attackerId) => {
+        const stats = target.combatStats;
+        const amount = Math.max(damageOverTime.min || 1, Math.round(stats.maxHp * damageOverTime.percent));
+        const damage = Math.min(stats.hp - 1, amount);
+        if (damage <= 0) return;
+        
+        stats.applyDamage(damage, damageOverTime.type, attackerId, { statusEffect: definition.id });
+        onChange(target);
+      } : null
+    });
   }
   
   /**
@@ -48,6 +117,7 @@ export class StatusEffect {
    * @param {Object} target - Alvo do efeito
    * @param {Object} source - Fonte do efeito
    * @param {Object} options - Opções adicionais
+   * @param {Function} options.clock - Relógio usado pelo efeito (padrão: Date.now)
    * @returns {boolean} Se o efeito foi aplicado com sucesso
    */
   apply(target, source = null, options = {}) {
@@ -55,8 +125,10 @@ export class StatusEffect {
     
     this.target = target;
     this.source = source;
-    this.startTime = Date.now();
+    this.clock = options.clock || this.clock;
+    this.startTime = this.clock();
     this.endTime = this.duration > 0 ? this.startTime + this.duration : 0;
+    this.nextTickTime = this.tickInterval > 0 ? this.startTime + this.tickInterval : 0;
     this.stacks = options.stacks || 1;
     this.isActive = true;
     
@@ -67,14 +139,6 @@ export class StatusEffect {
       console.error(`Erro ao aplicar efeito ${this.id}:`, error);
     }
     
-    // Iniciar timer para remoção
-    if (this.duration > 0) {
-      this._scheduleRemoval();
-    }
-    
-    // Iniciar timer para ticks
-    this._startTickTimer();
-    
     return true;
   }
   
@@ -84,9 +148,6 @@ export class StatusEffect {
   remove() {
     if (!this.isActive) return;
     
-    // Limpar timers
-    this._clearTimers();
-    
     // Executar lógica de remoção
     try {
       this.onRemove(this.target, this.source, this);
@@ -139,10 +200,6 @@ export class StatusEffect {
     
     // Recalcular tempo de fim
     this.endTime += additionalDuration;
-    
-    // Reagendar remoção
-    this._clearRemovalTimer();
-    this._scheduleRemoval();
   }
   
   /**
@@ -151,90 +208,73 @@ export class StatusEffect {
   refreshDuration() {
     if (!this.isActive || this.duration === 0) return;
     
-    this.startTime = Date.now();
+    // Os ticks seguem o ritmo original
+    this.startTime = this.clock();
     this.endTime = this.startTime + this.duration;
-    
-    // Reagendar remoção
-    this._clearRemovalTimer();
-    this._scheduleRemoval();
   }
   
   /**
    * Verifica se o efeito está expirado
+   * @param {number} now - Tempo atual (padrão: relógio do efeito)
    * @returns {boolean} Se está expirado
    */
-  isExpired() {
-    return this.duration > 0 && Date.now() > this.endTime;
+  isExpired(now = this.clock()) {
+    return this.duration > 0 && now >= this.endTime;
   }
   
   /**
    * Retorna o tempo restante do efeito
+   * @param {number} now - Tempo atual (padrão: relógio do efeito)
    * @returns {number} Tempo restante em ms
    */
-  getRemainingTime() {
+  getRemainingTime(now = this.clock()) {
     if (!this.isActive || this.duration === 0) return 0;
     
-    return Math.max(0, this.endTime - Date.now());
+    return Math.max(0, this.endTime - now);
   }
   
   /**
-   * Executa um tick do efeito
+   * Executa os ticks vencidos até o tempo informado
+   *
+   * Chamado pelo StatusEffectManager a cada atualização. Um tick que caia
+   * exatamente no fim da duração ainda é executado; a remoção do efeito
+   * expirado fica com o gerenciador.
+   * @param {number} now - Tempo atual
+   * @returns {number} Quantidade de ticks executados
    */
-  tick() {
-    if (!this.isActive) return;
+  update(now) {
+    if (!this.isActive || this.tickInterval <= 0) return 0;
     
-    try {
-      this.onTick(this.target, this.source, this);
-    } catch (error) {
-      console.error(`Erro no tick do efeito ${this.id}:`, error);
+    const limit = this.endTime > 0 ? Math.min(now, this.endTime) : now;
+    let ticks = 0;
+    while (this.isActive && this.nextTickTime <= limit) {
+      this.nextTickTime += this.tickInterval;
+      this.tick();
+      ticks++;
     }
-  }
-  
-  /**
-   * Agenda a remoção automática do efeito
-   * @private
-   */
-  _scheduleRemoval() {
-    if (this.duration <= 0) return;
     
-    this.removalTimer = setTimeout(() => {
-      this.remove();
-    }, this.duration);
+    return ticks;
   }
   
   /**
-   * Inicia o timer de ticks
-   * @private
+   * Verifica se o efeito impede uma ação
+   * @param {string} action - Ação (ver STATUS_BLOCKS)
+   * @returns {boolean} Se a ação está impedida
    */
-  _startTickTimer() {
-    if (!this.onTick || this.tickInterval <= 0) return;
-    
-    this.tickTimer = setInterval(() => {
-      this.tick();
-    }, this.tickInterval);
+  blocksAction(action) {
+    return this.isActive && this.blocks.includes(action);
   }
   
   /**
-   * Limpa o timer de remoção
-   * @private
-   */
-  _clearRemovalTimer() {
-    if (this.removalTimer) {
-      clearTimeout(this.removalTimer);
-      this.removalTimer = null;
-    }
-  }
-  
-  /**
-   * Limpa todos os timers
-   * @private
+   * Executa um tick do efeito
    */
-  _clearTimers() {
-    this._clearRemovalTimer();
+  tick() {
+    if (!this.isActive) return;
     
-    if (this.tickTimer) {
-      clearInterval(this.tickTimer);
-      this.tickTimer = null;
+    try {
+      this.onTick(this.target, this.source, this);
+    } catch (error) {
+      console.error(`Erro no tick do efeito ${this.id}:`, error);
     }
   }
   
@@ -250,8 +290,11 @@ export class StatusEffect {
       duration: this.duration,
       remainingTime: this.getRemainingTime(),
       stacks: this.stacks,
+      icon: this.icon,
       iconUrl: this.iconUrl,
-      description: this.description
+      description: this.description,
+      blocks: this.blocks,
+      element: this.element
     };
   }
 }
@@ -259,12 +302,16 @@ export class StatusEffect {
 /**
  * Classe para gerenciar múltiplos efeitos de status em uma entidade
  */
-export class StatusEffectManager {
+class StatusEffectManager {
   /**
    * @param {Object} entity - Entidade que terá os efeitos
+   * @param {Object} options - Opções
+   * @param {Function} options.clock - Relógio em ms (padrão: Date.now); a
+   *   simulação do servidor e os testes podem informar o próprio tempo
    */
-  constructor(entity) {
+  constructor(entity, { clock = Date.now } = {}) {
     this.entity = entity;
+    this.clock = clock;
     this.effects = new Map(); // id -> StatusEffect
     this.onEffectAddedListeners = [];
     this.onEffectRemovedListeners = [];
@@ -300,7 +347,7 @@ export class StatusEffectManager {
     } 
     // Efeito novo, aplicar
     else {
-      effect.apply(this.entity, source, options);
+      effect.apply(this.entity, source, { ...options, clock: this.clock });
       this.effects.set(effect.id, effect);
       this._notifyEffectAdded(effect);
       return effect;
@@ -390,14 +437,58 @@ export class StatusEffectManager {
     return result;
   }
   
+  /**
+   * Obtém o efeito ativo que impede uma ação
+   * @param {string} action - Ação (ver STATUS_BLOCKS)
+   * @returns {StatusEffect} O efeito ou null
+   */
+  getBlockingEffect(action) {
+    for (const effect of this.effects.values()) {
+      if (effect.blocksAction(action)) {
+        return effect;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Obtém o elemento de defesa imposto pelos efeitos (o mais recente vale)
+   * @returns {Object} Elemento ({ type, level }) ou null
+   */
+  getElement() {
+    let element = null;
+    
+    for (const effect of this.effects.values()) {
+      if (effect.isActive && effect.element) {
+        element = effect.element;
+      }
+    }
+    
+    return element;
+  }
+  
   /**
    * Atualiza todos os efeitos
-   * @param {number} deltaTime - Tempo desde a última atualização
+   *
+   * Única fonte de tempo dos efeitos: os efeitos não têm timers próprios,
+   * então ticks e expiração só acontecem aqui, no loop de quem possui a
+   * entidade (tick do servidor ou quadro do cliente). O tempo atual vem do
+   * relógio do gerenciador.
    */
-  update(deltaTime) {
-    // Verificar efeitos expirados
+  update() {
+    const now = this.clock();
+    
+    // Ticks avisam os listeners de atualização (ex: HP perdido por veneno)
+    for (const effect of this.effects.values()) {
+      if (effect.update(now) > 0) {
+        this._notifyEffectUpdated(effect);
+      }
+    }
+    
+    // Remover efeitos expirados (ou sem stacks)
     for (const [id, effect] of this.effects.entries()) {
-      if (effect.isExpired()) {
+      if (!effect.isActive || effect.isExpired(now)) {
         effect.remove();
         this.effects.delete(id);
         this._notifyEffectRemoved(effect);
@@ -471,6 +562,47 @@ export class StatusEffectManager {
     }
   }
   
+  /**
+   * Substitui os efeitos pelos serializados pelo servidor
+   *
+   * Usado pelo cliente, que apenas espelha o estado: os efeitos recriados não
+   * têm callbacks (bônus e dano por tempo ficam no servidor), mas impedem as
+   * mesmas ações e expiram pelo tempo restante informado.
+   * @param {Array<Object>} effects - Efeitos serializados (ver getSerializableData)
+   */
+  setSerializedData(effects) {
+    const ids = new Set(effects.map(data => data.id));
+    this.removeEffects(effect => !ids.has(effect.id));
+    
+    for (const data of effects) {
+      const effect = this.effects.get(data.id) || new StatusEffect({
+        id: data.id,
+        name: data.name,
+        description: data.description,
+        type: data.type,
+        duration: data.duration,
+        icon: data.icon,
+        iconUrl: data.iconUrl,
+        blocks: data.blocks,
+        element: data.element
+      });
+      const isNew = !effect.isActive;
+      
+      if (isNew) {
+        effect.apply(this.entity, null, { clock: this.clock });
+        this.effects.set(effect.id, effect);
+      }
+      effect.stacks = data.stacks || 1;
+      effect.endTime = data.duration > 0 ? this.clock() + data.remainingTime : 0;
+      
+      if (isNew) {
+        this._notifyEffectAdded(effect);
+      } else {
+        this._notifyEffectUpdated(effect);
+      }
+    }
+  }
+  
   /**
    * Retorna dados serializáveis dos efeitos
    * @returns {Array} Lista de efeitos serializados
@@ -484,4 +616,6 @@ export class StatusEffectManager {
     
     return result;
   }
-} 
\ No newline at end of file
+}
+
+module.exports = { StatusEffect, StatusEffectManager }; 
\ No newline at end of file
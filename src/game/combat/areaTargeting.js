@@ -0,0 +1,48 @@
+/**
+ * Áreas de efeito das habilidades
+ *
+ * Módulo CommonJS compartilhado: o servidor resolve os monstros atingidos
+ * pelas habilidades de área e o cliente usa as mesmas formas para a mira, o
+ * efeito no chão e o CombatSystem.
+ */
+
+// Formas de área (`radius` é o raio do círculo ou metade do lado do quadrado)
+const AREA_SHAPES = {
+  CIRCLE: 'circle',
+  SQUARE: 'square'
+};
+
+/**
+ * Verifica se uma posição está dentro de uma área (plano XZ)
+ * @param {Object} position - Posição testada ({ x, z })
+ * @param {Object} center - Centro da área ({ x, z })
+ * @param {Object} area - Área ({ shape, radius })
+ * @returns {boolean} Se a posição está dentro da área
+ */
+function isInArea(position, center, area) {
+  const dx = (position.x || 0) - (center.x || 0);
+  const dz = (position.z || 0) - (center.z || 0);
+
+  if (area.shape === AREA_SHAPES.SQUARE) {
+    return Math.abs(dx) <= area.radius && Math.abs(dz) <= area.radius;
+  }
+
+  return dx * dx + dz * dz <= area.radius * area.radius;
+}
+
+/**
+ * Filtra as entidades dentro de uma área
+ * @param {Array<Object>} entities - Entidades candidatas
+ * @param {Object} center - Centro da área ({ x, z })
+ * @param {Object} area - Área ({ shape, radius })
+ * @param {Function} getPosition - Obtém a posição de uma entidade (padrão: entity.position)
+ * @returns {Array<Object>} Entidades atingidas
+ */
+function findEntitiesInArea(entities, center, area, getPosition = entity => entity.position) {
+  return entities.filter(entity => {
+    const position = getPosition(entity);
+    return Boolean(position) && isInArea(position, center, area);
+  });
+}
+
+module.exports = { AREA_SHAPES, isInArea, findEntitiesInArea }; 
\ No newline at end of file
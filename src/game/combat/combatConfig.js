@@ -1,20 +1,39 @@
 /**
  * Configurações globais do sistema de combate
+ *
+ * Módulo CommonJS compartilhado entre o cliente (webpack) e o servidor (Node).
  */
 
 // Configurações gerais
-export const COMBAT_CONFIG = {
+const COMBAT_CONFIG = {
   // Cooldowns e intervalos (ms)
   DEFAULT_ATTACK_COOLDOWN: 1000,
   DEFAULT_SKILL_COOLDOWN: 3000,
+  GLOBAL_SKILL_COOLDOWN: 500,    // Recarga de todas as habilidades após usar qualquer uma
   EFFECT_DURATION: 200,
-  AUTO_ATTACK_INTERVAL: 1500,
+  AUTO_ATTACK_RETRY_DELAY: 200,  // Nova tentativa do auto-ataque quando o golpe não pôde ser enviado
+  
+  // Velocidade de ataque no estilo Ragnarok: intervalo (ms) = (200 - ASPD) * 10
+  MAX_ASPD: 190,                 // ASPD máxima (intervalo mínimo de 100 ms)
   
   // Multiplicadores de dano
   CRITICAL_CHANCE: 0.1,          // 10% de chance de acerto crítico
   CRITICAL_MULTIPLIER: 1.5,      // 50% de dano adicional em acertos críticos
   BACKSTAB_MULTIPLIER: 1.2,      // 20% de dano adicional em ataques pelas costas
   
+  // Precisão e esquiva (chance de acerto = BASE_HIT_RATE + HIT - FLEE, em %)
+  BASE_HIT_RATE: 80,
+  MIN_HIT_RATE: 5,
+  MAX_HIT_RATE: 95,
+  BASE_PERFECT_DODGE: 0.01,      // 1% de esquiva perfeita (Lucky) para jogadores
+  FLEE_PENALTY_FREE_ATTACKERS: 2, // Atacantes simultâneos sem redução de FLEE
+  FLEE_PENALTY_PER_ATTACKER: 0.1, // FLEE perdida (10%) por atacante além desses
+  
+  // Mitigação de dano (DEF/MDEF reduzem em %, DEF/MDEF soft subtraem um valor fixo)
+  MAX_HARD_DEFENSE: 90,          // Redução máxima (%) pela DEF/MDEF
+  MAX_RESISTANCE: 100,           // Resistência máxima (%): 100 = imune
+  MIN_DAMAGE: 1,                 // Dano mínimo de um acerto (exceto com imunidade)
+  
   // Distâncias e alcances
   MELEE_RANGE: 1.5,              // Alcance de ataques corpo a corpo
   RANGE_ATTACK_MODIFIER: 0.8,    // Modificador de dano para ataques à distância
@@ -34,18 +53,28 @@ export const COMBAT_CONFIG = {
   BASE_HP: 100,
   BASE_MP: 50,
   BASE_ATTACK: 10,
+  BASE_MAGIC_ATTACK: 10,
   BASE_DEFENSE: 5,
   HP_PER_LEVEL: 10,
   MP_PER_LEVEL: 5,
   ATTACK_PER_LEVEL: 2,
-  DEFENSE_PER_LEVEL: 1
+  MAGIC_ATTACK_PER_LEVEL: 2,
+  DEFENSE_PER_LEVEL: 1,
+  BASE_MAGIC_DEFENSE: 3,
+  MAGIC_DEFENSE_PER_LEVEL: 1,
+  SOFT_DEFENSE_PER_LEVEL: 0.5,
+  SOFT_MAGIC_DEFENSE_PER_LEVEL: 0.5,
+  BASE_HIT: 10,
+  BASE_FLEE: 5,
+  HIT_PER_LEVEL: 1,
+  FLEE_PER_LEVEL: 1
 };
 
 // Tipos de dano
-export const DAMAGE_TYPES = {
+const DAMAGE_TYPES = {
   PHYSICAL: 'physical',
   MAGICAL: 'magical',
-  TRUE: 'true',        // Dano verdadeiro (ignora defesa)
+  TRUE: 'true',        // Dano verdadeiro (ignora defesa e resistências)
   FIRE: 'fire',
   ICE: 'ice',
   LIGHTNING: 'lightning',
@@ -53,7 +82,7 @@ export const DAMAGE_TYPES = {
 };
 
 // Tipos de habilidades
-export const SKILL_TYPES = {
+const SKILL_TYPES = {
   ATTACK: 'attack',
   HEAL: 'heal',
   BUFF: 'buff',
@@ -62,8 +91,15 @@ export const SKILL_TYPES = {
   PROJECTILE: 'projectile'
 };
 
+// Resultados de precisão de um ataque básico
+const HIT_RESULTS = {
+  HIT: 'hit',
+  MISS: 'miss',   // O alvo esquivou pela FLEE
+  LUCKY: 'lucky'  // Esquiva perfeita: ignora até acertos críticos
+};
+
 // Cores para feedback visual
-export const COMBAT_COLORS = {
+const COMBAT_COLORS = {
   PHYSICAL_DAMAGE: 0xff0000,     // Vermelho
   MAGICAL_DAMAGE: 0xa200ff,      // Roxo
   FIRE_DAMAGE: 0xff6600,         // Laranja
@@ -73,4 +109,6 @@ export const COMBAT_COLORS = {
   HEAL: 0x00ff88,                // Verde-água
   MISS: 0xcccccc,                // Cinza
   CRITICAL: 0xff0088             // Rosa
-}; 
\ No newline at end of file
+};
+
+module.exports = { COMBAT_CONFIG, DAMAGE_TYPES, SKILL_TYPES, HIT_RESULTS, COMBAT_COLORS }; 
\ No newline at end of file
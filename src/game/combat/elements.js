@@ -0,0 +1,216 @@
+/**
+ * Elementos, tamanhos e tipos de arma (tabelas do Ragnarok)
+ *
+ * Módulo CommonJS compartilhado: o DamageCalculator aplica os
+ * modificadores de elemento e de tamanho no servidor e no cliente, e a
+ * interface usa os nomes para exibir as informações do alvo.
+ */
+const { DAMAGE_TYPES } = require('./combatConfig');
+
+// Elementos de ataque e de defesa
+const ELEMENTS = {
+  NEUTRAL: 'neutral',
+  WATER: 'water',
+  EARTH: 'earth',
+  FIRE: 'fire',
+  WIND: 'wind',
+  POISON: 'poison',
+  HOLY: 'holy',
+  SHADOW: 'shadow',
+  GHOST: 'ghost',
+  UNDEAD: 'undead'
+};
+
+const ELEMENT_NAMES = {
+  [ELEMENTS.NEUTRAL]: 'Neutro',
+  [ELEMENTS.WATER]: 'Água',
+  [ELEMENTS.EARTH]: 'Terra',
+  [ELEMENTS.FIRE]: 'Fogo',
+  [ELEMENTS.WIND]: 'Vento',
+  [ELEMENTS.POISON]: 'Veneno',
+  [ELEMENTS.HOLY]: 'Sagrado',
+  [ELEMENTS.SHADOW]: 'Sombrio',
+  [ELEMENTS.GHOST]: 'Fantasma',
+  [ELEMENTS.UNDEAD]: 'Morto-vivo'
+};
+
+// Níveis de elemento de defesa (1-4)
+const MAX_ELEMENT_LEVEL = 4;
+
+// Modificador (%) do elemento de ataque contra o elemento de defesa, por
+// nível do elemento de defesa. As colunas seguem a ordem de ELEMENT_ORDER.
+// No Ragnarok valores negativos curam o alvo; aqui contam como 0.
+const ELEMENT_ORDER = [
+  ELEMENTS.NEUTRAL, ELEMENTS.WATER, ELEMENTS.EARTH, ELEMENTS.FIRE, ELEMENTS.WIND,
+  ELEMENTS.POISON, ELEMENTS.HOLY, ELEMENTS.SHADOW, ELEMENTS.GHOST, ELEMENTS.UNDEAD
+];
+
+const ELEMENT_TABLE = {
+  [ELEMENTS.NEUTRAL]: [
+    [100, 100, 100, 100, 100, 100, 100, 100, 25, 100],
+    [100, 100, 100, 100, 100, 100, 100, 100, 25, 100],
+    [100, 100, 100, 100, 100, 100, 100, 100, 0, 100],
+    [100, 100, 100, 100, 100, 100, 100, 100, 0, 100]
+  ],
+  [ELEMENTS.WATER]: [
+    [100, 25, 100, 150, 50, 100, 75, 100, 100, 100],
+    [100, 0, 100, 175, 25, 100, 50, 75, 100, 100],
+    [100, -25, 100, 200, 0, 100, 25, 50, 100, 125],
+    [100, -50, 100, 200, 0, 75, 0, 25, 100, 150]
+  ],
+  [ELEMENTS.EARTH]: [
+    [100, 100, 25, 50, 150, 100, 75, 100, 100, 100],
+    [100, 100, 0, 25, 175, 100, 50, 75, 100, 100],
+    [100, 100, -25, 0, 200, 100, 25, 50, 100, 75],
+    [100, 100, -50, 0, 200, 75, 0, 25, 100, 50]
+  ],
+  [ELEMENTS.FIRE]: [
+    [100, 50, 150, 25, 100, 100, 75, 100, 100, 125],
+    [100, 25, 175, 0, 100, 100, 50, 75, 100, 150],
+    [100, 0, 200, -25, 100, 100, 25, 50, 100, 175],
+    [100, 0, 200, -50, 100, 75, 0, 25, 100, 200]
+  ],
+  [ELEMENTS.WIND]: [
+    [100, 150, 50, 100, 25, 100, 75, 100, 100, 100],
+    [100, 175, 25, 100, 0, 100, 50, 75, 100, 100],
+    [100, 200, 0, 100, -25, 100, 25, 50, 100, 100],
+    [100, 200, 0, 100, -50, 75, 0, 25, 100, 100]
+  ],
+  [ELEMENTS.POISON]: [
+    [100, 100, 125, 125, 125, 0, 75, 50, 100, -25],
+    [100, 75, 125, 125, 125, 0, 50, 25, 75, -50],
+    [100, 50, 100, 100, 100, 0, 25, 0, 50, -75],
+    [100, 25, 75, 75, 75, 0, 0, -25, 25, -100]
+  ],
+  [ELEMENTS.HOLY]: [
+    [100, 100, 100, 100, 100, 100, 0, 125, 100, 150],
+    [100, 100, 100, 100, 100, 100, -25, 150, 100, 175],
+    [100, 100, 100, 100, 100, 125, -50, 175, 100, 200],
+    [100, 75, 75, 75, 75, 125, -100, 200, 100, 200]
+  ],
+  [ELEMENTS.SHADOW]: [
+    [100, 100, 100, 100, 100, 50, 125, 0, 100, -25],
+    [100, 100, 100, 100, 100, 25, 150, -25, 100, -50],
+    [100, 100, 100, 100, 100, 0, 175, -50, 100, -75],
+    [100, 75, 75, 75, 75, -25, 200, -100, 100, -100]
+  ],
+  [ELEMENTS.GHOST]: [
+    [25, 100, 100, 100, 100, 100, 75, 75, 125, 100],
+    [0, 75, 75, 75, 75, 75, 50, 50, 150, 125],
+    [0, 50, 50, 50, 50, 50, 25, 25, 175, 150],
+    [0, 25, 25, 25, 25, 25, 0, 0, 200, 175]
+  ],
+  [ELEMENTS.UNDEAD]: [
+    [100, 100, 100, 100, 100, 50, 100, 0, 100, 0],
+    [100, 75, 75, 75, 75, 25, 125, 0, 100, 0],
+    [100, 50, 50, 50, 50, 0, 150, 0, 100, 0],
+    [100, 25, 25, 25, 25, -25, 175, 0, 100, 0]
+  ]
+};
+
+// Elemento de ataque de cada tipo de dano (dano físico usa o elemento da arma)
+const DAMAGE_TYPE_ELEMENTS = {
+  [DAMAGE_TYPES.MAGICAL]: ELEMENTS.NEUTRAL,
+  [DAMAGE_TYPES.FIRE]: ELEMENTS.FIRE,
+  [DAMAGE_TYPES.ICE]: ELEMENTS.WATER,
+  [DAMAGE_TYPES.LIGHTNING]: ELEMENTS.WIND,
+  [DAMAGE_TYPES.POISON]: ELEMENTS.POISON
+};
+
+// Tamanhos de entidades
+const SIZES = {
+  SMALL: 'small',
+  MEDIUM: 'medium',
+  LARGE: 'large'
+};
+
+const SIZE_NAMES = {
+  [SIZES.SMALL]: 'Pequeno',
+  [SIZES.MEDIUM]: 'Médio',
+  [SIZES.LARGE]: 'Grande'
+};
+
+// Tipos de arma (`weaponType` nos equipamentos; sem arma = UNARMED)
+const WEAPON_TYPES = {
+  UNARMED: 'unarmed',
+  DAGGER: 'dagger',
+  SWORD: 'sword',
+  TWO_HANDED_SWORD: 'two_handed_sword',
+  BOW: 'bow',
+  ROD: 'rod'
+};
+
+// Modificador (%) de dano físico de cada tipo de arma por tamanho do alvo
+const SIZE_TABLE = {
+  [WEAPON_TYPES.UNARMED]: { [SIZES.SMALL]: 100, [SIZES.MEDIUM]: 100, [SIZES.LARGE]: 100 },
+  [WEAPON_TYPES.DAGGER]: { [SIZES.SMALL]: 100, [SIZES.MEDIUM]: 75, [SIZES.LARGE]: 50 },
+  [WEAPON_TYPES.SWORD]: { [SIZES.SMALL]: 75, [SIZES.MEDIUM]: 100, [SIZES.LARGE]: 75 },
+  [WEAPON_TYPES.TWO_HANDED_SWORD]: { [SIZES.SMALL]: 75, [SIZES.MEDIUM]: 75, [SIZES.LARGE]: 100 },
+  [WEAPON_TYPES.BOW]: { [SIZES.SMALL]: 100, [SIZES.MEDIUM]: 100, [SIZES.LARGE]: 75 },
+  [WEAPON_TYPES.ROD]: { [SIZES.SMALL]: 100, [SIZES.MEDIUM]: 100, [SIZES.LARGE]: 100 }
+};
+
+// Elemento e tamanho de entidades sem configuração própria (ex: jogadores)
+const DEFAULT_ELEMENT = { type: ELEMENTS.NEUTRAL, level: 1 };
+const DEFAULT_SIZE = SIZES.MEDIUM;
+
+/**
+ * Multiplicador de dano de um elemento de ataque contra um elemento de defesa
+ * @param {string} attackElement - Elemento do ataque (ver ELEMENTS)
+ * @param {Object} defenseElement - Elemento do alvo ({ type, level })
+ * @returns {number} Multiplicador (0 = imune)
+ */
+function getElementMultiplier(attackElement, defenseElement = DEFAULT_ELEMENT) {
+  const rows = ELEMENT_TABLE[attackElement] || ELEMENT_TABLE[ELEMENTS.NEUTRAL];
+  const level = Math.min(MAX_ELEMENT_LEVEL, Math.max(1, defenseElement.level || 1));
+  const column = ELEMENT_ORDER.indexOf(defenseElement.type);
+  if (column === -1) return 1;
+
+  return Math.max(0, rows[level - 1][column]) / 100;
+}
+
+/**
+ * Multiplicador de dano físico de um tipo de arma contra um tamanho
+ * @param {string} weaponType - Tipo de arma (ver WEAPON_TYPES)
+ * @param {string} size - Tamanho do alvo (ver SIZES)
+ * @returns {number} Multiplicador
+ */
+function getSizeMultiplier(weaponType, size = DEFAULT_SIZE) {
+  const row = SIZE_TABLE[weaponType] || SIZE_TABLE[WEAPON_TYPES.UNARMED];
+  return (row[size] || 100) / 100;
+}
+
+/**
+ * Elemento de ataque de um tipo de dano
+ * @param {string} damageType - Tipo de dano (ver DAMAGE_TYPES)
+ * @param {string} weaponElement - Elemento da arma (usado pelo dano físico)
+ * @returns {string|null} Elemento ou null para dano verdadeiro
+ */
+function getDamageElement(damageType, weaponElement = ELEMENTS.NEUTRAL) {
+  if (damageType === DAMAGE_TYPES.TRUE) return null;
+  return DAMAGE_TYPE_ELEMENTS[damageType] || weaponElement;
+}
+
+/**
+ * Descreve um elemento de defesa (ex: "Água 1")
+ * @param {Object} element - Elemento ({ type, level })
+ * @returns {string} Nome do elemento com o nível
+ */
+function getElementLabel(element = DEFAULT_ELEMENT) {
+  return `${ELEMENT_NAMES[element.type] || element.type} ${element.level || 1}`;
+}
+
+module.exports = {
+  ELEMENTS,
+  ELEMENT_NAMES,
+  MAX_ELEMENT_LEVEL,
+  SIZES,
+  SIZE_NAMES,
+  WEAPON_TYPES,
+  DEFAULT_ELEMENT,
+  DEFAULT_SIZE,
+  getElementMultiplier,
+  getSizeMultiplier,
+  getDamageElement,
+  getElementLabel
+}; 
\ No newline at end of file
@@ -10,13 +10,19 @@ export { CombatSystem } from './CombatSystem';
 export { CombatStats } from './CombatStats';
 export { DamageCalculator } from './DamageCalculator';
 export { StatusEffect, StatusEffectManager } from './StatusEffect';
+export { STATUS_BLOCKS, STATUS_EFFECT_DEFINITIONS, getStatusEffectDefinition, isActionBlocked } from './statusEffects';
+export { SkillManager } from './SkillManager';
+export { SkillCooldowns } from './SkillCooldowns';
+export { PRIMARY_STATS, STAT_POINTS, PrimaryStats, getStatBonuses } from './PrimaryStats';
+export { AREA_SHAPES, isInArea, findEntitiesInArea } from './areaTargeting';
+export { PROJECTILE_TYPES, PROJECTILE_DEFINITIONS, getProjectileDefinition, getTravelTime } from './projectiles';
+export { ELEMENTS, SIZES, WEAPON_TYPES, getElementMultiplier, getSizeMultiplier } from './elements';
 
 // Importação interna para uso na função
 import { CombatSystem } from './CombatSystem';
 
 // Utilitários (futuros)
 // export { CombatUtils } from './CombatUtils';
-// export { SkillManager } from './SkillManager';
 
 /**
  * Função de inicialização do sistema de combate
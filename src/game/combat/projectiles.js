@@ -0,0 +1,86 @@
+/**
+ * Projéteis de ataques à distância e habilidades (flechas, lanças mágicas)
+ *
+ * Módulo CommonJS compartilhado: o servidor calcula o tempo de voo e só
+ * resolve o acerto na chegada; o cliente usa as mesmas definições para
+ * desenhar o projétil até o impacto.
+ */
+const { AREA_SHAPES, isInArea } = require('./areaTargeting');
+
+// Tipos de projétil
+const PROJECTILE_TYPES = {
+  ARROW: 'arrow',
+  BOLT: 'bolt'
+};
+
+// Definições dos projéteis
+//
+// `speed` é a velocidade em unidades por segundo. Projéteis teleguiados
+// (`homing`) seguem o alvo e sempre o atingem; os demais voam em linha reta
+// até onde o alvo estava no disparo e só acertam se ele ainda estiver a
+// `hitRadius` desse ponto. `color` null usa a cor do tipo de dano.
+const PROJECTILE_DEFINITIONS = {
+  [PROJECTILE_TYPES.ARROW]: {
+    id: PROJECTILE_TYPES.ARROW,
+    speed: 20,
+    homing: false,
+    hitRadius: 1.0,
+    color: 0xd2b48c,
+    size: 0.5
+  },
+  [PROJECTILE_TYPES.BOLT]: {
+    id: PROJECTILE_TYPES.BOLT,
+    speed: 12,
+    homing: true,
+    hitRadius: 0,
+    color: null,
+    size: 0.25
+  }
+};
+
+/**
+ * Obtém a definição de um projétil
+ * @param {string} type - Tipo de projétil
+ * @returns {Object|null} Definição ou null se não existir
+ */
+function getProjectileDefinition(type) {
+  return Object.prototype.hasOwnProperty.call(PROJECTILE_DEFINITIONS, type)
+    ? PROJECTILE_DEFINITIONS[type]
+    : null;
+}
+
+/**
+ * Tempo de voo de um projétil entre duas posições
+ * @param {Object} from - Posição de disparo ({ x, y, z })
+ * @param {Object} to - Posição do alvo ({ x, y, z })
+ * @param {number} speed - Velocidade em unidades por segundo
+ * @returns {number} Tempo de voo em ms
+ */
+function getTravelTime(from, to, speed) {
+  const distance = Math.hypot(
+    (to.x || 0) - (from.x || 0),
+    (to.y || 0) - (from.y || 0),
+    (to.z || 0) - (from.z || 0)
+  );
+  return Math.round((distance / speed) * 1000);
+}
+
+/**
+ * Verifica se um projétil atinge o alvo na chegada
+ * @param {Object} definition - Definição do projétil
+ * @param {Object} aim - Posição do alvo no disparo
+ * @param {Object} targetPosition - Posição atual do alvo
+ * @returns {boolean} Se o projétil acertou
+ */
+function isProjectileHit(definition, aim, targetPosition) {
+  if (definition.homing) return true;
+  return isInArea(targetPosition, aim, { shape: AREA_SHAPES.CIRCLE, radius: definition.hitRadius });
+}
+
+module.exports = {
+  PROJECTILE_TYPES,
+  PROJECTILE_DEFINITIONS,
+  getProjectileDefinition,
+  getTravelTime,
+  isProjectileHit
+}; 
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Biblioteca de efeitos de status (ailments e buffs)
+ *
+ * Módulo CommonJS compartilhado: o servidor cria os efeitos pelo
+ * StatusEffect.create e aplica as restrições; o cliente usa as mesmas
+ * definições para bloquear o movimento e validar ações localmente.
+ */
+
+const { DAMAGE_TYPES } = require('./combatConfig');
+const { ELEMENTS } = require('./elements');
+
+// Ações que um efeito pode impedir
+const STATUS_BLOCKS = {
+  MOVE: 'move',
+  ATTACK: 'attack',
+  SKILL: 'skill',
+  ITEM: 'item'
+};
+
+// Efeitos que impedem qualquer ação (atordoamento, congelamento, petrificação)
+const ALL_ACTIONS = Object.values(STATUS_BLOCKS);
+
+// Definições indexadas pelo ID do efeito
+//
+// `blocks` lista as ações impedidas enquanto o efeito estiver ativo,
+// `bonuses` soma atributos às CombatStats (valores negativos são penalidades),
+// `element` troca o elemento de defesa do alvo e `damageOverTime` causa dano a
+// cada `tickInterval` ms: `percent` do HP máximo (ao menos `min`), sem matar
+// (o alvo fica com pelo menos 1 HP). Quem aplica o efeito (habilidade, item,
+// ataque de monstro) pode trocar `duration` e `bonuses`, ex: valores por nível.
+const STATUS_EFFECT_DEFINITIONS = {
+  // Ailments
+  poison: {
+    id: 'poison',
+    name: 'Envenenado',
+    description: 'Perde HP a cada segundo.',
+    icon: '☠️',
+    type: 'debuff',
+    duration: 20000,
+    tickInterval: 1000,
+    damageOverTime: { percent: 0.015, min: 2, type: DAMAGE_TYPES.POISON }
+  },
+  stun: {
+    id: 'stun',
+    name: 'Atordoado',
+    description: 'Não pode se mover, atacar, usar habilidades nem itens.',
+    icon: '💫',
+    type: 'debuff',
+    duration: 5000,
+    blocks: ALL_ACTIONS
+  },
+  freeze: {
+    id: 'freeze',
+    name: 'Congelado',
+    description: 'Não pode agir e passa a ter o elemento Água.',
+    icon: '🧊',
+    type: 'debuff',
+    duration: 12000,
+    blocks: ALL_ACTIONS,
+    element: { type: ELEMENTS.WATER, level: 1 }
+  },
+  stone: {
+    id: 'stone',
+    name: 'Petrificado',
+    description: 'Não pode agir e passa a ter o elemento Terra.',
+    icon: '🗿',
+    type: 'debuff',
+    duration: 20000,
+    blocks: ALL_ACTIONS,
+    element: { type: ELEMENTS.EARTH, level: 1 }
+  },
+  blind: {
+    id: 'blind',
+    name: 'Cego',
+    description: 'Precisão e esquiva reduzidas.',
+    icon: '🌑',
+    type: 'debuff',
+    duration: 30000,
+    bonuses: { hit: -25, flee: -25 }
+  },
+  silence: {
+    id: 'silence',
+    name: 'Silenciado',
+    description: 'Não pode usar habilidades.',
+    icon: '🤐',
+    type: 'debuff',
+    duration: 30000,
+    blocks: [STATUS_BLOCKS.SKILL]
+  },
+
+  // Buffs
+  blessing: {
+    id: 'blessing',
+    name: 'Bênção',
+    description: 'Aumenta o ataque, o ataque mágico e a precisão.',
+    icon: '✨',
+    type: 'buff',
+    duration: 60000,
+    bonuses: { attack: 5, magicAttack: 5, hit: 5 }
+  },
+  increase_agi: {
+    id: 'increase_agi',
+    name: 'Aumentar Agilidade',
+    description: 'Aumenta a esquiva e a velocidade de ataque.',
+    icon: '🪶',
+    type: 'buff',
+    duration: 60000,
+    bonuses: { flee: 3, attackSpeed: 0.02 }
+  },
+  angelus: {
+    id: 'angelus',
+    name: 'Angelus',
+    description: 'Aumenta a defesa.',
+    icon: '👼',
+    type: 'buff',
+    duration: 30000,
+    bonuses: { softDefense: 5 }
+  }
+};
+
+/**
+ * Obtém a definição de um efeito da biblioteca
+ * @param {string} effectId - ID do efeito
+ * @returns {Object|null} Definição ou null se não existir
+ */
+function getStatusEffectDefinition(effectId) {
+  return Object.prototype.hasOwnProperty.call(STATUS_EFFECT_DEFINITIONS, effectId)
+    ? STATUS_EFFECT_DEFINITIONS[effectId]
+    : null;
+}
+
+/**
+ * Obtém o efeito ativo que impede uma ação de uma entidade
+ * @param {Object} entity - Entidade (com `statusEffects`)
+ * @param {string} action - Ação (ver STATUS_BLOCKS)
+ * @returns {Object|null} Efeito que impede a ação ou null
+ */
+function getBlockingEffect(entity, action) {
+  return entity && entity.statusEffects ? entity.statusEffects.getBlockingEffect(action) : null;
+}
+
+/**
+ * Verifica se algum efeito ativo impede uma ação de uma entidade
+ * @param {Object} entity - Entidade (com `statusEffects`)
+ * @param {string} action - Ação (ver STATUS_BLOCKS)
+ * @returns {boolean} Se a ação está impedida
+ */
+function isActionBlocked(entity, action) {
+  return Boolean(getBlockingEffect(entity, action));
+}
+
+/**
+ * Obtém o elemento de defesa de uma entidade, considerando os efeitos ativos
+ * @param {Object} entity - Entidade (com `combatStats` e `statusEffects`)
+ * @returns {Object} Elemento ({ type, level })
+ */
+function getDefenseElement(entity) {
+  const override = entity.statusEffects ? entity.statusEffects.getElement() : null;
+  return override || entity.combatStats.element;
+}
+
+module.exports = {
+  STATUS_BLOCKS,
+  STATUS_EFFECT_DEFINITIONS,
+  getStatusEffectDefinition,
+  getBlockingEffect,
+  isActionBlocked,
+  getDefenseElement
+}; 
\ No newline at end of file
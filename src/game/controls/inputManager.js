@@ -1,6 +1,12 @@
 import * as THREE from 'three';
 import { calculateApproachPosition } from '../utils/helpers';
-import { VISUAL_EFFECTS } from '../core/config';
+import { VISUAL_EFFECTS, SERVER_CONFIG } from '../core/config';
+import { ERROR_CODES, getErrorMessage } from '../core/errorCodes';
+import { getItemName } from '../items/itemDefinitions';
+import { COMBAT_CONFIG } from '../combat/combatConfig';
+
+// Recusas do servidor que não encerram o auto-ataque (o golpe é tentado de novo)
+const AUTO_ATTACK_RETRY_ERRORS = [ERROR_CODES.ATTACK_ON_COOLDOWN, ERROR_CODES.SKILL_CASTING];
 
 /**
  * Classe para gerenciar os controles de entrada do jogo
@@ -25,11 +31,15 @@ export class InputManager {
     
     // Variáveis para auto ataque
     this.autoAttackTarget = null;
-    this.autoAttackInterval = null;
+    this.autoAttackTimer = null; // Próximo golpe, agendado pela resposta do servidor
+    
+    // Mira de habilidades de alvo 'ground' ({ skill, range, reticle, position, onConfirm })
+    this.groundTargeting = null;
     
     // Vincular métodos ao this para evitar problemas com eventos
     this.handleLeftClick = this.handleLeftClick.bind(this);
     this.handleRightClick = this.handleRightClick.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
     this.handleKeyDown = this.handleKeyDown.bind(this);
   }
   
@@ -44,6 +54,7 @@ export class InputManager {
     
     this.renderer.renderer.domElement.addEventListener('click', this.handleLeftClick);
     this.renderer.renderer.domElement.addEventListener('contextmenu', this.handleRightClick);
+    this.renderer.renderer.domElement.addEventListener('mousemove', this.handleMouseMove);
     
     // Adicionar listener para tecla de atalho de configurações
     document.addEventListener('keydown', this.handleKeyDown);
@@ -58,6 +69,7 @@ export class InputManager {
     if (this.renderer && this.renderer.renderer) {
       this.renderer.renderer.domElement.removeEventListener('click', this.handleLeftClick);
       this.renderer.renderer.domElement.removeEventListener('contextmenu', this.handleRightClick);
+      this.renderer.renderer.domElement.removeEventListener('mousemove', this.handleMouseMove);
     }
     
     // Remover listener para tecla de atalho
@@ -65,6 +77,7 @@ export class InputManager {
     
     // Limpar intervalo de auto ataque
     this.stopAutoAttack();
+    this.cancelGroundTargeting();
   }
   
   /**
@@ -94,13 +107,23 @@ export class InputManager {
     this.attackTarget = target;
     
     // Parar auto-ataque apenas se solicitado
-    if (!isAttacking && shouldStopAutoAttack && this.autoAttackInterval) {
+    if (!isAttacking && shouldStopAutoAttack && this.autoAttackTarget) {
       this.stopAutoAttack();
     }
     
     console.log(`[InputManager] Estado de ataque alterado: ${isAttacking ? 'Atacando' : 'Não atacando'} ${target ? target : ''}`);
   }
   
+  /**
+   * Seleciona um monstro, mostrando suas informações (elemento, tamanho, HP)
+   * @param {Object} monster - Monstro clicado
+   */
+  selectTarget(monster) {
+    if (window.game && window.game.ui) {
+      window.game.ui.showTargetInfo(monster);
+    }
+  }
+  
   /**
    * Converte coordenadas do clique do mouse para coordenadas normalizadas
    * @param {MouseEvent} event - Evento do mouse
@@ -110,6 +133,108 @@ export class InputManager {
     this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
   }
   
+  /**
+   * Posição no chão (plano XZ) sob o mouse
+   * @returns {THREE.Vector3|null} Ponto no chão ou null se o raio não cruzar o plano
+   */
+  getGroundPoint() {
+    const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0); // Plano XZ
+    return this.raycaster.ray.intersectPlane(ground, new THREE.Vector3());
+  }
+  
+  /**
+   * Inicia a mira de uma habilidade de alvo 'ground'
+   *
+   * A área da habilidade segue o mouse (vermelha fora do alcance); o clique
+   * esquerdo confirma e o direito ou Esc cancelam.
+   * @param {Object} skill - Habilidade resolvida (com area e range)
+   * @param {Function} onConfirm - Chamado com a posição ({ x, y, z }) escolhida
+   */
+  startGroundTargeting(skill, onConfirm) {
+    this.cancelGroundTargeting();
+    if (!this.player || !this.player.model || !skill.area) return;
+    
+    const reticle = this.renderer.createAreaMesh(skill.area, VISUAL_EFFECTS.reticleColor, 0.35);
+    reticle.visible = false;
+    this.renderer.scene.add(reticle);
+    
+    this.groundTargeting = {
+      skill,
+      range: (skill.range || this.player.attackRange) * 1.2, // 20% de tolerância, como no servidor
+      reticle,
+      position: null,
+      onConfirm
+    };
+  }
+  
+  /**
+   * Cancela a mira de habilidade em andamento
+   * @returns {boolean} Se havia uma mira ativa
+   */
+  cancelGroundTargeting() {
+    if (!this.groundTargeting) return false;
+    
+    const { reticle } = this.groundTargeting;
+    this.renderer.scene.remove(reticle);
+    reticle.geometry.dispose();
+    reticle.material.dispose();
+    
+    this.groundTargeting = null;
+    return true;
+  }
+  
+  /**
+   * Move a mira de habilidade para a posição do mouse
+   * @param {MouseEvent} event - Evento do mouse
+   */
+  handleMouseMove(event) {
+    if (!this.groundTargeting || !this.player || !this.player.model) return;
+    
+    this.updateMouseCoordinates(event);
+    this.raycaster.setFromCamera(this.mouse, this.renderer.camera);
+    
+    const point = this.getGroundPoint();
+    const { reticle } = this.groundTargeting;
+    this.groundTargeting.position = point;
+    reticle.visible = Boolean(point);
+    if (!point) return;
+    
+    reticle.position.set(point.x, 0.03, point.z);
+    reticle.material.color.setHex(this.isInTargetingRange(point)
+      ? VISUAL_EFFECTS.reticleColor
+      : VISUAL_EFFECTS.reticleOutOfRangeColor);
+  }
+  
+  /**
+   * Verifica se um ponto está no alcance da habilidade em mira (distância no chão)
+   * @param {THREE.Vector3} point - Ponto no chão
+   * @returns {boolean} Se está no alcance
+   */
+  isInTargetingRange(point) {
+    const playerPosition = this.player.model.position;
+    return Math.hypot(point.x - playerPosition.x, point.z - playerPosition.z) <= this.groundTargeting.range;
+  }
+  
+  /**
+   * Confirma a mira de habilidade na posição clicada
+   * @private
+   */
+  confirmGroundTargeting() {
+    const point = this.getGroundPoint();
+    if (!point) return;
+    
+    if (!this.isInTargetingRange(point)) {
+      if (window.game && window.game.ui) {
+        window.game.ui.showMessage(getErrorMessage(ERROR_CODES.TARGET_OUT_OF_RANGE), 2000, 'error');
+      }
+      return;
+    }
+    
+    const { onConfirm } = this.groundTargeting;
+    this.cancelGroundTargeting();
+    onConfirm({ x: point.x, y: 0, z: point.z });
+  }
+  
   /**
    * Manipula o clique esquerdo do mouse (ataque direto)
    * @param {MouseEvent} event - Evento do mouse
@@ -124,6 +249,22 @@ export class InputManager {
     this.updateMouseCoordinates(event);
     this.raycaster.setFromCamera(this.mouse, this.renderer.camera);
     
+    // CASO: Mirando uma habilidade de área no chão
+    if (this.groundTargeting) {
+      this.confirmGroundTargeting();
+      return;
+    }
+    
+    // CASO: Clicou em um item no chão para pegar
+    const itemIntersects = this.raycaster.intersectObjects(this.entityManager.getGroundItemModels());
+    if (itemIntersects.length > 0) {
+      const groundItemId = this.entityManager.getEntityIdByModel(itemIntersects[0].object);
+      if (groundItemId) {
+        this.pickupGroundItem(groundItemId);
+        return;
+      }
+    }
+    
     // Verificar interseção com monstros
     const monsters = this.entityManager.getMonsterModels();
     const monsterIntersects = this.raycaster.intersectObjects(monsters);
@@ -143,6 +284,8 @@ export class InputManager {
           return;
         }
         
+        this.selectTarget(monster);
+        
         // Verificar distância
         const distance = this.player.model.position.distanceTo(monster.model.position);
         
@@ -174,6 +317,49 @@ export class InputManager {
     }
   }
   
+  /**
+   * Pega um item do chão, aproximando-se dele se estiver fora de alcance
+   * @param {string} groundItemId - ID do item no chão
+   */
+  pickupGroundItem(groundItemId) {
+    const item = this.entityManager.groundItems.get(groundItemId);
+    if (!item || !item.model) return;
+    
+    const requestPickup = () => {
+      this.player.pickupItem(groundItemId)
+        .then((picked) => {
+          if (window.game && window.game.ui) {
+            window.game.ui.showMessage(`Você pegou ${picked.quantity}x ${getItemName(picked.itemId)}`, 2000, 'success');
+          }
+        })
+        .catch((error) => {
+          console.log(`[InputManager] Coleta do item ${groundItemId} recusada: ${error.code}`);
+          if (window.game && window.game.ui) {
+            window.game.ui.showMessage(getErrorMessage(error.code), 2000, 'error');
+          }
+        });
+    };
+    
+    // Distância no plano do chão (o item flutua abaixo da altura do jogador)
+    const itemPosition = item.model.position.clone().setY(this.player.model.position.y);
+    const distance = this.player.model.position.distanceTo(itemPosition);
+    if (distance <= SERVER_CONFIG.loot.pickupRange) {
+      requestPickup();
+      return;
+    }
+    
+    // Fora de alcance: caminhar até o item e pegar ao chegar
+    this.setAttacking(false, null);
+    this.showDestinationMarker(itemPosition, VISUAL_EFFECTS.moveMarkerColor);
+    
+    const approachPos = calculateApproachPosition(
+      this.player.model.position,
+      itemPosition,
+      SERVER_CONFIG.loot.pickupRange * 0.5
+    );
+    this.player.moveToPosition(approachPos, requestPickup);
+  }
+  
   /**
    * Manipula o clique direito do mouse (movimento ou ataque com aproximação)
    * @param {MouseEvent} event - Evento do mouse
@@ -181,6 +367,9 @@ export class InputManager {
   handleRightClick(event) {
     event.preventDefault();
     
+    // O clique direito cancela a mira de habilidade sem mover o jogador
+    if (this.cancelGroundTargeting()) return;
+    
     // Verificar se o jogador está disponível
     if (!this.player || !this.player.model) {
       console.log("[InputManager] Jogador não disponível para processar clique");
@@ -208,6 +397,8 @@ export class InputManager {
           return;
         }
         
+        this.selectTarget(monster);
+        
         // Verificar se já está em alcance de ataque
         const distance = this.player.model.position.distanceTo(monster.model.position);
         if (distance <= this.player.attackRange * 1.2) {
@@ -215,10 +406,9 @@ export class InputManager {
           console.log(`[InputManager] Já em alcance de ataque (${distance.toFixed(1)}), atacando diretamente`);
           
           // Parar qualquer auto ataque atual (apenas para trocar de alvo)
-          if (this.autoAttackTarget !== monsterId && this.autoAttackInterval) {
+          if (this.autoAttackTarget && this.autoAttackTarget !== monsterId) {
             console.log(`[InputManager] Trocando alvo de auto-ataque para ${monsterId}`);
-            clearInterval(this.autoAttackInterval);
-            this.autoAttackInterval = null;
+            this.cancelAutoAttack();
           }
           
           this.player.attackEntity(monsterId);
@@ -240,10 +430,9 @@ export class InputManager {
         this.setAttacking(true, monsterId);
         
         // Parar auto-ataque atual (apenas para trocar de alvo)
-        if (this.autoAttackTarget !== monsterId && this.autoAttackInterval) {
+        if (this.autoAttackTarget && this.autoAttackTarget !== monsterId) {
           console.log(`[InputManager] Parando auto-ataque atual durante movimentação`);
-          clearInterval(this.autoAttackInterval);
-          this.autoAttackInterval = null;
+          this.cancelAutoAttack();
         }
         
         // Calcular posição de aproximação
@@ -284,9 +473,7 @@ export class InputManager {
     this.setAttacking(false, null);
     
     // Interseção com plano imaginário (chão)
-    const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0); // Plano XZ
-    const planeTarget = new THREE.Vector3();
-    this.raycaster.ray.intersectPlane(ground, planeTarget);
+    const planeTarget = this.getGroundPoint();
     
     if (planeTarget) {
       // Mostrar marcador visual no destino
@@ -333,10 +520,41 @@ export class InputManager {
    * @param {KeyboardEvent} event - Evento de teclado
    */
   handleKeyDown(event) {
+    // Tecla 'Esc' para cancelar a mira de habilidade
+    if (event.key === 'Escape') {
+      this.cancelGroundTargeting();
+    }
+    
     // Tecla 'O' para abrir configurações
     if (event.key === 'o' || event.key === 'O') {
       this.toggleConfigMenu();
     }
+    
+    // Tecla 'I' para abrir o inventário
+    if ((event.key === 'i' || event.key === 'I') && window.game && window.game.ui) {
+      window.game.ui.toggleInventory();
+    }
+    
+    // Tecla 'E' para abrir os equipamentos
+    if ((event.key === 'e' || event.key === 'E') && window.game && window.game.ui) {
+      window.game.ui.toggleEquipment();
+    }
+    
+    // Tecla 'K' para abrir as habilidades
+    if ((event.key === 'k' || event.key === 'K') && window.game && window.game.ui) {
+      window.game.ui.toggleSkills();
+    }
+    
+    // Alt+A para abrir os atributos (como no Ragnarok; A sozinha é de movimento)
+    if (event.altKey && (event.key === 'a' || event.key === 'A') && window.game && window.game.ui) {
+      event.preventDefault();
+      window.game.ui.toggleStats();
+    }
+    
+    // Teclas 1-9 para a barra de atalhos
+    if (/^[1-9]$/.test(event.key) && window.game && window.game.useHotbarSlot) {
+      window.game.useHotbarSlot(Number(event.key) - 1);
+    }
   }
   
   /**
@@ -453,6 +671,9 @@ export class InputManager {
   
   /**
    * Inicia o auto-ataque a um alvo
+   *
+   * O primeiro golpe é enviado por quem chama (cliques); os seguintes são
+   * agendados pelas respostas do servidor (ver scheduleAutoAttack).
    * @param {string} targetId - ID do alvo
    */
   startAutoAttack(targetId) {
@@ -470,16 +691,13 @@ export class InputManager {
       }
       
       // Se já está atacando o mesmo alvo, não reiniciar
-      if (this.autoAttackTarget === targetId && this.autoAttackInterval) {
+      if (this.autoAttackTarget === targetId) {
         console.log(`[InputManager] Já está auto-atacando ${targetId}`);
         return;
       }
       
       // Parar auto-ataque anterior se existir
-      if (this.autoAttackInterval) {
-        clearInterval(this.autoAttackInterval);
-        this.autoAttackInterval = null;
-      }
+      this.cancelAutoAttack();
       
       // Verificar se o monstro existe
       const monster = this.entityManager.monsters.get(targetId);
@@ -494,67 +712,105 @@ export class InputManager {
       this.autoAttackTarget = targetId;
       this.setAttacking(true, targetId, false);
       
-      // Usar o cooldown da arma do jogador + um pequeno buffer para garantir que não haverá falhas
-      const attackInterval = (this.player.attackCooldownTime || 1200) + 50; // ms
-      
       // Mostrar mensagem visual para o jogador
       if (window.game && window.game.ui) {
         window.game.ui.showMessage(`Auto-ataque ativado contra ${monster.type || 'monstro'}`, 2000, 'success');
       }
       
-      // Configurar intervalo de auto-ataque (first attack happens immediately in handleLeftClick/handleRightClick)
-      this.autoAttackInterval = setInterval(() => {
-        try {
-          // Verificar se o jogador existe
-          if (!this.player || !this.player.model) {
-            console.log("[InputManager] Jogador não disponível, parando auto-ataque");
-            this.stopAutoAttack();
-            return;
-          }
-          
-          // Verificar se o auto-ataque ainda está ativado
-          if (!this.config.autoAttack) {
-            console.log("[InputManager] Auto-ataque desativado, parando");
-            this.stopAutoAttack();
-            return;
-          }
-          
-          // Obter o monstro atualizado
-          const monster = this.entityManager.monsters.get(this.autoAttackTarget);
-          
-          // Verificar se o monstro existe e não está morto
-          if (!monster || !monster.model || monster.isDead) {
-            console.log(`[InputManager] Monstro ${this.autoAttackTarget} indisponível, parando auto-ataque`);
-            this.stopAutoAttack();
-            
-            // Procurar por outro monstro próximo para atacar
-            this.findAndAttackNearbyMonster();
-            return;
-          }
-          
-          // Verificar distância
-          const distance = this.player.model.position.distanceTo(monster.model.position);
-          const attackRangeWithTolerance = this.player.attackRange * 1.2; // 20% de tolerância
-          
-          if (distance > attackRangeWithTolerance) {
-            console.log(`[InputManager] Monstro ${this.autoAttackTarget} fora de alcance (${distance.toFixed(1)}), parando auto-ataque`);
-            this.stopAutoAttack();
-            return;
-          }
-          
-          // Executar ataque
-          console.log(`[InputManager] Auto-atacando ${this.autoAttackTarget}`);
-          this.player.attackEntity(this.autoAttackTarget);
-        } catch (error) {
-          console.error("[InputManager] Erro durante auto-ataque:", error);
-          this.stopAutoAttack();
-        }
-      }, attackInterval);
+      this.scheduleAutoAttack();
     } catch (error) {
       console.error("[InputManager] Erro ao iniciar auto-ataque:", error);
     }
   }
   
+  /**
+   * Agenda o próximo golpe do auto-ataque
+   *
+   * Espera a resposta do golpe anterior e o intervalo que ela libera
+   * (velocidade de ataque do servidor, afetada por atributos e buffs), sem
+   * intervalo fixo no cliente. Recusas que não sejam de cooldown ou de
+   * conjuração encerram o auto-ataque.
+   * @private
+   */
+  scheduleAutoAttack() {
+    const targetId = this.autoAttackTarget;
+    
+    Promise.resolve(this.player.pendingAttack).then((response) => {
+      // Auto-ataque parado ou trocado enquanto aguardava a resposta
+      if (this.autoAttackTarget !== targetId) return;
+      
+      if (response && response.error && !AUTO_ATTACK_RETRY_ERRORS.includes(response.error)) {
+        console.log(`[InputManager] Ataque contra ${targetId} recusado (${response.error}), parando auto-ataque`);
+        this.stopAutoAttack();
+        return;
+      }
+      
+      clearTimeout(this.autoAttackTimer);
+      this.autoAttackTimer = setTimeout(() => this.performAutoAttack(), this.player.getAttackRemaining());
+    });
+  }
+  
+  /**
+   * Executa um golpe do auto-ataque, se o alvo ainda estiver disponível e em alcance
+   * @private
+   */
+  performAutoAttack() {
+    this.autoAttackTimer = null;
+    
+    try {
+      // Verificar se o jogador existe
+      if (!this.player || !this.player.model) {
+        console.log("[InputManager] Jogador não disponível, parando auto-ataque");
+        this.stopAutoAttack();
+        return;
+      }
+      
+      // Verificar se o auto-ataque ainda está ativado
+      if (!this.config.autoAttack) {
+        console.log("[InputManager] Auto-ataque desativado, parando");
+        this.stopAutoAttack();
+        return;
+      }
+      
+      // Obter o monstro atualizado
+      const monster = this.entityManager.monsters.get(this.autoAttackTarget);
+      
+      // Verificar se o monstro existe e não está morto
+      if (!monster || !monster.model || monster.isDead) {
+        console.log(`[InputManager] Monstro ${this.autoAttackTarget} indisponível, parando auto-ataque`);
+        this.stopAutoAttack();
+        
+        // Procurar por outro monstro próximo para atacar
+        this.findAndAttackNearbyMonster();
+        return;
+      }
+      
+      // Verificar distância
+      const distance = this.player.model.position.distanceTo(monster.model.position);
+      const attackRangeWithTolerance = this.player.attackRange * 1.2; // 20% de tolerância
+      
+      if (distance > attackRangeWithTolerance) {
+        console.log(`[InputManager] Monstro ${this.autoAttackTarget} fora de alcance (${distance.toFixed(1)}), parando auto-ataque`);
+        this.stopAutoAttack();
+        return;
+      }
+      
+      // Executar ataque
+      console.log(`[InputManager] Auto-atacando ${this.autoAttackTarget}`);
+      if (this.player.attackEntity(this.autoAttackTarget)) {
+        this.scheduleAutoAttack();
+        return;
+      }
+      
+      // Golpe não enviado (conjurando, por exemplo): tentar de novo em instantes
+      const retryDelay = Math.max(COMBAT_CONFIG.AUTO_ATTACK_RETRY_DELAY, this.player.getAttackRemaining());
+      this.autoAttackTimer = setTimeout(() => this.performAutoAttack(), retryDelay);
+    } catch (error) {
+      console.error("[InputManager] Erro durante auto-ataque:", error);
+      this.stopAutoAttack();
+    }
+  }
+  
   /**
    * Procura um monstro próximo para atacar automaticamente
    * @returns {boolean} Se encontrou e atacou um monstro
@@ -601,14 +857,22 @@ export class InputManager {
    * Para o auto ataque atual
    */
   stopAutoAttack() {
-    if (this.autoAttackInterval) {
+    if (this.autoAttackTarget) {
       console.log("[InputManager] Parando auto-ataque");
-      clearInterval(this.autoAttackInterval);
-      this.autoAttackInterval = null;
-      this.autoAttackTarget = null;
+      this.cancelAutoAttack();
       
       // Resetar estado de ataque
       this.setAttacking(false, null, false);
     }
   }
+  
+  /**
+   * Cancela o auto-ataque e o golpe agendado, sem mudar o estado de ataque
+   * @private
+   */
+  cancelAutoAttack() {
+    clearTimeout(this.autoAttackTimer);
+    this.autoAttackTimer = null;
+    this.autoAttackTarget = null;
+  }
 } 
\ No newline at end of file
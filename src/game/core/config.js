@@ -1,9 +1,12 @@
 /**
  * Configurações globais do jogo
+ *
+ * Módulo CommonJS: é importado pelo cliente (webpack) e carregado
+ * diretamente pelo servidor (Node) para compartilhar os mesmos parâmetros.
  */
 
 // Definição das classes de personagens
-export const CHARACTER_CLASSES = {
+const CHARACTER_CLASSES = {
   knight: {
     name: 'Cavaleiro',
     attackRange: 1.5,
@@ -16,6 +19,7 @@ export const CHARACTER_CLASSES = {
     attackRange: 5.0,
     attackSpeed: 0.8,
     moveSpeed: 0.04,
+    projectile: 'bolt', // Ataque básico à distância (ver PROJECTILE_DEFINITIONS)
     color: 0x0000FF // Azul para magos
   },
   archer: {
@@ -23,6 +27,7 @@ export const CHARACTER_CLASSES = {
     attackRange: 4.0,
     attackSpeed: 1.2,
     moveSpeed: 0.045,
+    projectile: 'arrow',
     color: 0x006400 // Verde escuro para arqueiros
   },
   warrior: {
@@ -35,7 +40,7 @@ export const CHARACTER_CLASSES = {
 };
 
 // Configurações de conexão
-export const CONNECTION_CONFIG = {
+const CONNECTION_CONFIG = {
   path: '/socket.io',
   transports: ['websocket', 'polling'],
   reconnectionAttempts: 5,
@@ -44,27 +49,26 @@ export const CONNECTION_CONFIG = {
 };
 
 // Configurações de render e visuais
-export const RENDER_CONFIG = {
+const RENDER_CONFIG = {
   frustumSize: 20,
   backgroundColor: 0x87ceeb,
   groundColor: 0x33aa33
 };
 
 // Configurações de combate
-export const COMBAT_CONFIG = {
+const COMBAT_CONFIG = {
   defaultAttackRange: 1.5,
-  defaultAttackCooldown: 1000,
   attackEffectDuration: 200
 };
 
 // Configurações de movimento
-export const MOVEMENT_CONFIG = {
+const MOVEMENT_CONFIG = {
   defaultMoveSpeed: 0.05,
   destinationThreshold: 0.1
 };
 
 // Configurações de IA dos monstros
-export const MONSTER_AI_CONFIG = {
+const MONSTER_AI_CONFIG = {
   enabled: true, // Habilitar/desabilitar IA dos monstros
   wanderRadius: 10, // Raio máximo de perambulação
   minWanderTime: 5000, // Tempo mínimo entre movimentos (ms)
@@ -87,6 +91,16 @@ export const MONSTER_AI_CONFIG = {
       attackRange: 1.0,
       attackDamage: 3,
       attackInterval: 1500,
+      baseExp: 20, // Experiência concedida por nível do monstro
+      element: { type: 'water', level: 1 }, // Elemento de defesa e nível (1-4), ver elements.js
+      size: 'medium', // Tamanho: small, medium ou large
+      drops: [ // Tabela de drops: chance (0-1) e quantidade [mín, máx]
+        { itemId: 'jellopy', chance: 0.7, quantity: [1, 2] },
+        { itemId: 'apple', chance: 0.25, quantity: [1, 1] },
+        { itemId: 'red_potion', chance: 0.05, quantity: [1, 1] },
+        { itemId: 'knife', chance: 0.05, quantity: [1, 1] },
+        { itemId: 'sandals', chance: 0.03, quantity: [1, 1] }
+      ],
       color: 0xff9999 // Rosa claro
     },
     zombie: {
@@ -96,6 +110,17 @@ export const MONSTER_AI_CONFIG = {
       attackRange: 1.2,
       attackDamage: 10,
       attackInterval: 2000,
+      attackEffects: [{ id: 'poison', chance: 0.1 }], // Efeitos de status dos ataques (ver statusEffects.js) e chance (0-1)
+      baseExp: 45,
+      element: { type: 'undead', level: 1 },
+      size: 'medium',
+      drops: [
+        { itemId: 'decayed_nail', chance: 0.6, quantity: [1, 3] },
+        { itemId: 'red_potion', chance: 0.1, quantity: [1, 2] },
+        { itemId: 'orange_potion', chance: 0.05, quantity: [1, 1] },
+        { itemId: 'cotton_shirt', chance: 0.08, quantity: [1, 1] },
+        { itemId: 'hat', chance: 0.05, quantity: [1, 1] }
+      ],
       color: 0x88aa88 // Verde acinzentado
     },
     ghost: {
@@ -105,6 +130,18 @@ export const MONSTER_AI_CONFIG = {
       attackRange: 2.0,
       attackDamage: 15,
       attackInterval: 2500,
+      attackEffects: [{ id: 'blind', chance: 0.08 }],
+      baseExp: 60,
+      element: { type: 'ghost', level: 1 },
+      size: 'small',
+      drops: [
+        { itemId: 'ectoplasm', chance: 0.5, quantity: [1, 2] },
+        { itemId: 'blue_potion', chance: 0.05, quantity: [1, 1] },
+        { itemId: 'honey_bread', chance: 0.08, quantity: [1, 1] },
+        { itemId: 'rod', chance: 0.04, quantity: [1, 1] },
+        { itemId: 'hood', chance: 0.05, quantity: [1, 1] },
+        { itemId: 'clip', chance: 0.03, quantity: [1, 1] }
+      ],
       color: 0xaaaaff // Azul claro
     },
     orc: {
@@ -114,20 +151,99 @@ export const MONSTER_AI_CONFIG = {
       attackRange: 1.5,
       attackDamage: 20,
       attackInterval: 1800,
+      attackEffects: [{ id: 'stun', chance: 0.05 }],
+      baseExp: 90,
+      element: { type: 'earth', level: 1 },
+      size: 'large',
+      drops: [
+        { itemId: 'orcish_voucher', chance: 0.5, quantity: [1, 2] },
+        { itemId: 'iron', chance: 0.15, quantity: [1, 1] },
+        { itemId: 'roasted_meat', chance: 0.1, quantity: [1, 1] },
+        { itemId: 'white_potion', chance: 0.03, quantity: [1, 1] },
+        { itemId: 'concentration_potion', chance: 0.04, quantity: [1, 1] },
+        { itemId: 'sword', chance: 0.05, quantity: [1, 1] },
+        { itemId: 'guard', chance: 0.05, quantity: [1, 1] },
+        { itemId: 'bow', chance: 0.03, quantity: [1, 1] },
+        { itemId: 'ring', chance: 0.02, quantity: [1, 1] },
+        { itemId: 'chain_mail', chance: 0.01, quantity: [1, 1] },
+        { itemId: 'two_handed_sword', chance: 0.01, quantity: [1, 1] }
+      ],
       color: 0x996633 // Marrom
     }
   }
 };
 
+// Configurações da simulação autoritativa do servidor
+const SERVER_CONFIG = {
+  tickRate: 20, // Ticks da simulação por segundo
+  referenceFrameRate: 60, // Taxa de quadros usada para calibrar as velocidades (unidades por quadro)
+  monsterSyncThreshold: 3, // Distância a partir da qual o cliente teleporta o monstro em vez de interpolar
+  attackCooldownTolerance: 100, // Margem (ms) para variações de latência na validação do cooldown de ataque
+  movementTolerance: 1.25, // Multiplicador sobre a velocidade da classe aceito na validação de movimento
+  maxMoveBudgetTime: 500, // Tempo máximo (ms) de movimento que pode ser acumulado entre atualizações
+  positionCorrectionThreshold: 0.5, // Diferença a partir da qual o servidor corrige a posição do cliente
+  nearbyRange: 30, // Distância em que eventos locais (ex: subida de nível) são enviados a outros jogadores
+  
+  // Inventário dos personagens
+  inventory: {
+    maxSlots: 50, // Número máximo de pilhas de itens
+    baseMaxWeight: 1000, // Peso máximo no nível 1
+    weightPerLevel: 20 // Peso adicional por nível
+  },
+  
+  // Barra de atalhos (teclas 1-9)
+  hotbar: {
+    slots: 9
+  },
+  
+  // Itens derrubados no chão
+  loot: {
+    ownerPriorityTime: 10000, // Tempo (ms) em que só o dono do loot pode pegar o item
+    despawnTime: 60000, // Tempo (ms) até o item desaparecer do chão
+    pickupRange: 2.0, // Distância máxima para pegar um item
+    scatterRadius: 0.8 // Raio em que os itens se espalham ao redor do monstro
+  },
+  
+  // Crédito pela morte de monstros
+  killCredit: {
+    mode: 'proportional' // 'proportional' divide a EXP pelo dano causado; 'topContributor' dá tudo a quem mais causou dano
+  },
+  
+  // Persistência dos personagens
+  storage: {
+    driver: 'json', // Implementação do armazenamento (ver src/server/storage)
+    path: 'data/characters.json', // Caminho relativo à raiz do projeto
+    accountsPath: 'data/accounts.json', // Arquivo das contas, relativo à raiz do projeto
+    saveInterval: 60000 // Intervalo (ms) do salvamento automático dos jogadores online
+  },
+  
+  // Contas e sessões
+  auth: {
+    sessionTtl: 24 * 60 * 60 * 1000, // Validade (ms) do token de sessão
+    sessionSweepInterval: 10 * 60 * 1000, // Intervalo (ms) da limpeza das sessões expiradas
+    minPasswordLength: 6,
+    namePattern: /^[A-Za-z0-9_]{3,16}$/ // Formato aceito para contas e personagens
+  },
+  characters: {
+    maxPerAccount: 3 // Personagens que cada conta pode criar
+  }
+};
+
 // Efeitos visuais
-export const VISUAL_EFFECTS = {
+const VISUAL_EFFECTS = {
   attackColor: 0xff0000,
   moveMarkerColor: 0xffff00,
-  attackMarkerColor: 0xff0000
+  attackMarkerColor: 0xff0000,
+  levelUpColor: 0xffd700,    // Dourado para subida de nível
+  levelUpDuration: 1500,     // Duração (ms) do efeito de subida de nível
+  groundItemColor: 0xffcc33, // Cor dos itens no chão
+  ownedItemColor: 0x66ccff,  // Cor dos itens reservados a outro jogador
+  reticleColor: 0x66ff66,    // Mira de habilidades de área dentro do alcance
+  reticleOutOfRangeColor: 0xff3333 // Mira fora do alcance
 };
 
 // Configuração de Debug
-export const DEBUG_CONFIG = {
+const DEBUG_CONFIG = {
   enabled: true,
   logCombat: true,    // Logs detalhados de combate
   logMovement: false, // Logs de movimento
@@ -139,9 +255,22 @@ export const DEBUG_CONFIG = {
 };
 
 // Assets a carregar
-export const ASSETS_CONFIG = {
+const ASSETS_CONFIG = {
   models: [
     { name: 'player', path: './models/character.gltf' },
     { name: 'monster', path: './models/monster.gltf' }
   ]
-}; 
\ No newline at end of file
+};
+
+module.exports = {
+  CHARACTER_CLASSES,
+  CONNECTION_CONFIG,
+  RENDER_CONFIG,
+  COMBAT_CONFIG,
+  MOVEMENT_CONFIG,
+  MONSTER_AI_CONFIG,
+  SERVER_CONFIG,
+  VISUAL_EFFECTS,
+  DEBUG_CONFIG,
+  ASSETS_CONFIG
+};
@@ -0,0 +1,109 @@
+/**
+ * Códigos de erro compartilhados entre cliente e servidor
+ *
+ * Módulo CommonJS: o servidor envia apenas o código e o cliente traduz para
+ * a mensagem exibida ao jogador.
+ */
+
+const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  INVALID_USERNAME: 'INVALID_USERNAME',
+  WEAK_PASSWORD: 'WEAK_PASSWORD',
+  USERNAME_TAKEN: 'USERNAME_TAKEN',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  INVALID_SESSION: 'INVALID_SESSION',
+  INVALID_CHARACTER_NAME: 'INVALID_CHARACTER_NAME',
+  CHARACTER_NAME_TAKEN: 'CHARACTER_NAME_TAKEN',
+  CHARACTER_ONLINE: 'CHARACTER_ONLINE',
+  CHARACTER_NOT_FOUND: 'CHARACTER_NOT_FOUND',
+  CHARACTER_LIMIT: 'CHARACTER_LIMIT',
+  INVALID_CLASS: 'INVALID_CLASS',
+  ITEM_NOT_FOUND: 'ITEM_NOT_FOUND',
+  ITEM_OUT_OF_RANGE: 'ITEM_OUT_OF_RANGE',
+  ITEM_NOT_OWNER: 'ITEM_NOT_OWNER',
+  ITEM_NOT_IN_INVENTORY: 'ITEM_NOT_IN_INVENTORY',
+  ITEM_NOT_USABLE: 'ITEM_NOT_USABLE',
+  ITEM_ON_COOLDOWN: 'ITEM_ON_COOLDOWN',
+  INVALID_QUANTITY: 'INVALID_QUANTITY',
+  INVENTORY_FULL: 'INVENTORY_FULL',
+  INVENTORY_OVERWEIGHT: 'INVENTORY_OVERWEIGHT',
+  ITEM_NOT_EQUIPPABLE: 'ITEM_NOT_EQUIPPABLE',
+  EQUIP_WRONG_CLASS: 'EQUIP_WRONG_CLASS',
+  EQUIP_LEVEL_TOO_LOW: 'EQUIP_LEVEL_TOO_LOW',
+  EQUIP_SLOT_EMPTY: 'EQUIP_SLOT_EMPTY',
+  SKILL_NOT_AVAILABLE: 'SKILL_NOT_AVAILABLE',
+  SKILL_NOT_LEARNED: 'SKILL_NOT_LEARNED',
+  SKILL_MAX_LEVEL: 'SKILL_MAX_LEVEL',
+  SKILL_LEVEL_TOO_LOW: 'SKILL_LEVEL_TOO_LOW',
+  SKILL_ON_COOLDOWN: 'SKILL_ON_COOLDOWN',
+  SKILL_CASTING: 'SKILL_CASTING',
+  CAST_INTERRUPTED: 'CAST_INTERRUPTED',
+  NO_SKILL_POINTS: 'NO_SKILL_POINTS',
+  INVALID_STAT: 'INVALID_STAT',
+  STAT_MAX_VALUE: 'STAT_MAX_VALUE',
+  NOT_ENOUGH_STAT_POINTS: 'NOT_ENOUGH_STAT_POINTS',
+  NOT_ENOUGH_MP: 'NOT_ENOUGH_MP',
+  ATTACK_ON_COOLDOWN: 'ATTACK_ON_COOLDOWN',
+  ACTION_BLOCKED: 'ACTION_BLOCKED',
+  INVALID_TARGET: 'INVALID_TARGET',
+  TARGET_OUT_OF_RANGE: 'TARGET_OUT_OF_RANGE',
+  CONNECTION_FAILED: 'CONNECTION_FAILED',
+  SERVER_ERROR: 'SERVER_ERROR'
+};
+
+const ERROR_MESSAGES = {
+  INVALID_REQUEST: 'Requisição inválida.',
+  INVALID_USERNAME: 'Nome de conta inválido. Use de 3 a 16 letras, números ou _.',
+  WEAK_PASSWORD: 'A senha deve ter pelo menos 6 caracteres.',
+  USERNAME_TAKEN: 'Este nome de conta já está em uso.',
+  INVALID_CREDENTIALS: 'Conta ou senha incorretos.',
+  INVALID_SESSION: 'Sessão inválida ou expirada. Faça login novamente.',
+  INVALID_CHARACTER_NAME: 'Nome de personagem inválido. Use de 3 a 16 letras, números ou _.',
+  CHARACTER_NAME_TAKEN: 'Este nome de personagem já está em uso.',
+  CHARACTER_ONLINE: 'Este personagem já está conectado.',
+  CHARACTER_NOT_FOUND: 'Personagem não encontrado nesta conta.',
+  CHARACTER_LIMIT: 'Esta conta já atingiu o limite de personagens.',
+  INVALID_CLASS: 'Classe de personagem inválida.',
+  ITEM_NOT_FOUND: 'Este item não está mais no chão.',
+  ITEM_OUT_OF_RANGE: 'Item fora de alcance.',
+  ITEM_NOT_OWNER: 'Este item ainda pertence a outro jogador.',
+  ITEM_NOT_IN_INVENTORY: 'Item não encontrado no inventário.',
+  ITEM_NOT_USABLE: 'Este item não pode ser usado.',
+  ITEM_ON_COOLDOWN: 'Aguarde para usar este item novamente.',
+  INVALID_QUANTITY: 'Quantidade inválida.',
+  INVENTORY_FULL: 'Inventário cheio.',
+  INVENTORY_OVERWEIGHT: 'Peso máximo excedido.',
+  ITEM_NOT_EQUIPPABLE: 'Este item não pode ser equipado.',
+  EQUIP_WRONG_CLASS: 'Sua classe não pode usar este equipamento.',
+  EQUIP_LEVEL_TOO_LOW: 'Nível insuficiente para usar este equipamento.',
+  EQUIP_SLOT_EMPTY: 'Não há nada equipado neste slot.',
+  SKILL_NOT_AVAILABLE: 'Sua classe não pode usar esta habilidade.',
+  SKILL_NOT_LEARNED: 'Você ainda não aprendeu esta habilidade.',
+  SKILL_MAX_LEVEL: 'Esta habilidade já está no nível máximo.',
+  SKILL_LEVEL_TOO_LOW: 'Nível insuficiente para aprender esta habilidade.',
+  SKILL_ON_COOLDOWN: 'Aguarde para usar esta habilidade novamente.',
+  SKILL_CASTING: 'Aguarde o fim da conjuração.',
+  CAST_INTERRUPTED: 'Conjuração interrompida.',
+  NO_SKILL_POINTS: 'Você não tem pontos de habilidade.',
+  INVALID_STAT: 'Atributo inválido.',
+  STAT_MAX_VALUE: 'Este atributo já está no valor máximo.',
+  NOT_ENOUGH_STAT_POINTS: 'Pontos de atributo insuficientes.',
+  NOT_ENOUGH_MP: 'MP insuficiente.',
+  ATTACK_ON_COOLDOWN: 'Aguarde para atacar novamente.',
+  ACTION_BLOCKED: 'Um efeito de status impede esta ação.',
+  INVALID_TARGET: 'Alvo inválido.',
+  TARGET_OUT_OF_RANGE: 'Alvo fora de alcance.',
+  CONNECTION_FAILED: 'Erro de conexão com o servidor. Verifique se o servidor está rodando.',
+  SERVER_ERROR: 'Erro interno do servidor. Tente novamente.'
+};
+
+/**
+ * Obtém a mensagem amigável de um código de erro
+ * @param {string} code - Código de erro
+ * @returns {string} Mensagem para o jogador
+ */
+function getErrorMessage(code) {
+  return ERROR_MESSAGES[code] || ERROR_MESSAGES.SERVER_ERROR;
+}
+
+module.exports = { ERROR_CODES, ERROR_MESSAGES, getErrorMessage };
@@ -0,0 +1,58 @@
+/**
+ * Tabela de experiência e progressão de nível
+ *
+ * Módulo CommonJS compartilhado: o servidor concede a experiência e o cliente
+ * usa a mesma tabela para desenhar a barra de EXP.
+ */
+
+// Configurações de progressão
+const EXP_CONFIG = {
+  maxLevel: 99,
+  baseExp: 50,    // EXP para passar do nível 1 para o 2
+  growth: 1.6     // Expoente de crescimento da curva
+};
+
+// EXP_TABLE[nível] = experiência necessária para passar ao próximo nível
+const EXP_TABLE = [0];
+for (let level = 1; level < EXP_CONFIG.maxLevel; level++) {
+  EXP_TABLE[level] = Math.floor(EXP_CONFIG.baseExp * Math.pow(level, EXP_CONFIG.growth));
+}
+
+/**
+ * Obtém a experiência necessária para passar de nível
+ * @param {number} level - Nível atual
+ * @returns {number} EXP necessária (0 no nível máximo)
+ */
+function getExpToNextLevel(level) {
+  return EXP_TABLE[level] || 0;
+}
+
+/**
+ * Soma experiência ao nível atual, subindo quantos níveis forem possíveis
+ * @param {number} level - Nível atual
+ * @param {number} exp - Experiência acumulada no nível atual
+ * @param {number} amount - Experiência ganha
+ * @returns {Object} { level, exp, levelsGained }
+ */
+function addExperience(level, exp, amount) {
+  let newLevel = level;
+  let newExp = exp + Math.max(0, Math.floor(amount));
+
+  while (newLevel < EXP_CONFIG.maxLevel && newExp >= getExpToNextLevel(newLevel)) {
+    newExp -= getExpToNextLevel(newLevel);
+    newLevel++;
+  }
+
+  // No nível máximo a barra fica cheia e o excedente é descartado
+  if (newLevel >= EXP_CONFIG.maxLevel) {
+    newExp = 0;
+  }
+
+  return {
+    level: newLevel,
+    exp: newExp,
+    levelsGained: newLevel - level
+  };
+}
+
+module.exports = { EXP_CONFIG, EXP_TABLE, getExpToNextLevel, addExperience };
@@ -10,8 +10,18 @@ import {
   MOVEMENT_CONFIG, 
   COMBAT_CONFIG, 
   NETWORK_CONFIG,
-  DEBUG_CONFIG
+  DEBUG_CONFIG,
+  CHARACTER_CLASSES,
+  SERVER_CONFIG
 } from './config';
+import { ERROR_CODES, getErrorMessage } from './errorCodes';
+import { getExpToNextLevel } from './experience';
+import { ITEM_TYPES, getItemDefinition } from '../items/itemDefinitions';
+import { SKILL_TARGETS, getSkillDefinition, getSkillName } from '../skills/skillDefinitions';
+import { SkillManager } from '../combat/SkillManager';
+import { COMBAT_COLORS, HIT_RESULTS } from '../combat/combatConfig';
+import { DamageCalculator } from '../combat/DamageCalculator';
+import { getProjectileDefinition } from '../combat/projectiles';
 
 /**
  * Classe principal do jogo MMORPG
@@ -30,6 +40,12 @@ export class MMORPGGame {
       this.entityManager = null;
       this.inputManager = null;
       this.resourceLoader = null;
+      this.inventory = null;
+      this.equipment = null;
+      this.hotbar = [];
+      this.skills = null;
+      this.skillManager = null;
+      this.stats = null;
       
       // IMPORTANTE: Garantir que a instância do jogo esteja disponível globalmente
       // antes de chamar quaisquer métodos
@@ -295,7 +311,10 @@ export class MMORPGGame {
   }
   
   /**
-   * Conecta ao servidor de jogo
+   * Prepara a conexão com o servidor de jogo
+   *
+   * O socket só é aberto após a autenticação da conta na tela de login,
+   * pois o servidor exige o token de sessão no handshake.
    */
   connect() {
     // Atualizar progresso
@@ -304,17 +323,85 @@ export class MMORPGGame {
     // Configurar eventos de rede ANTES de conectar
     this.setupNetworkEvents();
     
-    // Conectar ao servidor APÓS configurar os eventos
-    this.networkManager.connect()
-      .then(() => {
-        console.log('Conectado ao servidor');
-        this.ui.updateLoadingProgress(0.6);
-        this.showLoginScreen();
-      })
-      .catch(error => {
-        console.error('Erro ao conectar ao servidor:', error);
-        this.ui.showErrorMessage('Erro de conexão com o servidor. Verifique se o servidor está rodando e recarregue a página.');
-      });
+    this.ui.updateLoadingProgress(0.6);
+    this.showLoginScreen();
+  }
+  
+  /**
+   * Autentica a conta e abre a conexão de jogo
+   * @param {Object} credentials - Dados do formulário de login
+   * @returns {Promise<void>}
+   * @throws {Error} Erro com a propriedade `code` (ver ERROR_CODES)
+   */
+  async authenticateAndConnect(credentials) {
+    if (credentials.register) {
+      await this.networkManager.register(credentials.username, credentials.password);
+    } else {
+      await this.networkManager.authenticate(credentials.username, credentials.password);
+    }
+    
+    if (this.networkManager.connected) return;
+    
+    try {
+      await this.networkManager.connect();
+      console.log('Conectado ao servidor');
+    } catch (error) {
+      console.error('Erro ao conectar ao servidor:', error);
+      this.networkManager.disconnect();
+      error.code = error.code || ERROR_CODES.CONNECTION_FAILED;
+      throw error;
+    }
+  }
+  
+  /**
+   * Obtém os personagens da conta autenticada
+   * @returns {Promise<Array<Object>>} Resumo dos personagens (nome, classe, cor, nível)
+   */
+  async listCharacters() {
+    const response = await this.networkManager.emitWithAck('listCharacters');
+    return response.characters || [];
+  }
+  
+  /**
+   * Cria um personagem na conta autenticada
+   * @param {Object} data - Dados da criação ({ name, class, color })
+   * @returns {Promise<Object>} Resumo do personagem criado
+   * @throws {Error} Erro com a propriedade `code` se o servidor recusar a criação
+   */
+  async createCharacter(data) {
+    const response = await this.networkManager.emitWithAck('createCharacter', data);
+    return response.character;
+  }
+  
+  /**
+   * Entra no mundo com um personagem da conta autenticada
+   * @param {string} characterName - Nome do personagem
+   * @returns {Promise<void>} Resolvida ao receber o estado do jogo
+   * @throws {Error} Erro com a propriedade `code` se o servidor recusar o login
+   */
+  enterWorld(characterName) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        this.networkManager.off('gameState', onGameState);
+        this.networkManager.off('loginError', onLoginError);
+      };
+      
+      const onGameState = () => {
+        cleanup();
+        resolve();
+      };
+      
+      const onLoginError = (data) => {
+        cleanup();
+        const error = new Error(`Login recusado: ${data.code}`);
+        error.code = data.code;
+        reject(error);
+      };
+      
+      this.networkManager.on('gameState', onGameState);
+      this.networkManager.on('loginError', onLoginError);
+      this.networkManager.emit('login', characterName);
+    });
   }
   
   /**
@@ -345,6 +432,11 @@ export class MMORPGGame {
           this.entityManager.createOrUpdateMonster(id, monsterData);
         });
         
+        // Criar itens no chão
+        Object.values(data.groundItems || {}).forEach(itemData => {
+          this.entityManager.createGroundItem(itemData);
+        });
+        
         // Iniciar o jogo após receber o estado
         this.startGame(data.players[data.selfId]);
         
@@ -372,9 +464,18 @@ export class MMORPGGame {
       });
     });
     
+    // Evento para quando o servidor corrige a posição do jogador local
+    this.networkManager.on('positionCorrection', (data) => {
+      console.log('[Game] Posição corrigida pelo servidor:', data.position);
+      this.entityManager.applyPositionCorrection(data.position);
+    });
+    
     // Evento para quando um monstro é danificado
     this.networkManager.on('monsterDamaged', (data) => {
       console.log(`[Game] Evento monsterDamaged recebido: Monstro ${data.id} recebeu ${data.damage} de dano de ${data.attackerId}. HP restante: ${data.hp}`);
+      if (data.breakdown) {
+        console.log(`[Combate] Dano em ${data.id}: ${DamageCalculator.describeBreakdown(data.breakdown)}`);
+      }
       
       // Atualizar HP do monstro
       const monster = this.entityManager.monsters.get(data.id);
@@ -407,30 +508,12 @@ export class MMORPGGame {
           monster.isDead = (data.hp <= 0);
         }
         
-        // Atualizar nome com novo HP
+        // Atualizar nome e painel do alvo com novo HP
         monster.updateNameDisplay();
+        this.ui.updateTargetInfo(monster);
         
         // Efeito visual de dano (no caso de não ter sido processado localmente)
-        monster.showDamageEffect(data.damage);
-      }
-      
-      // Sempre aplicar a lógica de agressividade, mesmo se já foi processado localmente
-      // para garantir que o monstro fique agressivo
-      if (data.attackerId && monster.ai) {
-        console.log(`[Game] Forçando agressividade do monstro ${data.id} contra ${data.attackerId}`);
-        
-        // Definir jogador como alvo
-        monster.ai.setAggroTarget(data.attackerId);
-        
-        // Forçar mudança de estado para agressivo e perseguição imediata
-        monster.ai.setState('aggro');
-        
-        // Atualizar IA imediatamente (não esperar o próximo frame)
-        setTimeout(() => {
-          if (monster.ai && !monster.isDead) {
-            monster.ai.pursueTarget();
-          }
-        }, 100);
+        monster.showDamageEffect(data.damage, { type: data.type, critical: data.critical });
       }
       
       // Verificar se o monstro morreu
@@ -449,6 +532,9 @@ export class MMORPGGame {
       if (monster && monster.model) {
         monster.model.userData.isDead = true;
       }
+      if (monster) {
+        this.ui.hideTargetInfo(monster);
+      }
       
       // Executar a lógica original
       this.entityManager.killMonster(monsterId);
@@ -483,21 +569,51 @@ export class MMORPGGame {
     
     // Evento para quando um monstro se move
     this.networkManager.on('monsterMoved', (data) => {
-      console.log(`Monstro ${data.id} moveu para`, data.position);
       const monster = this.entityManager.monsters.get(data.id);
       if (monster) {
-        monster.updatePosition(data.position);
+        monster.syncPosition(data.position);
       }
     });
     
     // Evento para quando um monstro ataca um jogador
     this.networkManager.on('monsterAttack', (data) => {
       console.log(`Monstro ${data.monsterId} atacou jogador ${data.targetId}`);
+      if (data.breakdown) {
+        console.log(`[Combate] Dano em ${data.targetId}: ${DamageCalculator.describeBreakdown(data.breakdown)}`);
+      }
       
-      // Buscar jogador e aplicar dano
       const player = this.entityManager.players.get(data.targetId);
-      if (player) {
-        player.takeDamage(data.damage, data.monsterId);
+      const monster = this.entityManager.monsters.get(data.monsterId);
+      if (!player || player.isDead) return;
+      
+      // O servidor é a fonte de verdade: aplicar o HP informado
+      player.hp = data.hp;
+      if (player.combatStats) {
+        player.combatStats.hp = data.hp;
+      }
+      // Ataque evitado: mostrar Miss/Lucky no lugar do dano
+      const evaded = data.result && data.result !== HIT_RESULTS.HIT;
+      if (evaded) {
+        this.ui.showDamageNumber(player, 0, data.result);
+      } else {
+        player.showDamageEffect(data.damage, { type: data.type, critical: data.critical });
+      }
+      
+      // Efeito visual do ataque
+      if (monster && monster.model && player.model && this.renderer) {
+        this.renderer.createAttackEffect(
+          monster.model.position.clone(),
+          player.model.position.clone(),
+          0xffaa00, // Laranja para ataques de monstro
+          300
+        );
+      }
+      
+      if (player.id === this.entityManager.localPlayerId) {
+        if (!evaded) {
+          this.ui.showMessage(`Recebeu ${data.damage} de dano de ${monster ? monster.type : 'monstro'}!`, 2000, 'damage');
+        }
+        this.updatePlayerUI(player);
       }
     });
     
@@ -523,32 +639,237 @@ export class MMORPGGame {
       }
     });
     
-    // Evento para quando um jogador ataca
-    this.networkManager.on('playerAttack', (data) => {
-      console.log(`Jogador ${data.attackerId} atacou ${data.targetId}`);
+    // Eventos de itens derrubados no chão
+    this.networkManager.on('groundItemSpawned', (itemData) => {
+      this.entityManager.createGroundItem(itemData);
+    });
+    
+    this.networkManager.on('groundItemRemoved', (data) => {
+      this.entityManager.removeGroundItem(data.id);
+    });
+    
+    // Evento com o inventário do jogador local (enviado a cada alteração)
+    this.networkManager.on('inventoryUpdate', (inventory) => {
+      this.inventory = inventory;
+      this.ui.updateInventory(inventory);
+    });
+    
+    // Evento com os equipamentos e atributos do jogador local
+    this.networkManager.on('equipmentUpdate', (equipment) => {
+      this.equipment = equipment;
+      this.ui.updateEquipment(equipment);
+    });
+    
+    // Evento para troca de equipamentos de qualquer jogador (aparência e HP/MP)
+    this.networkManager.on('playerEquipmentChanged', (data) => {
+      const player = this.entityManager.players.get(data.playerId);
+      if (!player) return;
       
-      // Verificar se o alvo é um monstro
-      if (data.targetId.startsWith('monster')) {
-        const monster = this.entityManager.monsters.get(data.targetId);
-        if (monster) {
-          // Calcular dano baseado no jogador e no tipo de monstro (pode ser melhorado)
-          const damage = Math.floor(Math.random() * 10) + 5;
-          
-          // Aplicar dano ao monstro, passando o ID do atacante
-          monster.takeDamage(damage, data.attackerId);
-        }
+      player.data.appearance = data.appearance;
+      player.updateEquipmentModel(data.appearance);
+      player.applyStats(data);
+      
+      if (data.playerId === this.entityManager.localPlayerId) {
+        this.updatePlayerUI(player);
       }
     });
     
-    // Evento para resultados de ataque
-    this.networkManager.on('attackResult', (data) => {
-      if (data.success) {
-        console.log(`Ataque bem-sucedido contra ${data.targetId} causando ${data.damage} de dano`);
+    // Evento com as habilidades aprendidas e os pontos do jogador local
+    this.networkManager.on('skillsUpdate', (skills) => {
+      this.skills = skills;
+      this.refreshSkills();
+    });
+    
+    // Evento com os atributos primários, os pontos e os atributos derivados do jogador local
+    this.networkManager.on('statsUpdate', (stats) => {
+      this.stats = stats;
+      this.ui.updateStats(stats);
+    });
+    
+    // Evento para mudanças de atributos de jogadores próximos (HP/MP máximos)
+    this.networkManager.on('playerStatsChanged', (data) => {
+      const player = this.entityManager.players.get(data.playerId);
+      if (!player) return;
+      
+      player.applyStats(data);
+      
+      if (data.playerId === this.entityManager.localPlayerId) {
+        this.updatePlayerUI(player);
+      }
+    });
+    
+    // Evento para habilidades usadas por jogadores próximos
+    this.networkManager.on('skillUsed', (data) => {
+      const player = this.entityManager.players.get(data.playerId);
+      if (!player) return;
+      
+      player.stopCast();
+      player.applyStats(data);
+      
+      if (data.healed > 0) {
+        this.ui.showDamageNumber(player, data.healed, 'heal');
+      }
+      
+      const hits = data.hits || [];
+      const type = hits.length > 0 ? hits[0].type : 'magical';
+      const color = COMBAT_COLORS[`${String(type || 'magical').toUpperCase()}_DAMAGE`] || COMBAT_COLORS.MAGICAL_DAMAGE;
+      
+      // Habilidades de área: efeito no chão cobrindo a área atingida
+      if (data.center && data.area && this.renderer) {
+        this.renderer.createGroundEffect(data.center, data.area, color, 600);
+      }
+      
+      hits.forEach(hit => {
+        const monster = this.entityManager.monsters.get(hit.targetId);
+        if (!monster || !monster.model || !player.model || !this.renderer) return;
         
-        // Mostrar feedback visual se necessário
-        // Por exemplo, números de dano flutuantes
+        if (!data.center) {
+          this.renderer.createAttackEffect(player.model.position.clone(), monster.model.position.clone(), color, 400);
+        }
+        
+        // O golpe final não gera monsterDamaged, então exibir o dano aqui
+        if (hit.targetDied) {
+          this.ui.showDamageNumber(monster, hit.damage, hit.type, { critical: hit.critical });
+        }
+      });
+      
+      if (data.playerId === this.entityManager.localPlayerId) {
+        this.ui.startSkillCooldown(data.skillId, data.cooldown, data.globalCooldown);
+        this.updatePlayerUI(player);
+      }
+    });
+    
+    // Evento para projéteis disparados por jogadores próximos (voam até o impacto calculado pelo servidor)
+    this.networkManager.on('projectileLaunched', (data) => {
+      const definition = getProjectileDefinition(data.type);
+      if (!definition || !this.renderer) return;
+      
+      const attacker = this.entityManager.players.get(data.attackerId);
+      const monster = this.entityManager.monsters.get(data.targetId);
+      const start = attacker && attacker.model ? attacker.model.position.clone() : data.from;
+      
+      // Teleguiados seguem o monstro; os demais voam até onde ele estava no disparo
+      const getTarget = () => (data.homing && monster && monster.model ? monster.model.position : data.to);
+      
+      const skill = data.skillId ? getSkillDefinition(data.skillId) : null;
+      const damageType = skill && skill.damageType ? skill.damageType : 'magical';
+      const color = definition.color !== null
+        ? definition.color
+        : COMBAT_COLORS[`${damageType.toUpperCase()}_DAMAGE`] || COMBAT_COLORS.MAGICAL_DAMAGE;
+      
+      this.renderer.createProjectile(start, getTarget, {
+        type: definition.id,
+        color,
+        size: definition.size,
+        travelTime: data.travelTime
+      });
+    });
+    
+    // Evento para a chegada de projéteis (o dano dos golpes não letais chega por monsterDamaged)
+    this.networkManager.on('projectileImpact', (data) => {
+      const monster = this.entityManager.monsters.get(data.targetId);
+      
+      // O golpe final não gera monsterDamaged, então exibir o dano aqui
+      if (data.hit && data.targetDied && monster) {
+        this.ui.showDamageNumber(monster, data.damage, data.type, { critical: data.critical });
+      }
+    });
+    
+    // Evento para ataques de jogadores que o monstro evitou (Miss/Lucky)
+    this.networkManager.on('attackMissed', (data) => {
+      const target = this.entityManager.getEntityById(data.targetId);
+      if (target) {
+        this.ui.showDamageNumber(target, 0, data.result);
+      }
+    });
+    
+    // Evento para o início da conjuração de uma habilidade (barra acima do jogador)
+    this.networkManager.on('castStart', (data) => {
+      const player = this.entityManager.players.get(data.playerId);
+      if (player) {
+        player.startCast(getSkillName(data.skillId), data.castTime);
+      }
+    });
+    
+    // Evento para conjurações interrompidas (dano, movimento ou alvo inválido ao final)
+    this.networkManager.on('castInterrupted', (data) => {
+      const player = this.entityManager.players.get(data.playerId);
+      if (!player) return;
+      
+      player.stopCast();
+      
+      if (data.playerId === this.entityManager.localPlayerId) {
+        this.ui.showMessage(getErrorMessage(data.reason), 2000, 'error');
+      }
+    });
+    
+    // Evento com a barra de atalhos salva do jogador local
+    this.networkManager.on('hotbarUpdate', (hotbar) => {
+      this.hotbar = hotbar;
+      this.ui.updateHotbar(hotbar);
+    });
+    
+    // Evento para mudanças nos efeitos de status (buffs/debuffs) de jogadores próximos
+    this.networkManager.on('playerStatusEffects', (data) => {
+      const player = this.entityManager.players.get(data.playerId);
+      if (!player) return;
+      
+      player.applyStats(data);
+      
+      // Espelhar os efeitos para respeitar as ações impedidas (ex: movimento)
+      if (player.statusEffects) {
+        player.statusEffects.setSerializedData(data.effects);
+      }
+      
+      if (data.playerId === this.entityManager.localPlayerId) {
+        this.ui.updateStatusEffects(data.effects);
+        this.updatePlayerUI(player);
+      }
+    });
+    
+    // Evento para itens consumidos por jogadores próximos
+    this.networkManager.on('itemUsed', (data) => {
+      const player = this.entityManager.players.get(data.playerId);
+      if (!player) return;
+      
+      player.applyStats(data);
+      
+      if (data.healed > 0) {
+        this.ui.showDamageNumber(player, data.healed, 'heal');
+      }
+      
+      if (data.playerId === this.entityManager.localPlayerId) {
+        this.updatePlayerUI(player);
+      }
+    });
+    
+    // Evento para experiência concedida pelo servidor ao jogador local
+    this.networkManager.on('expGained', (data) => {
+      const player = this.entityManager.getLocalPlayer();
+      if (!player) return;
+      
+      player.exp = data.exp;
+      player.data.exp = data.exp;
+      
+      if (data.amount > 0) {
+        this.ui.showMessage(`Você ganhou ${data.amount} pontos de experiência!`, 3000, 'exp');
+      }
+      this.updatePlayerUI(player);
+    });
+    
+    // Evento para quando um jogador próximo sobe de nível
+    this.networkManager.on('playerLevelUp', (data) => {
+      const player = this.entityManager.players.get(data.playerId);
+      if (!player) return;
+      
+      player.applyLevelUp(data);
+      
+      if (data.playerId === this.entityManager.localPlayerId) {
+        this.ui.showMessage(`Parabéns! Você alcançou o nível ${data.level}!`, 4000, 'success');
+        this.updatePlayerUI(player);
+        this.refreshSkills();
       } else {
-        console.log(`Ataque falhou contra ${data.targetId}: ${data.error}`);
+        this.ui.showMessage(`${player.name} alcançou o nível ${data.level}!`);
       }
     });
     
@@ -651,34 +972,44 @@ export class MMORPGGame {
     };
     
     // Criar tela de login
-    const loginScreen = this.ui.showLoginScreen(
-      // Callback de login
-      (playerName, loginScreen, loginTimeout) => {
-        // Enviar login
-        this.networkManager.emit('login', playerName);
+    this.ui.showLoginScreen(
+      // Callback de login: rejeições são exibidas pela própria tela de login
+      async (credentials, loginScreen, loginTimeout) => {
+        await this.authenticateAndConnect(credentials);
+        const characters = await this.listCharacters();
         
-        // Verificar se o login foi bem-sucedido
-        const checkGameState = () => {
-          const localPlayer = this.entityManager.getLocalPlayer();
-          if (localPlayer) {
-            clearTimeout(loginTimeout);
-            document.body.removeChild(loginScreen);
-            return true;
-          }
-          return false;
-        };
+        clearTimeout(loginTimeout);
+        if (document.body.contains(loginScreen)) {
+          document.body.removeChild(loginScreen);
+        }
         
-        // Verificar periodicamente se o login foi bem-sucedido
-        const loginCheckInterval = setInterval(() => {
-          if (checkGameState() || !document.body.contains(loginScreen)) {
-            clearInterval(loginCheckInterval);
-          }
-        }, 1000);
+        this.showCharacterSelect(characters);
       },
       socketInfo
     );
   }
   
+  /**
+   * Mostra a tela de seleção e criação de personagens
+   * @param {Array<Object>} characters - Personagens da conta
+   */
+  showCharacterSelect(characters) {
+    this.ui.showCharacterSelectScreen(characters, {
+      maxCharacters: SERVER_CONFIG.characters.maxPerAccount,
+      
+      // Entrar no mundo: rejeições são exibidas pela própria tela de seleção
+      onSelect: async (characterName, selectScreen) => {
+        await this.enterWorld(characterName);
+        
+        if (document.body.contains(selectScreen)) {
+          document.body.removeChild(selectScreen);
+        }
+      },
+      
+      onCreate: (data) => this.createCharacter(data)
+    });
+  }
+  
   /**
    * Inicializa o jogo após o login
    * @param {Object} playerData - Dados do jogador
@@ -730,14 +1061,6 @@ export class MMORPGGame {
         this.entityManager.setCombatSystem(this.combatSystem);
       }
       
-      // Adicionar referência do entityManager a todos os monstros existentes
-      for (const [monsterId, monster] of this.entityManager.monsters.entries()) {
-        if (monster && monster.ai) {
-          monster.ai.entityManager = this.entityManager;
-          console.log(`[Game] EntityManager configurado para monstro ${monsterId}`);
-        }
-      }
-      
       // Iniciar loop de renderização
       this.renderer.startAnimationLoop((deltaTime) => {
         // Executar atualizadores registrados
@@ -760,6 +1083,34 @@ export class MMORPGGame {
       // Mostrar interface de jogo
       this.ui.showGameUI();
       
+      // Criar as janelas de inventário e equipamentos com o último estado recebido do servidor
+      const onItemAction = (action, payload) => this.handleItemAction(action, payload);
+      this.ui.createInventoryWindow(onItemAction);
+      this.ui.createEquipmentWindow(onItemAction);
+      this.ui.createSkillWindow((action, payload) => this.handleSkillAction(action, payload));
+      this.ui.createStatsWindow((action, payload) => this.handleStatAction(action, payload));
+      if (this.stats) {
+        this.ui.updateStats(this.stats);
+      }
+      if (this.inventory) {
+        this.ui.updateInventory(this.inventory);
+      }
+      if (this.equipment) {
+        this.ui.updateEquipment(this.equipment);
+      }
+      
+      // Barra de atalhos (teclas 1-9)
+      this.ui.createHotbar({
+        onUse: (index) => this.useHotbarSlot(index),
+        onAssign: (index, entry) => this.assignHotbarSlot(index, entry)
+      });
+      this.ui.updateHotbar(this.hotbar);
+      if (this.inventory) {
+        this.ui.updateInventory(this.inventory);
+      }
+      this.refreshSkills();
+      this.registerUpdateHandler('ui-timers', () => this.ui.updateTimers());
+      
       // Atualizar UI com dados do jogador
       this.updatePlayerUI(localPlayer);
       
@@ -777,6 +1128,261 @@ export class MMORPGGame {
     }
   }
   
+  /**
+   * Envia ao servidor uma ação das janelas de inventário e equipamentos
+   *
+   * Inventário e equipamentos só mudam quando o servidor responde com
+   * 'inventoryUpdate' e 'equipmentUpdate'.
+   * @param {string} action - 'use', 'drop', 'split', 'stack', 'equip' ou 'unequip'
+   * @param {Object} payload - Dados da ação ({ uid, quantity }, { fromUid, toUid } ou { uid, slot })
+   */
+  async handleItemAction(action, payload) {
+    const events = {
+      use: 'useItem',
+      drop: 'dropItem',
+      split: 'splitItem',
+      stack: 'stackItems',
+      equip: 'equipItem',
+      unequip: 'unequipItem'
+    };
+    
+    if (!events[action]) return;
+    
+    try {
+      const response = await this.networkManager.emitWithAck(events[action], payload);
+      
+      // Consumíveis iniciam a recarga do seu grupo
+      if (action === 'use') {
+        this.ui.startItemCooldown(response.cooldownGroup, response.cooldown);
+      }
+    } catch (error) {
+      this.ui.showMessage(getErrorMessage(error.code), 2000, 'error');
+    }
+  }
+  
+  /**
+   * Usa o atalho de um slot da barra de atalhos
+   *
+   * Slots de item guardam o ID do item; a primeira pilha desse item no
+   * inventário é usada (ou equipada, no caso de equipamentos). Slots de
+   * habilidade usam a habilidade no nível aprendido.
+   * @param {number} index - Posição do slot
+   */
+  useHotbarSlot(index) {
+    const entry = this.hotbar[index];
+    if (!entry) return;
+    
+    if (entry.type === 'skill') {
+      this.useSkill(entry.id);
+      return;
+    }
+    
+    if (entry.type !== 'item') return;
+    
+    // Evitar pedidos que o servidor recusaria pela recarga
+    if (this.ui.isItemOnCooldown(entry.id)) return;
+    
+    const stack = this.inventory && this.inventory.items.find(item => item.itemId === entry.id);
+    if (!stack) {
+      this.ui.showMessage(getErrorMessage(ERROR_CODES.ITEM_NOT_IN_INVENTORY), 2000, 'error');
+      return;
+    }
+    
+    const definition = getItemDefinition(entry.id);
+    const action = definition && definition.type === ITEM_TYPES.EQUIPMENT ? 'equip' : 'use';
+    this.handleItemAction(action, { uid: stack.uid });
+  }
+  
+  /**
+   * Atualiza o SkillManager local e a janela de habilidades com o último
+   * estado enviado pelo servidor ('skillsUpdate')
+   */
+  refreshSkills() {
+    const player = this.entityManager && this.entityManager.getLocalPlayer();
+    if (!player || !this.skills) return;
+    
+    if (!this.skillManager || this.skillManager.characterClass !== player.class) {
+      this.skillManager = new SkillManager(player.class, this.skills);
+    } else {
+      this.skillManager.load(this.skills);
+    }
+    
+    this.ui.updateSkills(this.skillManager, player.level);
+  }
+  
+  /**
+   * Envia ao servidor uma ação da janela de habilidades
+   * @param {string} action - 'learn' ou 'use'
+   * @param {Object} payload - { skillId }
+   */
+  async handleSkillAction(action, payload) {
+    if (action === 'use') {
+      this.useSkill(payload.skillId);
+      return;
+    }
+    
+    if (action !== 'learn') return;
+    
+    try {
+      const response = await this.networkManager.emitWithAck('learnSkill', payload);
+      this.ui.showMessage(`${getSkillName(response.skillId)} agora está no nível ${response.level}!`, 2000, 'success');
+    } catch (error) {
+      this.ui.showMessage(getErrorMessage(error.code), 2000, 'error');
+    }
+  }
+  
+  /**
+   * Trata a resposta do servidor a um ataque básico do jogador local
+   * @param {Object} data - { targetId, damage, type, critical, targetDied, ... }
+   */
+  handleAttackResult(data) {
+    console.log(`Ataque bem-sucedido contra ${data.targetId} causando ${data.damage} de dano`);
+    
+    // O golpe final não gera monsterDamaged, então exibir o dano aqui
+    const monster = this.entityManager.monsters.get(data.targetId);
+    if (data.targetDied && monster) {
+      this.ui.showDamageNumber(monster, data.damage, data.type, { critical: data.critical });
+    }
+  }
+  
+  /**
+   * Mostra ao jogador local o motivo de um ataque básico recusado pelo servidor
+   * @param {Object} data - { error, targetId, remaining }
+   */
+  handleAttackRejected(data) {
+    this.ui.showMessage(getErrorMessage(data.error), 2000, 'error');
+  }
+  
+  /**
+   * Envia ao servidor uma ação da janela de atributos
+   * @param {string} action - 'raise'
+   * @param {Object} payload - { stat }
+   */
+  async handleStatAction(action, payload) {
+    if (action !== 'raise') return;
+    
+    try {
+      await this.networkManager.emitWithAck('raiseStat', payload);
+    } catch (error) {
+      this.ui.showMessage(getErrorMessage(error.code), 2000, 'error');
+    }
+  }
+  
+  /**
+   * Usa uma habilidade aprendida
+   *
+   * Habilidades de alvo 'enemy' usam o monstro atacado no momento ou o
+   * monstro vivo mais próximo dentro do alcance; as de alvo 'ground' abrem a
+   * mira no chão e só são enviadas ao confirmar a posição. Habilidades com tempo de
+   * conjuração começam pelo evento 'castStart'; o resultado chega a todos
+   * pelo evento 'skillUsed', com a recarga exibida na barra de atalhos.
+   * @param {string} skillId - ID da habilidade
+   */
+  async useSkill(skillId) {
+    const skill = this.skillManager && this.skillManager.getSkillById(skillId);
+    if (!skill) {
+      this.ui.showMessage(getErrorMessage(ERROR_CODES.SKILL_NOT_LEARNED), 2000, 'error');
+      return;
+    }
+    
+    // Evitar pedidos que o servidor recusaria pela recarga ou pela conjuração em andamento
+    const player = this.entityManager.getLocalPlayer();
+    if (!player || player.isCasting() || this.ui.isSkillOnCooldown(skillId)) return;
+    
+    if (skill.target === SKILL_TARGETS.GROUND) {
+      if (this.inputManager) {
+        this.inputManager.startGroundTargeting(skill, (position) => this.sendSkillUse(skill, { position }));
+      }
+      return;
+    }
+    
+    const targetId = skill.target === SKILL_TARGETS.ENEMY ? this.findSkillTarget(skill) : null;
+    if (skill.target === SKILL_TARGETS.ENEMY && !targetId) {
+      this.ui.showMessage(getErrorMessage(ERROR_CODES.INVALID_TARGET), 2000, 'error');
+      return;
+    }
+    
+    await this.sendSkillUse(skill, { targetId });
+  }
+  
+  /**
+   * Envia o uso de uma habilidade ao servidor
+   * @param {Object} skill - Habilidade resolvida
+   * @param {Object} target - Alvo ({ targetId } ou { position } em habilidades de alvo 'ground')
+   */
+  async sendSkillUse(skill, target) {
+    const player = this.entityManager.getLocalPlayer();
+    if (!player || player.isCasting()) return;
+    
+    const skillId = skill.id;
+    
+    // Parar antes de conjurar: o movimento interromperia a habilidade
+    if (skill.castTime > 0) {
+      player.halt();
+    }
+    
+    try {
+      await this.networkManager.emitWithAck('playerUseSkill', { skillId, ...target });
+    } catch (error) {
+      // Sincronizar a recarga informada pelo servidor
+      if (error.code === ERROR_CODES.SKILL_ON_COOLDOWN && error.response) {
+        this.ui.startSkillCooldown(skillId, error.response.remaining);
+      }
+      this.ui.showMessage(getErrorMessage(error.code), 2000, 'error');
+    }
+  }
+  
+  /**
+   * Escolhe o monstro alvo de uma habilidade
+   * @param {Object} skill - Habilidade resolvida
+   * @returns {string|null} ID do monstro ou null se não houver alvo
+   */
+  findSkillTarget(skill) {
+    const player = this.entityManager.getLocalPlayer();
+    if (!player || !player.model) return null;
+    
+    // Preferir o alvo do ataque atual
+    const input = this.inputManager;
+    const currentId = input ? (input.autoAttackTarget || input.attackTarget) : null;
+    const current = currentId ? this.entityManager.monsters.get(currentId) : null;
+    if (current && current.model && !current.isDead) {
+      return current.id;
+    }
+    
+    const range = (skill.range || player.attackRange) * 1.2; // 20% de tolerância, como no servidor
+    const nearest = Array.from(this.entityManager.monsters.values())
+      .filter(monster => monster && monster.model && !monster.isDead)
+      .map(monster => ({ monster, distance: monster.model.position.distanceTo(player.model.position) }))
+      .filter(({ distance }) => distance <= range)
+      .sort((a, b) => a.distance - b.distance)[0];
+    
+    return nearest ? nearest.monster.id : null;
+  }
+  
+  /**
+   * Altera um slot da barra de atalhos no servidor
+   * @param {number} index - Posição do slot
+   * @param {Object|null} entry - Nova entrada ({ type: 'item'|'skill', id }) ou null para limpar
+   */
+  async assignHotbarSlot(index, entry) {
+    try {
+      const response = await this.networkManager.emitWithAck('setHotbarSlot', { index, entry });
+      this.hotbar = response.hotbar;
+      this.ui.updateHotbar(this.hotbar);
+    } catch (error) {
+      this.ui.showMessage(getErrorMessage(error.code), 2000, 'error');
+    }
+  }
+  
+  /**
+   * Registra uma função chamada a cada quadro do loop de renderização
+   * @param {string} name - Nome do atualizador
+   * @param {Function} handler - Função que recebe o deltaTime
+   */
+  registerUpdateHandler(name, handler) {
+    this.updateHandlers.set(name, handler);
+  }
+  
   /**
    * Atualiza a UI com dados do jogador
    * @param {Object} player - Jogador local
@@ -809,14 +1415,18 @@ export class MMORPGGame {
       hp: hp,
       maxHp: maxHp,
       mp: mp,
-      maxMp: maxMp
+      maxMp: maxMp,
+      level: player.level || 1,
+      exp: player.exp || 0,
+      expToNext: getExpToNextLevel(player.level || 1)
     };
     
     // Log para debug
     console.log(`[Game] Atualizando UI: HP=${hp}/${maxHp}, MP=${mp}/${maxMp}`);
     
     // Atualizar HUD
-    this.ui.updatePlayerInfo(playerUIData, player.data?.class || 'Guerreiro');
+    const classInfo = CHARACTER_CLASSES[player.data?.class] || CHARACTER_CLASSES.knight;
+    this.ui.updatePlayerInfo(playerUIData, classInfo.name);
     
     // Programar próxima atualização periódica (a cada 1 segundo)
     setTimeout(() => this.updatePlayerUI(player), 1000);
@@ -893,12 +1503,6 @@ export class MMORPGGame {
       if (this.ui.showDeathEffect) {
         this.ui.showDeathEffect(entity);
       }
-      
-      // Processar recompensas se for monstro
-      if (entity.type === 'monster') {
-        // Calcular e distribuir recompensas
-        this._processMobKillRewards(entity);
-      }
     });
     
     // Ouvir eventos de ataque
@@ -914,31 +1518,6 @@ export class MMORPGGame {
     console.log('[Game] Handlers de combate configurados com sucesso');
   }
   
-  /**
-   * Processa recompensas por eliminar um monstro
-   * @param {Object} monster - Monstro eliminado
-   * @private
-   */
-  _processMobKillRewards(monster) {
-    // Verificar quem deve receber recompensas (quem causou mais dano)
-    const killer = this.entityManager.getLocalPlayer(); // Simplificado para este exemplo
-    
-    if (killer) {
-      // Calcular experiência com base no nível do monstro
-      const monsterLevel = monster.combatStats ? monster.combatStats.level : 1;
-      const expReward = 10 * monsterLevel;
-      
-      // Distribuir recompensas (simplificado)
-      this.ui.showMessage(`Você ganhou ${expReward} pontos de experiência!`);
-      
-      // Notificar servidor
-      this.networkManager.emit('monsterKilled', {
-        monsterId: monster.id,
-        killerId: killer.id
-      });
-    }
-  }
-  
   // Adicionar um método para ajustar as configurações de debug
   toggleDebugOption(option, value) {
     if (!this.DEBUG_CONFIG) return;
@@ -1,5 +1,6 @@
 import { io } from 'socket.io-client';
 import { CONNECTION_CONFIG } from './config';
+import { ERROR_CODES } from './errorCodes';
 
 /**
  * Classe para gerenciar a conexão de rede do jogo
@@ -12,6 +13,68 @@ export class NetworkManager {
     this.disconnectHandlers = [];
     this.errorHandlers = [];
     this.eventHandlers = {};
+    this.sessionToken = null;
+    this.username = null;
+  }
+  
+  /**
+   * Envia uma requisição para a API HTTP do servidor
+   * @param {string} path - Caminho relativo a /api
+   * @param {Object} body - Corpo JSON da requisição
+   * @returns {Promise<Object>} Resposta do servidor
+   * @throws {Error} Erro com a propriedade `code` (ver ERROR_CODES) e a resposta em `response`
+   */
+  async request(path, body) {
+    let response;
+    let data = {};
+    
+    try {
+      response = await fetch(`/api${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      data = await response.json();
+    } catch (error) {
+      console.error(`Erro na requisição ${path}:`, error);
+      const requestError = new Error('Falha na comunicação com o servidor');
+      requestError.code = ERROR_CODES.SERVER_ERROR;
+      throw requestError;
+    }
+    
+    if (!response.ok) {
+      const requestError = new Error(data.error || 'Requisição recusada');
+      requestError.code = data.error || ERROR_CODES.SERVER_ERROR;
+      throw requestError;
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Cria uma conta e guarda o token de sessão retornado
+   * @param {string} username - Nome da conta
+   * @param {string} password - Senha
+   * @returns {Promise<Object>} Dados da sessão
+   */
+  async register(username, password) {
+    const session = await this.request('/register', { username, password });
+    this.sessionToken = session.token;
+    this.username = session.username;
+    return session;
+  }
+  
+  /**
+   * Autentica uma conta e guarda o token de sessão retornado
+   * @param {string} username - Nome da conta
+   * @param {string} password - Senha
+   * @returns {Promise<Object>} Dados da sessão
+   */
+  async authenticate(username, password) {
+    const session = await this.request('/login', { username, password });
+    this.sessionToken = session.token;
+    this.username = session.username;
+    return session;
   }
   
   /**
@@ -21,8 +84,11 @@ export class NetworkManager {
   connect() {
     return new Promise((resolve, reject) => {
       try {
-        // Inicializar conexão Socket.io
-        this.socket = io('/', CONNECTION_CONFIG);
+        // Inicializar conexão Socket.io (o token de sessão é exigido no handshake)
+        this.socket = io('/', {
+          ...CONNECTION_CONFIG,
+          auth: { token: this.sessionToken }
+        });
         
         // Configurar handler de conexão
         this.socket.on('connect', () => {
@@ -48,6 +114,12 @@ export class NetworkManager {
         this.socket.on('connect_error', (error) => {
           console.error('Erro de conexão com o servidor:', error);
           
+          // Sessão recusada: não adianta tentar reconectar com o mesmo token
+          if (error.message === ERROR_CODES.INVALID_SESSION) {
+            error.code = ERROR_CODES.INVALID_SESSION;
+            this.disconnect();
+          }
+          
           // Notificar handlers
           this.errorHandlers.forEach(handler => handler(error));
           
@@ -147,6 +219,39 @@ export class NetworkManager {
     }
   }
   
+  /**
+   * Emite um evento e aguarda a confirmação (ack) do servidor
+   * @param {string} event - Nome do evento
+   * @param {...any} args - Dados a serem enviados
+   * @returns {Promise<Object>} Resposta do servidor
+   * @throws {Error} Erro com a propriedade `code` (ver ERROR_CODES) e a resposta em `response`
+   */
+  async emitWithAck(event, ...args) {
+    if (!this.socket || !this.connected) {
+      const error = new Error(`Evento '${event}' emitido enquanto desconectado`);
+      error.code = ERROR_CODES.CONNECTION_FAILED;
+      throw error;
+    }
+    
+    let response;
+    try {
+      response = await this.socket.timeout(CONNECTION_CONFIG.timeout).emitWithAck(event, ...args);
+    } catch (error) {
+      console.error(`Servidor não respondeu ao evento '${event}':`, error);
+      error.code = ERROR_CODES.CONNECTION_FAILED;
+      throw error;
+    }
+    
+    if (response && response.error) {
+      const error = new Error(`Evento '${event}' recusado: ${response.error}`);
+      error.code = response.error;
+      error.response = response;
+      throw error;
+    }
+    
+    return response;
+  }
+  
   /**
    * Desconecta do servidor
    */
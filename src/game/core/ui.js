@@ -1,5 +1,13 @@
 import * as THREE from 'three';
 import { createElement } from '../utils/helpers';
+import { ERROR_CODES, getErrorMessage } from './errorCodes';
+import { CHARACTER_CLASSES } from './config';
+import { InventoryWindow } from '../ui/inventoryWindow';
+import { EquipmentWindow } from '../ui/equipmentWindow';
+import { SkillWindow } from '../ui/skillWindow';
+import { StatsWindow } from '../ui/statsWindow';
+import { Hotbar } from '../ui/hotbar';
+import { TargetInfoPanel } from '../ui/targetInfo';
 
 /**
  * Classe para gerenciar a interface do usuário do jogo
@@ -11,6 +19,17 @@ export class UserInterface {
     this.progressTextElement = null;
     this.hudElement = null;
     this.inventoryElement = null;
+    this.inventoryWindow = null;
+    this.equipmentElement = null;
+    this.equipmentWindow = null;
+    this.skillsElement = null;
+    this.skillWindow = null;
+    this.statsElement = null;
+    this.statsWindow = null;
+    this.hotbar = null;
+    this.targetInfo = null;
+    this.statusEffects = [];
+    this.statusEffectsElement = null;
     this.shortcutTipElement = null;
     
     this.elements = {
@@ -255,7 +274,7 @@ export class UserInterface {
     // Verificar se os elementos já existem
     this.checkElements();
     
-    // Adicionar inventário
+    // Adicionar botão do inventário
     if (!this.inventoryElement) {
       this.inventoryElement = createElement('div', {
         position: 'absolute',
@@ -265,8 +284,62 @@ export class UserInterface {
         backgroundColor: 'rgba(0, 0, 0, 0.7)',
         color: 'white',
         borderRadius: '3px',
-        border: '1px solid #444'
-      }, { id: 'game-inventory' }, 'Inventário (em desenvolvimento)', document.body);
+        border: '1px solid #444',
+        cursor: 'pointer'
+      }, { id: 'game-inventory' }, 'Inventário [I]', document.body);
+      
+      this.inventoryElement.addEventListener('click', () => this.toggleInventory());
+    }
+    
+    // Adicionar botão dos equipamentos
+    if (!this.equipmentElement) {
+      this.equipmentElement = createElement('div', {
+        position: 'absolute',
+        bottom: '10px',
+        left: '120px',
+        padding: '5px',
+        backgroundColor: 'rgba(0, 0, 0, 0.7)',
+        color: 'white',
+        borderRadius: '3px',
+        border: '1px solid #444',
+        cursor: 'pointer'
+      }, { id: 'game-equipment' }, 'Equipamentos [E]', document.body);
+      
+      this.equipmentElement.addEventListener('click', () => this.toggleEquipment());
+    }
+    
+    // Adicionar botão das habilidades
+    if (!this.skillsElement) {
+      this.skillsElement = createElement('div', {
+        position: 'absolute',
+        bottom: '10px',
+        left: '255px',
+        padding: '5px',
+        backgroundColor: 'rgba(0, 0, 0, 0.7)',
+        color: 'white',
+        borderRadius: '3px',
+        border: '1px solid #444',
+        cursor: 'pointer'
+      }, { id: 'game-skills' }, 'Habilidades [K]', document.body);
+      
+      this.skillsElement.addEventListener('click', () => this.toggleSkills());
+    }
+    
+    // Adicionar botão dos atributos
+    if (!this.statsElement) {
+      this.statsElement = createElement('div', {
+        position: 'absolute',
+        bottom: '10px',
+        left: '375px',
+        padding: '5px',
+        backgroundColor: 'rgba(0, 0, 0, 0.7)',
+        color: 'white',
+        borderRadius: '3px',
+        border: '1px solid #444',
+        cursor: 'pointer'
+      }, { id: 'game-stats' }, 'Atributos [Alt+A]', document.body);
+      
+      this.statsElement.addEventListener('click', () => this.toggleStats());
     }
     
     // Adicionar dica sobre tecla de atalho para configurações
@@ -304,6 +377,285 @@ export class UserInterface {
     this.createDebugPanel();
   }
   
+  /**
+   * Cria a janela de inventário
+   * @param {Function} onAction - Chamado com (action, payload) pelas ações da janela
+   */
+  createInventoryWindow(onAction) {
+    if (!this.inventoryWindow) {
+      this.inventoryWindow = new InventoryWindow(onAction);
+    }
+    return this.inventoryWindow;
+  }
+  
+  /**
+   * Atualiza a janela de inventário com os dados do servidor
+   * @param {Object} inventory - { items, weight, maxWeight, maxSlots }
+   */
+  updateInventory(inventory) {
+    if (this.inventoryWindow) {
+      this.inventoryWindow.update(inventory);
+    }
+    if (this.hotbar) {
+      this.hotbar.updateInventory(inventory);
+    }
+  }
+  
+  /**
+   * Mostra ou esconde a janela de inventário
+   */
+  toggleInventory() {
+    if (this.inventoryWindow) {
+      this.inventoryWindow.toggle();
+    }
+  }
+  
+  /**
+   * Cria a janela de equipamentos
+   * @param {Function} onAction - Chamado com (action, payload) pelas ações da janela
+   */
+  createEquipmentWindow(onAction) {
+    if (!this.equipmentWindow) {
+      this.equipmentWindow = new EquipmentWindow(onAction);
+    }
+    return this.equipmentWindow;
+  }
+  
+  /**
+   * Atualiza a janela de equipamentos com os dados do servidor
+   * @param {Object} equipment - { slots, bonuses, attack, magicAttack, defense, magicDefense, hit, flee, critChance, perfectDodge }
+   */
+  updateEquipment(equipment) {
+    if (this.equipmentWindow) {
+      this.equipmentWindow.update(equipment);
+    }
+  }
+  
+  /**
+   * Mostra ou esconde a janela de equipamentos
+   */
+  toggleEquipment() {
+    if (this.equipmentWindow) {
+      this.equipmentWindow.toggle();
+    }
+  }
+  
+  /**
+   * Cria a janela de habilidades
+   * @param {Function} onAction - Chamado com (action, payload) pelas ações da janela
+   */
+  createSkillWindow(onAction) {
+    if (!this.skillWindow) {
+      this.skillWindow = new SkillWindow(onAction);
+    }
+    return this.skillWindow;
+  }
+  
+  /**
+   * Atualiza a janela de habilidades e os atalhos de habilidade
+   * @param {SkillManager} skillManager - Habilidades aprendidas e pontos
+   * @param {number} characterLevel - Nível do personagem
+   */
+  updateSkills(skillManager, characterLevel) {
+    if (this.skillWindow) {
+      this.skillWindow.update(skillManager, characterLevel);
+    }
+    if (this.hotbar) {
+      this.hotbar.updateSkills(skillManager);
+    }
+  }
+  
+  /**
+   * Mostra ou esconde a janela de habilidades
+   */
+  toggleSkills() {
+    if (this.skillWindow) {
+      this.skillWindow.toggle();
+    }
+  }
+  
+  /**
+   * Cria a janela de atributos (uma única vez)
+   * @param {Function} onAction - Callback das ações da janela
+   * @returns {StatsWindow} Janela criada
+   */
+  createStatsWindow(onAction) {
+    if (!this.statsWindow) {
+      this.statsWindow = new StatsWindow(onAction);
+    }
+    return this.statsWindow;
+  }
+  
+  /**
+   * Atualiza a janela de atributos com os dados do servidor
+   * @param {Object} stats - { values, points, costs, derived }
+   */
+  updateStats(stats) {
+    if (this.statsWindow) {
+      this.statsWindow.update(stats);
+    }
+  }
+  
+  /**
+   * Mostra ou esconde a janela de atributos
+   */
+  toggleStats() {
+    if (this.statsWindow) {
+      this.statsWindow.toggle();
+    }
+  }
+  
+  /**
+   * Mostra o painel de informações de um monstro selecionado
+   * @param {Object} monster - Monstro selecionado
+   */
+  showTargetInfo(monster) {
+    if (!this.targetInfo) {
+      this.targetInfo = new TargetInfoPanel();
+    }
+    this.targetInfo.show(monster);
+  }
+  
+  /**
+   * Atualiza o painel de informações se o monstro for o selecionado
+   * @param {Object} monster - Monstro com dados novos
+   */
+  updateTargetInfo(monster) {
+    if (this.targetInfo) {
+      this.targetInfo.update(monster);
+    }
+  }
+  
+  /**
+   * Esconde o painel de informações (apenas se o monstro for o selecionado,
+   * quando informado)
+   * @param {Object} monster - Monstro que deixou de existir (opcional)
+   */
+  hideTargetInfo(monster = null) {
+    if (this.targetInfo && (!monster || this.targetInfo.target === monster)) {
+      this.targetInfo.hide();
+    }
+  }
+  
+  /**
+   * Cria a barra de atalhos
+   * @param {Object} callbacks - { onUse(index), onAssign(index, entry) }
+   */
+  createHotbar(callbacks) {
+    if (!this.hotbar) {
+      this.hotbar = new Hotbar(callbacks);
+    }
+    return this.hotbar;
+  }
+  
+  /**
+   * Atualiza os slots da barra de atalhos
+   * @param {Array<Object|null>} entries - Entradas enviadas pelo servidor
+   */
+  updateHotbar(entries) {
+    if (this.hotbar) {
+      this.hotbar.update(entries);
+    }
+  }
+  
+  /**
+   * Inicia a recarga de um grupo de itens na barra de atalhos
+   * @param {string} group - Grupo de recarga
+   * @param {number} duration - Duração em ms
+   */
+  startItemCooldown(group, duration) {
+    if (this.hotbar) {
+      this.hotbar.startCooldown(group, duration);
+    }
+  }
+  
+  /**
+   * Verifica se um item está em recarga
+   * @param {string} itemId - ID do item
+   * @returns {boolean} Se o item está em recarga
+   */
+  isItemOnCooldown(itemId) {
+    return this.hotbar ? this.hotbar.isOnCooldown(itemId) : false;
+  }
+  
+  /**
+   * Inicia a recarga de uma habilidade (e a recarga global) na barra de atalhos
+   * @param {string} skillId - ID da habilidade
+   * @param {number} cooldown - Recarga da habilidade em ms
+   * @param {number} globalCooldown - Recarga global em ms
+   */
+  startSkillCooldown(skillId, cooldown, globalCooldown) {
+    if (this.hotbar) {
+      this.hotbar.startSkillCooldown(skillId, cooldown, globalCooldown);
+    }
+  }
+  
+  /**
+   * Verifica se uma habilidade está em recarga
+   * @param {string} skillId - ID da habilidade
+   * @returns {boolean} Se a habilidade está em recarga
+   */
+  isSkillOnCooldown(skillId) {
+    return this.hotbar ? this.hotbar.isSkillOnCooldown(skillId) : false;
+  }
+  
+  /**
+   * Atualiza a lista de efeitos de status do jogador local
+   * @param {Array<Object>} effects - Efeitos serializados pelo servidor
+   */
+  updateStatusEffects(effects) {
+    const now = Date.now();
+    this.statusEffects = effects.map(effect => ({
+      ...effect,
+      expiresAt: effect.duration > 0 ? now + effect.remainingTime : 0
+    }));
+    
+    if (!this.statusEffectsElement) {
+      const hud = document.getElementById('hud');
+      if (!hud) return;
+      
+      this.statusEffectsElement = createElement('div', {
+        marginTop: '5px',
+        fontSize: '12px',
+        color: '#9be29b'
+      }, { id: 'status-effects' }, '', hud);
+    }
+    
+    this.renderStatusEffects();
+  }
+  
+  /**
+   * Redesenha os efeitos de status com o tempo restante
+   * @private
+   */
+  renderStatusEffects() {
+    if (!this.statusEffectsElement) return;
+    
+    const now = Date.now();
+    const text = this.statusEffects
+      .map(effect => {
+        const label = effect.icon ? `${effect.icon} ${effect.name}` : effect.name;
+        if (!effect.expiresAt) return label;
+        return `${label} (${Math.max(0, Math.ceil((effect.expiresAt - now) / 1000))}s)`;
+      })
+      .join(' · ');
+    
+    // Evitar reescrever o DOM a cada quadro
+    if (this.statusEffectsElement.textContent !== text) {
+      this.statusEffectsElement.textContent = text;
+    }
+  }
+  
+  /**
+   * Atualiza os elementos que dependem do tempo (recargas e duração dos efeitos)
+   */
+  updateTimers() {
+    if (this.hotbar) {
+      this.hotbar.updateCooldowns();
+    }
+    this.renderStatusEffects();
+  }
+  
   /**
    * Atualiza as informações do jogador na interface
    * @param {Object} player - Objeto do jogador
@@ -349,6 +701,56 @@ export class UserInterface {
     
     // Atualizar barras de progresso se existirem
     this.updateProgressBars(safeHp / safeMaxHp, safeMp / safeMaxMp);
+    
+    // Atualizar nível e experiência
+    const levelElement = document.getElementById('player-level');
+    if (levelElement) levelElement.textContent = player.level || 1;
+    this.updateExpBar(player.exp || 0, player.expToNext || 0);
+  }
+  
+  /**
+   * Atualiza a barra de experiência do HUD
+   * @param {number} exp - Experiência acumulada no nível atual
+   * @param {number} expToNext - Experiência necessária para o próximo nível (0 no nível máximo)
+   */
+  updateExpBar(exp, expToNext) {
+    let expBar = document.getElementById('exp-bar');
+    let expLabel = document.getElementById('exp-label');
+    
+    // Criar a barra abaixo das barras de HP/MP
+    if (!expBar) {
+      const hud = document.getElementById('hud');
+      if (!hud) return;
+      
+      const expBarContainer = createElement('div', {
+        width: '100%',
+        height: '10px',
+        marginTop: '5px',
+        backgroundColor: '#444',
+        borderRadius: '3px',
+        position: 'relative'
+      }, {}, null, hud);
+      
+      expBar = createElement('div', {
+        width: '0%',
+        height: '100%',
+        backgroundColor: '#f1c40f',
+        borderRadius: '3px',
+        transition: 'width 0.3s'
+      }, { id: 'exp-bar' }, null, expBarContainer);
+      
+      expLabel = createElement('div', {
+        position: 'absolute',
+        left: '5px',
+        top: '0',
+        fontSize: '8px',
+        color: 'white'
+      }, { id: 'exp-label' }, '', expBarContainer);
+    }
+    
+    const expPercent = expToNext > 0 ? Math.min(1, exp / expToNext) : 1;
+    expBar.style.width = `${expPercent * 100}%`;
+    expLabel.textContent = `EXP ${(expPercent * 100).toFixed(1)}%`;
   }
   
   /**
@@ -442,8 +844,11 @@ export class UserInterface {
   /**
    * Mostra uma mensagem de erro
    * @param {string} message - Mensagem de erro
+   * @param {Object} options - Opções de exibição
+   * @param {string} options.code - Código do erro (ver ERROR_CODES), exibido abaixo da mensagem
+   * @param {boolean} options.dismissible - Se true, mostra "Fechar" em vez de "Recarregar"
    */
-  showErrorMessage(message) {
+  showErrorMessage(message, options = {}) {
     const errorDiv = createElement('div', {
       position: 'absolute',
       top: '50%',
@@ -458,6 +863,14 @@ export class UserInterface {
       zIndex: '2000'
     }, {}, message, document.body);
     
+    if (options.code) {
+      createElement('div', {
+        fontSize: '12px',
+        opacity: '0.8',
+        marginTop: '5px'
+      }, {}, `Código: ${options.code}`, errorDiv);
+    }
+    
     const reloadButton = createElement('button', {
       marginTop: '10px',
       padding: '5px 10px',
@@ -466,18 +879,25 @@ export class UserInterface {
       border: 'none',
       borderRadius: '3px',
       cursor: 'pointer'
-    }, {}, 'Recarregar', errorDiv);
+    }, {}, options.dismissible ? 'Fechar' : 'Recarregar', errorDiv);
     
     errorDiv.appendChild(document.createElement('br'));
     
     reloadButton.addEventListener('click', () => {
-      window.location.reload();
+      if (options.dismissible) {
+        errorDiv.remove();
+      } else {
+        window.location.reload();
+      }
     });
+    
+    return errorDiv;
   }
   
   /**
    * Cria e mostra a tela de login
-   * @param {Function} onLogin - Callback chamado quando o login for enviado
+   * @param {Function} onLogin - Callback (credentials, loginScreen, loginTimeout) chamado quando o
+   *   login for enviado; pode retornar uma Promise, cuja rejeição (com `code`) é exibida na tela
    * @param {Object} socketInfo - Informações do socket para depuração
    */
   showLoginScreen(onLogin, socketInfo) {
@@ -499,11 +919,14 @@ export class UserInterface {
       marginBottom: '20px'
     }, {}, 'MMORPG Estilo Ragnarok', loginScreen);
     
-    const input = createElement('input', {
+    const inputStyles = {
       padding: '10px',
       marginBottom: '10px',
       width: '300px'
-    }, { type: 'text', placeholder: 'Digite seu nome de usuário' }, null, loginScreen);
+    };
+    
+    const usernameInput = createElement('input', inputStyles, { type: 'text', placeholder: 'Conta' }, null, loginScreen);
+    const passwordInput = createElement('input', inputStyles, { type: 'password', placeholder: 'Senha' }, null, loginScreen);
     
     const statusMessage = createElement('div', {
       color: 'white',
@@ -520,6 +943,15 @@ export class UserInterface {
       cursor: 'pointer'
     }, {}, 'Entrar no Jogo', loginScreen);
     
+    const registerButton = createElement('button', {
+      padding: '8px 16px',
+      marginTop: '10px',
+      backgroundColor: '#2196F3',
+      color: 'white',
+      border: 'none',
+      cursor: 'pointer'
+    }, {}, 'Criar Conta', loginScreen);
+    
     // Adicionar botão de debug
     const debugButton = createElement('button', {
       padding: '5px 10px',
@@ -555,55 +987,294 @@ export class UserInterface {
       }
     });
     
+    // Restaurar os botões após falha ou timeout
+    const resetButtons = (label = 'Entrar no Jogo') => {
+      button.disabled = false;
+      registerButton.disabled = false;
+      button.style.backgroundColor = '#4CAF50';
+      button.textContent = label;
+    };
+    
     // Adicionar função de login
-    button.addEventListener('click', () => {
-      const playerName = input.value.trim();
-      if (playerName) {
-        button.disabled = true;
-        button.style.backgroundColor = '#888';
-        button.textContent = 'Entrando...';
-        statusMessage.textContent = 'Conectando ao servidor...';
-        statusMessage.style.color = 'yellow';
+    const submit = (register) => {
+      const credentials = {
+        username: usernameInput.value.trim(),
+        password: passwordInput.value,
+        register
+      };
+      
+      if (!credentials.username || !credentials.password) {
+        statusMessage.textContent = 'Preencha conta e senha.';
+        statusMessage.style.color = 'red';
+        return;
+      }
+      
+      button.disabled = true;
+      registerButton.disabled = true;
+      button.style.backgroundColor = '#888';
+      button.textContent = 'Entrando...';
+      statusMessage.textContent = 'Conectando ao servidor...';
+      statusMessage.style.color = 'yellow';
+      
+      // Callback de login com timeout
+      const loginTimeout = setTimeout(() => {
+        statusMessage.textContent = 'O servidor está demorando para responder. Verifique o console para mais detalhes (F12).';
+        statusMessage.style.color = 'orange';
+        resetButtons('Tentar Novamente');
         
-        // Callback de login com timeout
-        const loginTimeout = setTimeout(() => {
-          statusMessage.textContent = 'O servidor está demorando para responder. Verifique o console para mais detalhes (F12).';
-          statusMessage.style.color = 'orange';
-          button.disabled = false;
-          button.style.backgroundColor = '#4CAF50';
-          button.textContent = 'Tentar Novamente';
-          
-          // Mostrar detalhes técnicos automaticamente
-          if (debugInfo.style.display === 'none') {
-            debugInfo.style.display = 'block';
-            debugInfo.innerHTML = `
-              Status da Conexão: ${socketInfo.connected ? 'Conectado' : 'Desconectado'}<br>
-              ID da Conexão: ${socketInfo.id || 'N/A'}<br>
-              Modelos Carregados: ${socketInfo.assetsLoaded}/${socketInfo.assetsTotal}<br>
-              URL do Servidor: ${socketInfo.url}<br>
-              Tempo de Carregamento: ${((Date.now() - window.gameStartTime) / 1000).toFixed(1)}s
-            `;
-            debugButton.textContent = 'Ocultar Detalhes Técnicos';
-          }
-          
-          console.error('Tempo limite de login excedido. Verifique a conexão com o servidor.');
-        }, 8000);
+        // Mostrar detalhes técnicos automaticamente
+        if (debugInfo.style.display === 'none') {
+          debugInfo.style.display = 'block';
+          debugInfo.innerHTML = `
+            Status da Conexão: ${socketInfo.connected ? 'Conectado' : 'Desconectado'}<br>
+            ID da Conexão: ${socketInfo.id || 'N/A'}<br>
+            Modelos Carregados: ${socketInfo.assetsLoaded}/${socketInfo.assetsTotal}<br>
+            URL do Servidor: ${socketInfo.url}<br>
+            Tempo de Carregamento: ${((Date.now() - window.gameStartTime) / 1000).toFixed(1)}s
+          `;
+          debugButton.textContent = 'Ocultar Detalhes Técnicos';
+        }
         
-        onLogin(playerName, loginScreen, loginTimeout);
-      } else {
-        statusMessage.textContent = 'Por favor, digite um nome de usuário.';
-        statusMessage.style.color = 'red';
+        console.error('Tempo limite de login excedido. Verifique a conexão com o servidor.');
+      }, 8000);
+      
+      Promise.resolve(onLogin(credentials, loginScreen, loginTimeout)).catch((error) => {
+        console.error('[UI] Login recusado:', error);
+        clearTimeout(loginTimeout);
+        resetButtons();
+        statusMessage.textContent = '';
+        
+        const code = error.code || ERROR_CODES.SERVER_ERROR;
+        this.showErrorMessage(getErrorMessage(code), { code, dismissible: true });
+      });
+    };
+    
+    button.addEventListener('click', () => submit(false));
+    registerButton.addEventListener('click', () => submit(true));
+    
+    // Também permitir login com Enter
+    [usernameInput, passwordInput].forEach(field => {
+      field.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          button.click();
+        }
+      });
+    });
+    
+    return loginScreen;
+  }
+  
+  /**
+   * Cria e mostra a tela de seleção e criação de personagens
+   * @param {Array<Object>} characters - Personagens da conta ({ name, class, color, level })
+   * @param {Object} options - Callbacks da tela
+   * @param {number} options.maxCharacters - Limite de personagens por conta
+   * @param {Function} options.onSelect - Callback (characterName, selectScreen) chamado ao entrar
+   *   no jogo; pode retornar uma Promise, cuja rejeição (com `code`) é exibida na tela
+   * @param {Function} options.onCreate - Callback ({ name, class, color }) que retorna uma Promise
+   *   com o personagem criado
+   */
+  showCharacterSelectScreen(characters, options = {}) {
+    const maxCharacters = options.maxCharacters || Infinity;
+    const toHexColor = (color) => `#${color.toString(16).padStart(6, '0')}`;
+    let selectedName = null;
+    
+    const selectScreen = createElement('div', {
+      position: 'absolute',
+      top: '0',
+      left: '0',
+      width: '100%',
+      height: '100%',
+      display: 'flex',
+      flexDirection: 'column',
+      justifyContent: 'center',
+      alignItems: 'center',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+    }, { id: 'character-select-screen' }, null, document.body);
+    
+    createElement('h1', {
+      color: 'white',
+      marginBottom: '20px'
+    }, {}, 'Selecione seu Personagem', selectScreen);
+    
+    const list = createElement('div', {
+      display: 'flex',
+      flexDirection: 'column',
+      width: '320px',
+      marginBottom: '10px'
+    }, { id: 'character-list' }, null, selectScreen);
+    
+    const emptyMessage = createElement('div', {
+      color: '#aaa',
+      fontSize: '14px',
+      marginBottom: '10px'
+    }, {}, 'Nenhum personagem nesta conta. Crie um abaixo.', selectScreen);
+    
+    const playButton = createElement('button', {
+      padding: '10px 20px',
+      backgroundColor: '#888',
+      color: 'white',
+      border: 'none',
+      cursor: 'pointer',
+      marginBottom: '20px'
+    }, {}, 'Entrar no Jogo', selectScreen);
+    playButton.disabled = true;
+    
+    // Formulário de criação
+    const createForm = createElement('div', {
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      width: '320px',
+      padding: '10px',
+      border: '1px solid #555',
+      borderRadius: '5px'
+    }, {}, null, selectScreen);
+    
+    createElement('h3', {
+      color: 'white',
+      margin: '0 0 10px 0'
+    }, {}, 'Novo Personagem', createForm);
+    
+    const fieldStyles = {
+      padding: '8px',
+      marginBottom: '10px',
+      width: '280px'
+    };
+    
+    const nameInput = createElement('input', fieldStyles, { type: 'text', placeholder: 'Nome do personagem' }, null, createForm);
+    const classSelect = createElement('select', fieldStyles, {}, null, createForm);
+    Object.entries(CHARACTER_CLASSES).forEach(([classId, classInfo]) => {
+      createElement('option', {}, { value: classId }, classInfo.name, classSelect);
+    });
+    
+    const colorRow = createElement('label', {
+      color: 'white',
+      fontSize: '14px',
+      marginBottom: '10px'
+    }, {}, 'Cor: ', createForm);
+    const colorInput = createElement('input', {}, {
+      type: 'color',
+      value: toHexColor(CHARACTER_CLASSES[classSelect.value].color)
+    }, null, colorRow);
+    
+    // Sugerir a cor da classe até o jogador escolher uma cor própria
+    let colorChosen = false;
+    colorInput.addEventListener('input', () => { colorChosen = true; });
+    classSelect.addEventListener('change', () => {
+      if (!colorChosen) {
+        colorInput.value = toHexColor(CHARACTER_CLASSES[classSelect.value].color);
       }
     });
     
-    // Também permitir login com Enter
-    input.addEventListener('keypress', (e) => {
+    const createButton = createElement('button', {
+      padding: '8px 16px',
+      backgroundColor: '#2196F3',
+      color: 'white',
+      border: 'none',
+      cursor: 'pointer'
+    }, {}, 'Criar Personagem', createForm);
+    
+    const showError = (error) => {
+      const code = error.code || ERROR_CODES.SERVER_ERROR;
+      this.showErrorMessage(getErrorMessage(code), { code, dismissible: true });
+    };
+    
+    const updateState = () => {
+      const count = list.children.length;
+      emptyMessage.style.display = count === 0 ? 'block' : 'none';
+      createForm.style.display = count >= maxCharacters ? 'none' : 'flex';
+      playButton.disabled = !selectedName;
+      playButton.style.backgroundColor = selectedName ? '#4CAF50' : '#888';
+    };
+    
+    const selectCharacter = (name) => {
+      selectedName = name;
+      Array.from(list.children).forEach(entry => {
+        entry.style.borderColor = entry.dataset.name === name ? '#4CAF50' : '#555';
+      });
+      updateState();
+    };
+    
+    const addCharacter = (character) => {
+      const classInfo = CHARACTER_CLASSES[character.class] || CHARACTER_CLASSES.knight;
+      const color = Number.isInteger(character.color) ? character.color : classInfo.color;
+      
+      const entry = createElement('div', {
+        display: 'flex',
+        alignItems: 'center',
+        padding: '8px',
+        marginBottom: '5px',
+        color: 'white',
+        border: '2px solid #555',
+        borderRadius: '5px',
+        cursor: 'pointer'
+      }, { 'data-name': character.name }, null, list);
+      
+      createElement('span', {
+        display: 'inline-block',
+        width: '16px',
+        height: '16px',
+        marginRight: '10px',
+        backgroundColor: toHexColor(color)
+      }, {}, null, entry);
+      createElement('span', {}, {}, `${character.name} - ${classInfo.name} Nv. ${character.level || 1}`, entry);
+      
+      entry.addEventListener('click', () => selectCharacter(character.name));
+      entry.addEventListener('dblclick', () => playButton.click());
+    };
+    
+    playButton.addEventListener('click', () => {
+      if (!selectedName || !options.onSelect) return;
+      
+      playButton.disabled = true;
+      playButton.textContent = 'Entrando...';
+      
+      Promise.resolve(options.onSelect(selectedName, selectScreen)).catch((error) => {
+        console.error('[UI] Entrada no jogo recusada:', error);
+        playButton.textContent = 'Entrar no Jogo';
+        updateState();
+        showError(error);
+      });
+    });
+    
+    createButton.addEventListener('click', () => {
+      const name = nameInput.value.trim();
+      if (!name || !options.onCreate) return;
+      
+      createButton.disabled = true;
+      Promise.resolve(options.onCreate({
+        name,
+        class: classSelect.value,
+        color: colorInput.value
+      }))
+        .then((character) => {
+          nameInput.value = '';
+          addCharacter(character);
+          selectCharacter(character.name);
+        })
+        .catch((error) => {
+          console.error('[UI] Criação de personagem recusada:', error);
+          showError(error);
+        })
+        .finally(() => {
+          createButton.disabled = false;
+        });
+    });
+    
+    nameInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') {
-        button.click();
+        createButton.click();
       }
     });
     
-    return loginScreen;
+    characters.forEach(addCharacter);
+    if (characters.length > 0) {
+      selectCharacter(characters[0].name);
+    }
+    updateState();
+    
+    return selectScreen;
   }
   
   /**
@@ -697,7 +1368,8 @@ export class UserInterface {
    * Mostra um número de dano flutuante sobre uma entidade
    * @param {Object} entity - Entidade que recebeu o dano
    * @param {number} amount - Quantidade de dano
-   * @param {string} type - Tipo de dano (physical, magical, etc.)
+   * @param {string} type - Tipo de dano (physical, magical, etc.) ou resultado
+   *   de um ataque evitado ('miss', 'lucky'), exibido no lugar do valor
    * @param {Object} options - Opções adicionais
    */
   showDamageNumber(entity, amount, type = 'physical', options = {}) {
@@ -725,6 +1397,12 @@ export class UserInterface {
       } else if (type === 'heal') {
         color = '#66ff66'; // verde
         amount = '+' + amount; // adicionar + para cura
+      } else if (type === 'miss') {
+        color = '#cccccc'; // cinza
+        amount = 'Miss'; // ataque evitado pela FLEE
+      } else if (type === 'lucky') {
+        color = '#ffdd44'; // amarelo
+        amount = 'Lucky'; // esquiva perfeita
       }
       
       // Ajustar tamanho e cor para críticos
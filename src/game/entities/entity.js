@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { createTextTexture, calculateRotationAngle } from '../utils/helpers';
+import { STATUS_BLOCKS, isActionBlocked } from '../combat/statusEffects';
 
 /**
  * Classe base para entidades do jogo (jogadores e monstros)
@@ -11,6 +12,8 @@ export class Entity {
     this.scene = scene;
     this.model = null;
     this.nameTag = null;
+    this.castBar = null;
+    this.casting = null; // { label, start, end, canvas }
     this.isMoving = false;
     this.movementDirection = new THREE.Vector3();
     this.targetPosition = new THREE.Vector3();
@@ -108,6 +111,88 @@ export class Entity {
     );
   }
   
+  /**
+   * Inicia a conjuração de uma habilidade, exibindo a barra acima da entidade
+   * @param {string} label - Nome da habilidade
+   * @param {number} castTime - Tempo de conjuração em ms
+   */
+  startCast(label, castTime) {
+    if (!this.model || !this.scene) return;
+    
+    this.stopCast();
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 48;
+    
+    const material = new THREE.SpriteMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      depthTest: false
+    });
+    this.castBar = new THREE.Sprite(material);
+    this.castBar.scale.set(2, 0.375, 1);
+    this.scene.add(this.castBar);
+    
+    const now = Date.now();
+    this.casting = { label, start: now, end: now + castTime, canvas };
+    this.updateCastBar();
+  }
+  
+  /**
+   * Verifica se a entidade está conjurando
+   * @returns {boolean} Se há uma conjuração em andamento
+   */
+  isCasting() {
+    return Boolean(this.casting);
+  }
+  
+  /**
+   * Redesenha o progresso da barra de conjuração e a mantém acima do modelo
+   *
+   * A barra fica cheia até o servidor confirmar o uso ou a interrupção.
+   */
+  updateCastBar() {
+    if (!this.casting || !this.castBar || !this.model) return;
+    
+    const { label, start, end, canvas } = this.casting;
+    const progress = Math.min(1, (Date.now() - start) / Math.max(end - start, 1));
+    const context = canvas.getContext('2d');
+    
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.font = '18px Arial';
+    context.fillStyle = 'white';
+    context.textAlign = 'center';
+    context.fillText(label, canvas.width / 2, 18);
+    
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(8, 26, canvas.width - 16, 16);
+    context.fillStyle = '#4da6ff';
+    context.fillRect(10, 28, (canvas.width - 20) * progress, 12);
+    
+    this.castBar.material.map.needsUpdate = true;
+    this.castBar.position.set(
+      this.model.position.x,
+      this.model.position.y + 2.5, // Acima da tag de nome
+      this.model.position.z
+    );
+  }
+  
+  /**
+   * Encerra a conjuração e remove a barra
+   */
+  stopCast() {
+    this.casting = null;
+    
+    if (this.castBar) {
+      if (this.scene) {
+        this.scene.remove(this.castBar);
+      }
+      this.castBar.material.map.dispose();
+      this.castBar.material.dispose();
+      this.castBar = null;
+    }
+  }
+  
   /**
    * Atualiza a posição da entidade
    * @param {Object} position - Nova posição
@@ -184,6 +269,9 @@ export class Entity {
   
   /**
    * Atualiza o movimento da entidade
+   *
+   * Efeitos de status que impedem o movimento (atordoamento, congelamento,
+   * petrificação) interrompem o deslocamento em andamento.
    * @param {number} moveSpeed - Velocidade de movimento
    * @param {number} threshold - Limiar para considerar chegada ao destino
    * @returns {boolean} Se chegou ao destino
@@ -191,6 +279,12 @@ export class Entity {
   updateMovement(moveSpeed, threshold = 0.1) {
     if (!this.isMoving || !this.model) return false;
     
+    if (isActionBlocked(this, STATUS_BLOCKS.MOVE)) {
+      this.movementCallback = null;
+      this.stopMovement();
+      return false;
+    }
+    
     // Calcular distância até o destino
     const distanceToTarget = this.model.position.distanceTo(this.targetPosition);
     
@@ -274,6 +368,8 @@ export class Entity {
    * Remove a entidade da cena
    */
   destroy() {
+    this.stopCast();
+    
     if (this.model) {
       // Remover modelo da cena
       if (this.scene) {
@@ -1,5 +1,6 @@
 import { Player } from './player';
 import { Monster } from './monster';
+import { GroundItem } from './groundItem';
 
 /**
  * Classe para gerenciar todas as entidades do jogo
@@ -12,6 +13,7 @@ export class EntityManager {
     
     this.players = new Map();
     this.monsters = new Map();
+    this.groundItems = new Map();
     this.localPlayerId = null;
     
     // Referência ao sistema de combate (será definido após inicialização)
@@ -48,6 +50,11 @@ export class EntityManager {
     this.monsters.forEach(monster => {
       monster.update();
     });
+    
+    // Animar itens no chão
+    this.groundItems.forEach(item => {
+      item.update();
+    });
   }
   
   /**
@@ -115,6 +122,17 @@ export class EntityManager {
     return player;
   }
   
+  /**
+   * Aplica a correção de posição enviada pelo servidor ao jogador local
+   * @param {Object} position - Posição autoritativa
+   */
+  applyPositionCorrection(position) {
+    const localPlayer = this.getLocalPlayer();
+    if (!localPlayer || !position) return;
+    
+    localPlayer.snapToPosition(position);
+  }
+  
   /**
    * Cria ou atualiza um monstro
    * @param {string} monsterId - ID do monstro
@@ -141,11 +159,6 @@ export class EntityManager {
     // Configurar acesso ao NetworkManager
     monster.scene.networkManager = this.networkManager;
     
-    // Ativar a IA com acesso ao EntityManager
-    if (monster.ai) {
-      monster.ai.activate(this);
-    }
-    
     // Registrá-lo no sistema de combate se disponível
     if (this.combatSystem) {
       // Calcular atributos com base no tipo e nível do monstro
@@ -170,6 +183,35 @@ export class EntityManager {
     return monster;
   }
   
+  /**
+   * Cria um item no chão anunciado pelo servidor
+   * @param {Object} itemData - Dados do item ({ id, itemId, quantity, position, ownerId })
+   * @returns {GroundItem} O item criado
+   */
+  createGroundItem(itemData) {
+    if (this.groundItems.has(itemData.id)) {
+      return this.groundItems.get(itemData.id);
+    }
+    
+    const item = new GroundItem(itemData.id, itemData, this.scene);
+    item.createItemModel(this.localPlayerId);
+    this.groundItems.set(itemData.id, item);
+    
+    return item;
+  }
+  
+  /**
+   * Remove um item do chão
+   * @param {string} groundItemId - ID do item no chão
+   */
+  removeGroundItem(groundItemId) {
+    if (this.groundItems.has(groundItemId)) {
+      const item = this.groundItems.get(groundItemId);
+      item.destroy();
+      this.groundItems.delete(groundItemId);
+    }
+  }
+  
   /**
    * Remove um jogador
    * @param {string} playerId - ID do jogador
@@ -310,6 +352,16 @@ export class EntityManager {
       .map(monster => monster.model);
   }
   
+  /**
+   * Obtém uma lista dos modelos dos itens no chão
+   * @returns {Array} Lista de modelos de itens
+   */
+  getGroundItemModels() {
+    return Array.from(this.groundItems.values())
+      .filter(item => item.model)
+      .map(item => item.model);
+  }
+  
   /**
    * Obtém o ID de uma entidade pelo seu modelo
    * @param {THREE.Mesh} model - Modelo 3D
@@ -354,6 +406,12 @@ export class EntityManager {
     });
     this.monsters.clear();
     
+    // Limpar itens no chão
+    this.groundItems.forEach(item => {
+      item.destroy();
+    });
+    this.groundItems.clear();
+    
     this.localPlayerId = null;
   }
   
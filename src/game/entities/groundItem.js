@@ -0,0 +1,73 @@
+import * as THREE from 'three';
+import { Entity } from './entity';
+import { VISUAL_EFFECTS } from '../core/config';
+import { getItemName } from '../items/itemDefinitions';
+
+/**
+ * Classe que representa um item derrubado no chão
+ *
+ * Os itens são criados e removidos pelo servidor; clicar no item pede a
+ * coleta ao servidor, que valida alcance e prioridade do dono.
+ */
+export class GroundItem extends Entity {
+  constructor(id, data, scene) {
+    super(id, data, scene);
+    
+    this.itemId = data.itemId;
+    this.quantity = data.quantity || 1;
+    this.ownerId = data.ownerId || null;
+    this.spinTime = Math.random() * Math.PI * 2;
+  }
+  
+  /**
+   * Cria o modelo 3D do item
+   * @param {string} localPlayerId - ID do jogador local (itens reservados a outros usam outra cor)
+   * @returns {THREE.Mesh} O modelo criado
+   */
+  createItemModel(localPlayerId = null) {
+    const ownedByOther = this.ownerId && this.ownerId !== localPlayerId;
+    const geometry = new THREE.OctahedronGeometry(0.25);
+    const material = new THREE.MeshLambertMaterial({
+      color: ownedByOther ? VISUAL_EFFECTS.ownedItemColor : VISUAL_EFFECTS.groundItemColor,
+      emissive: 0x222222
+    });
+    
+    this.createModel(geometry, material);
+    this.model.position.y = 0.3;
+    
+    this.createNameTag(this.getLabel());
+    this.nameTag.scale.set(1.5, 0.375, 1);
+    this.updateNameTagPosition();
+    
+    return this.model;
+  }
+  
+  /**
+   * Texto exibido acima do item
+   * @returns {string} Nome e quantidade
+   */
+  getLabel() {
+    const name = getItemName(this.itemId);
+    return this.quantity > 1 ? `${name} x${this.quantity}` : name;
+  }
+  
+  /**
+   * Posiciona a tag de nome logo acima do item
+   */
+  updateNameTagPosition() {
+    if (!this.model || !this.nameTag) return;
+    
+    this.nameTag.position.set(this.model.position.x, 0.9, this.model.position.z);
+  }
+  
+  /**
+   * Gira e flutua o item a cada frame
+   */
+  update() {
+    if (!this.model) return;
+    
+    this.spinTime += 0.05;
+    this.model.rotation.y = this.spinTime;
+    this.model.position.y = 0.3 + Math.sin(this.spinTime) * 0.05;
+  }
+} 
\ No newline at end of file
@@ -1,12 +1,15 @@
 import * as THREE from 'three';
 import { Entity } from './entity';
 import { createTextTexture } from '../utils/helpers';
-import { MonsterAI } from './monsterAI';
-import { MONSTER_AI_CONFIG, COMBAT_CONFIG } from '../core/config';
+import { MONSTER_AI_CONFIG, COMBAT_CONFIG, SERVER_CONFIG } from '../core/config';
 import { debug } from '../utils/helpers';
+import { DEFAULT_ELEMENT, DEFAULT_SIZE } from '../combat/elements';
 
 /**
  * Classe que representa um monstro no jogo
+ *
+ * O comportamento (IA, movimento e ataques) é simulado pelo servidor;
+ * o cliente apenas renderiza as atualizações recebidas.
  */
 export class Monster extends Entity {
   constructor(id, data, scene, aiController = null) {
@@ -53,19 +56,8 @@ export class Monster extends Entity {
     // Aplicar configurações específicas do tipo
     this.applyTypeConfig();
     
-    // Inicializar a IA do monstro
-    this.ai = new MonsterAI(this);
-    
     // Compatibilidade com o sistema de combate - inicializar posição após criar o modelo
     this.radius = 0.5; // Raio para cálculos de colisão
-    
-    // Ativar IA se configurado para isso
-    if (MONSTER_AI_CONFIG.enabled) {
-      // Ativamos com um pequeno atraso para garantir que o modelo esteja pronto
-      setTimeout(() => {
-        this.ai.activate();
-      }, 1000);
-    }
   }
   
   /**
@@ -83,6 +75,14 @@ export class Monster extends Entity {
     this.attackDamage = typeConfig.attackDamage || 10;
     this.attackInterval = typeConfig.attackInterval || MONSTER_AI_CONFIG.attackInterval;
     this.color = typeConfig.color || 0xff0000;
+    this.element = typeConfig.element || DEFAULT_ELEMENT;
+    this.size = typeConfig.size || DEFAULT_SIZE;
+    
+    // Elemento e tamanho entram nos modificadores de dano
+    if (this.combatStats) {
+      this.combatStats.element = { ...this.element };
+      this.combatStats.size = this.size;
+    }
     
     // Atualizar dados internos
     this.data.isAggressive = this.isAggressive;
@@ -223,101 +223,33 @@ export class Monster extends Entity {
     
     // Atualizar a posição para o sistema de combate
     this.updatePosition();
-    
-    // Atualizar IA
-    if (this.ai && !this.isDead) {
-      this.ai.update();
-    }
   }
   
   /**
-   * Ataca um jogador
-   * @param {Player} player - Jogador alvo do ataque
-   * @returns {boolean} Indica se o ataque foi bem-sucedido
+   * Sincroniza a posição com a simulação do servidor
+   * @param {Object} position - Posição autoritativa enviada pelo servidor
    */
-  attackPlayer(player) {
-    try {
-      // Verificar se o jogador é válido
-      if (!player || !player.model || player.isDead) {
-        console.log(`[Monster] Jogador inválido, não pode atacar`);
-        return false;
-      }
-      
-      // Verificar cooldown de ataque
-      const now = Date.now();
-      if (this.lastAttackTime && now - this.lastAttackTime < this.attackInterval) {
-        // Ainda em cooldown
-        return false;
-      }
-      
-      this.lastAttackTime = now;
-      
-      // Calcular distância
-      const distance = this.model.position.distanceTo(player.model.position);
-      if (distance > this.attackRange * 1.2) {
-        console.log(`[Monster] Jogador fora de alcance: ${distance.toFixed(1)} > ${this.attackRange}`);
-        return false;
-      }
-      
-      console.log(`[Monster] 🔥 ${this.id} atacando jogador ${player.id}`);
-      
-      // Calcular dano com variação aleatória
-      const damageVariation = 0.2; // 20% de variação para mais ou para menos
-      const randomFactor = 1 - damageVariation + Math.random() * damageVariation * 2;
-      const baseDamage = this.attackDamage || 3;
-      const finalDamage = Math.max(1, Math.floor(baseDamage * randomFactor));
-      
-      // Calcular dano final (aplicando defesa do jogador)
-      const playerDefenseMultiplier = player.defenseMultiplier || 0;
-      const finalDamageAfterDefense = Math.max(1, Math.floor(finalDamage * (1 - playerDefenseMultiplier)));
-      
-      // Notificar o jogador do ataque (REMOVIDO ALERT PARA NÃO INTERROMPER O JOGO)
-      console.log(`[Monster] ⚔️ ${this.id} causando ${finalDamageAfterDefense} de dano em ${player.id}`);
-      
-      // Emitir evento de rede para sincronizar com servidor
-      if (this.networkManager) {
-        this.networkManager.emit('monsterAttack', {
-          monsterId: this.id,
-          targetId: player.id,
-          damage: finalDamageAfterDefense
-        });
-      }
-      
-      // CRUCIAL: Aplicar dano diretamente ao jogador
-      if (player.takeDamage && typeof player.takeDamage === 'function') {
-        player.takeDamage(finalDamageAfterDefense, this.id);
-        
-        // Mostrar efeito visual
-        if (player.showDamageEffect && typeof player.showDamageEffect === 'function') {
-          player.showDamageEffect(finalDamageAfterDefense);
-        }
-        
-        // Mostrar mensagem na tela (sem alert)
-        if (player.id === window.game?.entityManager?.localPlayerId) {
-          console.log(`🔥 Você recebeu ${finalDamageAfterDefense} de dano de ${this.type}!`);
-          
-          // Opcional: mostrar um efeito visual não bloqueante
-          if (window.game && window.game.ui) {
-            window.game.ui.showMessage(`Recebeu ${finalDamageAfterDefense} de dano de ${this.type}!`, 2000, 'damage');
-          }
-        }
-      }
-      
-      // Criar efeito visual
-      if (this.scene && this.scene.renderer) {
-        this.scene.renderer.createAttackEffect(
-          this.model.position.clone(),
-          player.model.position.clone(),
-          0xffaa00, // Laranja para ataques de monstro
-          300
-        );
-      }
-      
-      return true;
-    } catch (error) {
-      console.error(`[Monster] Erro ao atacar jogador:`, error);
-      return false;
+  syncPosition(position) {
+    if (!position) return;
+    
+    this.data.position = { ...position };
+    if (this.isDead || !this.model) return;
+    
+    const dx = position.x - this.model.position.x;
+    const dz = position.z - this.model.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    
+    // Diferença grande: teletransportar em vez de interpolar
+    if (distance > SERVER_CONFIG.monsterSyncThreshold) {
+      this.stopMovement();
+      this.model.position.x = position.x;
+      this.model.position.z = position.z;
+      this.updatePosition();
+      return;
     }
+    
+    // Interpolar suavemente até a posição do servidor
+    this.moveToPosition(new THREE.Vector3(position.x, this.model.position.y, position.z));
   }
   
   /**
@@ -399,16 +331,6 @@ export class Monster extends Entity {
         return 0;
       }
       
-      // IMPORTANTE: Se o monstro não estiver morto, torna-se agressivo com o atacante
-      if (!this.isDead && this.ai && typeof this.ai.setAggroTarget === 'function') {
-        try {
-          debug('ai', `Monstro ${this.id} tornando-se agressivo contra ${attackerId}`);
-          this.ai.setAggroTarget(attackerId);
-        } catch (e) {
-          console.error('Erro ao definir alvo de agressividade:', e);
-        }
-      }
-      
       return this.hp;
     } catch (error) {
       console.error(`[Monster.takeDamage] Erro ao processar dano:`, error);
@@ -434,19 +356,11 @@ export class Monster extends Entity {
     
     console.log(`Monster.die: Monstro ${this.id} morreu`);
     
-    // Parar movimento e IA
+    // Parar movimento
     this.stopMovement();
-    if (this.ai) {
-      this.ai.deactivate();
-    }
     
-    // Mostrar efeito de morte
+    // Mostrar efeito de morte (o respawn é comandado pelo servidor)
     this.showDeathEffect();
-    
-    // Programar respawn se necessário
-    setTimeout(() => {
-      this.respawn();
-    }, MONSTER_AI_CONFIG.respawnTime);
   }
   
   /**
@@ -506,12 +420,6 @@ export class Monster extends Entity {
       this.data.position.z = newZ;
     }
     
-    // Reativar IA
-    if (this.ai) {
-      this.ai.reset();
-      this.ai.activate();
-    }
-    
     // Atualizar exibição
     this.updateNameDisplay();
     this.updateVisuals();
@@ -673,8 +581,9 @@ export class Monster extends Entity {
   /**
    * Mostra um efeito visual de dano
    * @param {number} damage - Quantidade de dano
+   * @param {Object} options - Tipo do dano e se foi crítico
    */
-  showDamageEffect(damage) {
+  showDamageEffect(damage, options = {}) {
     if (!this.model) return;
     
     console.log(`[Monster] Mostrando efeito de dano: ${damage}`);
@@ -694,9 +603,9 @@ export class Monster extends Entity {
     
     // 2. Criar texto flutuante com o valor do dano
     if (this.scene && this.scene.uiManager) {
-      this.scene.uiManager.showDamageNumber(this, damage, 'physical');
+      this.scene.uiManager.showDamageNumber(this, damage, options.type || 'physical', options);
     } else if (window.game && window.game.ui) {
-      window.game.ui.showDamageNumber(this, damage, 'physical');
+      window.game.ui.showDamageNumber(this, damage, options.type || 'physical', options);
     }
     
     // 3. Fazer o modelo "pular" brevemente
@@ -732,12 +641,6 @@ export class Monster extends Entity {
    * Limpa recursos quando o monstro é removido
    */
   destroy() {
-    // Desativar a IA
-    if (this.ai) {
-      this.ai.deactivate();
-      this.ai = null;
-    }
-    
     // Chamar método de destruição da classe pai
     super.destroy();
   }
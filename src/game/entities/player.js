@@ -2,6 +2,15 @@ import * as THREE from 'three';
 import { Entity } from './entity';
 import { CHARACTER_CLASSES, COMBAT_CONFIG, MOVEMENT_CONFIG, VISUAL_EFFECTS } from '../core/config';
 import { debug } from '../utils/helpers';
+import { getItemDefinition } from '../items/itemDefinitions';
+
+// Peças exibidas no modelo para cada slot visível (geometria e posição relativa ao corpo)
+const EQUIPMENT_MODELS = {
+  weapon: { geometry: () => new THREE.BoxGeometry(0.1, 0.9, 0.1), position: [0.6, 0.1, 0.2] },
+  shield: { geometry: () => new THREE.BoxGeometry(0.1, 0.6, 0.5), position: [-0.58, 0, 0] },
+  armor: { geometry: () => new THREE.BoxGeometry(1.06, 0.6, 1.06), position: [0, -0.05, 0] },
+  headgear: { geometry: () => new THREE.CylinderGeometry(0.3, 0.35, 0.3, 12), position: [0, 0.65, 0] }
+};
 
 /**
  * Classe que representa um jogador no jogo
@@ -14,8 +23,8 @@ export class Player extends Entity {
     this.renderer = renderer;
     this.isAttacking = false;
     this.attackTarget = null;
-    this.lastAttackTime = 0;
-    this.attackCooldownTime = COMBAT_CONFIG.defaultAttackCooldown;
+    this.nextAttackTime = 0;   // Liberado pela resposta de 'playerAttack' (velocidade de ataque do servidor)
+    this.pendingAttack = null; // Ataque aguardando a resposta do servidor
     this.attackRange = COMBAT_CONFIG.defaultAttackRange;
     this.moveSpeed = MOVEMENT_CONFIG.defaultMoveSpeed;
     this.autoAttack = false;
@@ -24,6 +33,7 @@ export class Player extends Entity {
     this.name = data.name || `Jogador ${id}`;
     this.class = data.class || 'knight';
     this.level = Number(data.level) || 1;
+    this.exp = Number(data.exp) || 0;
     this.hp = Number(data.hp) || 150;           // HP inicial aumentado para 150
     this.maxHp = Number(data.maxHp) || 150;     // HP máximo aumentado para 150
     this.mp = Number(data.mp) || 50;
@@ -52,7 +62,7 @@ export class Player extends Entity {
     
     this.attackRange = classProps.attackRange;
     this.moveSpeed = classProps.moveSpeed;
-    this.attackCooldownTime = COMBAT_CONFIG.defaultAttackCooldown / classProps.attackSpeed;
+    this.projectile = classProps.projectile || null; // Ataque à distância (projétil enviado pelo servidor)
     
     console.log(`Jogador ${this.id} é um ${classProps.name} com alcance de ataque de ${this.attackRange}`);
   }
@@ -62,10 +72,10 @@ export class Player extends Entity {
    * @param {boolean} isCurrentPlayer - Indica se é o jogador atual
    */
   createPlayerModel(isCurrentPlayer = false) {
-    // Determinar a cor baseada na classe
+    // Cor de aparência escolhida na criação (ou a cor padrão da classe)
     const playerClass = this.data.class || 'knight';
     const classInfo = CHARACTER_CLASSES[playerClass] || CHARACTER_CLASSES.knight;
-    const color = isCurrentPlayer ? classInfo.color : 0x0000ff;
+    const color = Number.isInteger(this.data.color) ? this.data.color : classInfo.color;
     
     // Criar geometria e material
     const geometry = new THREE.BoxGeometry(1, 1, 1);
@@ -74,26 +84,53 @@ export class Player extends Entity {
     // Criar modelo usando o método da classe pai
     this.createModel(geometry, material);
     
-    // Personalizar o modelo baseado no tipo de jogador
-    if (isCurrentPlayer) {
-      this.model.material.color.set(0x00ff00); // Verde para o jogador atual
-    } else {
-      this.model.material.color.set(0x0000ff); // Azul para outros jogadores
-    }
-    
     // CORREÇÃO: Posicionar na altura fixa padrão
     this.model.position.y = 0.5;
     
     // Criar tag de nome
     this.createNameTag(this.name || `Player ${this.id}`);
     
+    // Equipamentos visíveis enviados pelo servidor
+    this.updateEquipmentModel(this.data.appearance);
+    
     return this.model;
   }
   
+  /**
+   * Atualiza as peças de equipamento exibidas no modelo
+   * @param {Object} appearance - IDs dos itens por slot ({ weapon, shield, armor, headgear })
+   */
+  updateEquipmentModel(appearance = {}) {
+    if (!this.model) return;
+    
+    // Remover as peças anteriores
+    (this.equipmentMeshes || []).forEach(mesh => {
+      this.model.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.equipmentMeshes = [];
+    
+    Object.entries(EQUIPMENT_MODELS).forEach(([slot, piece]) => {
+      const definition = getItemDefinition(appearance && appearance[slot]);
+      if (!definition) return;
+      
+      const material = new THREE.MeshLambertMaterial({ color: definition.equip.color || 0x888888 });
+      const mesh = new THREE.Mesh(piece.geometry(), material);
+      mesh.position.set(...piece.position);
+      mesh.userData.entityId = this.id;
+      
+      this.model.add(mesh);
+      this.equipmentMeshes.push(mesh);
+    });
+  }
+  
   /**
    * Atualiza o jogador a cada frame
    */
   update() {
+    this.updateCastBar();
+    
     // Se o jogador estiver se movendo, atualizar o movimento
     if (this.isMoving) {
       // Verificar se temos um alvo de movimento
@@ -177,6 +214,9 @@ export class Player extends Entity {
    * @param {boolean} ignoreLimits - Se deve ignorar os limites do mapa
    */
   moveToPosition(position, callback = null, ignoreLimits = false) {
+    // Conjurando uma habilidade, o jogador não se move
+    if (this.isCasting()) return;
+    
     // Converter posição se necessário
     let targetPosition = position;
     if (!(position instanceof THREE.Vector3)) {
@@ -202,6 +242,59 @@ export class Player extends Entity {
     }
   }
   
+  /**
+   * Para o jogador onde está, cancelando o movimento em andamento
+   */
+  halt() {
+    this.stopMovement();
+    this.moveTarget = null;
+    this.moveDirection = null;
+  }
+  
+  /**
+   * Inicia a conjuração de uma habilidade (o jogador fica parado)
+   * @param {string} label - Nome da habilidade
+   * @param {number} castTime - Tempo de conjuração em ms
+   */
+  startCast(label, castTime) {
+    this.halt();
+    super.startCast(label, castTime);
+  }
+  
+  /**
+   * Teletransporta o jogador para a posição autoritativa do servidor,
+   * cancelando o movimento em andamento
+   * @param {Object} position - Posição corrigida
+   */
+  snapToPosition(position) {
+    if (!this.model) return;
+    
+    this.stopMovement();
+    this.moveTarget = null;
+    this.moveDirection = null;
+    
+    this.updatePosition({
+      x: position.x,
+      y: 0.5, // Altura fixa
+      z: position.z
+    });
+  }
+  
+  /**
+   * Pede ao servidor para pegar um item do chão
+   * @param {string} groundItemId - ID do item no chão
+   * @returns {Promise<Object>} Item coletado ({ itemId, quantity })
+   * @throws {Error} Erro com a propriedade `code` se o servidor recusar a coleta
+   */
+  async pickupItem(groundItemId) {
+    if (!this.networkManager) {
+      throw new Error('Apenas o jogador local pode pegar itens');
+    }
+    
+    const response = await this.networkManager.emitWithAck('pickupItem', { id: groundItemId });
+    return response.item;
+  }
+  
   /**
    * Ataca uma entidade pelo ID
    * @param {string} targetId - ID da entidade alvo
@@ -216,9 +309,14 @@ export class Player extends Entity {
     
     debug('combat', `Jogador ${this.id} atacando monstro ${targetId}`);
     
-    // Verificar cooldown
-    const now = Date.now();
-    if (now - this.lastAttackTime < this.attackCooldownTime) {
+    // Conjurando uma habilidade, o jogador não ataca
+    if (this.isCasting()) {
+      debug('combat', 'Conjurando uma habilidade, ignorando ataque');
+      return false;
+    }
+    
+    // Aguardar a resposta do ataque anterior e o intervalo informado pelo servidor
+    if (this.pendingAttack || this.getAttackRemaining() > 0) {
       debug('combat', 'Ataque em cooldown, ignorando');
       return false;
     }
@@ -265,8 +363,8 @@ export class Player extends Entity {
       this.model.rotation.y = targetRotation;
     }
     
-    // Criar efeito visual de ataque
-    if (this.scene.renderer) {
+    // Criar efeito visual de ataque (ataques à distância aparecem pelo projétil, em 'projectileLaunched')
+    if (this.scene.renderer && !this.projectile) {
       this.scene.renderer.createAttackEffect(
         this.model.position.clone(),
         monster.model.position.clone(),
@@ -275,84 +373,62 @@ export class Player extends Entity {
       );
     }
     
-    // CRUCIAL - Passo 1: Enviar ataque para o servidor
+    this.isAttacking = true;
+    this.attackTarget = targetId;
+    
+    // Enviar ataque para o servidor, que calcula e aplica o dano; novos ataques
+    // esperam a resposta (evita múltiplos envios durante o cooldown)
+    debug('combat', `Enviando evento playerAttack para o servidor (alvo: ${targetId})`);
+    this.pendingAttack = this.sendAttack(targetId);
+    
+    return true;
+  }
+  
+  /**
+   * Envia um ataque básico ao servidor e libera o próximo pela resposta
+   *
+   * O servidor registra o ataque cerca de meia latência depois do envio, então
+   * o intervalo (`attackDelay`, pela velocidade de ataque) conta a partir do
+   * envio; recusas em cooldown trazem o tempo restante.
+   * @param {string} targetId - ID do monstro alvo
+   * @returns {Promise<Object>} Resposta do servidor ({ success, attackDelay, ... } ou { error, remaining })
+   * @private
+   */
+  async sendAttack(targetId) {
+    const sentAt = Date.now();
+    
     try {
-      debug('combat', `Enviando evento playerAttack para o servidor (alvo: ${targetId})`);
-      
-      // Calcular dano com base nos atributos do jogador
-      const baseDamage = 10; // Dano base
-      const variationFactor = 0.3; // 30% de variação
-      let damage = Math.floor(baseDamage * (1 - variationFactor + Math.random() * variationFactor * 2));
-      
-      // Verificar se o modo One Shot Kill está ativado
-      if (window.game && window.game.DEBUG_CONFIG && window.game.DEBUG_CONFIG.oneShotKill) {
-        damage = monster.hp || 100; // Definir dano igual ao HP do monstro
-        debug('combat', 'Modo ONE SHOT KILL ativado! Dano ajustado para: ' + damage);
-      }
-      
-      this.networkManager.emit('playerAttack', {
+      const response = await this.networkManager.emitWithAck('playerAttack', {
         targetId: targetId,
-        attackerId: this.id,
-        damage: damage
+        attackerId: this.id
       });
+      
+      this.nextAttackTime = sentAt + response.attackDelay;
+      if (window.game && window.game.handleAttackResult) {
+        window.game.handleAttackResult(response);
+      }
+      return response;
     } catch (error) {
-      console.error(`[Player.attackEntity] Erro ao enviar ataque para o servidor:`, error);
-    }
-    
-    // CRUCIAL - Passo 2: Aplicar dano local para feedback imediato
-    try {
-      // Verificar se o monstro existe e tem o método takeDamage
-      if (monster && typeof monster.takeDamage === 'function') {
-        // Calcular dano (mesmo cálculo que enviamos para o servidor para consistência)
-        const baseDamage = 10; // Dano base
-        const variationFactor = 0.3; // 30% de variação
-        let damage = Math.floor(baseDamage * (1 - variationFactor + Math.random() * variationFactor * 2));
-        
-        // Verificar se o modo One Shot Kill está ativado
-        if (window.game && window.game.DEBUG_CONFIG && window.game.DEBUG_CONFIG.oneShotKill) {
-          damage = monster.hp || 100; // Definir dano igual ao HP do monstro
-          debug('combat', 'Modo ONE SHOT KILL ativado! Dano ajustado para: ' + damage);
-        }
-        
-        debug('combat', `Aplicando ${damage} de dano ao monstro ${targetId}`);
-        
-        // Atualizar tempo de ataque ANTES de aplicar dano (evita múltiplos ataques)
-        this.lastAttackTime = now;
-        this.isAttacking = true;
-        this.attackTarget = targetId;
-        
-        // Aplicar dano - FORÇAR EXECUÇÃO SEM ERRO
-        try {
-          monster.takeDamage(damage, this.id);
-          debug('combat', 'Dano aplicado com sucesso: ' + damage);
-        } catch (damageError) {
-          console.error('[Player.attackEntity] Erro ao aplicar dano:', damageError);
-        }
-        
-        // Forçar a atualização da UI do monstro
-        if (monster.updateNameDisplay && typeof monster.updateNameDisplay === 'function') {
-          setTimeout(() => monster.updateNameDisplay(), 50);
-        }
-      } else {
-        console.error(`[Player.attackEntity] Monstro não possui método takeDamage:`, monster);
+      const response = error.response || { error: error.code, targetId };
+      if (response.remaining) {
+        this.nextAttackTime = Date.now() + response.remaining;
       }
-    } catch (err) {
-      console.error(`[Player.attackEntity] Erro ao aplicar dano:`, err);
-    }
-    
-    // CRUCIAL - Passo 3: Forçar o monstro a reagir
-    try {
-      if (monster && monster.ai && typeof monster.ai.setAggroTarget === 'function') {
-        debug('combat', `Definindo alvo de agressividade do monstro para ${this.id}`);
-        monster.ai.setAggroTarget(this.id);
-      } else if (monster && !monster.ai) {
-        console.warn(`[Player.attackEntity] AVISO: Monstro ${targetId} não possui IA`);
+      
+      if (window.game && window.game.handleAttackRejected) {
+        window.game.handleAttackRejected(response);
       }
-    } catch (err) {
-      console.error(`[Player.attackEntity] Erro ao definir agressividade:`, err);
+      return response;
+    } finally {
+      this.pendingAttack = null;
     }
-    
-    return true;
+  }
+  
+  /**
+   * Tempo até o próximo ataque básico liberado pelo servidor
+   * @returns {number} Tempo restante (ms, 0 = pode atacar)
+   */
+  getAttackRemaining() {
+    return Math.max(0, this.nextAttackTime - Date.now());
   }
   
   /**
@@ -427,11 +503,82 @@ export class Player extends Entity {
     return this.hp;
   }
   
+  /**
+   * Aplica a subida de nível anunciada pelo servidor
+   * @param {Object} data - Nível, HP e MP calculados pelo servidor
+   */
+  applyLevelUp(data) {
+    this.level = data.level;
+    this.data.level = data.level;
+    
+    if (this.combatStats) {
+      this.combatStats.levelUp(data.level);
+    }
+    
+    // Os valores do servidor prevalecem sobre o cálculo local
+    this.applyStats(data);
+    
+    this.showLevelUpEffect();
+  }
+  
+  /**
+   * Aplica HP e MP informados pelo servidor
+   * @param {Object} data - { hp, maxHp, mp, maxMp }
+   */
+  applyStats(data) {
+    const stats = { hp: data.hp, maxHp: data.maxHp, mp: data.mp, maxMp: data.maxMp };
+    Object.assign(this, stats);
+    Object.assign(this.data, stats);
+    if (this.combatStats) {
+      Object.assign(this.combatStats, stats);
+    }
+  }
+  
+  /**
+   * Mostra um pilar de luz dourado ao subir de nível
+   */
+  showLevelUpEffect() {
+    if (!this.model || !this.scene) return;
+    
+    const geometry = new THREE.CylinderGeometry(0.7, 0.7, 3, 24, 1, true);
+    const material = new THREE.MeshBasicMaterial({
+      color: VISUAL_EFFECTS.levelUpColor,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide
+    });
+    
+    const pillar = new THREE.Mesh(geometry, material);
+    pillar.position.set(this.model.position.x, 1.5, this.model.position.z);
+    this.scene.add(pillar);
+    
+    // Subir e desaparecer ao longo da duração do efeito
+    const startTime = Date.now();
+    const animate = () => {
+      const progress = (Date.now() - startTime) / VISUAL_EFFECTS.levelUpDuration;
+      
+      if (progress >= 1 || !this.model) {
+        this.scene.remove(pillar);
+        geometry.dispose();
+        material.dispose();
+        return;
+      }
+      
+      pillar.position.set(this.model.position.x, 1.5 + progress, this.model.position.z);
+      pillar.rotation.y += 0.05;
+      material.opacity = 0.6 * (1 - progress);
+      requestAnimationFrame(animate);
+    };
+    
+    animate();
+  }
+  
   /**
    * Mostra um efeito visual de dano
    * @param {number} damage - Quantidade de dano
+   * @param {Object} options - Tipo do dano e se foi crítico
    */
-  showDamageEffect(damage) {
+  showDamageEffect(damage, options = {}) {
     if (!this.model) return;
     
     console.log(`[Player] Mostrando efeito de dano: ${damage}`);
@@ -451,9 +598,9 @@ export class Player extends Entity {
     
     // 2. Criar texto flutuante com o valor do dano
     if (this.scene && this.scene.uiManager) {
-      this.scene.uiManager.showDamageNumber(this, damage, 'physical');
+      this.scene.uiManager.showDamageNumber(this, damage, options.type || 'physical', options);
     } else if (window.game && window.game.ui) {
-      window.game.ui.showDamageNumber(this, damage, 'physical');
+      window.game.ui.showDamageNumber(this, damage, options.type || 'physical', options);
     }
     
     // 3. Fazer o modelo "pular" brevemente
@@ -537,10 +684,15 @@ export class Player extends Entity {
       
       // CORREÇÃO: Garantir altura Y fixa ao respawnar
       this.model.position.set(0, 0.5, 0); // Altura fixa Y=0.5
+      
+      // Desfazer a queda aplicada na morte
+      this.model.rotation.z = 0;
     }
     
-    // Atualizar visualmente
-    this.updateNameDisplay();
+    if (this.combatStats) {
+      this.combatStats.hp = this.hp;
+      this.combatStats.isDead = false;
+    }
     
     // Informar o servidor
     if (this.networkManager) {
@@ -0,0 +1,362 @@
+/**
+ * Definições dos itens do jogo
+ *
+ * Módulo CommonJS compartilhado: o servidor valida e guarda apenas os IDs
+ * e quantidades, e o cliente usa as definições para exibir nome e ícone.
+ */
+
+// Tipos de item
+const ITEM_TYPES = {
+  CONSUMABLE: 'consumable', // Pode ser usado (poções, comida)
+  ETC: 'etc',               // Materiais e itens de coleção
+  EQUIPMENT: 'equipment'    // Pode ser equipado
+};
+
+// Grupos de recarga dos consumíveis: itens do mesmo grupo compartilham o
+// tempo de espera (ms) após o uso
+const ITEM_COOLDOWN_GROUPS = {
+  hpPotion: 1000,
+  mpPotion: 1000,
+  food: 3000,
+  speedPotion: 5000
+};
+
+// Slots de equipamento (na ordem da janela) e o tipo de equipamento aceito
+const EQUIPMENT_SLOTS = {
+  headgear: { name: 'Cabeça', accepts: 'headgear' },
+  armor: { name: 'Armadura', accepts: 'armor' },
+  weapon: { name: 'Arma', accepts: 'weapon' },
+  shield: { name: 'Escudo', accepts: 'shield' },
+  garment: { name: 'Capa', accepts: 'garment' },
+  shoes: { name: 'Calçados', accepts: 'shoes' },
+  accessory1: { name: 'Acessório', accepts: 'accessory' },
+  accessory2: { name: 'Acessório', accepts: 'accessory' }
+};
+
+// Definições indexadas pelo ID do item
+//
+// Consumíveis têm `effect` (cura de HP, recuperação de MP e/ou um buff
+// temporário com bônus de atributos) e `cooldownGroup`.
+//
+// Equipamentos têm `equip`: tipo (slot aceito), classes permitidas (null =
+// todas), nível mínimo, `twoHanded` (ocupa também o escudo), bônus somados às
+// CombatStats e a cor do modelo exibido no personagem. Armas também têm
+// `weaponType` (modificador por tamanho do alvo) e opcionalmente `element`
+// (elemento dos ataques físicos, padrão neutro), ver elements.js.
+
+const ITEM_DEFINITIONS = {
+  // Consumíveis
+  apple: {
+    id: 'apple',
+    name: 'Maçã',
+    type: ITEM_TYPES.CONSUMABLE,
+    weight: 2,
+    stackSize: 100,
+    icon: '🍎',
+    cooldownGroup: 'hpPotion',
+    effect: { heal: 16 }
+  },
+  red_potion: {
+    id: 'red_potion',
+    name: 'Poção Vermelha',
+    type: ITEM_TYPES.CONSUMABLE,
+    weight: 7,
+    stackSize: 100,
+    icon: '🧪',
+    cooldownGroup: 'hpPotion',
+    effect: { heal: 45 }
+  },
+  orange_potion: {
+    id: 'orange_potion',
+    name: 'Poção Laranja',
+    type: ITEM_TYPES.CONSUMABLE,
+    weight: 10,
+    stackSize: 100,
+    icon: '🧃',
+    cooldownGroup: 'hpPotion',
+    effect: { heal: 105 }
+  },
+  white_potion: {
+    id: 'white_potion',
+    name: 'Poção Branca',
+    type: ITEM_TYPES.CONSUMABLE,
+    weight: 15,
+    stackSize: 100,
+    icon: '🥛',
+    cooldownGroup: 'hpPotion',
+    effect: { heal: 175 }
+  },
+  blue_potion: {
+    id: 'blue_potion',
+    name: 'Poção Azul',
+    type: ITEM_TYPES.CONSUMABLE,
+    weight: 15,
+    stackSize: 100,
+    icon: '💧',
+    cooldownGroup: 'mpPotion',
+    effect: { restoreMp: 60 }
+  },
+  concentration_potion: {
+    id: 'concentration_potion',
+    name: 'Poção da Concentração',
+    type: ITEM_TYPES.CONSUMABLE,
+    weight: 10,
+    stackSize: 100,
+    icon: '⚗️',
+    cooldownGroup: 'speedPotion',
+    effect: {
+      buff: { id: 'concentration_potion', name: 'Poção da Concentração', duration: 180000, bonuses: { attackSpeed: 0.1 } }
+    }
+  },
+  roasted_meat: {
+    id: 'roasted_meat',
+    name: 'Carne Assada',
+    type: ITEM_TYPES.CONSUMABLE,
+    weight: 20,
+    stackSize: 50,
+    icon: '🍖',
+    cooldownGroup: 'food',
+    effect: {
+      heal: 20,
+      buff: { id: 'food_attack', name: 'Força da Carne Assada', duration: 120000, bonuses: { attack: 10 } }
+    }
+  },
+  honey_bread: {
+    id: 'honey_bread',
+    name: 'Pão de Mel',
+    type: ITEM_TYPES.CONSUMABLE,
+    weight: 20,
+    stackSize: 50,
+    icon: '🍞',
+    cooldownGroup: 'food',
+    effect: {
+      buff: { id: 'food_vitality', name: 'Vigor do Pão de Mel', duration: 120000, bonuses: { defense: 8, maxHp: 50 } }
+    }
+  },
+
+  // Materiais
+  jellopy: {
+    id: 'jellopy',
+    name: 'Jellopy',
+    type: ITEM_TYPES.ETC,
+    weight: 1,
+    stackSize: 999,
+    icon: '💎'
+  },
+  decayed_nail: {
+    id: 'decayed_nail',
+    name: 'Unha Apodrecida',
+    type: ITEM_TYPES.ETC,
+    weight: 1,
+    stackSize: 999,
+    icon: '🦴'
+  },
+  ectoplasm: {
+    id: 'ectoplasm',
+    name: 'Ectoplasma',
+    type: ITEM_TYPES.ETC,
+    weight: 1,
+    stackSize: 999,
+    icon: '👻'
+  },
+  orcish_voucher: {
+    id: 'orcish_voucher',
+    name: 'Voucher Orc',
+    type: ITEM_TYPES.ETC,
+    weight: 1,
+    stackSize: 999,
+    icon: '📜'
+  },
+  iron: {
+    id: 'iron',
+    name: 'Ferro',
+    type: ITEM_TYPES.ETC,
+    weight: 10,
+    stackSize: 999,
+    icon: '⛓️'
+  },
+
+  // Armas
+  knife: {
+    id: 'knife',
+    name: 'Faca',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 40,
+    stackSize: 1,
+    icon: '🔪',
+    equip: { type: 'weapon', weaponType: 'dagger', classes: null, level: 1, bonuses: { attack: 10 }, color: 0xc0c0c0 }
+  },
+  sword: {
+    id: 'sword',
+    name: 'Espada',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 50,
+    stackSize: 1,
+    icon: '🗡️',
+    equip: { type: 'weapon', weaponType: 'sword', classes: ['knight', 'warrior'], level: 2, bonuses: { attack: 25 }, color: 0xd8d8e0 }
+  },
+  two_handed_sword: {
+    id: 'two_handed_sword',
+    name: 'Espada de Duas Mãos',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 160,
+    stackSize: 1,
+    icon: '⚔️',
+    equip: {
+      type: 'weapon',
+      weaponType: 'two_handed_sword',
+      classes: ['knight', 'warrior'],
+      level: 10,
+      twoHanded: true,
+      bonuses: { attack: 50, critChance: 0.02 },
+      color: 0x9fa8b0
+    }
+  },
+  bow: {
+    id: 'bow',
+    name: 'Arco',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 50,
+    stackSize: 1,
+    icon: '🏹',
+    equip: { type: 'weapon', weaponType: 'bow', classes: ['archer'], level: 1, twoHanded: true, bonuses: { attack: 20 }, color: 0x8b5a2b }
+  },
+  rod: {
+    id: 'rod',
+    name: 'Vara',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 40,
+    stackSize: 1,
+    icon: '🪄',
+    equip: { type: 'weapon', weaponType: 'rod', classes: ['mage'], level: 1, bonuses: { attack: 8, magicAttack: 15, maxMp: 30 }, color: 0x6a3d9a }
+  },
+
+  // Armaduras e acessórios
+  cotton_shirt: {
+    id: 'cotton_shirt',
+    name: 'Camisa de Algodão',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 10,
+    stackSize: 1,
+    icon: '👕',
+    equip: { type: 'armor', classes: null, level: 1, bonuses: { defense: 3 }, color: 0xeeeeee }
+  },
+  chain_mail: {
+    id: 'chain_mail',
+    name: 'Cota de Malha',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 330,
+    stackSize: 1,
+    icon: '🦺',
+    equip: { type: 'armor', classes: ['knight', 'warrior'], level: 10, bonuses: { defense: 12, maxHp: 40 }, color: 0x707880 }
+  },
+  guard: {
+    id: 'guard',
+    name: 'Broquel',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 30,
+    stackSize: 1,
+    icon: '🛡️',
+    equip: { type: 'shield', classes: ['knight', 'warrior'], level: 1, bonuses: { defense: 4 }, color: 0x8b6b3a }
+  },
+  hat: {
+    id: 'hat',
+    name: 'Chapéu',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 20,
+    stackSize: 1,
+    icon: '🎩',
+    equip: { type: 'headgear', classes: null, level: 1, bonuses: { defense: 2 }, color: 0x333333 }
+  },
+  hood: {
+    id: 'hood',
+    name: 'Capuz',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 20,
+    stackSize: 1,
+    icon: '🧣',
+    equip: { type: 'garment', classes: null, level: 1, bonuses: { defense: 1, resistances: { ice: 5 } } }
+  },
+  sandals: {
+    id: 'sandals',
+    name: 'Sandálias',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 20,
+    stackSize: 1,
+    icon: '🩴',
+    equip: { type: 'shoes', classes: null, level: 1, bonuses: { defense: 1, maxHp: 10 } }
+  },
+  clip: {
+    id: 'clip',
+    name: 'Presilha',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 10,
+    stackSize: 1,
+    icon: '📎',
+    equip: { type: 'accessory', classes: null, level: 1, bonuses: { maxMp: 10 } }
+  },
+  ring: {
+    id: 'ring',
+    name: 'Anel',
+    type: ITEM_TYPES.EQUIPMENT,
+    weight: 10,
+    stackSize: 1,
+    icon: '💍',
+    equip: { type: 'accessory', classes: null, level: 5, bonuses: { critChance: 0.03 } }
+  }
+};
+
+/**
+ * Obtém a definição de um item
+ * @param {string} itemId - ID do item
+ * @returns {Object|null} Definição ou null se o item não existir
+ */
+function getItemDefinition(itemId) {
+  return Object.prototype.hasOwnProperty.call(ITEM_DEFINITIONS, itemId)
+    ? ITEM_DEFINITIONS[itemId]
+    : null;
+}
+
+/**
+ * Obtém o nome de exibição de um item
+ * @param {string} itemId - ID do item
+ * @returns {string} Nome do item (ou o próprio ID se não houver definição)
+ */
+function getItemName(itemId) {
+  const definition = getItemDefinition(itemId);
+  return definition ? definition.name : itemId;
+}
+
+/**
+ * Obtém os slots onde um equipamento pode ser colocado
+ * @param {Object} definition - Definição do item
+ * @returns {Array<string>} Slots compatíveis (vazio se não for equipamento)
+ */
+function getEquipSlots(definition) {
+  if (!definition || !definition.equip) return [];
+
+  return Object.keys(EQUIPMENT_SLOTS)
+    .filter(slot => EQUIPMENT_SLOTS[slot].accepts === definition.equip.type);
+}
+
+/**
+ * Obtém o tempo de recarga do grupo de um consumível
+ * @param {Object} definition - Definição do item
+ * @returns {number} Recarga em ms (0 se o item não tiver grupo)
+ */
+function getItemCooldown(definition) {
+  return definition && definition.cooldownGroup
+    ? ITEM_COOLDOWN_GROUPS[definition.cooldownGroup] || 0
+    : 0;
+}
+
+module.exports = {
+  ITEM_TYPES,
+  ITEM_COOLDOWN_GROUPS,
+  EQUIPMENT_SLOTS,
+  ITEM_DEFINITIONS,
+  getItemDefinition,
+  getItemName,
+  getEquipSlots,
+  getItemCooldown
+};
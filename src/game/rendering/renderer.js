@@ -121,21 +121,32 @@ export class GameRenderer {
   
   /**
    * Inicia o loop de animação
+   * @param {Function} onFrame - Função chamada a cada quadro com o tempo desde
+   *   o quadro anterior em ms (opcional)
    */
-  startAnimationLoop() {
+  startAnimationLoop(onFrame = null) {
     // Parar loop anterior se existir
     if (this.animationFrame) {
       cancelAnimationFrame(this.animationFrame);
     }
     
-    const animate = () => {
+    let lastTime = performance.now();
+    
+    const animate = (time = performance.now()) => {
       this.animationFrame = requestAnimationFrame(animate);
       
+      const deltaTime = Math.max(0, time - lastTime);
+      lastTime = time;
+      
       // Atualizar controles
       if (this.controls) {
         this.controls.update();
       }
       
+      if (onFrame) {
+        onFrame(deltaTime);
+      }
+      
       // Executar callbacks
       this.renderCallbacks.forEach(callback => callback());
       
@@ -249,6 +260,109 @@ export class GameRenderer {
     return attackLine;
   }
   
+  /**
+   * Cria um projétil que voa até o alvo durante o tempo de voo
+   *
+   * Flechas são hastes apontadas na direção do voo; os demais projéteis são
+   * esferas. O projétil é removido ao fim do tempo de voo.
+   * @param {THREE.Vector3} start - Posição de disparo
+   * @param {Function} getTarget - Retorna a posição do alvo a cada quadro
+   *   (projéteis teleguiados seguem o alvo; os demais recebem uma posição fixa)
+   * @param {Object} options - { type, color, size, travelTime }
+   * @returns {THREE.Mesh} O projétil criado
+   */
+  createProjectile(start, getTarget, { type = 'bolt', color = 0xffffff, size = 0.25, travelTime = 300 } = {}) {
+    const geometry = type === 'arrow'
+      ? new THREE.BoxGeometry(0.05, 0.05, size)
+      : new THREE.SphereGeometry(size, 12, 12);
+    const material = new THREE.MeshBasicMaterial({ color });
+    
+    const projectile = new THREE.Mesh(geometry, material);
+    const from = new THREE.Vector3(start.x, start.y + 0.5, start.z);
+    projectile.position.copy(from);
+    this.scene.add(projectile);
+    
+    const startTime = performance.now();
+    const animateProjectile = () => {
+      const progress = travelTime > 0 ? Math.min((performance.now() - startTime) / travelTime, 1) : 1;
+      const target = getTarget();
+      const to = new THREE.Vector3(target.x, target.y + 0.5, target.z);
+      
+      projectile.position.lerpVectors(from, to, progress);
+      projectile.lookAt(to);
+      
+      if (progress < 1) {
+        requestAnimationFrame(animateProjectile);
+      } else {
+        this.scene.remove(projectile);
+        geometry.dispose();
+        material.dispose();
+      }
+    };
+    
+    animateProjectile();
+    return projectile;
+  }
+  
+  /**
+   * Cria a forma de uma área de efeito deitada no chão
+   * @param {Object} area - Área ({ shape: 'circle'|'square', radius })
+   * @param {number} color - Cor em formato hexadecimal
+   * @param {number} opacity - Opacidade inicial
+   * @returns {THREE.Mesh} A área criada (ainda fora da cena)
+   */
+  createAreaMesh(area, color, opacity = 0.4) {
+    const geometry = area.shape === 'square'
+      ? new THREE.PlaneGeometry(area.radius * 2, area.radius * 2)
+      : new THREE.CircleGeometry(area.radius, 48);
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.rotation.x = -Math.PI / 2; // Paralelo ao chão
+    return mesh;
+  }
+  
+  /**
+   * Cria o efeito no chão de uma habilidade de área
+   * @param {Object} center - Centro da área ({ x, z })
+   * @param {Object} area - Área ({ shape, radius })
+   * @param {number} color - Cor em formato hexadecimal
+   * @param {number} duration - Duração em milissegundos
+   * @returns {THREE.Mesh} O efeito criado
+   */
+  createGroundEffect(center, area, color = 0xff0000, duration = 600) {
+    const effect = this.createAreaMesh(area, color, 0.6);
+    effect.position.set(center.x, 0.04, center.z);
+    this.scene.add(effect);
+    
+    // Crescer até o tamanho da área e desaparecer ao longo da duração
+    const start = performance.now();
+    const animateEffect = () => {
+      const progress = Math.min((performance.now() - start) / duration, 1);
+      const scale = 0.3 + 0.7 * Math.min(progress * 3, 1);
+      
+      effect.scale.set(scale, scale, scale);
+      effect.material.opacity = 0.6 * (1 - progress);
+      
+      if (progress < 1) {
+        requestAnimationFrame(animateEffect);
+      } else {
+        this.scene.remove(effect);
+        effect.geometry.dispose();
+        effect.material.dispose();
+      }
+    };
+    
+    animateEffect();
+    return effect;
+  }
+  
   /**
    * Cria o solo do jogo
    */
@@ -0,0 +1,452 @@
+/**
+ * Definições das habilidades do jogo
+ *
+ * Módulo CommonJS compartilhado: o servidor valida e resolve o uso das
+ * habilidades, e o cliente usa as mesmas definições para exibir nome, ícone,
+ * custo e alcance.
+ */
+
+const { COMBAT_CONFIG, DAMAGE_TYPES, SKILL_TYPES } = require('../combat/combatConfig');
+const { AREA_SHAPES } = require('../combat/areaTargeting');
+const { PROJECTILE_TYPES } = require('../combat/projectiles');
+
+// Alvos possíveis de uma habilidade
+const SKILL_TARGETS = {
+  ENEMY: 'enemy',  // Monstro selecionado
+  SELF: 'self',    // O próprio personagem
+  GROUND: 'ground' // Posição no chão escolhida com a mira
+};
+
+// Pontos de habilidade de um personagem novo e ganhos a cada nível
+const SKILL_POINTS = {
+  initial: 1,
+  perLevel: 1
+};
+
+/**
+ * Monta os valores de cada nível de uma habilidade
+ * @param {number} maxLevel - Nível máximo
+ * @param {Function} valueAt - Recebe o nível (1..maxLevel) e retorna o valor
+ * @returns {Array<number>} Valores indexados por nível - 1
+ * @private
+ */
+function byLevel(maxLevel, valueAt) {
+  return Array.from({ length: maxLevel }, (_, index) => valueAt(index + 1));
+}
+
+// Definições indexadas pelo ID da habilidade
+//
+// `classes` lista as classes que podem aprender a habilidade (null = todas) e
+// `requiredLevel` é o nível de personagem mínimo. Valores que variam com o
+// nível da habilidade (mpCost, baseDamage, scaling, heal, duração e bônus dos
+// efeitos) são arrays indexados por nível - 1; números valem para todos os
+// níveis. `range` null usa o alcance de ataque da classe.
+//
+// `cooldown` é a recarga da própria habilidade em ms (padrão
+// COMBAT_CONFIG.DEFAULT_SKILL_COOLDOWN, 0 = apenas a recarga global) e
+// `globalCooldown` a recarga de todas as habilidades iniciada pelo uso
+// (padrão COMBAT_CONFIG.GLOBAL_SKILL_COOLDOWN, 0 = não inicia).
+//
+// `castTime` é o tempo de conjuração em ms (0 = instantânea): durante a
+// conjuração o personagem não se move nem age, e levar dano ou se mover a
+// interrompe, a menos que a habilidade seja `uninterruptible`.
+// `afterCastDelay` bloqueia todas as habilidades após o uso (prolonga a
+// recarga global).
+//
+// Habilidades de área (SKILL_TYPES.AREA) atingem todos os monstros dentro de
+// `area` ({ shape, radius }, ver AREA_SHAPES), centrada no próprio personagem
+// (alvo 'self') ou na posição escolhida (alvo 'ground', limitada a `range`).
+//
+// Habilidades de projétil (SKILL_TYPES.PROJECTILE) causam dano como as de
+// ataque, mas disparam um `projectile` (ver PROJECTILE_TYPES) e o dano só é
+// aplicado quando ele chega ao alvo.
+//
+// `effects` são efeitos de status com bônus de atributos aplicados ao alvo
+// (debuffs) ou ao próprio personagem (buffs), pelas CombatStats. Efeitos com
+// o ID de um efeito da biblioteca (ver STATUS_EFFECT_DEFINITIONS) herdam
+// nome, ícone, ações impedidas e demais valores que não forem informados.
+
+const SKILL_DEFINITIONS = {
+  // Todas as classes
+  first_aid: {
+    id: 'first_aid',
+    name: 'Primeiros Socorros',
+    description: 'Recupera um pouco de HP.',
+    icon: '🩹',
+    classes: null,
+    type: SKILL_TYPES.HEAL,
+    target: SKILL_TARGETS.SELF,
+    maxLevel: 1,
+    requiredLevel: 1,
+    mpCost: 3,
+    cooldown: 2000,
+    heal: 5
+  },
+  increase_agi: {
+    id: 'increase_agi',
+    name: 'Aumentar Agilidade',
+    description: 'Aumenta a esquiva e a velocidade de ataque.',
+    icon: '🪶',
+    classes: null,
+    type: SKILL_TYPES.BUFF,
+    target: SKILL_TARGETS.SELF,
+    maxLevel: 10,
+    requiredLevel: 5,
+    mpCost: byLevel(10, level => 15 + 3 * level),
+    cooldown: 5000,
+    effects: [{
+      id: 'increase_agi',
+      duration: byLevel(10, level => 40000 + 20000 * level),
+      bonuses: {
+        flee: byLevel(10, level => 2 + level),
+        attackSpeed: byLevel(10, level => 0.02 * level)
+      }
+    }]
+  },
+
+  // Cavaleiro e guerreiro
+  bash: {
+    id: 'bash',
+    name: 'Golpe Fulminante',
+    description: 'Golpe corpo a corpo com dano aumentado.',
+    icon: '💥',
+    classes: ['knight', 'warrior'],
+    type: SKILL_TYPES.ATTACK,
+    target: SKILL_TARGETS.ENEMY,
+    damageType: DAMAGE_TYPES.PHYSICAL,
+    maxLevel: 10,
+    requiredLevel: 1,
+    mpCost: byLevel(10, level => (level <= 5 ? 8 : 15)),
+    cooldown: 0,
+    range: null,
+    // Dano total de 130% a 400% do ataque
+    scaling: { attack: byLevel(10, level => 0.3 * level) }
+  },
+  provoke: {
+    id: 'provoke',
+    name: 'Provocar',
+    description: 'Provoca o alvo, reduzindo sua defesa e aumentando seu ataque.',
+    icon: '😠',
+    classes: ['knight'],
+    type: SKILL_TYPES.DEBUFF,
+    target: SKILL_TARGETS.ENEMY,
+    maxLevel: 10,
+    requiredLevel: 3,
+    mpCost: byLevel(10, level => 3 + level),
+    cooldown: 3000,
+    range: 6,
+    effects: [{
+      id: 'provoke',
+      name: 'Provocado',
+      type: 'debuff',
+      duration: 30000,
+      bonuses: {
+        defense: byLevel(10, level => -2 * level),
+        attack: byLevel(10, level => level)
+      }
+    }]
+  },
+  magnum_break: {
+    id: 'magnum_break',
+    name: 'Impacto Explosivo',
+    description: 'Explosão de fogo que atinge os inimigos ao redor.',
+    icon: '💢',
+    classes: ['knight', 'warrior'],
+    type: SKILL_TYPES.AREA,
+    target: SKILL_TARGETS.SELF,
+    damageType: DAMAGE_TYPES.FIRE,
+    maxLevel: 10,
+    requiredLevel: 5,
+    mpCost: 30,
+    cooldown: 2000,
+    area: { shape: AREA_SHAPES.CIRCLE, radius: 2.5 },
+    // Dano total de 120% a 300% do ataque em cada inimigo
+    scaling: { attack: byLevel(10, level => 0.2 * level) }
+  },
+  endure: {
+    id: 'endure',
+    name: 'Vigor',
+    description: 'Aumenta a defesa por alguns segundos.',
+    icon: '🛡️',
+    classes: ['knight', 'warrior'],
+    type: SKILL_TYPES.BUFF,
+    target: SKILL_TARGETS.SELF,
+    maxLevel: 10,
+    requiredLevel: 5,
+    mpCost: 10,
+    cooldown: 10000,
+    effects: [{
+      id: 'endure',
+      name: 'Vigor',
+      type: 'buff',
+      duration: byLevel(10, level => 7000 + 3000 * level),
+      bonuses: { defense: byLevel(10, level => level) }
+    }]
+  },
+
+  // Guerreiro
+  war_cry: {
+    id: 'war_cry',
+    name: 'Grito de Guerra',
+    description: 'Aumenta o ataque por alguns minutos.',
+    icon: '📣',
+    classes: ['warrior'],
+    type: SKILL_TYPES.BUFF,
+    target: SKILL_TARGETS.SELF,
+    maxLevel: 5,
+    requiredLevel: 3,
+    mpCost: 8,
+    cooldown: 10000,
+    castTime: 1000,
+    uninterruptible: true,
+    effects: [{
+      id: 'war_cry',
+      name: 'Grito de Guerra',
+      type: 'buff',
+      duration: 300000,
+      bonuses: { attack: byLevel(5, level => 2 * level) }
+    }]
+  },
+
+  // Mago
+  fire_bolt: {
+    id: 'fire_bolt',
+    name: 'Lanças de Fogo',
+    description: 'Dispara lanças de fogo contra o alvo.',
+    icon: '🔥',
+    classes: ['mage'],
+    type: SKILL_TYPES.PROJECTILE,
+    target: SKILL_TARGETS.ENEMY,
+    projectile: PROJECTILE_TYPES.BOLT,
+    damageType: DAMAGE_TYPES.FIRE,
+    maxLevel: 10,
+    requiredLevel: 1,
+    mpCost: byLevel(10, level => 10 + 2 * level),
+    cooldown: 2000,
+    castTime: byLevel(10, level => 400 + 200 * level),
+    afterCastDelay: byLevel(10, level => 800 + 200 * level),
+    range: 7,
+    baseDamage: byLevel(10, level => 8 * level),
+    scaling: { magicAttack: byLevel(10, level => 0.5 * level) }
+  },
+  cold_bolt: {
+    id: 'cold_bolt',
+    name: 'Lanças de Gelo',
+    description: 'Dispara lanças de gelo contra o alvo.',
+    icon: '❄️',
+    classes: ['mage'],
+    type: SKILL_TYPES.PROJECTILE,
+    target: SKILL_TARGETS.ENEMY,
+    projectile: PROJECTILE_TYPES.BOLT,
+    damageType: DAMAGE_TYPES.ICE,
+    maxLevel: 10,
+    requiredLevel: 1,
+    mpCost: byLevel(10, level => 10 + 2 * level),
+    cooldown: 2000,
+    castTime: byLevel(10, level => 400 + 200 * level),
+    afterCastDelay: byLevel(10, level => 800 + 200 * level),
+    range: 7,
+    baseDamage: byLevel(10, level => 8 * level),
+    scaling: { magicAttack: byLevel(10, level => 0.5 * level) }
+  },
+  lightning_bolt: {
+    id: 'lightning_bolt',
+    name: 'Relâmpago',
+    description: 'Atinge o alvo com relâmpagos.',
+    icon: '⚡',
+    classes: ['mage'],
+    type: SKILL_TYPES.PROJECTILE,
+    target: SKILL_TARGETS.ENEMY,
+    projectile: PROJECTILE_TYPES.BOLT,
+    damageType: DAMAGE_TYPES.LIGHTNING,
+    maxLevel: 10,
+    requiredLevel: 1,
+    mpCost: byLevel(10, level => 10 + 2 * level),
+    cooldown: 2000,
+    castTime: byLevel(10, level => 400 + 200 * level),
+    afterCastDelay: byLevel(10, level => 800 + 200 * level),
+    range: 7,
+    baseDamage: byLevel(10, level => 8 * level),
+    scaling: { magicAttack: byLevel(10, level => 0.5 * level) }
+  },
+  storm_gust: {
+    id: 'storm_gust',
+    name: 'Nevasca',
+    description: 'Invoca uma nevasca na área escolhida.',
+    icon: '🌨️',
+    classes: ['mage'],
+    type: SKILL_TYPES.AREA,
+    target: SKILL_TARGETS.GROUND,
+    damageType: DAMAGE_TYPES.ICE,
+    maxLevel: 10,
+    requiredLevel: 10,
+    mpCost: 60,
+    cooldown: 5000,
+    castTime: byLevel(10, level => 2500 + 250 * level),
+    afterCastDelay: 5000,
+    range: 9,
+    area: { shape: AREA_SHAPES.SQUARE, radius: 3 },
+    baseDamage: byLevel(10, level => 10 * level),
+    scaling: { magicAttack: byLevel(10, level => 0.4 * level) }
+  },
+
+  // Arqueiro
+  double_strafe: {
+    id: 'double_strafe',
+    name: 'Rajada de Flechas',
+    description: 'Dispara duas flechas de uma vez.',
+    icon: '🏹',
+    classes: ['archer'],
+    type: SKILL_TYPES.PROJECTILE,
+    target: SKILL_TARGETS.ENEMY,
+    projectile: PROJECTILE_TYPES.ARROW,
+    damageType: DAMAGE_TYPES.PHYSICAL,
+    maxLevel: 10,
+    requiredLevel: 1,
+    mpCost: 12,
+    cooldown: 0,
+    range: null,
+    // Duas flechas de 110% a 200% do ataque cada
+    scaling: { attack: byLevel(10, level => 1 + 0.2 * level) }
+  },
+  improve_concentration: {
+    id: 'improve_concentration',
+    name: 'Concentração',
+    description: 'Aumenta o ataque e a chance de crítico.',
+    icon: '🎯',
+    classes: ['archer'],
+    type: SKILL_TYPES.BUFF,
+    target: SKILL_TARGETS.SELF,
+    maxLevel: 10,
+    requiredLevel: 5,
+    mpCost: byLevel(10, level => 20 + 5 * level),
+    cooldown: 10000,
+    effects: [{
+      id: 'improve_concentration',
+      name: 'Concentração',
+      type: 'buff',
+      duration: byLevel(10, level => 40000 + 20000 * level),
+      bonuses: {
+        attack: byLevel(10, level => level),
+        critChance: byLevel(10, level => 0.01 * level)
+      }
+    }]
+  }
+};
+
+/**
+ * Obtém a definição de uma habilidade
+ * @param {string} skillId - ID da habilidade
+ * @returns {Object|null} Definição ou null se não existir
+ */
+function getSkillDefinition(skillId) {
+  return Object.prototype.hasOwnProperty.call(SKILL_DEFINITIONS, skillId)
+    ? SKILL_DEFINITIONS[skillId]
+    : null;
+}
+
+/**
+ * Obtém o nome de exibição de uma habilidade
+ * @param {string} skillId - ID da habilidade
+ * @returns {string} Nome da habilidade (ou o próprio ID se desconhecida)
+ */
+function getSkillName(skillId) {
+  const definition = getSkillDefinition(skillId);
+  return definition ? definition.name : skillId;
+}
+
+/**
+ * Lista as habilidades que uma classe pode aprender
+ * @param {string} characterClass - Classe do personagem
+ * @returns {Array<Object>} Definições, na ordem do registro
+ */
+function getClassSkills(characterClass) {
+  return Object.values(SKILL_DEFINITIONS)
+    .filter(definition => !definition.classes || definition.classes.includes(characterClass));
+}
+
+/**
+ * Obtém o valor de um atributo em um nível da habilidade
+ * @param {number|Array<number>} value - Valor fixo ou valores por nível
+ * @param {number} level - Nível da habilidade
+ * @returns {number} Valor no nível
+ */
+function getLevelValue(value, level) {
+  if (!Array.isArray(value)) return value;
+  return value[Math.min(Math.max(level, 1), value.length) - 1];
+}
+
+/**
+ * Resolve os valores por nível de um objeto de atributos ({ attack: [...], ... })
+ * @private
+ */
+function resolveLevelValues(values, level) {
+  return Object.entries(values).reduce((resolved, [key, value]) => {
+    resolved[key] = getLevelValue(value, level);
+    return resolved;
+  }, {});
+}
+
+/**
+ * Usa o valor padrão apenas quando o campo não foi definido (0 é válido)
+ * @private
+ */
+function withDefault(value, fallback) {
+  return value === undefined ? fallback : value;
+}
+
+/**
+ * Monta a habilidade usada pelo combate em um nível específico
+ *
+ * O resultado tem o formato esperado pelo uso de habilidades do servidor
+ * (skillUse) e por `DamageCalculator.calculateSkillDamage` (mpCost, cooldown,
+ * castTime, range, baseDamage, scaling, damageType, effects...).
+ * @param {Object} definition - Definição da habilidade
+ * @param {number} level - Nível da habilidade (limitado a 1..maxLevel)
+ * @returns {Object} Habilidade resolvida
+ */
+function resolveSkill(definition, level) {
+  const skillLevel = Math.min(Math.max(level, 1), definition.maxLevel);
+
+  return {
+    id: definition.id,
+    name: definition.name,
+    icon: definition.icon,
+    type: definition.type,
+    target: definition.target,
+    damageType: definition.damageType || DAMAGE_TYPES.PHYSICAL,
+    level: skillLevel,
+    mpCost: getLevelValue(definition.mpCost || 0, skillLevel),
+    cooldown: getLevelValue(withDefault(definition.cooldown, COMBAT_CONFIG.DEFAULT_SKILL_COOLDOWN), skillLevel),
+    globalCooldown: withDefault(definition.globalCooldown, COMBAT_CONFIG.GLOBAL_SKILL_COOLDOWN),
+    castTime: getLevelValue(definition.castTime || 0, skillLevel),
+    afterCastDelay: getLevelValue(definition.afterCastDelay || 0, skillLevel),
+    uninterruptible: Boolean(definition.uninterruptible),
+    area: definition.area
+      ? { shape: definition.area.shape || AREA_SHAPES.CIRCLE, radius: getLevelValue(definition.area.radius, skillLevel) }
+      : null,
+    projectile: definition.projectile || null,
+    range: definition.range || null,
+    baseDamage: getLevelValue(definition.baseDamage || 0, skillLevel),
+    scaling: resolveLevelValues(definition.scaling || {}, skillLevel),
+    heal: getLevelValue(definition.heal || 0, skillLevel),
+    effects: (definition.effects || []).map(effect => ({
+      id: effect.id,
+      name: effect.name,
+      type: effect.type,
+      duration: getLevelValue(effect.duration, skillLevel),
+      bonuses: resolveLevelValues(effect.bonuses || {}, skillLevel)
+    }))
+  };
+}
+
+module.exports = {
+  SKILL_TARGETS,
+  SKILL_POINTS,
+  SKILL_DEFINITIONS,
+  getSkillDefinition,
+  getSkillName,
+  getClassSkills,
+  getLevelValue,
+  resolveSkill
+};
@@ -0,0 +1,226 @@
+import { createElement, makeDraggable } from '../utils/helpers';
+import { EQUIPMENT_SLOTS, getItemDefinition } from '../items/itemDefinitions';
+
+// Rótulos dos bônus de equipamento
+const BONUS_LABELS = {
+  attack: 'ATQ',
+  magicAttack: 'MATQ',
+  defense: 'DEF',
+  magicDefense: 'MDEF',
+  maxHp: 'HP',
+  maxMp: 'MP',
+  hit: 'HIT',
+  flee: 'FLEE',
+  critChance: 'Crítico',
+  perfectDodge: 'Esquiva perfeita',
+  attackSpeed: 'ASPD'
+};
+
+// Bônus exibidos em porcentagem
+const PERCENT_BONUSES = ['critChance', 'perfectDodge', 'attackSpeed'];
+
+/**
+ * Descreve os bônus de um equipamento ou a soma dos bônus equipados
+ * @param {Object} bonuses - { attack, defense, magicDefense, maxHp, maxMp, hit, flee, critChance, perfectDodge, resistances }
+ * @returns {string} Texto como "ATQ +25 · DEF +4"
+ */
+export const describeBonuses = (bonuses = {}) => {
+  const parts = Object.entries(BONUS_LABELS)
+    .filter(([stat]) => bonuses[stat])
+    .map(([stat, label]) => {
+      const value = PERCENT_BONUSES.includes(stat) ? `${Math.round(bonuses[stat] * 100)}%` : bonuses[stat];
+      return `${label} +${value}`;
+    });
+
+  Object.entries(bonuses.resistances || {})
+    .filter(([, value]) => value)
+    .forEach(([type, value]) => parts.push(`Res. ${type} +${value}%`));
+
+  return parts.join(' · ');
+};
+
+/**
+ * Janela de equipamentos do jogador
+ *
+ * Exibe os slots enviados pelo servidor ('equipmentUpdate'). Clicar em um slot
+ * ocupado desequipa o item; arrastar um item da janela de inventário para um
+ * slot equipa o item nele. As ações são repassadas ao callback `onAction`.
+ */
+export class EquipmentWindow {
+  /**
+   * @param {Function} onAction - Chamado com (action, payload) ao equipar/desequipar
+   */
+  constructor(onAction) {
+    this.onAction = onAction;
+    this.equipment = { slots: {}, bonuses: {} };
+    this.visible = false;
+
+    this.createElements();
+  }
+
+  /**
+   * Cria a estrutura da janela (oculta por padrão)
+   * @private
+   */
+  createElements() {
+    this.element = createElement('div', {
+      position: 'absolute',
+      bottom: '50px',
+      left: '290px',
+      width: '240px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      color: 'white',
+      border: '1px solid #555',
+      borderRadius: '5px',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '12px',
+      zIndex: '900',
+      display: 'none',
+      userSelect: 'none'
+    }, { id: 'equipment-window' }, '', document.body);
+
+    // Barra de título (área de arraste)
+    const titleBar = createElement('div', {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      padding: '5px 8px',
+      backgroundColor: 'rgba(255, 255, 255, 0.1)',
+      borderBottom: '1px solid #555',
+      fontWeight: 'bold'
+    }, {}, '', this.element);
+
+    createElement('span', {}, {}, 'Equipamentos', titleBar);
+
+    const closeButton = createElement('span', {
+      cursor: 'pointer',
+      padding: '0 4px'
+    }, { title: 'Fechar [E]' }, '✕', titleBar);
+    closeButton.addEventListener('mousedown', (event) => event.stopPropagation());
+    closeButton.addEventListener('click', () => this.hide());
+
+    makeDraggable(this.element, titleBar);
+
+    // Lista de slots
+    this.slotsElement = createElement('div', {
+      padding: '6px 8px'
+    }, {}, '', this.element);
+
+    // Atributos resultantes
+    this.statsElement = createElement('div', {
+      padding: '6px 8px',
+      borderTop: '1px solid #555',
+      color: '#ccc'
+    }, {}, '', this.element);
+  }
+
+  /**
+   * Atualiza a janela com os equipamentos enviados pelo servidor
+   * @param {Object} equipment - { slots, bonuses, attack, defense, magicDefense, hit, flee, critChance, perfectDodge }
+   */
+  update(equipment) {
+    this.equipment = equipment;
+    this.render();
+  }
+
+  /**
+   * Redesenha slots e atributos
+   * @private
+   */
+  render() {
+    const { slots, bonuses, attack, magicAttack, defense, magicDefense, hit, flee, critChance, perfectDodge } = this.equipment;
+
+    this.slotsElement.innerHTML = '';
+    Object.entries(EQUIPMENT_SLOTS).forEach(([slot, info]) => {
+      this.createSlotRow(slot, info.name, slots[slot]);
+    });
+
+    const summary = describeBonuses(bonuses);
+    this.statsElement.textContent = `ATQ ${attack} · MATQ ${magicAttack || 0} · DEF ${defense} · MDEF ${magicDefense || 0} · HIT ${hit || 0} · FLEE ${flee || 0}` +
+      ` · Crítico ${Math.round((critChance || 0) * 100)}% · Esquiva perfeita ${Math.round((perfectDodge || 0) * 100)}%` +
+      (summary ? ` (equip.: ${summary})` : '');
+  }
+
+  /**
+   * Cria a linha de um slot
+   * @private
+   */
+  createSlotRow(slot, label, itemId) {
+    const definition = getItemDefinition(itemId);
+
+    const row = createElement('div', {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      padding: '3px 4px',
+      marginBottom: '3px',
+      backgroundColor: 'rgba(255, 255, 255, 0.08)',
+      border: '1px solid #444',
+      borderRadius: '3px',
+      cursor: definition ? 'pointer' : 'default'
+    }, {
+      title: definition ? `${describeBonuses(definition.equip.bonuses)} (clique para remover)` : label
+    }, '', this.slotsElement);
+
+    createElement('span', {
+      width: '70px',
+      color: '#999'
+    }, {}, label, row);
+
+    createElement('span', {
+      fontSize: '16px'
+    }, {}, definition ? definition.icon : '', row);
+
+    createElement('span', {}, {}, definition ? definition.name : '—', row);
+
+    if (definition) {
+      row.addEventListener('click', () => this.onAction('unequip', { slot }));
+    }
+
+    // Itens arrastados da janela de inventário
+    row.addEventListener('dragover', (event) => event.preventDefault());
+    row.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const uid = event.dataTransfer.getData('text/plain');
+      if (uid) {
+        this.onAction('equip', { uid, slot });
+      }
+    });
+  }
+
+  /**
+   * Alterna a visibilidade da janela
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Mostra a janela
+   */
+  show() {
+    this.visible = true;
+    this.element.style.display = 'block';
+  }
+
+  /**
+   * Esconde a janela
+   */
+  hide() {
+    this.visible = false;
+    this.element.style.display = 'none';
+  }
+
+  /**
+   * Remove a janela do DOM
+   */
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,310 @@
+import { createElement } from '../utils/helpers';
+import { getItemDefinition, getItemName } from '../items/itemDefinitions';
+import { getSkillDefinition } from '../skills/skillDefinitions';
+import { SkillCooldowns } from '../combat/SkillCooldowns';
+
+// Tamanho de cada slot em pixels
+const SLOT_SIZE = 40;
+
+/**
+ * Barra de atalhos (teclas 1-9)
+ *
+ * Os slots são enviados pelo servidor ('hotbarUpdate'). Itens e habilidades
+ * são colocados arrastando-os das janelas de inventário e de habilidades; o
+ * botão direito limpa o slot. A barra também mostra a quantidade no
+ * inventário, o nível das habilidades e, com um giro radial, a recarga do
+ * grupo do item ou da habilidade (incluindo a recarga global).
+ */
+export class Hotbar {
+  /**
+   * @param {Object} callbacks - Callbacks da barra
+   * @param {Function} callbacks.onUse - Chamado com (index) ao clicar em um slot
+   * @param {Function} callbacks.onAssign - Chamado com (index, entry) ao alterar um slot
+   */
+  constructor(callbacks = {}) {
+    this.onUse = callbacks.onUse || (() => {});
+    this.onAssign = callbacks.onAssign || (() => {});
+    this.entries = [];
+    this.inventory = { items: [] };
+    this.skillManager = null;
+    this.cooldowns = new Map(); // grupo -> { start, end }
+    this.skillCooldowns = new SkillCooldowns();
+    this.slotElements = [];
+
+    this.element = createElement('div', {
+      position: 'absolute',
+      bottom: '10px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      display: 'flex',
+      gap: '4px',
+      padding: '4px',
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      border: '1px solid #444',
+      borderRadius: '4px',
+      zIndex: '800',
+      userSelect: 'none'
+    }, { id: 'hotbar' }, '', document.body);
+  }
+
+  /**
+   * Atualiza os slots com a barra enviada pelo servidor
+   * @param {Array<Object|null>} entries - Entradas ({ type: 'item'|'skill', id }) ou null
+   */
+  update(entries) {
+    this.entries = entries;
+    this.render();
+  }
+
+  /**
+   * Atualiza as quantidades exibidas com o inventário atual
+   * @param {Object} inventory - { items, weight, maxWeight, maxSlots }
+   */
+  updateInventory(inventory) {
+    this.inventory = inventory;
+    this.render();
+  }
+
+  /**
+   * Atualiza os níveis exibidos nos atalhos de habilidade
+   * @param {SkillManager} skillManager - Habilidades aprendidas
+   */
+  updateSkills(skillManager) {
+    this.skillManager = skillManager;
+    this.render();
+  }
+
+  /**
+   * Redesenha todos os slots
+   * @private
+   */
+  render() {
+    this.element.innerHTML = '';
+    this.slotElements = this.entries.map((entry, index) => this.createSlot(entry, index));
+  }
+
+  /**
+   * Cria o elemento de um slot
+   * @private
+   */
+  createSlot(entry, index) {
+    if (entry && entry.type === 'skill') {
+      return this.createSkillSlot(entry, index);
+    }
+
+    const definition = entry && entry.type === 'item' ? getItemDefinition(entry.id) : null;
+    const quantity = definition ? this.countItem(definition.id) : 0;
+
+    const slot = this.createSlotElement(index, definition ? definition.icon : '', {
+      title: definition ? `${getItemName(definition.id)} (botão direito para remover)` : 'Arraste um item ou habilidade',
+      active: Boolean(definition),
+      dimmed: Boolean(definition) && quantity === 0
+    });
+
+    if (definition && quantity > 0) {
+      createElement('span', {
+        position: 'absolute',
+        right: '2px',
+        bottom: '0',
+        fontSize: '10px',
+        color: 'white',
+        textShadow: '1px 1px 1px black'
+      }, {}, String(quantity), slot);
+    }
+
+    const cooldownOverlay = this.createCooldownOverlay(slot);
+    this.bindSlotEvents(slot, entry, index, Boolean(definition));
+
+    return { slot, cooldownOverlay, definition };
+  }
+
+  /**
+   * Cria o elemento de um slot com atalho de habilidade
+   * @private
+   */
+  createSkillSlot(entry, index) {
+    const definition = getSkillDefinition(entry.id);
+    const level = this.skillManager ? this.skillManager.getLevel(entry.id) : 0;
+
+    const slot = this.createSlotElement(index, definition ? definition.icon : '', {
+      title: definition ? `${definition.name} Nv ${level} (botão direito para remover)` : '',
+      active: level > 0,
+      dimmed: level === 0
+    });
+
+    if (level > 0) {
+      createElement('span', {
+        position: 'absolute',
+        right: '2px',
+        bottom: '0',
+        fontSize: '10px',
+        color: '#ffd966',
+        textShadow: '1px 1px 1px black'
+      }, {}, `Nv${level}`, slot);
+    }
+
+    const cooldownOverlay = this.createCooldownOverlay(slot);
+    this.bindSlotEvents(slot, entry, index, level > 0);
+
+    return { slot, cooldownOverlay, definition: null, skillId: level > 0 ? entry.id : null };
+  }
+
+  /**
+   * Cria o quadro de um slot com o ícone e a tecla do atalho
+   * @private
+   */
+  createSlotElement(index, icon, { title, active, dimmed }) {
+    const slot = createElement('div', {
+      position: 'relative',
+      width: `${SLOT_SIZE}px`,
+      height: `${SLOT_SIZE}px`,
+      backgroundColor: 'rgba(255, 255, 255, 0.08)',
+      border: '1px solid #555',
+      borderRadius: '3px',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontSize: '20px',
+      cursor: active ? 'pointer' : 'default',
+      overflow: 'hidden',
+      opacity: dimmed ? '0.4' : '1'
+    }, { title }, icon, this.element);
+
+    // Tecla do atalho
+    createElement('span', {
+      position: 'absolute',
+      left: '2px',
+      top: '0',
+      fontSize: '9px',
+      color: '#aaa'
+    }, {}, String(index + 1), slot);
+
+    return slot;
+  }
+
+  /**
+   * Cria a camada de recarga (setor escuro proporcional ao tempo restante)
+   * @private
+   */
+  createCooldownOverlay(slot) {
+    return createElement('div', {
+      position: 'absolute',
+      left: '0',
+      top: '0',
+      width: '100%',
+      height: '100%',
+      pointerEvents: 'none'
+    }, {}, null, slot);
+  }
+
+  /**
+   * Registra clique, remoção e soltura de itens/habilidades em um slot
+   * @private
+   */
+  bindSlotEvents(slot, entry, index, usable) {
+    slot.addEventListener('click', () => {
+      if (usable) this.onUse(index);
+    });
+    slot.addEventListener('contextmenu', (event) => {
+      event.preventDefault();
+      if (entry) this.onAssign(index, null);
+    });
+
+    // Itens e habilidades arrastados das janelas de inventário e de habilidades
+    slot.addEventListener('dragover', (event) => event.preventDefault());
+    slot.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const itemId = event.dataTransfer.getData('application/x-item-id');
+      const skillId = event.dataTransfer.getData('application/x-skill-id');
+      if (skillId) {
+        this.onAssign(index, { type: 'skill', id: skillId });
+      } else if (itemId) {
+        this.onAssign(index, { type: 'item', id: itemId });
+      }
+    });
+  }
+
+  /**
+   * Soma a quantidade de um item em todas as pilhas do inventário
+   * @private
+   */
+  countItem(itemId) {
+    return this.inventory.items
+      .filter(stack => stack.itemId === itemId)
+      .reduce((total, stack) => total + stack.quantity, 0);
+  }
+
+  /**
+   * Inicia a recarga de um grupo de itens
+   * @param {string} group - Grupo de recarga
+   * @param {number} duration - Duração em ms
+   */
+  startCooldown(group, duration) {
+    if (!group || !duration) return;
+
+    const now = Date.now();
+    this.cooldowns.set(group, { start: now, end: now + duration });
+  }
+
+  /**
+   * Verifica se um item está em recarga
+   * @param {string} itemId - ID do item
+   * @returns {boolean} Se o grupo do item está em recarga
+   */
+  isOnCooldown(itemId) {
+    const definition = getItemDefinition(itemId);
+    const cooldown = definition && this.cooldowns.get(definition.cooldownGroup);
+    return Boolean(cooldown && Date.now() < cooldown.end);
+  }
+
+  /**
+   * Inicia a recarga de uma habilidade e a recarga global
+   * @param {string} skillId - ID da habilidade
+   * @param {number} cooldown - Recarga da habilidade em ms
+   * @param {number} globalCooldown - Recarga global em ms
+   */
+  startSkillCooldown(skillId, cooldown, globalCooldown = 0) {
+    this.skillCooldowns.start(skillId, cooldown || 0, globalCooldown || 0);
+  }
+
+  /**
+   * Verifica se uma habilidade está em recarga (própria ou global)
+   * @param {string} skillId - ID da habilidade
+   * @returns {boolean} Se a habilidade está em recarga
+   */
+  isSkillOnCooldown(skillId) {
+    return !this.skillCooldowns.isReady(skillId);
+  }
+
+  /**
+   * Atualiza as camadas de recarga
+   *
+   * Chamado a cada quadro pelo loop de animação, via UserInterface.updateTimers
+   * (atualizador 'ui-timers' do jogo).
+   */
+  updateCooldowns() {
+    const now = Date.now();
+
+    this.slotElements.forEach(({ cooldownOverlay, definition, skillId }) => {
+      const cooldown = skillId
+        ? this.skillCooldowns.getCooldown(skillId, now)
+        : definition && this.cooldowns.get(definition.cooldownGroup);
+      const remaining = cooldown ? Math.max(0, cooldown.end - now) : 0;
+      const percent = remaining > 0 ? (remaining / (cooldown.end - cooldown.start)) * 100 : 0;
+
+      // O setor escuro começa no topo e diminui no sentido horário
+      cooldownOverlay.style.background = percent > 0
+        ? `conic-gradient(transparent ${100 - percent}%, rgba(0, 0, 0, 0.6) 0)`
+        : 'none';
+    });
+  }
+
+  /**
+   * Remove a barra do DOM
+   */
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+} 
\ No newline at end of file
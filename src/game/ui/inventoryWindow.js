@@ -0,0 +1,328 @@
+import { createElement, makeDraggable } from '../utils/helpers';
+import { ITEM_TYPES, getItemDefinition, getItemName } from '../items/itemDefinitions';
+import { describeBonuses } from './equipmentWindow';
+
+// Número de colunas da grade de slots
+const GRID_COLUMNS = 5;
+
+/**
+ * Janela de inventário do jogador
+ *
+ * Apenas exibe o estado enviado pelo servidor ('inventoryUpdate'); as ações
+ * (usar, dividir, juntar, largar) são repassadas ao callback `onAction` e só
+ * têm efeito depois de validadas pelo servidor.
+ */
+export class InventoryWindow {
+  /**
+   * @param {Function} onAction - Chamado com (action, payload) ao usar/dividir/juntar/largar
+   */
+  constructor(onAction) {
+    this.onAction = onAction;
+    this.inventory = { items: [], weight: 0, maxWeight: 0, maxSlots: 0 };
+    this.selectedUid = null;
+    this.visible = false;
+
+    this.createElements();
+  }
+
+  /**
+   * Cria a estrutura da janela (oculta por padrão)
+   * @private
+   */
+  createElements() {
+    this.element = createElement('div', {
+      position: 'absolute',
+      bottom: '50px',
+      left: '10px',
+      width: '260px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      color: 'white',
+      border: '1px solid #555',
+      borderRadius: '5px',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '12px',
+      zIndex: '900',
+      display: 'none',
+      userSelect: 'none'
+    }, { id: 'inventory-window' }, '', document.body);
+
+    // Barra de título (área de arraste)
+    const titleBar = createElement('div', {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      padding: '5px 8px',
+      backgroundColor: 'rgba(255, 255, 255, 0.1)',
+      borderBottom: '1px solid #555',
+      fontWeight: 'bold'
+    }, {}, '', this.element);
+
+    createElement('span', {}, {}, 'Inventário', titleBar);
+
+    const closeButton = createElement('span', {
+      cursor: 'pointer',
+      padding: '0 4px'
+    }, { title: 'Fechar [I]' }, '✕', titleBar);
+    closeButton.addEventListener('mousedown', (event) => event.stopPropagation());
+    closeButton.addEventListener('click', () => this.hide());
+
+    makeDraggable(this.element, titleBar);
+
+    // Peso carregado
+    this.weightElement = createElement('div', {
+      padding: '5px 8px'
+    }, {}, '', this.element);
+
+    // Grade de slots
+    this.gridElement = createElement('div', {
+      display: 'grid',
+      gridTemplateColumns: `repeat(${GRID_COLUMNS}, 44px)`,
+      gap: '4px',
+      padding: '0 8px 8px',
+      maxHeight: '240px',
+      overflowY: 'auto'
+    }, {}, '', this.element);
+
+    // Detalhes do item selecionado e ações
+    const footer = createElement('div', {
+      padding: '6px 8px',
+      borderTop: '1px solid #555'
+    }, {}, '', this.element);
+
+    this.detailsElement = createElement('div', {
+      minHeight: '16px',
+      marginBottom: '6px',
+      color: '#ccc'
+    }, {}, 'Selecione um item', footer);
+
+    const actions = createElement('div', {
+      display: 'flex',
+      gap: '4px',
+      alignItems: 'center'
+    }, {}, '', footer);
+
+    this.quantityInput = createElement('input', {
+      width: '44px',
+      padding: '2px',
+      backgroundColor: '#222',
+      color: 'white',
+      border: '1px solid #555'
+    }, { type: 'number', min: '1', value: '1', title: 'Quantidade' }, '', actions);
+
+    // Evitar que as teclas digitadas acionem os atalhos do jogo
+    this.quantityInput.addEventListener('keydown', (event) => event.stopPropagation());
+
+    this.createActionButton('Usar', actions, () => this.useSelected());
+    this.createActionButton('Dividir', actions, () => this.emitSelected('split'));
+    this.createActionButton('Largar', actions, () => this.emitSelected('drop'));
+  }
+
+  /**
+   * Cria um botão de ação no rodapé
+   * @private
+   */
+  createActionButton(label, parent, onClick) {
+    const button = createElement('button', {
+      flex: '1',
+      padding: '3px',
+      backgroundColor: '#333',
+      color: 'white',
+      border: '1px solid #666',
+      borderRadius: '3px',
+      cursor: 'pointer',
+      fontSize: '12px'
+    }, {}, label, parent);
+
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Atualiza a janela com o inventário enviado pelo servidor
+   * @param {Object} inventory - { items, weight, maxWeight, maxSlots }
+   */
+  update(inventory) {
+    this.inventory = inventory;
+
+    // A pilha selecionada pode ter sido consumida ou largada
+    if (!inventory.items.some(stack => stack.uid === this.selectedUid)) {
+      this.selectedUid = null;
+    }
+
+    this.render();
+  }
+
+  /**
+   * Redesenha peso, slots e detalhes
+   * @private
+   */
+  render() {
+    const { items, weight, maxWeight, maxSlots } = this.inventory;
+
+    this.weightElement.textContent = `Peso: ${weight}/${maxWeight} · Slots: ${items.length}/${maxSlots}`;
+    // Destacar em vermelho acima de 90% da capacidade
+    this.weightElement.style.color = maxWeight && weight / maxWeight > 0.9 ? '#ff6b6b' : 'white';
+
+    this.gridElement.innerHTML = '';
+    items.forEach(stack => this.createSlot(stack));
+
+    this.renderDetails();
+  }
+
+  /**
+   * Cria o elemento de um slot com a pilha de itens
+   * @private
+   */
+  createSlot(stack) {
+    const definition = getItemDefinition(stack.itemId);
+    const selected = stack.uid === this.selectedUid;
+
+    const slot = createElement('div', {
+      position: 'relative',
+      width: '44px',
+      height: '44px',
+      backgroundColor: selected ? 'rgba(255, 215, 0, 0.25)' : 'rgba(255, 255, 255, 0.08)',
+      border: selected ? '1px solid #ffd700' : '1px solid #444',
+      borderRadius: '3px',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      fontSize: '22px',
+      cursor: 'pointer',
+      boxSizing: 'border-box'
+    }, {
+      draggable: 'true',
+      title: definition ? definition.name : stack.itemId
+    }, definition ? definition.icon : '?', this.gridElement);
+
+    if (stack.quantity > 1) {
+      createElement('span', {
+        position: 'absolute',
+        right: '2px',
+        bottom: '1px',
+        fontSize: '10px',
+        textShadow: '1px 1px 1px black'
+      }, {}, String(stack.quantity), slot);
+    }
+
+    slot.addEventListener('click', () => this.select(stack.uid));
+    slot.addEventListener('dblclick', () => {
+      this.select(stack.uid);
+      this.useSelected();
+    });
+
+    // Arrastar uma pilha sobre outra do mesmo item junta as duas
+    slot.addEventListener('dragstart', (event) => {
+      event.dataTransfer.setData('text/plain', stack.uid);
+      // Usado pela barra de atalhos, que guarda o item e não a pilha
+      event.dataTransfer.setData('application/x-item-id', stack.itemId);
+    });
+    slot.addEventListener('dragover', (event) => event.preventDefault());
+    slot.addEventListener('drop', (event) => {
+      event.preventDefault();
+      const fromUid = event.dataTransfer.getData('text/plain');
+      if (fromUid && fromUid !== stack.uid) {
+        this.onAction('stack', { fromUid, toUid: stack.uid });
+      }
+    });
+  }
+
+  /**
+   * Mostra nome, quantidade e peso da pilha selecionada
+   * @private
+   */
+  renderDetails() {
+    const stack = this.getSelected();
+    if (!stack) {
+      this.detailsElement.textContent = 'Selecione um item';
+      return;
+    }
+
+    const definition = getItemDefinition(stack.itemId);
+    const weight = definition ? definition.weight * stack.quantity : 0;
+    let text = `${getItemName(stack.itemId)} x${stack.quantity} (peso ${weight})`;
+    
+    if (definition && definition.equip) {
+      text += ` · Nv. ${definition.equip.level || 1} · ${describeBonuses(definition.equip.bonuses)}`;
+    }
+    this.detailsElement.textContent = text;
+  }
+
+  /**
+   * Seleciona uma pilha
+   * @param {string} uid - Identificador da pilha
+   */
+  select(uid) {
+    this.selectedUid = uid;
+    this.render();
+  }
+
+  /**
+   * Obtém a pilha selecionada
+   * @returns {Object|null} Pilha ou null
+   */
+  getSelected() {
+    return this.inventory.items.find(stack => stack.uid === this.selectedUid) || null;
+  }
+
+  /**
+   * Usa o item selecionado (equipamentos são equipados)
+   * @private
+   */
+  useSelected() {
+    const stack = this.getSelected();
+    if (!stack) return;
+    
+    const definition = getItemDefinition(stack.itemId);
+    const action = definition && definition.type === ITEM_TYPES.EQUIPMENT ? 'equip' : 'use';
+    this.onAction(action, { uid: stack.uid });
+  }
+
+  /**
+   * Envia uma ação com a quantidade informada para a pilha selecionada
+   * @private
+   */
+  emitSelected(action) {
+    const stack = this.getSelected();
+    if (!stack) return;
+
+    const quantity = parseInt(this.quantityInput.value, 10);
+    this.onAction(action, { uid: stack.uid, quantity });
+  }
+
+  /**
+   * Alterna a visibilidade da janela
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Mostra a janela
+   */
+  show() {
+    this.visible = true;
+    this.element.style.display = 'block';
+  }
+
+  /**
+   * Esconde a janela
+   */
+  hide() {
+    this.visible = false;
+    this.element.style.display = 'none';
+  }
+
+  /**
+   * Remove a janela do DOM
+   */
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,204 @@
+import { createElement, makeDraggable } from '../utils/helpers';
+import { getLevelValue } from '../skills/skillDefinitions';
+
+/**
+ * Janela de habilidades do jogador
+ *
+ * Lista as habilidades da classe com o nível aprendido e os pontos
+ * disponíveis ('skillsUpdate'). O botão "+" gasta um ponto, clicar em uma
+ * habilidade aprendida a usa e arrastá-la para a barra de atalhos cria um
+ * atalho. As ações são repassadas ao callback `onAction`.
+ */
+export class SkillWindow {
+  /**
+   * @param {Function} onAction - Chamado com (action, payload): 'learn' ou 'use' com { skillId }
+   */
+  constructor(onAction) {
+    this.onAction = onAction;
+    this.skillManager = null;
+    this.characterLevel = 1;
+    this.visible = false;
+
+    this.createElements();
+  }
+
+  /**
+   * Cria a estrutura da janela (oculta por padrão)
+   * @private
+   */
+  createElements() {
+    this.element = createElement('div', {
+      position: 'absolute',
+      bottom: '50px',
+      left: '540px',
+      width: '260px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      color: 'white',
+      border: '1px solid #555',
+      borderRadius: '5px',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '12px',
+      zIndex: '900',
+      display: 'none',
+      userSelect: 'none'
+    }, { id: 'skill-window' }, '', document.body);
+
+    // Barra de título (área de arraste)
+    const titleBar = createElement('div', {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      padding: '5px 8px',
+      backgroundColor: 'rgba(255, 255, 255, 0.1)',
+      borderBottom: '1px solid #555',
+      fontWeight: 'bold'
+    }, {}, '', this.element);
+
+    createElement('span', {}, {}, 'Habilidades', titleBar);
+
+    const closeButton = createElement('span', {
+      cursor: 'pointer',
+      padding: '0 4px'
+    }, { title: 'Fechar [K]' }, '✕', titleBar);
+    closeButton.addEventListener('mousedown', (event) => event.stopPropagation());
+    closeButton.addEventListener('click', () => this.hide());
+
+    makeDraggable(this.element, titleBar);
+
+    // Lista de habilidades
+    this.listElement = createElement('div', {
+      padding: '6px 8px',
+      maxHeight: '320px',
+      overflowY: 'auto'
+    }, {}, '', this.element);
+
+    // Pontos disponíveis
+    this.pointsElement = createElement('div', {
+      padding: '6px 8px',
+      borderTop: '1px solid #555',
+      color: '#ccc'
+    }, {}, '', this.element);
+  }
+
+  /**
+   * Atualiza a janela com as habilidades do jogador
+   * @param {SkillManager} skillManager - Habilidades aprendidas e pontos
+   * @param {number} characterLevel - Nível do personagem (requisito das habilidades)
+   */
+  update(skillManager, characterLevel) {
+    this.skillManager = skillManager;
+    this.characterLevel = characterLevel || 1;
+    this.render();
+  }
+
+  /**
+   * Redesenha a lista de habilidades
+   * @private
+   */
+  render() {
+    if (!this.skillManager) return;
+
+    this.listElement.innerHTML = '';
+    this.skillManager.getClassSkills().forEach(definition => this.createSkillRow(definition));
+
+    this.pointsElement.textContent = `Pontos de habilidade: ${this.skillManager.points}`;
+  }
+
+  /**
+   * Cria a linha de uma habilidade
+   * @private
+   */
+  createSkillRow(definition) {
+    const level = this.skillManager.getLevel(definition.id);
+    const mpCost = getLevelValue(definition.mpCost || 0, Math.max(level, 1));
+    const locked = this.characterLevel < definition.requiredLevel;
+
+    const row = createElement('div', {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      padding: '3px 4px',
+      marginBottom: '3px',
+      backgroundColor: 'rgba(255, 255, 255, 0.08)',
+      border: '1px solid #444',
+      borderRadius: '3px',
+      cursor: level > 0 ? 'pointer' : 'default',
+      opacity: level > 0 ? '1' : '0.6'
+    }, {
+      title: `${definition.description}` +
+        (locked ? ` (requer nível ${definition.requiredLevel})` : '') +
+        (level > 0 ? ' — clique para usar ou arraste para a barra de atalhos' : ''),
+      draggable: level > 0 ? 'true' : 'false'
+    }, '', this.listElement);
+
+    createElement('span', {
+      fontSize: '16px',
+      width: '20px',
+      textAlign: 'center'
+    }, {}, definition.icon, row);
+
+    const info = createElement('div', { flex: '1' }, {}, '', row);
+    createElement('div', {}, {}, definition.name, info);
+    createElement('div', {
+      fontSize: '10px',
+      color: '#999'
+    }, {}, `Nv ${level}/${definition.maxLevel} · MP ${mpCost}`, info);
+
+    // Gastar um ponto na habilidade
+    if (level < definition.maxLevel && !locked && this.skillManager.points > 0) {
+      const learnButton = createElement('span', {
+        padding: '0 6px',
+        border: '1px solid #777',
+        borderRadius: '3px',
+        cursor: 'pointer'
+      }, { title: 'Aprender (1 ponto)' }, '+', row);
+      learnButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.onAction('learn', { skillId: definition.id });
+      });
+    }
+
+    if (level > 0) {
+      row.addEventListener('click', () => this.onAction('use', { skillId: definition.id }));
+      row.addEventListener('dragstart', (event) => {
+        event.dataTransfer.setData('application/x-skill-id', definition.id);
+      });
+    }
+  }
+
+  /**
+   * Alterna a visibilidade da janela
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Mostra a janela
+   */
+  show() {
+    this.visible = true;
+    this.element.style.display = 'block';
+  }
+
+  /**
+   * Esconde a janela
+   */
+  hide() {
+    this.visible = false;
+    this.element.style.display = 'none';
+  }
+
+  /**
+   * Remove a janela do DOM
+   */
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+} 
\ No newline at end of file
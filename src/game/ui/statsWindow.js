@@ -0,0 +1,209 @@
+import { createElement, makeDraggable } from '../utils/helpers';
+import { PRIMARY_STATS, STAT_NAMES, STAT_POINTS } from '../combat/PrimaryStats';
+
+// Atributos derivados exibidos abaixo dos primários ([rótulo, formatação])
+const DERIVED_LABELS = [
+  ['ATQ', stats => stats.attack],
+  ['MATQ', stats => stats.magicAttack],
+  ['DEF', stats => `${stats.defense} + ${stats.softDefense}`],
+  ['MDEF', stats => `${stats.magicDefense} + ${stats.softMagicDefense}`],
+  ['HIT', stats => stats.hit],
+  ['FLEE', stats => stats.flee],
+  ['Crítico', stats => `${Math.round(stats.critChance * 1000) / 10}%`],
+  ['Esquiva perfeita', stats => `${Math.round(stats.perfectDodge * 1000) / 10}%`],
+  ['ASPD', stats => `${stats.aspd} (${Math.round(stats.attackCooldown)} ms)`],
+  ['HP máx.', stats => stats.maxHp],
+  ['SP máx.', stats => stats.maxMp]
+];
+
+/**
+ * Janela de atributos do jogador
+ *
+ * Mostra os atributos primários (STR, AGI, VIT, INT, DEX, LUK), os pontos
+ * disponíveis e os atributos de combate resultantes ('statsUpdate'). O botão
+ * "+" de cada atributo mostra o custo em pontos, que aumenta a cada 10
+ * pontos no atributo; a ação é repassada ao callback `onAction`.
+ */
+export class StatsWindow {
+  /**
+   * @param {Function} onAction - Chamado com (action, payload): 'raise' com { stat }
+   */
+  constructor(onAction) {
+    this.onAction = onAction;
+    this.stats = null;
+    this.visible = false;
+
+    this.createElements();
+  }
+
+  /**
+   * Cria a estrutura da janela (oculta por padrão)
+   * @private
+   */
+  createElements() {
+    this.element = createElement('div', {
+      position: 'absolute',
+      bottom: '50px',
+      left: '810px',
+      width: '220px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      color: 'white',
+      border: '1px solid #555',
+      borderRadius: '5px',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '12px',
+      zIndex: '900',
+      display: 'none',
+      userSelect: 'none'
+    }, { id: 'stats-window' }, '', document.body);
+
+    // Barra de título (área de arraste)
+    const titleBar = createElement('div', {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      padding: '5px 8px',
+      backgroundColor: 'rgba(255, 255, 255, 0.1)',
+      borderBottom: '1px solid #555',
+      fontWeight: 'bold'
+    }, {}, '', this.element);
+
+    createElement('span', {}, {}, 'Atributos', titleBar);
+
+    const closeButton = createElement('span', {
+      cursor: 'pointer',
+      padding: '0 4px'
+    }, { title: 'Fechar [Alt+A]' }, '✕', titleBar);
+    closeButton.addEventListener('mousedown', (event) => event.stopPropagation());
+    closeButton.addEventListener('click', () => this.hide());
+
+    makeDraggable(this.element, titleBar);
+
+    // Atributos primários
+    this.listElement = createElement('div', {
+      padding: '6px 8px'
+    }, {}, '', this.element);
+
+    // Pontos disponíveis
+    this.pointsElement = createElement('div', {
+      padding: '6px 8px',
+      borderTop: '1px solid #555',
+      color: '#ccc'
+    }, {}, '', this.element);
+
+    // Atributos de combate derivados
+    this.derivedElement = createElement('div', {
+      padding: '6px 8px',
+      borderTop: '1px solid #555',
+      color: '#ccc',
+      fontSize: '11px'
+    }, {}, '', this.element);
+  }
+
+  /**
+   * Atualiza a janela com os atributos enviados pelo servidor
+   * @param {Object} stats - { values, points, costs, derived }
+   */
+  update(stats) {
+    this.stats = stats;
+    this.render();
+  }
+
+  /**
+   * Redesenha a janela
+   * @private
+   */
+  render() {
+    if (!this.stats) return;
+
+    this.listElement.innerHTML = '';
+    PRIMARY_STATS.forEach(stat => this.createStatRow(stat));
+
+    this.pointsElement.textContent = `Pontos de atributo: ${this.stats.points}`;
+
+    this.derivedElement.innerHTML = '';
+    DERIVED_LABELS.forEach(([label, format]) => {
+      const row = createElement('div', {
+        display: 'flex',
+        justifyContent: 'space-between'
+      }, {}, '', this.derivedElement);
+      createElement('span', {}, {}, label, row);
+      createElement('span', { color: 'white' }, {}, String(format(this.stats.derived)), row);
+    });
+  }
+
+  /**
+   * Cria a linha de um atributo primário
+   * @private
+   */
+  createStatRow(stat) {
+    const value = this.stats.values[stat];
+    const cost = this.stats.costs[stat];
+
+    const row = createElement('div', {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '6px',
+      padding: '2px 4px'
+    }, { title: STAT_NAMES[stat] }, '', this.listElement);
+
+    createElement('span', { width: '40px', fontWeight: 'bold' }, {}, stat.toUpperCase(), row);
+    createElement('span', { flex: '1' }, {}, String(value), row);
+
+    // Gastar pontos no atributo
+    if (value < STAT_POINTS.max) {
+      const canRaise = this.stats.points >= cost;
+      createElement('span', {
+        fontSize: '10px',
+        color: canRaise ? '#999' : '#a55'
+      }, {}, `${cost} pts`, row);
+
+      const raiseButton = createElement('span', {
+        padding: '0 6px',
+        border: '1px solid #777',
+        borderRadius: '3px',
+        cursor: canRaise ? 'pointer' : 'default',
+        opacity: canRaise ? '1' : '0.4'
+      }, { title: `Aumentar ${STAT_NAMES[stat]} (${cost} pontos)` }, '+', row);
+      if (canRaise) {
+        raiseButton.addEventListener('click', () => this.onAction('raise', { stat }));
+      }
+    }
+  }
+
+  /**
+   * Alterna a visibilidade da janela
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Mostra a janela
+   */
+  show() {
+    this.visible = true;
+    this.element.style.display = 'block';
+  }
+
+  /**
+   * Esconde a janela
+   */
+  hide() {
+    this.visible = false;
+    this.element.style.display = 'none';
+  }
+
+  /**
+   * Remove a janela do DOM
+   */
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+} 
\ No newline at end of file
@@ -0,0 +1,133 @@
+import { createElement } from '../utils/helpers';
+import { DEFAULT_ELEMENT, DEFAULT_SIZE, SIZE_NAMES, getElementLabel } from '../combat/elements';
+
+/**
+ * Painel com as informações do monstro selecionado
+ *
+ * Aparece no topo da tela ao clicar em um monstro e mostra nome, nível, HP,
+ * elemento (com o nível) e tamanho, para o jogador escolher a arma ou a
+ * habilidade certa. Some quando o monstro morre ou ao fechar.
+ */
+export class TargetInfoPanel {
+  constructor() {
+    this.target = null;
+
+    this.createElements();
+  }
+
+  /**
+   * Cria a estrutura do painel (oculto por padrão)
+   * @private
+   */
+  createElements() {
+    this.element = createElement('div', {
+      position: 'absolute',
+      top: '10px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      width: '220px',
+      padding: '6px 8px',
+      backgroundColor: 'rgba(0, 0, 0, 0.75)',
+      color: 'white',
+      border: '1px solid #555',
+      borderRadius: '5px',
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '12px',
+      zIndex: '900',
+      display: 'none',
+      userSelect: 'none'
+    }, { id: 'target-info' }, '', document.body);
+
+    // Nome e nível
+    const header = createElement('div', {
+      display: 'flex',
+      justifyContent: 'space-between',
+      fontWeight: 'bold',
+      marginBottom: '4px'
+    }, {}, '', this.element);
+
+    this.nameElement = createElement('span', {}, {}, '', header);
+
+    const closeButton = createElement('span', {
+      cursor: 'pointer',
+      padding: '0 4px'
+    }, { title: 'Fechar' }, '✕', header);
+    closeButton.addEventListener('click', () => this.hide());
+
+    // Barra de HP
+    const hpBar = createElement('div', {
+      position: 'relative',
+      height: '12px',
+      backgroundColor: '#333',
+      borderRadius: '3px',
+      overflow: 'hidden'
+    }, {}, '', this.element);
+
+    this.hpFillElement = createElement('div', {
+      height: '100%',
+      width: '100%',
+      backgroundColor: '#cc3333'
+    }, {}, '', hpBar);
+
+    this.hpTextElement = createElement('div', {
+      position: 'absolute',
+      top: '0',
+      width: '100%',
+      textAlign: 'center',
+      fontSize: '10px',
+      lineHeight: '12px'
+    }, {}, '', hpBar);
+
+    // Elemento e tamanho
+    this.detailsElement = createElement('div', {
+      marginTop: '4px',
+      color: '#ccc'
+    }, {}, '', this.element);
+  }
+
+  /**
+   * Mostra o painel com um monstro
+   * @param {Object} monster - Monstro selecionado
+   */
+  show(monster) {
+    this.target = monster;
+    this.element.style.display = 'block';
+    this.update(monster);
+  }
+
+  /**
+   * Atualiza o painel se o monstro for o selecionado
+   * @param {Object} monster - Monstro com dados novos (HP, nível)
+   */
+  update(monster) {
+    if (!monster || monster !== this.target) return;
+
+    const name = monster.type.charAt(0).toUpperCase() + monster.type.slice(1);
+    this.nameElement.textContent = `${name} (Nv. ${monster.level})`;
+
+    const hpPercent = monster.maxHp > 0 ? Math.max(0, Math.min(100, (monster.hp / monster.maxHp) * 100)) : 0;
+    this.hpFillElement.style.width = `${hpPercent}%`;
+    this.hpTextElement.textContent = `${Math.max(0, Math.round(monster.hp))} / ${monster.maxHp}`;
+
+    const size = monster.size || DEFAULT_SIZE;
+    this.detailsElement.textContent = `Elemento: ${getElementLabel(monster.element || DEFAULT_ELEMENT)}` +
+      ` · Tamanho: ${SIZE_NAMES[size] || size}`;
+  }
+
+  /**
+   * Esconde o painel
+   */
+  hide() {
+    this.target = null;
+    this.element.style.display = 'none';
+  }
+
+  /**
+   * Remove o painel do DOM
+   */
+  destroy() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  }
+} 
\ No newline at end of file
@@ -35,6 +35,40 @@ export const createElement = (type, styles = {}, attributes = {}, textContent =
   return element;
 };
 
+/**
+ * Torna um elemento posicionado arrastável pela sua barra de título
+ * @param {HTMLElement} element - Elemento a ser movido
+ * @param {HTMLElement} handle - Área que inicia o arraste (padrão: o próprio elemento)
+ */
+export const makeDraggable = (element, handle = element) => {
+  let offsetX = 0;
+  let offsetY = 0;
+  
+  const onMouseMove = (event) => {
+    element.style.left = `${event.clientX - offsetX}px`;
+    element.style.top = `${event.clientY - offsetY}px`;
+  };
+  
+  const onMouseUp = () => {
+    document.removeEventListener('mousemove', onMouseMove);
+    document.removeEventListener('mouseup', onMouseUp);
+  };
+  
+  handle.style.cursor = 'move';
+  handle.addEventListener('mousedown', (event) => {
+    // Fixar a posição atual em left/top antes de mover
+    const rect = element.getBoundingClientRect();
+    element.style.right = 'auto';
+    element.style.bottom = 'auto';
+    offsetX = event.clientX - rect.left;
+    offsetY = event.clientY - rect.top;
+    
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+    event.preventDefault();
+  });
+};
+
 /**
  * Cria uma textura de texto para ser usada como sprite
  * @param {string} text - Texto para renderizar
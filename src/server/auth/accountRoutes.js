@@ -0,0 +1,87 @@
+const express = require('express');
+const { SERVER_CONFIG } = require('../../game/core/config');
+const { ERROR_CODES } = require('../../game/core/errorCodes');
+const { hashPassword, verifyPassword } = require('./passwords');
+
+/**
+ * Cria as rotas HTTP de registro e login de contas
+ * @param {AccountStore} accountStore - Armazenamento de contas
+ * @param {SessionManager} sessions - Gerenciador de sessões
+ * @returns {express.Router} Rotas montadas em /api
+ */
+function createAccountRouter(accountStore, sessions) {
+  const router = express.Router();
+  router.use(express.json());
+
+  /**
+   * Lê e valida as credenciais do corpo da requisição
+   * @returns {Object} { username, password } ou { error }
+   */
+  const readCredentials = (body) => {
+    const username = typeof body?.username === 'string' ? body.username.trim() : '';
+    const password = typeof body?.password === 'string' ? body.password : '';
+
+    if (!SERVER_CONFIG.auth.namePattern.test(username)) {
+      return { error: ERROR_CODES.INVALID_USERNAME };
+    }
+
+    return { username, password };
+  };
+
+  // Registro de conta
+  router.post('/register', async (req, res) => {
+    const credentials = readCredentials(req.body);
+    if (credentials.error) {
+      return res.status(400).json({ error: credentials.error });
+    }
+
+    if (credentials.password.length < SERVER_CONFIG.auth.minPasswordLength) {
+      return res.status(400).json({ error: ERROR_CODES.WEAK_PASSWORD });
+    }
+
+    try {
+      const created = await accountStore.create({
+        username: credentials.username,
+        passwordHash: await hashPassword(credentials.password)
+      });
+
+      if (!created) {
+        return res.status(409).json({ error: ERROR_CODES.USERNAME_TAKEN });
+      }
+
+      console.log(`[SERVIDOR] Conta criada: ${credentials.username}`);
+      const token = sessions.create({ username: credentials.username });
+      res.status(201).json({ token, username: credentials.username });
+    } catch (error) {
+      console.error('[SERVIDOR] Erro ao registrar conta:', error);
+      res.status(500).json({ error: ERROR_CODES.SERVER_ERROR });
+    }
+  });
+
+  // Login de conta
+  router.post('/login', async (req, res) => {
+    const credentials = readCredentials(req.body);
+    if (credentials.error) {
+      return res.status(401).json({ error: ERROR_CODES.INVALID_CREDENTIALS });
+    }
+
+    try {
+      const account = await accountStore.load(credentials.username);
+      const valid = account && await verifyPassword(credentials.password, account.passwordHash);
+
+      if (!valid) {
+        return res.status(401).json({ error: ERROR_CODES.INVALID_CREDENTIALS });
+      }
+
+      const token = sessions.create(account);
+      res.json({ token, username: account.username });
+    } catch (error) {
+      console.error('[SERVIDOR] Erro ao autenticar conta:', error);
+      res.status(500).json({ error: ERROR_CODES.SERVER_ERROR });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAccountRouter };
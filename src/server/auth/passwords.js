@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+/**
+ * Gera o hash de uma senha com scrypt e salt aleatório
+ * @param {string} password - Senha em texto puro
+ * @returns {Promise<string>} Hash no formato "scrypt$salt$hash"
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    crypto.scrypt(password, salt, KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+  });
+}
+
+/**
+ * Verifica uma senha contra um hash salvo
+ * @param {string} password - Senha em texto puro
+ * @param {string} storedHash - Hash gerado por hashPassword
+ * @returns {Promise<boolean>} Se a senha confere
+ */
+function verifyPassword(password, storedHash) {
+  return new Promise((resolve, reject) => {
+    const [algorithm, salt, hash] = String(storedHash).split('$');
+    if (algorithm !== 'scrypt' || !salt || !hash) {
+      return resolve(false);
+    }
+
+    crypto.scrypt(password, salt, KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { SERVER_CONFIG } = require('../../game/core/config');
+
+/**
+ * Gerencia os tokens de sessão emitidos após o login.
+ *
+ * As sessões ficam apenas em memória: reiniciar o servidor exige novo login.
+ * Sessões expiradas são descartadas ao serem usadas e pela limpeza periódica
+ * (sweep), e o logout encerra a sessão (revoke).
+ */
+class SessionManager {
+  /**
+   * @param {number} ttl - Validade (ms) de cada sessão
+   */
+  constructor(ttl = SERVER_CONFIG.auth.sessionTtl) {
+    this.ttl = ttl;
+    this.sessions = new Map(); // token -> { accountId, username, expiresAt }
+  }
+
+  /**
+   * Cria uma sessão para uma conta
+   * @param {Object} account - Conta autenticada
+   * @returns {string} Token da sessão
+   */
+  create(account) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    this.sessions.set(token, {
+      accountId: account.username.toLowerCase(),
+      username: account.username,
+      expiresAt: Date.now() + this.ttl
+    });
+
+    return token;
+  }
+
+  /**
+   * Valida um token de sessão
+   * @param {string} token - Token recebido do cliente
+   * @returns {Object|null} Dados da sessão ou null se inválida/expirada
+   */
+  validate(token) {
+    if (typeof token !== 'string') return null;
+
+    const session = this.sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Encerra uma sessão
+   * @param {string} token - Token da sessão
+   */
+  revoke(token) {
+    this.sessions.delete(token);
+  }
+
+  /**
+   * Remove as sessões expiradas
+   * @param {number} now - Tempo atual
+   * @returns {number} Quantidade de sessões removidas
+   */
+  sweep(now = Date.now()) {
+    let removed = 0;
+
+    for (const [token, session] of this.sessions) {
+      if (session.expiresAt < now) {
+        this.sessions.delete(token);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = { SessionManager };
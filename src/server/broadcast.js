@@ -0,0 +1,21 @@
+const { SERVER_CONFIG } = require('../game/core/config');
+const { distance2D } = require('./monsterSimulation');
+
+/**
+ * Envia um evento apenas aos jogadores próximos de uma posição
+ * @param {Object} io - Instância do Socket.io
+ * @param {Object} players - Jogadores conectados, indexados pelo id do socket
+ * @param {Object} position - Posição de origem do evento
+ * @param {string} event - Nome do evento
+ * @param {Object} data - Dados do evento
+ * @param {number} range - Distância máxima (padrão: SERVER_CONFIG.nearbyRange)
+ */
+function emitToNearby(io, players, position, event, data, range = SERVER_CONFIG.nearbyRange) {
+  Object.values(players).forEach(player => {
+    if (distance2D(player.position, position) <= range) {
+      io.to(player.id).emit(event, data);
+    }
+  });
+}
+
+module.exports = { emitToNearby };
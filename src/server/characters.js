@@ -0,0 +1,106 @@
+const { CHARACTER_CLASSES, SERVER_CONFIG } = require('../game/core/config');
+const { ERROR_CODES } = require('../game/core/errorCodes');
+const { SKILL_POINTS } = require('../game/skills/skillDefinitions');
+const { STAT_POINTS } = require('../game/combat/PrimaryStats');
+const { setupPlayerCombat } = require('./combatEntities');
+const { attachPrimaryStats } = require('./primaryStats');
+
+/**
+ * Normaliza a cor de aparência escolhida na criação do personagem
+ * @param {number|string} color - Cor como número ou string hexadecimal ("#ff8800")
+ * @param {number} fallback - Cor usada quando o valor é inválido
+ * @returns {number} Cor RGB (0x000000 - 0xFFFFFF)
+ */
+function normalizeColor(color, fallback) {
+  const value = typeof color === 'string' && /^#?[0-9a-f]{6}$/i.test(color)
+    ? parseInt(color.replace(/^#/, ''), 16)
+    : color;
+
+  if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFF) {
+    return fallback;
+  }
+
+  return value;
+}
+
+/**
+ * HP e MP máximos de um personagem novo, calculados como no login (nível 1 e
+ * atributos primários iniciais, sem equipamentos)
+ * @param {string} characterClass - Classe do personagem
+ * @returns {{ maxHp: number, maxMp: number }} Máximos iniciais
+ */
+function getInitialMaxStats(characterClass) {
+  const player = { class: characterClass, level: 1 };
+  setupPlayerCombat(player);
+  attachPrimaryStats(player, { values: {}, points: STAT_POINTS.initial });
+
+  return { maxHp: player.combatStats.maxHp, maxMp: player.combatStats.maxMp };
+}
+
+/**
+ * Valida os dados de criação e monta o registro inicial do personagem
+ * @param {string} accountId - Conta dona do personagem
+ * @param {Object} data - Dados enviados pelo cliente ({ name, class, color })
+ * @returns {{ character: Object }|{ error: string }} Registro criado ou código de erro
+ */
+function createCharacterRecord(accountId, data) {
+  if (!data || typeof data !== 'object') {
+    return { error: ERROR_CODES.INVALID_REQUEST };
+  }
+
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!SERVER_CONFIG.auth.namePattern.test(name)) {
+    return { error: ERROR_CODES.INVALID_CHARACTER_NAME };
+  }
+
+  const classInfo = Object.prototype.hasOwnProperty.call(CHARACTER_CLASSES, data.class)
+    ? CHARACTER_CLASSES[data.class]
+    : null;
+  if (!classInfo) {
+    return { error: ERROR_CODES.INVALID_CLASS };
+  }
+
+  // Personagens novos começam com HP e MP cheios
+  const { maxHp, maxMp } = getInitialMaxStats(data.class);
+
+  return {
+    character: {
+      name,
+      accountId,
+      class: data.class,
+      color: normalizeColor(data.color, classInfo.color),
+      level: 1,
+      exp: 0,
+      hp: maxHp,
+      maxHp,
+      mp: maxMp,
+      maxMp,
+      position: { x: 0, y: 0, z: 0 },
+      inventory: [],
+      equipment: {},
+      skills: { levels: {}, points: SKILL_POINTS.initial },
+      stats: { values: {}, points: STAT_POINTS.initial },
+      hotbar: []
+    }
+  };
+}
+
+/**
+ * Resumo de um personagem exibido na tela de seleção
+ * @param {Object} character - Registro salvo do personagem
+ * @returns {Object} Dados públicos do personagem
+ */
+function toCharacterSummary(character) {
+  return {
+    name: character.name,
+    class: character.class,
+    color: character.color,
+    level: character.level
+  };
+}
+
+module.exports = {
+  normalizeColor,
+  createCharacterRecord,
+  toCharacterSummary
+};
@@ -0,0 +1,122 @@
+const { CombatStats } = require('../game/combat/CombatStats');
+const { StatusEffectManager } = require('../game/combat/StatusEffect');
+const { CHARACTER_CLASSES, MONSTER_AI_CONFIG } = require('../game/core/config');
+
+/**
+ * Anexa as estatísticas de combate a uma entidade do servidor.
+ *
+ * A propriedade não é enumerável para que as estatísticas (e seus listeners)
+ * não sejam serializadas nos eventos enviados aos clientes.
+ * @param {Object} entity - Jogador ou monstro do servidor
+ * @param {CombatStats} combatStats - Estatísticas de combate
+ * @returns {CombatStats} As estatísticas anexadas
+ */
+function attachCombatStats(entity, combatStats) {
+  Object.defineProperty(entity, 'combatStats', {
+    value: combatStats,
+    writable: true,
+    configurable: true,
+    enumerable: false
+  });
+
+  return combatStats;
+}
+
+/**
+ * Anexa o gerenciador de efeitos de status (buffs/debuffs) a uma entidade.
+ *
+ * Também não é enumerável; os efeitos ativos são enviados aos clientes
+ * pelos eventos de status.
+ * @param {Object} entity - Jogador ou monstro do servidor
+ * @returns {StatusEffectManager} Gerenciador criado
+ */
+function attachStatusEffects(entity) {
+  const statusEffects = new StatusEffectManager(entity);
+
+  Object.defineProperty(entity, 'statusEffects', {
+    value: statusEffects,
+    configurable: true,
+    enumerable: false
+  });
+
+  return statusEffects;
+}
+
+/**
+ * Cria as estatísticas de combate de um jogador
+ * @param {Object} player - Dados do jogador no servidor
+ * @returns {CombatStats} Estatísticas criadas
+ */
+function setupPlayerCombat(player) {
+  const classProps = CHARACTER_CLASSES[player.class] || CHARACTER_CLASSES.knight;
+
+  // HP/MP máximos, ataque e defesa derivam do nível (ver CombatStats.getLevelStats);
+  // os atributos primários somam bônus depois (classes à distância usam DEX no ATQ)
+  return attachCombatStats(player, new CombatStats({
+    level: player.level || 1,
+    hp: player.hp,
+    mp: player.mp,
+    attackRange: classProps.attackRange,
+    attackSpeed: classProps.attackSpeed,
+    ranged: Boolean(classProps.projectile),
+    type: 'player'
+  }));
+}
+
+/**
+ * Cria as estatísticas de combate de um monstro
+ * @param {Object} monster - Dados do monstro no servidor
+ * @returns {CombatStats} Estatísticas criadas
+ */
+function setupMonsterCombat(monster) {
+  const typeConfig = MONSTER_AI_CONFIG.monsterTypes[monster.type] || MONSTER_AI_CONFIG.monsterTypes.poring;
+  const level = monster.level || 1;
+  const attackDamage = typeConfig.attackDamage || 10;
+
+  // Mesmos atributos que o cliente usava ao registrar o monstro no combate
+  return attachCombatStats(monster, new CombatStats({
+    level,
+    hp: monster.hp,
+    maxHp: monster.maxHp,
+    maxMp: 20 * level,
+    attack: typeConfig.isAggressive ? attackDamage * 1.2 : attackDamage,
+    defense: typeConfig.isAggressive ? 5 * level : 3 * level,
+    element: typeConfig.element,
+    size: typeConfig.size,
+    attackRange: typeConfig.attackRange,
+    type: 'monster'
+  }));
+}
+
+/**
+ * Copia o HP das estatísticas de combate para os dados públicos da entidade
+ * @param {Object} entity - Jogador ou monstro do servidor
+ */
+function syncHp(entity) {
+  if (!entity.combatStats) return;
+
+  entity.hp = entity.combatStats.hp;
+  entity.maxHp = entity.combatStats.maxHp;
+}
+
+/**
+ * Copia nível, HP e MP das estatísticas de combate para os dados públicos
+ * @param {Object} entity - Jogador ou monstro do servidor
+ */
+function syncStats(entity) {
+  if (!entity.combatStats) return;
+
+  syncHp(entity);
+  entity.level = entity.combatStats.level;
+  entity.mp = entity.combatStats.mp;
+  entity.maxMp = entity.combatStats.maxMp;
+}
+
+module.exports = {
+  attachCombatStats,
+  attachStatusEffects,
+  setupPlayerCombat,
+  setupMonsterCombat,
+  syncHp,
+  syncStats
+};
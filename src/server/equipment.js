@@ -0,0 +1,279 @@
+const { ERROR_CODES } = require('../game/core/errorCodes');
+const { EQUIPMENT_SLOTS, getItemDefinition, getEquipSlots } = require('../game/items/itemDefinitions');
+const { syncStats } = require('./combatEntities');
+
+// Slots exibidos no modelo do personagem (enviados aos outros jogadores)
+const VISIBLE_SLOTS = ['weapon', 'shield', 'armor', 'headgear'];
+
+/**
+ * Equipamentos de um personagem, mantidos pelo servidor.
+ *
+ * Cada slot guarda o ID do item equipado (ou null). Os itens vêm do
+ * inventário e voltam para ele ao serem substituídos ou desequipados; o peso
+ * dos equipamentos continua contando no peso carregado.
+ */
+class Equipment {
+  /**
+   * @param {Object} slots - Itens salvos por slot ({ weapon: 'knife', ... })
+   */
+  constructor(slots = {}) {
+    this.slots = {};
+
+    Object.keys(EQUIPMENT_SLOTS).forEach(slot => {
+      const itemId = slots[slot];
+      // Ignorar itens salvos que não existem mais ou não cabem no slot
+      this.slots[slot] = getEquipSlots(getItemDefinition(itemId)).includes(slot) ? itemId : null;
+    });
+  }
+
+  /**
+   * Definições dos itens equipados
+   * @returns {Array<Object>} Definições
+   */
+  getEquippedDefinitions() {
+    return Object.values(this.slots)
+      .filter(Boolean)
+      .map(itemId => getItemDefinition(itemId));
+  }
+
+  /**
+   * Peso somado dos equipamentos
+   * @returns {number} Peso
+   */
+  getWeight() {
+    return this.getEquippedDefinitions().reduce((total, definition) => total + definition.weight, 0);
+  }
+
+  /**
+   * Soma os bônus de todos os equipamentos
+   * @returns {Object} { attack, magicAttack, defense, magicDefense, maxHp, maxMp, hit, flee, critChance, perfectDodge, resistances }
+   */
+  getBonuses() {
+    const total = { attack: 0, magicAttack: 0, defense: 0, magicDefense: 0, maxHp: 0, maxMp: 0, hit: 0, flee: 0, critChance: 0, perfectDodge: 0, resistances: {} };
+
+    this.getEquippedDefinitions().forEach(definition => {
+      const { resistances = {}, ...bonuses } = definition.equip.bonuses || {};
+
+      Object.entries(bonuses).forEach(([stat, value]) => {
+        total[stat] = (total[stat] || 0) + value;
+      });
+      Object.entries(resistances).forEach(([type, value]) => {
+        total.resistances[type] = (total.resistances[type] || 0) + value;
+      });
+    });
+
+    return total;
+  }
+
+  /**
+   * Tipo e elemento da arma equipada
+   * @returns {Object} { weaponType, element } (vazio sem arma)
+   */
+  getWeapon() {
+    const definition = getItemDefinition(this.slots.weapon);
+    if (!definition) return {};
+
+    const { weaponType, element } = definition.equip;
+    return { weaponType, element };
+  }
+
+  /**
+   * Verifica se um personagem pode usar um equipamento
+   * @param {Object} definition - Definição do item
+   * @param {Object} character - { class, level }
+   * @returns {string|null} Código de erro ou null se puder equipar
+   */
+  canEquip(definition, character) {
+    if (!definition || !definition.equip) {
+      return ERROR_CODES.ITEM_NOT_EQUIPPABLE;
+    }
+
+    const { classes, level } = definition.equip;
+    if (classes && !classes.includes(character.class)) {
+      return ERROR_CODES.EQUIP_WRONG_CLASS;
+    }
+
+    if (character.level < (level || 1)) {
+      return ERROR_CODES.EQUIP_LEVEL_TOO_LOW;
+    }
+
+    return null;
+  }
+
+  /**
+   * Escolhe o slot de destino de um equipamento
+   * @private
+   */
+  resolveSlot(definition, requestedSlot) {
+    const slots = getEquipSlots(definition);
+    if (requestedSlot) {
+      return slots.includes(requestedSlot) ? requestedSlot : null;
+    }
+
+    // Preferir um slot livre (acessórios ocupam dois slots)
+    return slots.find(slot => !this.slots[slot]) || slots[0];
+  }
+
+  /**
+   * Slots que precisam ser liberados para equipar um item em um slot
+   * @private
+   */
+  getDisplacedSlots(definition, slot) {
+    const displaced = this.slots[slot] ? [slot] : [];
+    const weapon = getItemDefinition(this.slots.weapon);
+
+    // Armas de duas mãos ocupam também o slot do escudo
+    if (slot === 'weapon' && definition.equip.twoHanded && this.slots.shield) {
+      displaced.push('shield');
+    }
+    if (slot === 'shield' && weapon && weapon.equip.twoHanded) {
+      displaced.push('weapon');
+    }
+
+    return displaced;
+  }
+
+  /**
+   * Equipa um item do inventário, devolvendo ao inventário o que ocupava o slot
+   * @param {Inventory} inventory - Inventário do personagem
+   * @param {string} uid - Pilha do inventário
+   * @param {Object} character - { class, level }
+   * @param {string} requestedSlot - Slot desejado (opcional, para acessórios)
+   * @returns {{ error: string }|{ slot: string, itemId: string }} Resultado
+   */
+  equip(inventory, uid, character, requestedSlot = null) {
+    const stack = inventory.find(uid);
+    if (!stack) {
+      return { error: ERROR_CODES.ITEM_NOT_IN_INVENTORY };
+    }
+
+    const definition = getItemDefinition(stack.itemId);
+    const error = this.canEquip(definition, character);
+    if (error) {
+      return { error };
+    }
+
+    // Slot pedido pelo cliente incompatível com o item
+    const slot = this.resolveSlot(definition, requestedSlot);
+    if (!slot) {
+      return { error: ERROR_CODES.ITEM_NOT_EQUIPPABLE };
+    }
+
+    // A pilha equipada libera um slot do inventário se for a última unidade
+    const displaced = this.getDisplacedSlots(definition, slot);
+    const freedSlots = stack.quantity === 1 ? 1 : 0;
+    if (inventory.items.length - freedSlots + displaced.length > inventory.maxSlots) {
+      return { error: ERROR_CODES.INVENTORY_FULL };
+    }
+
+    // O peso total não muda (os itens só trocam de lugar), mas quem já está
+    // acima do limite não consegue devolver itens ao inventário
+    if (inventory.getWeight() > inventory.getMaxWeight()) {
+      return { error: ERROR_CODES.INVENTORY_OVERWEIGHT };
+    }
+
+    inventory.remove(uid, 1);
+    displaced.forEach(displacedSlot => {
+      const itemId = this.slots[displacedSlot];
+      this.slots[displacedSlot] = null;
+      inventory.add(itemId, 1);
+    });
+    this.slots[slot] = definition.id;
+
+    return { slot, itemId: definition.id };
+  }
+
+  /**
+   * Desequipa um slot, devolvendo o item ao inventário
+   * @param {Inventory} inventory - Inventário do personagem
+   * @param {string} slot - Slot a desequipar
+   * @returns {{ error: string }|{ slot: string, itemId: string }} Resultado
+   */
+  unequip(inventory, slot) {
+    if (!Object.prototype.hasOwnProperty.call(EQUIPMENT_SLOTS, slot)) {
+      return { error: ERROR_CODES.INVALID_REQUEST };
+    }
+
+    const itemId = this.slots[slot];
+    if (!itemId) {
+      return { error: ERROR_CODES.EQUIP_SLOT_EMPTY };
+    }
+
+    if (inventory.items.length >= inventory.maxSlots) {
+      return { error: ERROR_CODES.INVENTORY_FULL };
+    }
+
+    this.slots[slot] = null;
+    const result = inventory.add(itemId, 1);
+    if (result.error) {
+      this.slots[slot] = itemId;
+      return result;
+    }
+
+    return { slot, itemId };
+  }
+
+  /**
+   * Itens visíveis no modelo do personagem
+   * @returns {Object} { weapon, shield, armor, headgear }
+   */
+  getAppearance() {
+    return VISIBLE_SLOTS.reduce((appearance, slot) => {
+      appearance[slot] = this.slots[slot];
+      return appearance;
+    }, {});
+  }
+
+  /**
+   * Registro persistente dos equipamentos
+   * @returns {Object} Itens por slot (apenas slots ocupados)
+   */
+  toRecord() {
+    return Object.entries(this.slots).reduce((record, [slot, itemId]) => {
+      if (itemId) record[slot] = itemId;
+      return record;
+    }, {});
+  }
+
+  /**
+   * Dados enviados ao dono dos equipamentos
+   * @returns {Object} { slots, bonuses }
+   */
+  serialize() {
+    return {
+      slots: { ...this.slots },
+      bonuses: this.getBonuses()
+    };
+  }
+}
+
+/**
+ * Aplica os bônus e a arma dos equipamentos às estatísticas de combate e
+ * atualiza a aparência pública do jogador
+ * @param {Object} player - Jogador do servidor
+ */
+function applyEquipment(player) {
+  player.combatStats.setEquipmentBonuses(player.equipment.getBonuses());
+  player.combatStats.setWeapon(player.equipment.getWeapon());
+  player.appearance = player.equipment.getAppearance();
+  syncStats(player);
+}
+
+/**
+ * Cria os equipamentos de um jogador a partir do registro salvo.
+ *
+ * Assim como o inventário, a propriedade não é enumerável; apenas a
+ * aparência (`player.appearance`) é enviada aos outros jogadores.
+ * @param {Object} player - Jogador do servidor (com combatStats)
+ * @param {Object} slots - Itens salvos por slot
+ * @returns {Equipment} Equipamentos criados
+ */
+function attachEquipment(player, slots = {}) {
+  const equipment = new Equipment(slots);
+
+  Object.defineProperty(player, 'equipment', { value: equipment, enumerable: false });
+  applyEquipment(player);
+  return equipment;
+}
+
+module.exports = { Equipment, applyEquipment, attachEquipment };
@@ -0,0 +1,157 @@
+const { MONSTER_AI_CONFIG, SERVER_CONFIG } = require('../game/core/config');
+const { ERROR_CODES } = require('../game/core/errorCodes');
+const { distance2D } = require('./monsterSimulation');
+
+/**
+ * Sorteia um inteiro no intervalo [min, max]
+ * @param {number} min - Valor mínimo
+ * @param {number} max - Valor máximo
+ * @returns {number} Valor sorteado
+ */
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+/**
+ * Itens derrubados no chão do mundo.
+ *
+ * Os dados dos itens são públicos (enviados no gameState e nos eventos
+ * 'groundItemSpawned'/'groundItemRemoved'); prazos de prioridade do dono e
+ * timers de despawn ficam fora deles.
+ */
+class GroundItemManager {
+  /**
+   * @param {Object} io - Instância do Socket.io
+   */
+  constructor(io) {
+    this.io = io;
+    this.items = {};
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Sorteia e derruba os itens da tabela de drops de um monstro morto
+   * @param {Object} monster - Monstro derrotado
+   * @param {string|null} ownerId - Jogador com prioridade para pegar os itens
+   * @returns {Array<Object>} Itens criados no chão
+   */
+  rollDrops(monster, ownerId = null) {
+    const typeConfig = MONSTER_AI_CONFIG.monsterTypes[monster.type] || MONSTER_AI_CONFIG.monsterTypes.poring;
+    const drops = typeConfig.drops || [];
+    const spawned = [];
+
+    drops.forEach(drop => {
+      if (Math.random() >= drop.chance) return;
+
+      const [min, max] = drop.quantity || [1, 1];
+      spawned.push(this.spawn(drop.itemId, randomInt(min, max), monster.position, ownerId));
+    });
+
+    return spawned;
+  }
+
+  /**
+   * Cria um item no chão, espalhado ao redor de uma posição
+   * @param {string} itemId - ID da definição do item
+   * @param {number} quantity - Quantidade
+   * @param {Object} position - Posição de origem
+   * @param {string|null} ownerId - Jogador com prioridade para pegar o item
+   * @param {number} now - Tempo atual
+   * @returns {Object} Item criado
+   */
+  spawn(itemId, quantity, position, ownerId = null, now = Date.now()) {
+    const { ownerPriorityTime, despawnTime, scatterRadius } = SERVER_CONFIG.loot;
+    const angle = Math.random() * Math.PI * 2;
+    const radius = Math.random() * scatterRadius;
+
+    const item = {
+      id: `item${this.nextId++}`,
+      itemId,
+      quantity,
+      ownerId,
+      position: {
+        x: position.x + Math.cos(angle) * radius,
+        y: 0,
+        z: position.z + Math.sin(angle) * radius
+      }
+    };
+
+    this.items[item.id] = item;
+    this.timers.set(item.id, {
+      ownerUntil: ownerId ? now + ownerPriorityTime : 0,
+      despawnTimer: setTimeout(() => this.remove(item.id, 'despawn'), despawnTime)
+    });
+
+    this.io.emit('groundItemSpawned', item);
+    return item;
+  }
+
+  /**
+   * Valida a coleta de um item por um jogador (sem removê-lo do chão)
+   * @param {Object} player - Jogador do servidor
+   * @param {string} groundItemId - ID do item no chão
+   * @param {number} now - Tempo atual
+   * @returns {{ item: Object }|{ error: string }} Item a coletar ou código de erro
+   */
+  validatePickup(player, groundItemId, now = Date.now()) {
+    const item = this.get(groundItemId);
+    if (!item) {
+      return { error: ERROR_CODES.ITEM_NOT_FOUND };
+    }
+
+    if (player.isDead) {
+      return { error: ERROR_CODES.INVALID_REQUEST };
+    }
+
+    if (distance2D(player.position, item.position) > SERVER_CONFIG.loot.pickupRange) {
+      return { error: ERROR_CODES.ITEM_OUT_OF_RANGE };
+    }
+
+    const { ownerUntil } = this.timers.get(groundItemId);
+    if (item.ownerId && item.ownerId !== player.id && now < ownerUntil) {
+      return { error: ERROR_CODES.ITEM_NOT_OWNER };
+    }
+
+    return { item };
+  }
+
+  /**
+   * Obtém um item no chão pelo ID (IDs enviados pelo cliente, como
+   * 'constructor', não devem encontrar propriedades herdadas)
+   * @param {string} groundItemId - ID do item no chão
+   * @returns {Object|null} Item ou null se não existir
+   */
+  get(groundItemId) {
+    return Object.prototype.hasOwnProperty.call(this.items, groundItemId)
+      ? this.items[groundItemId]
+      : null;
+  }
+
+  /**
+   * Remove um item do chão e avisa os clientes
+   * @param {string} groundItemId - ID do item no chão
+   * @param {string} reason - Motivo ('pickup' ou 'despawn')
+   * @param {string|null} playerId - Jogador que pegou o item
+   */
+  remove(groundItemId, reason, playerId = null) {
+    if (!this.get(groundItemId)) return;
+
+    clearTimeout(this.timers.get(groundItemId).despawnTimer);
+    this.timers.delete(groundItemId);
+    delete this.items[groundItemId];
+
+    this.io.emit('groundItemRemoved', { id: groundItemId, reason, playerId });
+  }
+
+  /**
+   * Remove todos os itens e cancela os timers de despawn
+   */
+  clear() {
+    this.timers.forEach(({ despawnTimer }) => clearTimeout(despawnTimer));
+    this.timers.clear();
+    this.items = {};
+  }
+}
+
+module.exports = { GroundItemManager };
@@ -0,0 +1,79 @@
+const { SERVER_CONFIG } = require('../game/core/config');
+const { ERROR_CODES } = require('../game/core/errorCodes');
+const { ITEM_TYPES, getItemDefinition } = require('../game/items/itemDefinitions');
+
+/**
+ * Valida uma entrada da barra de atalhos
+ * @param {Object} entry - Entrada enviada pelo cliente ou salva ({ type: 'item'|'skill', id })
+ * @param {Object} player - Jogador dono da barra (com as habilidades da classe)
+ * @returns {Object|null} Entrada normalizada ou null se for inválida
+ */
+function normalizeHotbarEntry(entry, player) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  // Habilidades da classe do personagem (aprendidas ou não)
+  if (entry.type === 'skill') {
+    return player.skills && player.skills.isClassSkill(entry.id) ? { type: 'skill', id: entry.id } : null;
+  }
+
+  if (entry.type !== 'item') {
+    return null;
+  }
+
+  // Apenas consumíveis e equipamentos podem ser usados pelo atalho
+  const definition = getItemDefinition(entry.id);
+  if (!definition || definition.type === ITEM_TYPES.ETC) {
+    return null;
+  }
+
+  return { type: 'item', id: definition.id };
+}
+
+/**
+ * Monta a barra de atalhos a partir do registro salvo
+ * @param {Array<Object>} record - Entradas salvas (null = slot vazio)
+ * @param {Object} player - Jogador dono da barra
+ * @returns {Array<Object|null>} Barra com SERVER_CONFIG.hotbar.slots posições
+ */
+function normalizeHotbar(record, player) {
+  const entries = Array.isArray(record) ? record : [];
+  return Array.from({ length: SERVER_CONFIG.hotbar.slots }, (_, index) => normalizeHotbarEntry(entries[index], player));
+}
+
+/**
+ * Cria a barra de atalhos de um jogador (não enumerável, como o inventário)
+ * @param {Object} player - Jogador do servidor (com as habilidades já anexadas)
+ * @param {Array<Object>} record - Entradas salvas
+ * @returns {Array<Object|null>} Barra criada
+ */
+function attachHotbar(player, record) {
+  const hotbar = normalizeHotbar(record, player);
+
+  Object.defineProperty(player, 'hotbar', { value: hotbar, enumerable: false });
+  return hotbar;
+}
+
+/**
+ * Define ou limpa um slot da barra de atalhos
+ * @param {Object} player - Jogador do servidor
+ * @param {number} index - Posição do slot
+ * @param {Object|null} entry - Nova entrada (null limpa o slot)
+ * @returns {{ error: string }|{ hotbar: Array<Object|null> }} Resultado
+ */
+function setHotbarSlot(player, index, entry) {
+  if (!Number.isInteger(index) || index < 0 || index >= player.hotbar.length) {
+    return { error: ERROR_CODES.INVALID_REQUEST };
+  }
+
+  const normalized = entry ? normalizeHotbarEntry(entry, player) : null;
+  if (entry && !normalized) {
+    return { error: ERROR_CODES.INVALID_REQUEST };
+  }
+
+  player.hotbar[index] = normalized;
+  return { hotbar: player.hotbar };
+}
+
+module.exports = { normalizeHotbar, attachHotbar, setHotbarSlot };
@@ -0,0 +1,270 @@
+const { SERVER_CONFIG } = require('../game/core/config');
+const { ERROR_CODES } = require('../game/core/errorCodes');
+const { getItemDefinition } = require('../game/items/itemDefinitions');
+
+/**
+ * Calcula o peso máximo carregado por um personagem
+ * @param {number} level - Nível do personagem
+ * @returns {number} Peso máximo
+ */
+function getMaxWeight(level) {
+  const { baseMaxWeight, weightPerLevel } = SERVER_CONFIG.inventory;
+  return baseMaxWeight + weightPerLevel * (level - 1);
+}
+
+/**
+ * Verifica se uma quantidade é um inteiro positivo
+ * @param {number} quantity - Quantidade
+ * @returns {boolean} Se é válida
+ */
+function isValidQuantity(quantity) {
+  return Number.isInteger(quantity) && quantity > 0;
+}
+
+/**
+ * Inventário de um personagem, mantido pelo servidor.
+ *
+ * Os itens são pilhas { uid, itemId, quantity } limitadas pelo stackSize da
+ * definição do item, pelo número de slots e pelo peso máximo. O `uid`
+ * identifica a pilha nas ações enviadas pelo cliente e não é persistido.
+ */
+class Inventory {
+  /**
+   * @param {Array<Object>} items - Pilhas salvas ({ itemId, quantity })
+   * @param {Object} options - Limites do inventário
+   * @param {number} options.maxSlots - Número máximo de pilhas
+   * @param {Function} options.getMaxWeight - Retorna o peso máximo atual
+   * @param {Function} options.getExtraWeight - Peso carregado fora do inventário (equipamentos)
+   */
+  constructor(items = [], options = {}) {
+    this.maxSlots = options.maxSlots || SERVER_CONFIG.inventory.maxSlots;
+    this.getMaxWeight = options.getMaxWeight || (() => SERVER_CONFIG.inventory.baseMaxWeight);
+    this.getExtraWeight = options.getExtraWeight || (() => 0);
+    this.items = [];
+    this.nextUid = 1;
+
+    // Ignorar itens salvos que não existem mais nas definições
+    items
+      .filter(item => getItemDefinition(item.itemId) && isValidQuantity(item.quantity))
+      .forEach(item => this.items.push(this.createStack(item.itemId, item.quantity)));
+  }
+
+  /**
+   * Cria uma pilha com um uid novo
+   * @private
+   */
+  createStack(itemId, quantity) {
+    return { uid: `s${this.nextUid++}`, itemId, quantity };
+  }
+
+  /**
+   * Peso total carregado, incluindo o peso extra (equipamentos)
+   * @returns {number} Peso atual
+   */
+  getWeight() {
+    return this.items.reduce((total, stack) => {
+      return total + getItemDefinition(stack.itemId).weight * stack.quantity;
+    }, this.getExtraWeight());
+  }
+
+  /**
+   * Obtém uma pilha pelo uid
+   * @param {string} uid - Identificador da pilha
+   * @returns {Object|null} Pilha ou null
+   */
+  find(uid) {
+    return this.items.find(stack => stack.uid === uid) || null;
+  }
+
+  /**
+   * Conta a quantidade total de um item
+   * @param {string} itemId - ID do item
+   * @returns {number} Quantidade somada de todas as pilhas
+   */
+  count(itemId) {
+    return this.items
+      .filter(stack => stack.itemId === itemId)
+      .reduce((total, stack) => total + stack.quantity, 0);
+  }
+
+  /**
+   * Verifica se um item pode ser adicionado por completo
+   * @param {string} itemId - ID do item
+   * @param {number} quantity - Quantidade
+   * @returns {string|null} Código de erro ou null se couber
+   */
+  canAdd(itemId, quantity) {
+    const definition = getItemDefinition(itemId);
+    if (!definition || !isValidQuantity(quantity)) {
+      return ERROR_CODES.INVALID_QUANTITY;
+    }
+
+    if (this.getWeight() + definition.weight * quantity > this.getMaxWeight()) {
+      return ERROR_CODES.INVENTORY_OVERWEIGHT;
+    }
+
+    // Espaço livre nas pilhas existentes e slots necessários para o restante
+    const freeInStacks = this.items
+      .filter(stack => stack.itemId === itemId)
+      .reduce((total, stack) => total + (definition.stackSize - stack.quantity), 0);
+    const remaining = Math.max(0, quantity - freeInStacks);
+    const slotsNeeded = Math.ceil(remaining / definition.stackSize);
+
+    if (this.items.length + slotsNeeded > this.maxSlots) {
+      return ERROR_CODES.INVENTORY_FULL;
+    }
+
+    return null;
+  }
+
+  /**
+   * Adiciona itens, completando as pilhas existentes antes de criar novas
+   * @param {string} itemId - ID do item
+   * @param {number} quantity - Quantidade
+   * @returns {{ error: string }|{ success: true }} Resultado
+   */
+  add(itemId, quantity) {
+    const error = this.canAdd(itemId, quantity);
+    if (error) return { error };
+
+    const { stackSize } = getItemDefinition(itemId);
+    let remaining = quantity;
+
+    this.items
+      .filter(stack => stack.itemId === itemId && stack.quantity < stackSize)
+      .forEach(stack => {
+        const moved = Math.min(remaining, stackSize - stack.quantity);
+        stack.quantity += moved;
+        remaining -= moved;
+      });
+
+    while (remaining > 0) {
+      const moved = Math.min(remaining, stackSize);
+      this.items.push(this.createStack(itemId, moved));
+      remaining -= moved;
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Remove uma quantidade de uma pilha
+   * @param {string} uid - Identificador da pilha
+   * @param {number} quantity - Quantidade
+   * @returns {{ error: string }|{ item: Object }} Itens removidos ({ itemId, quantity })
+   */
+  remove(uid, quantity) {
+    const stack = this.find(uid);
+    if (!stack) {
+      return { error: ERROR_CODES.ITEM_NOT_IN_INVENTORY };
+    }
+
+    if (!isValidQuantity(quantity) || quantity > stack.quantity) {
+      return { error: ERROR_CODES.INVALID_QUANTITY };
+    }
+
+    stack.quantity -= quantity;
+    if (stack.quantity === 0) {
+      this.items = this.items.filter(item => item !== stack);
+    }
+
+    return { item: { itemId: stack.itemId, quantity } };
+  }
+
+  /**
+   * Divide uma pilha, movendo uma quantidade para uma pilha nova
+   * @param {string} uid - Identificador da pilha
+   * @param {number} quantity - Quantidade da nova pilha
+   * @returns {{ error: string }|{ success: true }} Resultado
+   */
+  split(uid, quantity) {
+    const stack = this.find(uid);
+    if (!stack) {
+      return { error: ERROR_CODES.ITEM_NOT_IN_INVENTORY };
+    }
+
+    if (!isValidQuantity(quantity) || quantity >= stack.quantity) {
+      return { error: ERROR_CODES.INVALID_QUANTITY };
+    }
+
+    if (this.items.length >= this.maxSlots) {
+      return { error: ERROR_CODES.INVENTORY_FULL };
+    }
+
+    stack.quantity -= quantity;
+    this.items.splice(this.items.indexOf(stack) + 1, 0, this.createStack(stack.itemId, quantity));
+
+    return { success: true };
+  }
+
+  /**
+   * Junta uma pilha em outra do mesmo item (o excedente fica na origem)
+   * @param {string} fromUid - Pilha de origem
+   * @param {string} toUid - Pilha de destino
+   * @returns {{ error: string }|{ success: true }} Resultado
+   */
+  stack(fromUid, toUid) {
+    const from = this.find(fromUid);
+    const to = this.find(toUid);
+    if (!from || !to || from === to) {
+      return { error: ERROR_CODES.ITEM_NOT_IN_INVENTORY };
+    }
+
+    if (from.itemId !== to.itemId) {
+      return { error: ERROR_CODES.INVALID_REQUEST };
+    }
+
+    const { stackSize } = getItemDefinition(to.itemId);
+    const moved = Math.min(from.quantity, stackSize - to.quantity);
+    to.quantity += moved;
+    from.quantity -= moved;
+
+    if (from.quantity === 0) {
+      this.items = this.items.filter(item => item !== from);
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Registro persistente do inventário
+   * @returns {Array<Object>} Pilhas ({ itemId, quantity })
+   */
+  toRecord() {
+    return this.items.map(({ itemId, quantity }) => ({ itemId, quantity }));
+  }
+
+  /**
+   * Dados enviados ao dono do inventário
+   * @returns {Object} { items, weight, maxWeight, maxSlots }
+   */
+  serialize() {
+    return {
+      items: this.items.map(stack => ({ ...stack })),
+      weight: this.getWeight(),
+      maxWeight: this.getMaxWeight(),
+      maxSlots: this.maxSlots
+    };
+  }
+}
+
+/**
+ * Cria o inventário de um jogador a partir dos itens salvos.
+ *
+ * A propriedade não é enumerável para que o inventário não seja enviado
+ * aos outros jogadores junto com os dados públicos.
+ * @param {Object} player - Dados do jogador no servidor
+ * @param {Array<Object>} items - Pilhas salvas ({ itemId, quantity })
+ * @returns {Inventory} Inventário criado
+ */
+function attachInventory(player, items = []) {
+  const inventory = new Inventory(items, {
+    getMaxWeight: () => getMaxWeight(player.combatStats ? player.combatStats.level : player.level),
+    getExtraWeight: () => (player.equipment ? player.equipment.getWeight() : 0)
+  });
+
+  Object.defineProperty(player, 'inventory', { value: inventory, enumerable: false });
+  return inventory;
+}
+
+module.exports = { Inventory, getMaxWeight, attachInventory };
@@ -0,0 +1,92 @@
+const { ERROR_CODES } = require('../game/core/errorCodes');
+const { ITEM_TYPES, getItemDefinition, getItemCooldown } = require('../game/items/itemDefinitions');
+const { StatusEffect } = require('../game/combat/StatusEffect');
+const { STATUS_BLOCKS, isActionBlocked } = require('../game/combat/statusEffects');
+const { syncStats } = require('./combatEntities');
+
+// Fim da recarga de cada grupo de itens, por jogador (grupo -> timestamp)
+const itemCooldowns = new WeakMap();
+
+/**
+ * Obtém o instante em que um grupo de itens volta a ficar disponível
+ * @param {Object} player - Jogador do servidor
+ * @param {string} group - Grupo de recarga
+ * @returns {number} Timestamp (0 se não houver recarga)
+ */
+function getCooldownEnd(player, group) {
+  const groups = itemCooldowns.get(player);
+  return (groups && groups[group]) || 0;
+}
+
+/**
+ * Inicia a recarga de um grupo de itens
+ * @private
+ */
+function startCooldown(player, group, duration, now) {
+  if (!itemCooldowns.has(player)) {
+    itemCooldowns.set(player, {});
+  }
+  itemCooldowns.get(player)[group] = now + duration;
+}
+
+/**
+ * Usa um item consumível do inventário de um jogador
+ * @param {Object} player - Jogador do servidor
+ * @param {string} uid - Pilha do inventário
+ * @param {number} now - Tempo atual
+ * @returns {{ error: string }|Object} Código de erro ou
+ *   { itemId, healed, restoredMp, buff, cooldownGroup, cooldown }
+ */
+function useItem(player, uid, now = Date.now()) {
+  const stack = player.inventory.find(uid);
+  if (!stack) {
+    return { error: ERROR_CODES.ITEM_NOT_IN_INVENTORY };
+  }
+
+  const definition = getItemDefinition(stack.itemId);
+  if (definition.type !== ITEM_TYPES.CONSUMABLE || !definition.effect) {
+    return { error: ERROR_CODES.ITEM_NOT_USABLE };
+  }
+
+  if (player.isDead) {
+    return { error: ERROR_CODES.INVALID_REQUEST };
+  }
+
+  if (isActionBlocked(player, STATUS_BLOCKS.ITEM)) {
+    return { error: ERROR_CODES.ACTION_BLOCKED };
+  }
+
+  const group = definition.cooldownGroup || null;
+  if (group && now < getCooldownEnd(player, group)) {
+    return { error: ERROR_CODES.ITEM_ON_COOLDOWN };
+  }
+
+  const stats = player.combatStats;
+  const effect = definition.effect;
+  const healed = effect.heal ? stats.heal(effect.heal, player.id, { itemId: definition.id }) : 0;
+  const restoredMp = effect.restoreMp ? stats.restoreMp(effect.restoreMp) : 0;
+
+  // Usar o mesmo buff de novo apenas reinicia a duração
+  if (effect.buff) {
+    player.statusEffects.applyEffect(StatusEffect.create(effect.buff, syncStats), player.id);
+  }
+
+  const cooldown = getItemCooldown(definition);
+  if (group) {
+    startCooldown(player, group, cooldown, now);
+  }
+
+  player.inventory.remove(uid, 1);
+  syncStats(player);
+
+  return {
+    itemId: definition.id,
+    healed,
+    restoredMp,
+    buff: effect.buff ? effect.buff.id : null,
+    cooldownGroup: group,
+    cooldown
+  };
+}
+
+module.exports = { useItem, getCooldownEnd };
@@ -0,0 +1,90 @@
+const { SERVER_CONFIG } = require('../game/core/config');
+
+// Dano causado por cada atacante em cada monstro (fora dos dados enviados aos clientes)
+const damageLogs = new WeakMap();
+
+/**
+ * Registra o dano causado por um jogador em um monstro
+ * @param {Object} monster - Monstro do servidor
+ * @param {string} attackerId - ID do jogador atacante
+ * @param {number} amount - Dano efetivo (sem contar o excedente além do HP restante)
+ */
+function recordDamage(monster, attackerId, amount) {
+  if (!attackerId || !(amount > 0)) return;
+
+  let log = damageLogs.get(monster);
+  if (!log) {
+    log = new Map();
+    damageLogs.set(monster, log);
+  }
+
+  log.set(attackerId, (log.get(attackerId) || 0) + amount);
+}
+
+/**
+ * Obtém o dano acumulado por atacante
+ * @param {Object} monster - Monstro do servidor
+ * @returns {Map<string, number>} Dano por ID do atacante
+ */
+function getDamageLog(monster) {
+  return damageLogs.get(monster) || new Map();
+}
+
+/**
+ * Esquece o dano registrado em um monstro (morte ou respawn)
+ * @param {Object} monster - Monstro do servidor
+ */
+function clearDamageLog(monster) {
+  damageLogs.delete(monster);
+}
+
+/**
+ * Calcula o crédito pela morte de um monstro a partir do dano registrado.
+ *
+ * O dono do loot é sempre quem causou mais dano. A EXP é dividida
+ * proporcionalmente ao dano ou entregue inteira ao maior contribuinte,
+ * conforme SERVER_CONFIG.killCredit.mode. Jogadores que já saíram do
+ * jogo perdem sua parte (ela não é redistribuída).
+ * @param {Object} monster - Monstro derrotado
+ * @param {Object} players - Jogadores conectados
+ * @param {number} totalExp - Experiência total do monstro
+ * @param {string} mode - Modo de divisão (padrão: SERVER_CONFIG.killCredit.mode)
+ * @returns {Object} { ownerId, shares: [{ player, damage, exp }] }
+ */
+function resolveKillCredit(monster, players, totalExp, mode = SERVER_CONFIG.killCredit.mode) {
+  const log = getDamageLog(monster);
+  let totalDamage = 0;
+  let ownerId = null;
+  let topDamage = 0;
+
+  log.forEach((damage, attackerId) => {
+    totalDamage += damage;
+    if (damage > topDamage) {
+      topDamage = damage;
+      ownerId = attackerId;
+    }
+  });
+
+  const shares = [];
+  log.forEach((damage, attackerId) => {
+    const player = players[attackerId];
+    if (!player) return;
+
+    const exp = mode === 'topContributor'
+      ? (attackerId === ownerId ? totalExp : 0)
+      : Math.floor(totalExp * damage / totalDamage);
+
+    if (exp > 0) {
+      shares.push({ player, damage, exp });
+    }
+  });
+
+  return { ownerId, shares };
+}
+
+module.exports = {
+  recordDamage,
+  getDamageLog,
+  clearDamageLog,
+  resolveKillCredit
+};
@@ -0,0 +1,469 @@
+const { MONSTER_AI_CONFIG, SERVER_CONFIG } = require('../game/core/config');
+const { DamageCalculator } = require('../game/combat/DamageCalculator');
+const { HIT_RESULTS } = require('../game/combat/combatConfig');
+const { StatusEffect } = require('../game/combat/StatusEffect');
+const { STATUS_BLOCKS, isActionBlocked } = require('../game/combat/statusEffects');
+const { syncHp, syncStats } = require('./combatEntities');
+
+/**
+ * Calcula a distância no plano XZ entre duas posições
+ * @param {Object} a - Primeira posição
+ * @param {Object} b - Segunda posição
+ * @returns {number} Distância
+ */
+function distance2D(a, b) {
+  const dx = (a.x || 0) - (b.x || 0);
+  const dz = (a.z || 0) - (b.z || 0);
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+/**
+ * Simulação autoritativa dos monstros no servidor.
+ *
+ * Perambulação, agressividade, perseguição e ataques são decididos aqui
+ * em um loop de taxa fixa; os clientes apenas renderizam os eventos
+ * `monsterMoved` e `monsterAttack`.
+ */
+class MonsterSimulation {
+  /**
+   * @param {Object} io - Instância do Socket.io
+   * @param {Object} monsters - Mapa de monstros do servidor (id -> dados)
+   * @param {Object} players - Mapa de jogadores do servidor (socketId -> dados)
+   */
+  constructor(io, monsters, players) {
+    this.io = io;
+    this.monsters = monsters;
+    this.players = players;
+    this.aiStates = new Map(); // monsterId -> estado da IA
+    this.tickInterval = null;
+    this.lastTickTime = 0;
+    this.tickDuration = 1000 / SERVER_CONFIG.tickRate;
+  }
+
+  /**
+   * Registra um monstro na simulação
+   * @param {Object} monster - Dados do monstro
+   */
+  addMonster(monster) {
+    const typeConfig = this.getTypeConfig(monster.type);
+
+    this.aiStates.set(monster.id, {
+      typeConfig,
+      spawnPosition: { ...monster.position },
+      state: 'idle', // idle, wander, aggro, attack, return
+      aggroTarget: null,
+      wanderTarget: null,
+      nextWanderTime: Date.now() + this.randomWanderDelay(),
+      nextPlayerCheck: 0,
+      lastAttackTime: 0
+    });
+  }
+
+  /**
+   * Obtém a configuração do tipo de monstro
+   * @param {string} type - Tipo do monstro
+   * @returns {Object} Configuração do tipo
+   */
+  getTypeConfig(type) {
+    return MONSTER_AI_CONFIG.monsterTypes[type] || MONSTER_AI_CONFIG.monsterTypes.poring;
+  }
+
+  /**
+   * Inicia o loop de simulação
+   */
+  start() {
+    if (this.tickInterval || !MONSTER_AI_CONFIG.enabled) return;
+
+    this.lastTickTime = Date.now();
+    this.tickInterval = setInterval(() => this.tick(), this.tickDuration);
+
+    console.log(`[SERVIDOR] Simulação de monstros iniciada (${SERVER_CONFIG.tickRate} ticks/s)`);
+  }
+
+  /**
+   * Para o loop de simulação
+   */
+  stop() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+  }
+
+  /**
+   * Executa um passo da simulação
+   */
+  tick() {
+    const now = Date.now();
+    const deltaTime = now - this.lastTickTime;
+    this.lastTickTime = now;
+
+    for (const [monsterId, ai] of this.aiStates.entries()) {
+      const monster = this.monsters[monsterId];
+      if (!monster || monster.hp <= 0) continue;
+
+      try {
+        this.updateMonster(monster, ai, deltaTime, now);
+      } catch (error) {
+        console.error(`[SERVIDOR] Erro ao simular monstro ${monsterId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Atualiza o comportamento de um monstro
+   * @param {Object} monster - Dados do monstro
+   * @param {Object} ai - Estado da IA
+   * @param {number} deltaTime - Tempo desde o último tick (ms)
+   * @param {number} now - Tempo atual
+   */
+  updateMonster(monster, ai, deltaTime, now) {
+    // Monstros agressivos procuram jogadores periodicamente
+    if (!ai.aggroTarget && ai.typeConfig.isAggressive && now >= ai.nextPlayerCheck) {
+      ai.nextPlayerCheck = now + MONSTER_AI_CONFIG.checkPlayerInterval;
+      const player = this.findClosestPlayer(monster, ai.typeConfig.aggroRadius || MONSTER_AI_CONFIG.aggroRadius);
+      if (player) {
+        this.setAggroTarget(monster.id, player.id);
+      }
+    }
+
+    switch (ai.state) {
+      case 'idle':
+        if (now >= ai.nextWanderTime) {
+          this.startWander(monster, ai);
+        }
+        break;
+
+      case 'wander':
+        if (this.moveTowards(monster, ai.wanderTarget, this.getStep(ai, deltaTime))) {
+          ai.state = 'idle';
+          ai.wanderTarget = null;
+          ai.nextWanderTime = now + this.randomWanderDelay();
+        }
+        break;
+
+      case 'aggro':
+      case 'attack':
+        this.updateAggro(monster, ai, deltaTime, now);
+        break;
+
+      case 'return':
+        if (this.moveTowards(monster, ai.spawnPosition, this.getStep(ai, deltaTime) * 1.2)) {
+          ai.state = 'idle';
+          ai.nextWanderTime = now + this.randomWanderDelay();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Atualiza perseguição e ataque contra o alvo atual
+   * @private
+   */
+  updateAggro(monster, ai, deltaTime, now) {
+    const target = this.players[ai.aggroTarget];
+
+    if (!target || target.isDead || target.hp <= 0) {
+      this.loseAggroTarget(monster.id);
+      return;
+    }
+
+    const distance = distance2D(monster.position, target.position);
+
+    // Jogador muito longe, desistir da perseguição
+    if (distance > MONSTER_AI_CONFIG.maxAggroDistance) {
+      this.loseAggroTarget(monster.id);
+      return;
+    }
+
+    const attackRange = ai.typeConfig.attackRange * 1.2; // 20% de tolerância
+
+    if (distance > attackRange) {
+      ai.state = 'aggro';
+      this.moveTowards(monster, target.position, this.getStep(ai, deltaTime), attackRange * 0.9);
+      return;
+    }
+
+    ai.state = 'attack';
+
+    const attackInterval = ai.typeConfig.attackInterval || MONSTER_AI_CONFIG.attackInterval;
+    if (now - ai.lastAttackTime >= attackInterval && !isActionBlocked(monster, STATUS_BLOCKS.ATTACK)) {
+      ai.lastAttackTime = now;
+      this.performAttack(monster, target);
+    }
+  }
+
+  /**
+   * Executa um ataque do monstro contra um jogador
+   * @private
+   */
+  performAttack(monster, target) {
+    // Mesmo cálculo de dano do cliente (precisão, variação, crítico e defesa do alvo);
+    // a FLEE do jogador cai quando vários monstros o atacam ao mesmo tempo
+    const damageResult = DamageCalculator.calculateBasicAttackDamage(monster, target, {
+      attackerCount: this.countAttackers(target.id)
+    });
+
+    // Ataque evitado (Miss/Lucky): nenhum dano
+    if (damageResult.result !== HIT_RESULTS.HIT) {
+      this.io.emit('monsterAttack', {
+        monsterId: monster.id,
+        targetId: target.id,
+        damage: 0,
+        critical: false,
+        type: damageResult.type,
+        result: damageResult.result,
+        hp: target.hp
+      });
+      return;
+    }
+
+    const result = target.combatStats.applyDamage(
+      damageResult.damage,
+      damageResult.type,
+      monster.id,
+      { critical: damageResult.critical, breakdown: damageResult.breakdown }
+    );
+    syncHp(target);
+
+    this.io.emit('monsterAttack', {
+      monsterId: monster.id,
+      targetId: target.id,
+      damage: result.damage,
+      critical: result.critical,
+      type: damageResult.type,
+      result: damageResult.result,
+      breakdown: damageResult.breakdown,
+      hp: target.hp
+    });
+
+    if (result.targetDied) {
+      console.log(`[SERVIDOR] Jogador ${target.id} morto pelo monstro ${monster.id}`);
+      target.isDead = true;
+      this.io.emit('playerDied', { playerId: target.id });
+      this.loseAggroTarget(monster.id);
+      return;
+    }
+
+    this.applyAttackEffects(monster, target);
+  }
+
+  /**
+   * Sorteia os efeitos de status causados pelo ataque (`attackEffects` do tipo)
+   * @private
+   */
+  applyAttackEffects(monster, target) {
+    const { attackEffects = [] } = this.getTypeConfig(monster.type);
+
+    attackEffects.forEach(({ id, chance }) => {
+      if (target.statusEffects && Math.random() < chance) {
+        target.statusEffects.applyEffect(StatusEffect.create({ id }, syncStats), monster.id);
+      }
+    });
+  }
+
+  /**
+   * Quantos monstros estão atacando um jogador (já em alcance de ataque)
+   * @param {string} playerId - ID do jogador
+   * @returns {number} Número de monstros
+   */
+  countAttackers(playerId) {
+    let count = 0;
+    for (const ai of this.aiStates.values()) {
+      if (ai.aggroTarget === playerId && ai.state === 'attack') {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Define um jogador como alvo de agressividade de um monstro
+   * @param {string} monsterId - ID do monstro
+   * @param {string} playerId - ID do jogador
+   */
+  setAggroTarget(monsterId, playerId) {
+    const ai = this.aiStates.get(monsterId);
+    const monster = this.monsters[monsterId];
+    if (!ai || !monster || monster.hp <= 0 || !this.players[playerId]) return;
+
+    if (ai.aggroTarget !== playerId) {
+      console.log(`[SERVIDOR] Monstro ${monsterId} agressivo contra ${playerId}`);
+    }
+
+    ai.aggroTarget = playerId;
+    ai.wanderTarget = null;
+    if (ai.state !== 'attack') {
+      ai.state = 'aggro';
+    }
+  }
+
+  /**
+   * Faz o monstro perder o alvo atual
+   * @param {string} monsterId - ID do monstro
+   */
+  loseAggroTarget(monsterId) {
+    const ai = this.aiStates.get(monsterId);
+    const monster = this.monsters[monsterId];
+    if (!ai || !monster) return;
+
+    ai.aggroTarget = null;
+
+    // Voltar para o ponto de spawn se estiver muito longe
+    if (distance2D(monster.position, ai.spawnPosition) > MONSTER_AI_CONFIG.wanderRadius * 2) {
+      ai.state = 'return';
+    } else {
+      ai.state = 'idle';
+      ai.nextWanderTime = Date.now() + this.randomWanderDelay();
+    }
+  }
+
+  /**
+   * Remove um jogador como alvo de todos os monstros
+   * @param {string} playerId - ID do jogador
+   */
+  forgetPlayer(playerId) {
+    for (const [monsterId, ai] of this.aiStates.entries()) {
+      if (ai.aggroTarget === playerId) {
+        this.loseAggroTarget(monsterId);
+      }
+    }
+  }
+
+  /**
+   * Processa a morte de um monstro e agenda o respawn
+   * @param {string} monsterId - ID do monstro
+   */
+  handleMonsterDeath(monsterId) {
+    const ai = this.aiStates.get(monsterId);
+    if (ai) {
+      ai.state = 'idle';
+      ai.aggroTarget = null;
+      ai.wanderTarget = null;
+    }
+
+    setTimeout(() => this.respawnMonster(monsterId), MONSTER_AI_CONFIG.respawnTime);
+  }
+
+  /**
+   * Respawna um monstro em uma posição aleatória próxima ao spawn original
+   * @param {string} monsterId - ID do monstro
+   */
+  respawnMonster(monsterId) {
+    const monster = this.monsters[monsterId];
+    const ai = this.aiStates.get(monsterId);
+    if (!monster || !ai) return;
+
+    monster.combatStats.revive(100);
+    syncHp(monster);
+
+    // Calcular uma posição aleatória em um raio ao redor do ponto original
+    const angle = Math.random() * Math.PI * 2;
+    const distance = Math.random() * MONSTER_AI_CONFIG.respawnRadius;
+    monster.position = {
+      x: ai.spawnPosition.x + Math.cos(angle) * distance,
+      y: 0,
+      z: ai.spawnPosition.z + Math.sin(angle) * distance
+    };
+
+    ai.state = 'idle';
+    ai.lastAttackTime = 0;
+    ai.nextWanderTime = Date.now() + this.randomWanderDelay();
+
+    console.log(`[SERVIDOR] Monstro ${monsterId} respawnando em posição aleatória: (${monster.position.x.toFixed(2)}, ${monster.position.z.toFixed(2)})`);
+
+    this.io.emit('monsterRespawn', monster);
+  }
+
+  /**
+   * Inicia a perambulação para um ponto aleatório dentro do raio de patrulha
+   * @private
+   */
+  startWander(monster, ai) {
+    const angle = Math.random() * Math.PI * 2;
+    const radius = Math.random() * MONSTER_AI_CONFIG.wanderRadius;
+
+    ai.wanderTarget = {
+      x: ai.spawnPosition.x + Math.cos(angle) * radius,
+      y: monster.position.y,
+      z: ai.spawnPosition.z + Math.sin(angle) * radius
+    };
+    ai.state = 'wander';
+  }
+
+  /**
+   * Move o monstro em direção a um destino e notifica os clientes
+   * @param {Object} monster - Dados do monstro
+   * @param {Object} destination - Posição de destino
+   * @param {number} step - Distância máxima percorrida neste tick
+   * @param {number} stopDistance - Distância do destino em que o movimento termina
+   * @returns {boolean} Se chegou ao destino
+   * @private
+   */
+  moveTowards(monster, destination, step, stopDistance = 0.2) {
+    if (!destination) return true;
+
+    // Monstros atordoados, congelados ou petrificados não saem do lugar
+    if (isActionBlocked(monster, STATUS_BLOCKS.MOVE)) return false;
+
+    const distance = distance2D(monster.position, destination);
+    if (distance <= stopDistance) return true;
+
+    const travel = Math.min(step, distance - stopDistance);
+    const dx = (destination.x - monster.position.x) / distance;
+    const dz = (destination.z - monster.position.z) / distance;
+
+    monster.position = {
+      x: monster.position.x + dx * travel,
+      y: monster.position.y,
+      z: monster.position.z + dz * travel
+    };
+
+    this.io.emit('monsterMoved', {
+      id: monster.id,
+      position: monster.position
+    });
+
+    return travel >= distance - stopDistance;
+  }
+
+  /**
+   * Converte a velocidade do monstro (unidades por quadro) para o tick atual
+   * @private
+   */
+  getStep(ai, deltaTime) {
+    const moveSpeed = ai.typeConfig.moveSpeed || MONSTER_AI_CONFIG.moveSpeed;
+    return moveSpeed * (deltaTime / (1000 / SERVER_CONFIG.referenceFrameRate));
+  }
+
+  /**
+   * Encontra o jogador vivo mais próximo dentro de um raio
+   * @private
+   */
+  findClosestPlayer(monster, radius) {
+    let closestPlayer = null;
+    let closestDistance = Infinity;
+
+    for (const player of Object.values(this.players)) {
+      if (player.isDead || player.hp <= 0) continue;
+
+      const distance = distance2D(monster.position, player.position);
+      if (distance <= radius && distance < closestDistance) {
+        closestPlayer = player;
+        closestDistance = distance;
+      }
+    }
+
+    return closestPlayer;
+  }
+
+  /**
+   * Sorteia o tempo até a próxima perambulação
+   * @private
+   */
+  randomWanderDelay() {
+    return Math.random() * (MONSTER_AI_CONFIG.maxWanderTime - MONSTER_AI_CONFIG.minWanderTime) + MONSTER_AI_CONFIG.minWanderTime;
+  }
+}
+
+module.exports = { MonsterSimulation, distance2D };
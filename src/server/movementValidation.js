@@ -0,0 +1,103 @@
+const { CHARACTER_CLASSES, SERVER_CONFIG } = require('../game/core/config');
+const { STATUS_BLOCKS, isActionBlocked } = require('../game/combat/statusEffects');
+
+// Estado de validação por jogador (fora dos dados enviados aos clientes)
+const movementStates = new WeakMap();
+
+/**
+ * Extrai uma posição válida dos dados enviados pelo cliente
+ * @param {Object} data - Posição ({x, y, z}) ou payload com a propriedade position
+ * @returns {Object|null} Posição normalizada ou null se inválida
+ */
+function normalizePosition(data) {
+  const position = data && data.position ? data.position : data;
+  if (!position) return null;
+
+  const x = Number(position.x);
+  const y = Number(position.y) || 0;
+  const z = Number(position.z);
+
+  if (!Number.isFinite(x) || !Number.isFinite(z)) return null;
+
+  return { x, y, z };
+}
+
+/**
+ * Prepara o estado de validação de movimento de um jogador
+ * @param {Object} player - Dados do jogador no servidor
+ * @param {number} now - Tempo atual
+ */
+function initMovementState(player, now = Date.now()) {
+  movementStates.set(player, { lastMoveTime: now, moveBudget: 0 });
+}
+
+/**
+ * Valida uma atualização de posição contra a velocidade da classe.
+ *
+ * Cada jogador acumula um "orçamento" de distância proporcional ao tempo
+ * decorrido, o que tolera pacotes que chegam agrupados pela rede. Movimentos
+ * que excedem o orçamento são limitados à distância permitida. A altura (y)
+ * informada pelo cliente é ignorada: o jogador permanece na altura do servidor.
+ * @param {Object} player - Dados do jogador no servidor
+ * @param {Object} requested - Posição informada pelo cliente
+ * @param {number} now - Tempo atual
+ * @returns {Object} Posição aceita e se o cliente precisa ser corrigido
+ */
+function validateMove(player, requested, now = Date.now()) {
+  const last = player.position;
+  if (!movementStates.has(player)) {
+    initMovementState(player, now);
+  }
+  const state = movementStates.get(player);
+
+  // Jogadores mortos não se movem
+  if (player.isDead || (player.combatStats && player.combatStats.isDead)) {
+    return { position: last, corrected: true, reason: 'dead' };
+  }
+
+  // Atordoados, congelados e petrificados ficam parados
+  if (isActionBlocked(player, STATUS_BLOCKS.MOVE)) {
+    state.lastMoveTime = now;
+    return { position: last, corrected: true, reason: 'blocked' };
+  }
+
+  const classProps = CHARACTER_CLASSES[player.class] || CHARACTER_CLASSES.knight;
+  const frameDuration = 1000 / SERVER_CONFIG.referenceFrameRate;
+  const speedPerFrame = classProps.moveSpeed * SERVER_CONFIG.movementTolerance;
+
+  // Acumular orçamento de distância pelo tempo decorrido
+  const elapsed = Math.max(0, now - state.lastMoveTime);
+  const maxBudget = speedPerFrame * (SERVER_CONFIG.maxMoveBudgetTime / frameDuration);
+  const budget = Math.min(maxBudget, state.moveBudget + speedPerFrame * (elapsed / frameDuration));
+  state.lastMoveTime = now;
+
+  const dx = requested.x - last.x;
+  const dz = requested.z - last.z;
+  const distance = Math.sqrt(dx * dx + dz * dz);
+
+  if (distance <= budget) {
+    state.moveBudget = budget - distance;
+    return { position: { x: requested.x, y: last.y, z: requested.z }, corrected: false };
+  }
+
+  // Movimento impossível: limitar à distância permitida
+  const ratio = budget / distance;
+  const accepted = {
+    x: last.x + dx * ratio,
+    y: last.y,
+    z: last.z + dz * ratio
+  };
+  state.moveBudget = 0;
+
+  return {
+    position: accepted,
+    corrected: distance - budget > SERVER_CONFIG.positionCorrectionThreshold,
+    reason: 'speed'
+  };
+}
+
+module.exports = {
+  normalizePosition,
+  initMovementState,
+  validateMove
+};
@@ -0,0 +1,79 @@
+const { PrimaryStats } = require('../game/combat/PrimaryStats');
+const { CombatStats } = require('../game/combat/CombatStats');
+const { syncStats } = require('./combatEntities');
+
+/**
+ * Aplica os atributos primários às estatísticas de combate
+ * @param {Object} player - Jogador do servidor (com combatStats e primaryStats)
+ */
+function applyPrimaryStats(player) {
+  player.combatStats.setPrimaryStats(player.primaryStats.values);
+  syncStats(player);
+}
+
+/**
+ * Cria os atributos primários de um jogador a partir do registro salvo.
+ *
+ * Personagens salvos antes dos atributos primários recebem os pontos
+ * acumulados até o nível atual. A propriedade não é enumerável, como as
+ * habilidades.
+ * @param {Object} player - Jogador do servidor (com combatStats)
+ * @param {Object} record - Registro salvo ({ values, points })
+ * @returns {PrimaryStats} Atributos criados
+ */
+function attachPrimaryStats(player, record) {
+  const primaryStats = new PrimaryStats(
+    record || { values: {}, points: PrimaryStats.getPointsForLevel(player.level || 1) }
+  );
+
+  Object.defineProperty(player, 'primaryStats', { value: primaryStats, enumerable: false });
+  applyPrimaryStats(player);
+  return primaryStats;
+}
+
+/**
+ * Gasta pontos para subir um atributo primário
+ * @param {Object} player - Jogador do servidor
+ * @param {string} stat - Atributo (str, agi, vit, int, dex, luk)
+ * @returns {{ error: string }|{ stat: string, value: number, points: number }} Resultado
+ */
+function raiseStat(player, stat) {
+  const result = player.primaryStats.raise(stat);
+  if (!result.error) {
+    applyPrimaryStats(player);
+  }
+  return result;
+}
+
+/**
+ * Dados da janela de atributos enviados ao dono: atributos primários, pontos,
+ * custos e os atributos de combate resultantes (com equipamentos e efeitos)
+ * @param {Object} player - Jogador do servidor
+ * @returns {Object} { values, points, costs, derived }
+ */
+function serializeStats(player) {
+  const stats = player.combatStats;
+
+  return {
+    ...player.primaryStats.serialize(),
+    derived: {
+      attack: stats.attack,
+      magicAttack: stats.magicAttack,
+      defense: stats.defense,
+      softDefense: stats.softDefense,
+      magicDefense: stats.magicDefense,
+      softMagicDefense: stats.softMagicDefense,
+      hit: stats.hit,
+      flee: stats.flee,
+      critChance: stats.critChance,
+      perfectDodge: stats.perfectDodge,
+      attackSpeed: stats.attackSpeed,
+      aspd: CombatStats.getAspd(stats.attackCooldown),
+      attackCooldown: stats.attackCooldown,
+      maxHp: stats.maxHp,
+      maxMp: stats.maxMp
+    }
+  };
+}
+
+module.exports = { attachPrimaryStats, applyPrimaryStats, raiseStat, serializeStats };
@@ -0,0 +1,78 @@
+const { MONSTER_AI_CONFIG } = require('../game/core/config');
+const { addExperience, getExpToNextLevel } = require('../game/core/experience');
+const { SKILL_POINTS } = require('../game/skills/skillDefinitions');
+const { PrimaryStats } = require('../game/combat/PrimaryStats');
+const { serializeStats } = require('./primaryStats');
+const { syncStats } = require('./combatEntities');
+const { emitToNearby } = require('./broadcast');
+
+/**
+ * Calcula a experiência base concedida por um monstro
+ * @param {Object} monster - Monstro do servidor
+ * @returns {number} Experiência do monstro
+ */
+function getMonsterExp(monster) {
+  const typeConfig = MONSTER_AI_CONFIG.monsterTypes[monster.type] || MONSTER_AI_CONFIG.monsterTypes.poring;
+  const level = monster.combatStats ? monster.combatStats.level : (monster.level || 1);
+
+  return (typeConfig.baseExp || 0) * level;
+}
+
+/**
+ * Concede experiência a um jogador e processa as subidas de nível
+ *
+ * O jogador recebe 'expGained' com o progresso atual; subidas de nível
+ * recalculam as estatísticas de combate, concedem pontos de habilidade
+ * ('skillsUpdate') e de atributo ('statsUpdate') e são anunciadas aos jogadores próximos com 'playerLevelUp'.
+ * @param {Object} io - Instância do Socket.io
+ * @param {Object} players - Jogadores conectados
+ * @param {Object} player - Jogador que recebe a experiência
+ * @param {number} amount - Experiência concedida
+ * @param {string} sourceId - ID da origem (ex: monstro derrotado)
+ * @returns {Object} { level, exp, levelsGained }
+ */
+function awardExperience(io, players, player, amount, sourceId = null) {
+  const stats = player.combatStats;
+  const result = addExperience(stats.level, player.exp || 0, amount);
+
+  player.exp = result.exp;
+
+  io.to(player.id).emit('expGained', {
+    amount,
+    sourceId,
+    level: result.level,
+    exp: result.exp,
+    expToNext: getExpToNextLevel(result.level)
+  });
+
+  if (result.levelsGained > 0) {
+    stats.levelUp(result.level);
+    syncStats(player);
+
+    if (player.skills) {
+      player.skills.addPoints(result.levelsGained * SKILL_POINTS.perLevel);
+      io.to(player.id).emit('skillsUpdate', player.skills.serialize());
+    }
+
+    if (player.primaryStats) {
+      for (let level = result.level - result.levelsGained + 1; level <= result.level; level++) {
+        player.primaryStats.addPoints(PrimaryStats.getPointsForLevelUp(level));
+      }
+      io.to(player.id).emit('statsUpdate', serializeStats(player));
+    }
+
+    console.log(`[SERVIDOR] ${player.name} subiu para o nível ${result.level}`);
+    emitToNearby(io, players, player.position, 'playerLevelUp', {
+      playerId: player.id,
+      level: player.level,
+      hp: player.hp,
+      maxHp: player.maxHp,
+      mp: player.mp,
+      maxMp: player.maxMp
+    });
+  }
+
+  return result;
+}
+
+module.exports = { getMonsterExp, awardExperience };
@@ -0,0 +1,106 @@
+const { emitToNearby } = require('./broadcast');
+const { getTravelTime, isProjectileHit } = require('../game/combat/projectiles');
+const { HIT_RESULTS } = require('../game/combat/combatConfig');
+
+/**
+ * Projéteis em voo (ataques à distância e habilidades de projétil).
+ *
+ * O servidor calcula o tempo de voo no disparo e avisa os jogadores próximos
+ * ('projectileLaunched'); o acerto só é resolvido na chegada, quando o
+ * callback informado em launch() aplica o dano. Todos recebem
+ * 'projectileImpact' com o resultado, acertando ou não.
+ */
+class ProjectileManager {
+  /**
+   * @param {Object} io - Instância do Socket.io
+   * @param {Object} players - Jogadores conectados, indexados pelo id do socket
+   */
+  constructor(io, players) {
+    this.io = io;
+    this.players = players;
+    this.projectiles = new Map(); // id -> { definition, attacker, target, aim, skillId, timer }
+    this.nextId = 1;
+  }
+
+  /**
+   * Dispara um projétil contra um monstro
+   * @param {Object} attacker - Jogador do servidor
+   * @param {Object} target - Monstro alvo
+   * @param {Object} definition - Definição do projétil (ver PROJECTILE_DEFINITIONS)
+   * @param {Function} onImpact - Chamado ao acertar; retorna { damage, critical, type, targetDied }
+   * @param {string|null} skillId - Habilidade que disparou o projétil (null = ataque básico)
+   * @returns {{ id: string, travelTime: number }} Projétil disparado
+   */
+  launch(attacker, target, definition, onImpact, skillId = null) {
+    const id = `projectile_${this.nextId++}`;
+    const travelTime = getTravelTime(attacker.position, target.position, definition.speed);
+
+    const projectile = {
+      definition,
+      attacker,
+      target,
+      aim: { ...target.position },
+      skillId,
+      timer: setTimeout(() => this.resolve(id, onImpact), travelTime)
+    };
+    this.projectiles.set(id, projectile);
+
+    emitToNearby(this.io, this.players, attacker.position, 'projectileLaunched', {
+      id,
+      type: definition.id,
+      attackerId: attacker.id,
+      targetId: target.id,
+      skillId,
+      from: { ...attacker.position },
+      to: projectile.aim,
+      homing: definition.homing,
+      travelTime
+    });
+
+    return { id, travelTime };
+  }
+
+  /**
+   * Resolve a chegada de um projétil
+   *
+   * Erra se o alvo já morreu, se um projétil em linha reta não encontra
+   * mais o alvo no ponto mirado ou se o alvo evita o golpe (Miss/Lucky).
+   * @private
+   */
+  resolve(id, onImpact) {
+    const projectile = this.projectiles.get(id);
+    if (!projectile) return;
+    this.projectiles.delete(id);
+
+    const { attacker, target, definition } = projectile;
+    const reached = Boolean(target.combatStats) && !target.combatStats.isDead &&
+      isProjectileHit(definition, projectile.aim, target.position);
+
+    const result = reached ? onImpact() : null;
+    const hit = Boolean(result) && (!result.result || result.result === HIT_RESULTS.HIT);
+
+    emitToNearby(this.io, this.players, target.position, 'projectileImpact', {
+      id,
+      attackerId: attacker.id,
+      targetId: target.id,
+      skillId: projectile.skillId,
+      hit,
+      ...(result || {})
+    });
+  }
+
+  /**
+   * Cancela os projéteis em voo de um jogador (ex: ao sair do jogo)
+   * @param {Object} attacker - Jogador do servidor
+   */
+  cancelFrom(attacker) {
+    this.projectiles.forEach((projectile, id) => {
+      if (projectile.attacker === attacker) {
+        clearTimeout(projectile.timer);
+        this.projectiles.delete(id);
+      }
+    });
+  }
+}
+
+module.exports = { ProjectileManager };
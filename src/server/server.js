@@ -2,6 +2,32 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const { MonsterSimulation } = require('./monsterSimulation');
+const { setupPlayerCombat, setupMonsterCombat, attachStatusEffects, syncHp, syncStats } = require('./combatEntities');
+const { getMonsterExp, awardExperience } = require('./progression');
+const { recordDamage, clearDamageLog, resolveKillCredit } = require('./killCredit');
+const { GroundItemManager } = require('./groundItems');
+const { attachInventory } = require('./inventory');
+const { useItem } = require('./itemUse');
+const { attachEquipment, applyEquipment } = require('./equipment');
+const { attachHotbar, setHotbarSlot } = require('./hotbar');
+const { attachSkills, checkSkill, useSkill } = require('./skillUse');
+const { attachPrimaryStats, raiseStat, serializeStats } = require('./primaryStats');
+const { SkillCastManager } = require('./skillCasting');
+const { ProjectileManager } = require('./projectiles');
+const { emitToNearby } = require('./broadcast');
+const { DamageCalculator } = require('../game/combat/DamageCalculator');
+const { HIT_RESULTS } = require('../game/combat/combatConfig');
+const { getSkillDefinition, SKILL_TARGETS } = require('../game/skills/skillDefinitions');
+const { getProjectileDefinition } = require('../game/combat/projectiles');
+const { STATUS_BLOCKS } = require('../game/combat/statusEffects');
+const { CHARACTER_CLASSES, SERVER_CONFIG } = require('../game/core/config');
+const { normalizePosition, initMovementState, validateMove } = require('./movementValidation');
+const { createCharacterStore, createAccountStore, toCharacterRecord } = require('./storage');
+const { SessionManager } = require('./auth/sessionManager');
+const { createAccountRouter } = require('./auth/accountRoutes');
+const { ERROR_CODES } = require('../game/core/errorCodes');
+const { createCharacterRecord, toCharacterSummary } = require('./characters');
 
 const app = express();
 const server = http.createServer(app);
@@ -31,135 +57,997 @@ function initMonsters() {
     hp: 100,
     maxHp: 100
   };
+  
+  // Estatísticas de combate compartilhadas com o cliente e debuffs de habilidades
+  Object.values(monsters).forEach(monster => {
+    setupMonsterCombat(monster);
+    attachStatusEffects(monster);
+  });
 }
 
 initMonsters();
 
+// Simulação autoritativa dos monstros (IA, movimento e ataques)
+const monsterSimulation = new MonsterSimulation(io, monsters, players);
+Object.values(monsters).forEach(monster => monsterSimulation.addMonster(monster));
+monsterSimulation.start();
+
+// Efeitos de status de jogadores e monstros: ticks e expiração avançam no
+// tick do servidor (os listeners avisam os clientes das remoções)
+function updateStatusEffects() {
+  [...Object.values(players), ...Object.values(monsters)].forEach(entity => {
+    if (entity.statusEffects) {
+      entity.statusEffects.update();
+    }
+  });
+}
+
+const statusEffectsInterval = setInterval(updateStatusEffects, 1000 / SERVER_CONFIG.tickRate);
+
+// Itens derrubados pelos monstros
+const groundItems = new GroundItemManager(io);
+
+// Conjurações de habilidades em andamento
+const skillCasts = new SkillCastManager(io, players);
+
+// Projéteis em voo (dano aplicado na chegada)
+const projectiles = new ProjectileManager(io, players);
+
+// Armazenamento persistente dos personagens e contas
+const characterStore = createCharacterStore();
+const accountStore = createAccountStore();
+const sessions = new SessionManager();
+
+// Descartar as sessões expiradas que não voltaram a ser usadas
+const sessionSweepInterval = setInterval(() => sessions.sweep(), SERVER_CONFIG.auth.sessionSweepInterval);
+
+// Registro e login de contas (emitem o token exigido pelo socket)
+app.use('/api', createAccountRouter(accountStore, sessions));
+
+// Conexões de socket exigem um token de sessão válido
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  const session = sessions.validate(token);
+  if (!session) {
+    return next(new Error(ERROR_CODES.INVALID_SESSION));
+  }
+  
+  socket.data.session = session;
+  socket.data.sessionToken = token;
+  next();
+});
+
+/**
+ * Salva o personagem de um jogador conectado
+ * @param {Object} player - Dados do jogador no servidor
+ */
+async function savePlayer(player) {
+  try {
+    await characterStore.save(toCharacterRecord(player));
+  } catch (error) {
+    console.error(`[SERVIDOR] Erro ao salvar personagem ${player.name}:`, error);
+  }
+}
+
+/**
+ * Salva todos os jogadores conectados
+ */
+async function saveAllPlayers() {
+  const online = Object.values(players);
+  if (online.length === 0) return;
+  
+  try {
+    await characterStore.saveAll(online.map(toCharacterRecord));
+    console.log(`[SERVIDOR] ${online.length} personagens salvos`);
+  } catch (error) {
+    console.error('[SERVIDOR] Erro no salvamento automático:', error);
+  }
+}
+
+/**
+ * Envia o inventário atualizado ao dono
+ * @param {Object} player - Dados do jogador no servidor
+ */
+function sendInventory(player) {
+  io.to(player.id).emit('inventoryUpdate', player.inventory.serialize());
+}
+
+/**
+ * Envia os equipamentos e os atributos resultantes ao dono
+ * @param {Object} player - Dados do jogador no servidor
+ */
+function sendEquipment(player) {
+  const stats = player.combatStats;
+
+  io.to(player.id).emit('equipmentUpdate', {
+    ...player.equipment.serialize(),
+    attack: stats.attack,
+    magicAttack: stats.magicAttack,
+    defense: stats.defense,
+    magicDefense: stats.magicDefense,
+    hit: stats.hit,
+    flee: stats.flee,
+    critChance: stats.critChance,
+    perfectDodge: stats.perfectDodge
+  });
+}
+
+/**
+ * Envia as habilidades aprendidas e os pontos disponíveis ao dono
+ * @param {Object} player - Dados do jogador no servidor
+ */
+function sendSkills(player) {
+  io.to(player.id).emit('skillsUpdate', player.skills.serialize());
+}
+
+/**
+ * Envia os atributos primários, os pontos e os atributos derivados ao dono
+ * @param {Object} player - Dados do jogador no servidor
+ */
+function sendStats(player) {
+  io.to(player.id).emit('statsUpdate', serializeStats(player));
+}
+
+/**
+ * Envia os efeitos de status ativos de um jogador (e o HP/MP resultante) aos próximos
+ * @param {Object} player - Dados do jogador no servidor
+ */
+function broadcastStatusEffects(player) {
+  emitToNearby(io, players, player.position, 'playerStatusEffects', {
+    playerId: player.id,
+    effects: player.statusEffects.getSerializableData(),
+    hp: player.hp,
+    maxHp: player.maxHp,
+    mp: player.mp,
+    maxMp: player.maxMp
+  });
+}
+
+/**
+ * Aplica a um monstro o dano de um ataque ou habilidade de jogador
+ *
+ * Registra o crédito pelo dano e, se o monstro morrer, distribui a
+ * experiência, sorteia os drops e agenda o respawn; caso contrário o monstro
+ * passa a perseguir o atacante e todos recebem 'monsterDamaged'. Ataques
+ * evitados (Miss/Lucky) não causam dano: o monstro reage ao atacante e os
+ * jogadores próximos recebem 'attackMissed'.
+ * @param {Object} attacker - Jogador atacante
+ * @param {Object} target - Monstro atingido
+ * @param {Object} damageResult - Dano calculado ({ damage, type, critical, result, breakdown })
+ * @param {Object} details - Dados extras enviados em 'monsterDamaged' (ex: { skillId })
+ * @returns {Object} Resultado de CombatStats.applyDamage
+ */
+function damageMonster(attacker, target, damageResult, details = {}) {
+  if (damageResult.result && damageResult.result !== HIT_RESULTS.HIT) {
+    monsterSimulation.setAggroTarget(target.id, attacker.id);
+    emitToNearby(io, players, target.position, 'attackMissed', {
+      attackerId: attacker.id,
+      targetId: target.id,
+      result: damageResult.result,
+      ...details
+    });
+    return { damage: 0, absorbed: 0, targetDied: false, critical: false };
+  }
+  
+  const hpBefore = target.combatStats.hp;
+  const result = target.combatStats.applyDamage(
+    damageResult.damage,
+    damageResult.type,
+    attacker.id,
+    { critical: damageResult.critical, breakdown: damageResult.breakdown }
+  );
+  syncHp(target);
+  
+  // Crédito pela morte considera apenas o dano efetivo (sem o excedente do golpe final)
+  recordDamage(target, attacker.id, Math.min(result.damage, hpBefore));
+  
+  if (result.targetDied) {
+    const credit = resolveKillCredit(target, players, getMonsterExp(target));
+    clearDamageLog(target);
+    target.statusEffects.removeAllEffects();
+    
+    console.log(`[SERVIDOR] Monstro ${target.id} morreu (dono do loot: ${credit.ownerId})`);
+    io.emit('monsterDied', target.id);
+    
+    // Experiência dividida entre os jogadores que causaram dano
+    credit.shares.forEach(({ player, exp }) => {
+      awardExperience(io, players, player, exp, target.id);
+    });
+    
+    // Drops com prioridade para quem causou mais dano (se ainda estiver no jogo)
+    groundItems.rollDrops(target, players[credit.ownerId] ? credit.ownerId : null);
+    
+    // Respawn do monstro agendado pela simulação
+    monsterSimulation.handleMonsterDeath(target.id);
+  } else {
+    // O monstro atacado torna-se agressivo contra o atacante
+    monsterSimulation.setAggroTarget(target.id, attacker.id);
+    
+    // Enviar evento para todos os clientes imediatamente
+    io.emit('monsterDamaged', {
+      id: target.id,
+      hp: target.hp,
+      damage: result.damage,
+      critical: result.critical,
+      type: damageResult.type,
+      breakdown: damageResult.breakdown,
+      attackerId: attacker.id,
+      ...details
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Aplica um acerto a um monstro e resume o resultado enviado aos clientes
+ * @param {Object} attacker - Jogador atacante
+ * @param {Object} target - Monstro atingido
+ * @param {Object} damageResult - Dano calculado ({ damage, type, critical })
+ * @param {Object} details - Dados extras enviados em 'monsterDamaged' (ex: { skillId })
+ * @returns {{ damage: number, critical: boolean, type: string, result: string, breakdown: Object, targetDied: boolean }}
+ */
+function applyHit(attacker, target, damageResult, details = {}) {
+  const result = damageMonster(attacker, target, damageResult, details);
+  return {
+    damage: result.damage,
+    critical: result.critical,
+    type: damageResult.type,
+    result: damageResult.result || HIT_RESULTS.HIT,
+    breakdown: damageResult.breakdown,
+    targetDied: result.targetDied
+  };
+}
+
+/**
+ * Busca um monstro pelo id enviado pelo cliente, ignorando chaves herdadas
+ * (`constructor`, `__proto__`...)
+ * @param {string} monsterId - ID do monstro
+ * @returns {Object|null} Monstro ou null
+ */
+function getMonster(monsterId) {
+  return Object.prototype.hasOwnProperty.call(monsters, monsterId) ? monsters[monsterId] : null;
+}
+
+/**
+ * Resolve o alvo enviado pelo cliente para uma habilidade
+ *
+ * Habilidades de alvo 'ground' recebem uma posição; as demais, o id de um
+ * monstro (habilidades de alvo 'self' ignoram o alvo).
+ * @param {string} skillId - ID da habilidade
+ * @param {Object} data - Dados recebidos ({ targetId } ou { position })
+ * @returns {Object|null} Monstro, posição ({ x, y, z }) ou null
+ */
+function resolveSkillTarget(skillId, data) {
+  const definition = getSkillDefinition(skillId);
+  if (definition && definition.target === SKILL_TARGETS.GROUND) {
+    return normalizePosition(data.position);
+  }
+  
+  return getMonster(data.targetId);
+}
+
+/**
+ * Usa uma habilidade e avisa os jogadores próximos ('skillUsed')
+ *
+ * Habilidades de área informam o centro e um acerto por monstro atingido em
+ * `hits`; as de ataque, um único acerto no alvo. Habilidades de projétil
+ * informam os projéteis disparados em `projectiles` e o dano só é aplicado
+ * na chegada ('projectileImpact').
+ * @param {Object} player - Dados do jogador no servidor
+ * @param {Object} target - Monstro alvo ou posição em habilidades de alvo 'ground'
+ * @param {string} skillId - ID da habilidade
+ * @param {number} level - Nível desejado
+ * @returns {{ error: string }|Object} Código de erro ou o resultado enviado em 'skillUsed'
+ */
+function performSkill(player, target, skillId, level) {
+  const result = useSkill(player, target, skillId, level, Date.now(), Object.values(monsters));
+  if (result.error) {
+    return result;
+  }
+  
+  const { skill, recipient } = result;
+  const projectile = getProjectileDefinition(skill.projectile);
+  const hits = [];
+  const launched = [];
+  result.hits.forEach(({ target: monster, damageResult }) => {
+    const details = { skillId: skill.id };
+    if (projectile) {
+      const { id, travelTime } = projectiles.launch(player, monster, projectile, () => applyHit(player, monster, damageResult, details), skill.id);
+      launched.push({ id, targetId: monster.id, travelTime });
+    } else {
+      hits.push({ targetId: monster.id, ...applyHit(player, monster, damageResult, details) });
+    }
+  });
+  
+  const targetLabel = recipient ? recipient.id : `${hits.length} alvo(s)`;
+  console.log(`[SERVIDOR] ${player.name} usou ${skill.id} (nível ${skill.level}) em ${targetLabel}`);
+  
+  const outcome = {
+    skillId: skill.id,
+    level: skill.level,
+    targetId: recipient ? recipient.id : null,
+    center: result.center ? { x: result.center.x, y: result.center.y || 0, z: result.center.z } : null,
+    area: skill.area,
+    hits,
+    projectiles: launched,
+    healed: result.healed,
+    effects: result.effects,
+    cooldown: result.cooldown,
+    globalCooldown: result.globalCooldown
+  };
+  
+  emitToNearby(io, players, player.position, 'skillUsed', {
+    playerId: player.id,
+    ...outcome,
+    hp: player.hp,
+    maxHp: player.maxHp,
+    mp: player.mp,
+    maxMp: player.maxMp
+  });
+  
+  return outcome;
+}
+
+/**
+ * Conclui uma conjuração: usa a habilidade, validando de novo alvo, alcance e MP
+ * @param {Object} player - Dados do jogador no servidor
+ * @param {Object} cast - Conjuração concluída ({ skill, targetId, position })
+ */
+function completeCast(player, cast) {
+  // O jogador pode ter saído do jogo durante a conjuração
+  if (players[player.id] !== player) return;
+  
+  const target = resolveSkillTarget(cast.skill.id, cast);
+  const outcome = performSkill(player, target, cast.skill.id, cast.skill.level);
+  if (outcome.error) {
+    console.log(`[SERVIDOR] ${player.name} não concluiu ${cast.skill.id}: ${outcome.error}`);
+    skillCasts.notifyInterrupted(player, cast.skill.id, outcome.error);
+  }
+}
+
+/**
+ * Aplica uma troca de equipamentos e avisa o dono e os outros jogadores
+ * @param {Object} player - Dados do jogador no servidor
+ */
+function onEquipmentChanged(player) {
+  applyEquipment(player);
+  sendInventory(player);
+  sendEquipment(player);
+  sendStats(player);
+
+  // A aparência é enviada a todos para manter os modelos atualizados
+  io.emit('playerEquipmentChanged', {
+    playerId: player.id,
+    appearance: player.appearance,
+    hp: player.hp,
+    maxHp: player.maxHp,
+    mp: player.mp,
+    maxMp: player.maxMp
+  });
+}
+
 // Socket.io para comunicação em tempo real
 io.on('connection', (socket) => {
   console.log('Novo jogador conectado:', socket.id);
 
-  // Quando um jogador se conecta e envia seu nome
-  socket.on('login', (playerName) => {
-    console.log(`Jogador ${playerName} entrou no jogo`);
+  // Lista os personagens da conta para a tela de seleção
+  socket.on('listCharacters', async (ack) => {
+    if (typeof ack !== 'function') return;
+    
+    try {
+      const characters = await characterStore.listByAccount(socket.data.session.accountId);
+      ack({ characters: characters.map(toCharacterSummary) });
+    } catch (error) {
+      console.error('[SERVIDOR] Erro ao listar personagens:', error);
+      ack({ error: ERROR_CODES.SERVER_ERROR });
+    }
+  });
+  
+  // Cria um personagem novo (nome, classe e cor) para a conta
+  socket.on('createCharacter', async (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const { accountId } = socket.data.session;
+    const { character, error } = createCharacterRecord(accountId, data);
+    if (error) {
+      return ack({ error });
+    }
+    
+    try {
+      const existing = await characterStore.listByAccount(accountId);
+      if (existing.length >= SERVER_CONFIG.characters.maxPerAccount) {
+        return ack({ error: ERROR_CODES.CHARACTER_LIMIT });
+      }
+      
+      if (!await characterStore.create(character)) {
+        return ack({ error: ERROR_CODES.CHARACTER_NAME_TAKEN });
+      }
+    } catch (storeError) {
+      console.error(`[SERVIDOR] Erro ao criar personagem ${character.name}:`, storeError);
+      return ack({ error: ERROR_CODES.SERVER_ERROR });
+    }
+    
+    console.log(`[SERVIDOR] Personagem ${character.name} (${character.class}) criado por ${accountId}`);
+    ack({ character: toCharacterSummary(character) });
+  });
+  
+  // Quando um jogador escolhe um personagem da conta para entrar no jogo
+  socket.on('login', async (characterName) => {
+    const { accountId } = socket.data.session;
+    const playerName = typeof characterName === 'string' ? characterName.trim() : '';
+    
+    // Recusar o login com um código de erro exibido na tela de seleção
+    const rejectLogin = (code) => {
+      console.log(`[SERVIDOR] Login de ${accountId} como ${playerName} recusado: ${code}`);
+      socket.emit('loginError', { code });
+    };
+    
+    if (players[socket.id] || socket.data.loggingIn) {
+      return rejectLogin(ERROR_CODES.INVALID_REQUEST);
+    }
+    
+    if (!SERVER_CONFIG.auth.namePattern.test(playerName)) {
+      return rejectLogin(ERROR_CODES.INVALID_CHARACTER_NAME);
+    }
+    
+    // Carregar o personagem salvo
+    let saved = null;
+    socket.data.loggingIn = true;
+    try {
+      saved = await characterStore.load(playerName);
+    } catch (error) {
+      console.error(`[SERVIDOR] Erro ao carregar personagem ${playerName}:`, error);
+      return rejectLogin(ERROR_CODES.SERVER_ERROR);
+    } finally {
+      socket.data.loggingIn = false;
+    }
     
-    // Criar novo jogador
+    // O socket pode ter desconectado enquanto o personagem era carregado
+    if (!socket.connected) return;
+    
+    // Só é possível entrar com personagens criados pela própria conta
+    if (!saved || saved.accountId !== accountId) {
+      return rejectLogin(ERROR_CODES.CHARACTER_NOT_FOUND);
+    }
+    
+    if (Object.values(players).some(player => player.name === saved.name)) {
+      return rejectLogin(ERROR_CODES.CHARACTER_ONLINE);
+    }
+    
+    console.log(`Jogador ${saved.name} entrou no jogo (nível ${saved.level})`);
+    
+    // Criar jogador a partir do personagem salvo
     players[socket.id] = {
       id: socket.id,
-      name: playerName,
-      position: { x: 0, y: 0, z: 0 },
+      // Nome como foi criado (o login não diferencia maiúsculas de minúsculas)
+      name: saved.name,
+      class: saved.class,
+      color: saved.color,
+      level: saved.level,
+      exp: saved.exp,
+      position: saved.position,
       rotation: 0,
-      hp: 100,
-      maxHp: 100
+      hp: saved.hp,
+      maxHp: saved.maxHp,
+      mp: saved.mp,
+      maxMp: saved.maxMp
+    };
+    
+    // Conta dona do personagem (não enumerável: não é enviada aos outros jogadores)
+    Object.defineProperty(players[socket.id], 'accountId', { value: accountId, enumerable: false });
+    
+    const player = players[socket.id];
+    setupPlayerCombat(player);
+    attachPrimaryStats(player, saved.stats);
+    attachInventory(player, saved.inventory);
+    attachEquipment(player, saved.equipment);
+    attachSkills(player, saved.skills);
+    attachHotbar(player, saved.hotbar);
+    
+    // Cada fonte de bônus recalcula os máximos e limita HP/MP a eles: com
+    // todas aplicadas (atributos, equipamentos...), restaurar os valores salvos
+    const { combatStats } = player;
+    if (saved.hp > 0) {
+      combatStats.hp = Math.min(saved.hp, combatStats.maxHp);
+    }
+    if (Number.isFinite(saved.mp)) {
+      combatStats.mp = Math.min(saved.mp, combatStats.maxMp);
+    }
+    syncStats(player);
+    
+    // Buffs e debuffs: avisar os jogadores próximos (e o dono, pelos atributos) a cada
+    // mudança e limpar os buffs na morte; efeitos que impedem habilidades
+    // (atordoamento, silêncio...) interrompem até as conjurações ininterruptíveis
+    const statusEffects = attachStatusEffects(player);
+    const onStatusEffectsChanged = () => {
+      broadcastStatusEffects(player);
+      sendStats(player);
     };
+    statusEffects.onEffectAdded((effect) => {
+      if (effect.blocksAction(STATUS_BLOCKS.SKILL)) {
+        skillCasts.interrupt(player, ERROR_CODES.ACTION_BLOCKED, true);
+      }
+      onStatusEffectsChanged();
+    });
+    statusEffects.onEffectUpdated(onStatusEffectsChanged);
+    statusEffects.onEffectRemoved(onStatusEffectsChanged);
+    player.combatStats.onDeath(() => statusEffects.removeEffects(effect => effect.type === 'buff'));
+    
+    // Dano interrompe a conjuração (a morte interrompe até as ininterruptíveis);
+    // o dano por tempo de efeitos como o veneno não interrompe
+    player.combatStats.onDamage((amount, type, attackerId, options = {}) => {
+      if (amount > 0 && !options.statusEffect) {
+        skillCasts.interrupt(player, ERROR_CODES.CAST_INTERRUPTED, player.combatStats.isDead);
+      }
+    });
+    
+    initMovementState(player);
     
     // Enviar dados iniciais para o jogador
     socket.emit('gameState', { 
       players, 
       monsters,
+      groundItems: groundItems.items,
       selfId: socket.id 
     });
     
+    sendInventory(player);
+    sendEquipment(player);
+    sendSkills(player);
+    sendStats(player);
+    socket.emit('hotbarUpdate', player.hotbar);
+    
     // Notificar outros jogadores sobre novo jogador
-    socket.broadcast.emit('playerJoined', players[socket.id]);
+    socket.broadcast.emit('playerJoined', player);
   });
   
   // Quando um jogador se move
-  socket.on('playerMove', (position) => {
-    if (players[socket.id]) {
-      players[socket.id].position = position;
-      socket.broadcast.emit('playerMoved', {
-        id: socket.id,
-        position
-      });
+  socket.on('playerMove', (data) => {
+    const player = players[socket.id];
+    if (!player) return;
+    
+    const requested = normalizePosition(data);
+    
+    // Mover-se interrompe a conjuração; se ela for ininterruptível, o movimento é recusado
+    const moved = requested && (requested.x !== player.position.x || requested.z !== player.position.z);
+    if (moved && skillCasts.isCasting(player) && !skillCasts.interrupt(player, ERROR_CODES.CAST_INTERRUPTED)) {
+      socket.emit('positionCorrection', { position: player.position });
+      return;
+    }
+    
+    const result = requested
+      ? validateMove(player, requested)
+      : { position: player.position, corrected: true, reason: 'invalid' };
+    
+    // Corrigir o cliente quando a posição informada é impossível
+    if (result.corrected) {
+      console.log(`[SERVIDOR] Movimento de ${socket.id} corrigido (${result.reason})`);
+      socket.emit('positionCorrection', { position: result.position });
     }
+    
+    if (result.position === player.position) return;
+    
+    player.position = result.position;
+    socket.broadcast.emit('playerMoved', {
+      id: socket.id,
+      position: player.position
+    });
   });
   
   // Quando um jogador ataca
-  socket.on('playerAttack', (data) => {
+  //
+  // A resposta (ack) traz o intervalo até o próximo ataque (`attackDelay`, pela
+  // velocidade de ataque atual) ou, em cooldown, o tempo restante: o
+  // auto-ataque do cliente agenda cada golpe por essas respostas.
+  socket.on('playerAttack', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
     // Garantir que temos os dados no formato correto
-    const targetId = typeof data === 'object' ? data.targetId : data;
-    const attackerId = typeof data === 'object' ? data.attackerId : socket.id;
+    const isObject = data !== null && typeof data === 'object';
+    const targetId = isObject ? data.targetId : data;
+    const claimedAttackerId = isObject ? data.attackerId : socket.id;
+    const attacker = players[socket.id];
+    const target = getMonster(targetId);
     
-    console.log(`[SERVIDOR] Jogador ${attackerId} atacou monstro ${targetId}`);
+    // Responder ao jogador com o motivo da rejeição
+    const rejectAttack = (error, reason = error, extra = {}) => {
+      console.log(`[SERVIDOR] Ataque de ${socket.id} contra ${targetId} rejeitado: ${reason}`);
+      ack({ error, targetId, ...extra });
+    };
     
-    if (monsters[targetId]) {
-      // Lógica simples de dano
-      const damage = Math.floor(Math.random() * 10) + 5;
-      monsters[targetId].hp -= damage;
-      
-      // Verificar se o monstro morreu
-      if (monsters[targetId].hp <= 0) {
-        console.log(`[SERVIDOR] Monstro ${targetId} morreu`);
-        monsters[targetId].hp = 0; // Garantir que não fique negativo
-        io.emit('monsterDied', targetId);
-        
-        // Respawn do monstro após tempo configurado (15 segundos)
-        setTimeout(() => {
-          // Restaurar HP
-          monsters[targetId].hp = monsters[targetId].maxHp;
-          
-          // Posição original para referência
-          const originalX = monsters[targetId].position.x;
-          const originalZ = monsters[targetId].position.z;
-          
-          // Calcular uma posição aleatória em um raio ao redor do ponto original
-          const respawnRadius = 15; // Raio máximo de respawn
-          const angle = Math.random() * Math.PI * 2; // Ângulo aleatório (0-360 graus)
-          const distance = Math.random() * respawnRadius; // Distância aleatória (0-raio)
-          
-          // Calcular nova posição com base no ângulo e distância
-          const newX = originalX + Math.cos(angle) * distance;
-          const newZ = originalZ + Math.sin(angle) * distance;
-          
-          // Atualizar a posição do monstro
-          monsters[targetId].position.x = newX;
-          monsters[targetId].position.z = newZ;
-          
-          console.log(`[SERVIDOR] Monstro ${targetId} respawnando em posição aleatória: (${newX.toFixed(2)}, ${newZ.toFixed(2)})`);
-          
-          // Enviar dados do monstro respawnado para todos os clientes
-          io.emit('monsterRespawn', monsters[targetId]);
-        }, 15000); // 15 segundos
-      } else {
-        // Enviar evento para todos os clientes imediatamente
-        console.log(`[SERVIDOR] Emitindo monsterDamaged: ${targetId}, HP=${monsters[targetId].hp}, damage=${damage}, attackerId=${attackerId}`);
-        io.emit('monsterDamaged', {
-          id: targetId,
-          hp: monsters[targetId].hp,
-          damage,
-          attackerId
-        });
-      }
-      
-      // Responder ao jogador que o ataque foi bem sucedido
-      socket.emit('attackResult', {
+    if (!attacker) {
+      rejectAttack(ERROR_CODES.INVALID_REQUEST, 'Jogador não está no jogo');
+      return;
+    }
+    
+    // O atacante deve ser sempre o próprio socket
+    if (claimedAttackerId && claimedAttackerId !== socket.id) {
+      rejectAttack(ERROR_CODES.INVALID_REQUEST, 'Atacante não corresponde à conexão');
+      return;
+    }
+    
+    if (!target) {
+      rejectAttack(ERROR_CODES.INVALID_TARGET, 'Monstro não encontrado');
+      return;
+    }
+    
+    if (skillCasts.isCasting(attacker)) {
+      rejectAttack(ERROR_CODES.SKILL_CASTING, 'Conjurando uma habilidade');
+      return;
+    }
+    
+    // Liveness, velocidade de ataque e alcance (com ATTACK_RANGE_TOLERANCE)
+    const now = Date.now();
+    const validation = DamageCalculator.validateAttack(attacker, target, {
+      currentTime: now + SERVER_CONFIG.attackCooldownTolerance
+    });
+    if (!validation.valid) {
+      rejectAttack(validation.code, validation.reason, { remaining: validation.remaining });
+      return;
+    }
+    
+    attacker.combatStats.registerAttack(now);
+    const attackDelay = attacker.combatStats.attackCooldown;
+    
+    // Calcular precisão e dano (variação, crítico, defesa e resistências do alvo)
+    const damageResult = DamageCalculator.calculateBasicAttackDamage(attacker, target);
+    
+    // Classes à distância disparam um projétil: o dano é aplicado na chegada
+    const classProps = CHARACTER_CLASSES[attacker.class] || CHARACTER_CLASSES.knight;
+    const projectile = getProjectileDefinition(classProps.projectile);
+    if (projectile) {
+      const launched = projectiles.launch(attacker, target, projectile, () => applyHit(attacker, target, damageResult));
+      ack({
         success: true,
         targetId,
-        damage
-      });
-    } else {
-      // Monstro não encontrado
-      console.log(`[SERVIDOR] Monstro ${targetId} não encontrado para ataque`);
-      socket.emit('attackResult', {
-        success: false,
-        targetId,
-        error: 'Monster not found'
+        attackDelay,
+        projectileId: launched.id,
+        travelTime: launched.travelTime
       });
+      return;
+    }
+    
+    // Responder ao jogador com o resultado calculado pelo servidor
+    ack({
+      success: true,
+      targetId,
+      attackDelay,
+      ...applyHit(attacker, target, damageResult)
+    });
+  });
+  
+  // Quando um jogador usa uma habilidade
+  socket.on('playerUseSkill', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    // Uma conjuração em andamento bloqueia outras habilidades
+    if (skillCasts.isCasting(player)) {
+      return ack({ error: ERROR_CODES.SKILL_CASTING, skillId: data.skillId });
+    }
+    
+    // Apenas monstros ou posições no chão podem ser alvo
+    const target = resolveSkillTarget(data.skillId, data);
+    const check = checkSkill(player, target, data.skillId, data.level);
+    if (check.error) {
+      console.log(`[SERVIDOR] ${player.name} não usou ${data.skillId}: ${check.error}`);
+      return ack({ error: check.error, skillId: data.skillId, remaining: check.remaining });
+    }
+    
+    // Habilidades com tempo de conjuração são usadas ao fim dele
+    if (check.skill.castTime > 0) {
+      const castTarget = check.skill.target === SKILL_TARGETS.GROUND
+        ? { targetId: null, position: target }
+        : { targetId: check.recipient ? check.recipient.id : null, position: null };
+      const cast = skillCasts.start(player, check.skill, castTarget, (finished) => completeCast(player, finished));
+      return ack({ success: true, casting: true, ...cast });
+    }
+    
+    const outcome = performSkill(player, target, data.skillId, data.level);
+    if (outcome.error) {
+      return ack({ error: outcome.error, skillId: data.skillId });
     }
+    ack({ success: true, ...outcome });
+  });
+  
+  // Quando um jogador gasta um ponto para aprender ou subir uma habilidade
+  socket.on('learnSkill', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    const result = player.skills.learn(data.skillId, player.level);
+    if (result.error) {
+      return ack({ error: result.error });
+    }
+    
+    sendSkills(player);
+    ack(result);
+  });
+  
+  // Quando um jogador gasta pontos para subir um atributo primário
+  socket.on('raiseStat', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    const result = raiseStat(player, data.stat);
+    if (result.error) {
+      return ack({ error: result.error });
+    }
+    
+    sendStats(player);
+    sendEquipment(player);
+    
+    // VIT e INT mudam o HP/MP máximos exibidos pelos outros jogadores
+    emitToNearby(io, players, player.position, 'playerStatsChanged', {
+      playerId: player.id,
+      hp: player.hp,
+      maxHp: player.maxHp,
+      mp: player.mp,
+      maxMp: player.maxMp
+    });
+    
+    ack(result);
+  });
+  
+  // Quando um jogador tenta pegar um item do chão
+  socket.on('pickupItem', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    const result = groundItems.validatePickup(player, data.id);
+    const error = result.error || player.inventory.canAdd(result.item.itemId, result.item.quantity);
+    if (error) {
+      console.log(`[SERVIDOR] ${player.name} não pegou o item ${data.id}: ${error}`);
+      return ack({ error });
+    }
+    
+    const { itemId, quantity } = result.item;
+    groundItems.remove(data.id, 'pickup', socket.id);
+    player.inventory.add(itemId, quantity);
+    sendInventory(player);
+    
+    console.log(`[SERVIDOR] ${player.name} pegou ${quantity}x ${itemId}`);
+    ack({ item: { itemId, quantity } });
+  });
+  
+  // Quando um jogador usa um item do inventário
+  socket.on('useItem', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    if (skillCasts.isCasting(player)) {
+      return ack({ error: ERROR_CODES.SKILL_CASTING });
+    }
+    
+    const result = useItem(player, data.uid);
+    if (result.error) {
+      return ack({ error: result.error });
+    }
+    
+    sendInventory(player);
+    emitToNearby(io, players, player.position, 'itemUsed', {
+      playerId: socket.id,
+      itemId: result.itemId,
+      healed: result.healed,
+      restoredMp: result.restoredMp,
+      buff: result.buff,
+      hp: player.hp,
+      maxHp: player.maxHp,
+      mp: player.mp,
+      maxMp: player.maxMp
+    });
+    ack({ success: true, cooldownGroup: result.cooldownGroup, cooldown: result.cooldown });
+  });
+  
+  // Quando um jogador altera um slot da barra de atalhos
+  socket.on('setHotbarSlot', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    const result = setHotbarSlot(player, data.index, data.entry);
+    if (result.error) {
+      return ack({ error: result.error });
+    }
+    
+    ack({ hotbar: result.hotbar });
+  });
+  
+  // Quando um jogador larga itens do inventário no chão
+  socket.on('dropItem', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data || player.isDead) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    const result = player.inventory.remove(data.uid, data.quantity);
+    if (result.error) {
+      return ack({ error: result.error });
+    }
+    
+    // Itens largados pelo jogador não têm dono
+    groundItems.spawn(result.item.itemId, result.item.quantity, player.position);
+    sendInventory(player);
+    ack({ success: true });
+  });
+  
+  // Quando um jogador divide uma pilha do inventário
+  socket.on('splitItem', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    const result = player.inventory.split(data.uid, data.quantity);
+    if (result.error) {
+      return ack({ error: result.error });
+    }
+    
+    sendInventory(player);
+    ack({ success: true });
+  });
+  
+  // Quando um jogador junta duas pilhas do mesmo item
+  socket.on('stackItems', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    const result = player.inventory.stack(data.fromUid, data.toUid);
+    if (result.error) {
+      return ack({ error: result.error });
+    }
+    
+    sendInventory(player);
+    ack({ success: true });
+  });
+  
+  // Quando um jogador equipa um item do inventário
+  socket.on('equipItem', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data || player.isDead) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    // Trocar equipamento durante a conjuração alteraria os atributos da habilidade
+    if (skillCasts.isCasting(player)) {
+      return ack({ error: ERROR_CODES.ACTION_BLOCKED });
+    }
+    
+    const character = { class: player.class, level: player.combatStats.level };
+    const result = player.equipment.equip(player.inventory, data.uid, character, data.slot);
+    if (result.error) {
+      return ack({ error: result.error });
+    }
+    
+    onEquipmentChanged(player);
+    ack({ slot: result.slot, itemId: result.itemId });
+  });
+  
+  // Quando um jogador remove um equipamento
+  socket.on('unequipItem', (data, ack) => {
+    if (typeof ack !== 'function') return;
+    
+    const player = players[socket.id];
+    if (!player || !data || player.isDead) {
+      return ack({ error: ERROR_CODES.INVALID_REQUEST });
+    }
+    
+    // Como em equipItem
+    if (skillCasts.isCasting(player)) {
+      return ack({ error: ERROR_CODES.ACTION_BLOCKED });
+    }
+    
+    const result = player.equipment.unequip(player.inventory, data.slot);
+    if (result.error) {
+      return ack({ error: result.error });
+    }
+    
+    onEquipmentChanged(player);
+    ack({ slot: result.slot, itemId: result.itemId });
+  });
+  
+  // Quando um jogador renasce após morrer
+  socket.on('playerRespawn', () => {
+    const player = players[socket.id];
+    if (!player || !player.isDead) return;
+    
+    player.combatStats.revive(100);
+    syncHp(player);
+    player.isDead = false;
+    player.position = { x: 0, y: 0, z: 0 };
+    initMovementState(player);
+    
+    console.log(`[SERVIDOR] Jogador ${socket.id} renasceu`);
+    socket.broadcast.emit('playerRespawn', { playerId: socket.id });
   });
   
   // Quando um jogador desconecta
-  socket.on('disconnect', () => {
+  socket.on('disconnect', (reason) => {
     console.log('Jogador desconectado:', socket.id);
-    if (players[socket.id]) {
+    
+    // Saída pedida pelo cliente (logout) encerra a sessão; quedas de conexão
+    // mantêm o token para a reconexão automática
+    if (reason === 'client namespace disconnect') {
+      sessions.revoke(socket.data.sessionToken);
+    }
+    const player = players[socket.id];
+    if (player) {
+      monsterSimulation.forgetPlayer(socket.id);
+      skillCasts.interrupt(player, ERROR_CODES.CAST_INTERRUPTED, true);
+      projectiles.cancelFrom(player);
       io.emit('playerLeft', socket.id);
       delete players[socket.id];
+      savePlayer(player);
+      
+      // Remover os efeitos (e seus bônus) depois de montar o registro salvo
+      player.statusEffects.removeAllEffects();
     }
   });
 });
 
+// Salvamento automático periódico
+const saveInterval = setInterval(saveAllPlayers, SERVER_CONFIG.storage.saveInterval);
+
+// Salvar todos os personagens antes de encerrar o processo
+async function shutdown(signal) {
+  console.log(`[SERVIDOR] ${signal} recebido, salvando personagens...`);
+  clearInterval(saveInterval);
+  clearInterval(statusEffectsInterval);
+  clearInterval(sessionSweepInterval);
+  monsterSimulation.stop();
+  groundItems.clear();
+  await saveAllPlayers();
+  await characterStore.close();
+  await accountStore.close();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Servidor rodando na porta ${PORT}`);
-});
+
+Promise.all([characterStore.init(), accountStore.init()])
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`Servidor rodando na porta ${PORT}`);
+    });
+  })
+  .catch((error) => {
+    console.error('[SERVIDOR] Erro ao inicializar o armazenamento de personagens:', error);
+    process.exit(1);
+  });
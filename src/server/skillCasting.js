@@ -0,0 +1,114 @@
+const { emitToNearby } = require('./broadcast');
+
+/**
+ * Conjurações de habilidades em andamento.
+ *
+ * Enquanto conjura, o jogador não se move, não ataca e não usa itens nem
+ * outras habilidades. Os jogadores próximos recebem 'castStart' (para
+ * desenhar a barra de conjuração) e 'castInterrupted'; ao fim do tempo o
+ * callback informado em start() usa a habilidade e a conclusão chega pelo
+ * 'skillUsed' normal.
+ */
+class SkillCastManager {
+  /**
+   * @param {Object} io - Instância do Socket.io
+   * @param {Object} players - Jogadores conectados, indexados pelo id do socket
+   */
+  constructor(io, players) {
+    this.io = io;
+    this.players = players;
+    this.casts = new Map(); // playerId -> { skill, targetId, position, start, end, timer }
+  }
+
+  /**
+   * Verifica se um jogador está conjurando
+   * @param {Object} player - Jogador do servidor
+   * @returns {boolean} Se há uma conjuração em andamento
+   */
+  isCasting(player) {
+    return this.casts.has(player.id);
+  }
+
+  /**
+   * Inicia a conjuração de uma habilidade já validada
+   * @param {Object} player - Jogador do servidor
+   * @param {Object} skill - Habilidade resolvida (com castTime)
+   * @param {Object} target - Alvo escolhido ({ targetId, position }, position em habilidades de alvo 'ground')
+   * @param {Function} onComplete - Chamado com (cast) ao fim do tempo de conjuração
+   * @param {number} now - Tempo atual
+   * @returns {Object} Dados públicos da conjuração
+   */
+  start(player, skill, { targetId = null, position = null }, onComplete, now = Date.now()) {
+    const cast = {
+      skill,
+      targetId,
+      position,
+      start: now,
+      end: now + skill.castTime,
+      timer: setTimeout(() => {
+        this.casts.delete(player.id);
+        onComplete(cast);
+      }, skill.castTime)
+    };
+    this.casts.set(player.id, cast);
+
+    const data = this.serialize(cast);
+    emitToNearby(this.io, this.players, player.position, 'castStart', { playerId: player.id, ...data });
+    return data;
+  }
+
+  /**
+   * Interrompe a conjuração de um jogador
+   *
+   * Habilidades `uninterruptible` só são interrompidas com `force` (morte,
+   * saída do jogo).
+   * @param {Object} player - Jogador do servidor
+   * @param {string} reason - Código de erro enviado em 'castInterrupted'
+   * @param {boolean} force - Interromper mesmo habilidades ininterruptíveis
+   * @returns {boolean} Se a conjuração foi interrompida
+   */
+  interrupt(player, reason, force = false) {
+    const cast = this.casts.get(player.id);
+    if (!cast || (cast.skill.uninterruptible && !force)) {
+      return false;
+    }
+
+    clearTimeout(cast.timer);
+    this.casts.delete(player.id);
+
+    console.log(`[SERVIDOR] Conjuração de ${cast.skill.id} por ${player.name} interrompida (${reason})`);
+    this.notifyInterrupted(player, cast.skill.id, reason);
+    return true;
+  }
+
+  /**
+   * Avisa os jogadores próximos que uma conjuração não terminou
+   * @param {Object} player - Jogador do servidor
+   * @param {string} skillId - ID da habilidade
+   * @param {string} reason - Código de erro
+   */
+  notifyInterrupted(player, skillId, reason) {
+    emitToNearby(this.io, this.players, player.position, 'castInterrupted', {
+      playerId: player.id,
+      skillId,
+      reason
+    });
+  }
+
+  /**
+   * Dados públicos de uma conjuração
+   * @private
+   */
+  serialize(cast) {
+    return {
+      skillId: cast.skill.id,
+      level: cast.skill.level,
+      targetId: cast.targetId,
+      position: cast.position,
+      castTime: cast.skill.castTime,
+      uninterruptible: cast.skill.uninterruptible
+    };
+  }
+}
+
+module.exports = { SkillCastManager };
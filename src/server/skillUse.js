@@ -0,0 +1,228 @@
+const { ERROR_CODES } = require('../game/core/errorCodes');
+const { SKILL_TYPES } = require('../game/combat/combatConfig');
+const { DamageCalculator } = require('../game/combat/DamageCalculator');
+const { findEntitiesInArea } = require('../game/combat/areaTargeting');
+const { SkillCooldowns } = require('../game/combat/SkillCooldowns');
+const { SkillManager } = require('../game/combat/SkillManager');
+const { StatusEffect } = require('../game/combat/StatusEffect');
+const { STATUS_BLOCKS, isActionBlocked } = require('../game/combat/statusEffects');
+const { SKILL_TARGETS } = require('../game/skills/skillDefinitions');
+const { syncStats } = require('./combatEntities');
+
+// Recargas de habilidades de cada jogador
+const skillCooldowns = new WeakMap();
+
+/**
+ * Obtém as recargas de habilidades de um jogador
+ * @param {Object} player - Jogador do servidor
+ * @returns {SkillCooldowns} Recargas do jogador
+ */
+function getSkillCooldowns(player) {
+  if (!skillCooldowns.has(player)) {
+    skillCooldowns.set(player, new SkillCooldowns());
+  }
+  return skillCooldowns.get(player);
+}
+
+/**
+ * Cria as habilidades de um jogador a partir do registro salvo.
+ *
+ * Personagens salvos antes do sistema de habilidades recebem os pontos
+ * acumulados até o nível atual. A propriedade não é enumerável, como o
+ * inventário.
+ * @param {Object} player - Jogador do servidor
+ * @param {Object} record - Registro salvo ({ levels, points })
+ * @returns {SkillManager} Habilidades criadas
+ */
+function attachSkills(player, record) {
+  const skills = new SkillManager(
+    player.class,
+    record || { levels: {}, points: SkillManager.getPointsForLevel(player.level || 1) }
+  );
+
+  Object.defineProperty(player, 'skills', { value: skills, enumerable: false });
+  return skills;
+}
+
+/**
+ * Valida o alvo de uma habilidade
+ * @private
+ */
+function validateTarget(player, target, skill) {
+  if (!target || !target.combatStats) {
+    return ERROR_CODES.INVALID_TARGET;
+  }
+
+  const validation = DamageCalculator.validateAttack(player, target, {
+    action: STATUS_BLOCKS.SKILL,
+    range: skill.range || undefined,
+    ignoreAttackCooldown: true,
+    ignoreRange: true
+  });
+  if (!validation.valid) {
+    return ERROR_CODES.INVALID_TARGET;
+  }
+
+  // Sem alcance próprio a habilidade usa o alcance de ataque da classe
+  if (!DamageCalculator.isInRange(player, target, { range: skill.range || undefined })) {
+    return ERROR_CODES.TARGET_OUT_OF_RANGE;
+  }
+
+  return null;
+}
+
+/**
+ * Valida a posição escolhida para uma habilidade de alvo 'ground'
+ * @private
+ */
+function validateGroundTarget(player, position, skill) {
+  if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.z)) {
+    return ERROR_CODES.INVALID_TARGET;
+  }
+
+  // Apenas a distância no chão conta
+  const point = { position: { x: position.x, y: player.position.y, z: position.z }, radius: 0 };
+  if (!DamageCalculator.isInRange(player, point, { range: skill.range || undefined })) {
+    return ERROR_CODES.TARGET_OUT_OF_RANGE;
+  }
+
+  return null;
+}
+
+/**
+ * Entidade que recebe a habilidade (null em habilidades de alvo 'ground')
+ * @private
+ */
+function getRecipient(player, target, skill) {
+  if (skill.target === SKILL_TARGETS.SELF) return player;
+  if (skill.target === SKILL_TARGETS.GROUND) return null;
+  return target;
+}
+
+/**
+ * Verifica se um jogador pode usar uma habilidade, sem gastar nada
+ *
+ * Valida efeitos de status que impedem habilidades (silêncio, atordoamento...),
+ * classe, nível aprendido, recarga, alvo, alcance e MP. Usado antes de
+ * iniciar a conjuração e, de novo, ao usar a habilidade.
+ * @param {Object} player - Jogador do servidor
+ * @param {Object} target - Monstro alvo ou posição ({ x, z }) em habilidades de
+ *   alvo 'ground' (ignorado em habilidades de alvo 'self')
+ * @param {string} skillId - ID da habilidade
+ * @param {number} level - Nível desejado (opcional, limitado ao nível aprendido)
+ * @param {number} now - Tempo atual
+ * @returns {{ error: string, remaining?: number }|{ skill: Object, recipient: Object|null }}
+ *   Código de erro (com o tempo restante da recarga) ou a habilidade resolvida e quem a recebe
+ */
+function checkSkill(player, target, skillId, level = null, now = Date.now()) {
+  if (player.isDead || player.combatStats.isDead) {
+    return { error: ERROR_CODES.INVALID_REQUEST };
+  }
+
+  if (isActionBlocked(player, STATUS_BLOCKS.SKILL)) {
+    return { error: ERROR_CODES.ACTION_BLOCKED };
+  }
+
+  if (!player.skills.isClassSkill(skillId)) {
+    return { error: ERROR_CODES.SKILL_NOT_AVAILABLE };
+  }
+
+  const skill = player.skills.getSkillById(skillId, level);
+  if (!skill) {
+    return { error: ERROR_CODES.SKILL_NOT_LEARNED };
+  }
+
+  const remaining = getSkillCooldowns(player).getRemaining(skill.id, now);
+  if (remaining > 0) {
+    return { error: ERROR_CODES.SKILL_ON_COOLDOWN, remaining };
+  }
+
+  const recipient = getRecipient(player, target, skill);
+  const targetError = skill.target === SKILL_TARGETS.GROUND
+    ? validateGroundTarget(player, target, skill)
+    : recipient !== player && validateTarget(player, recipient, skill);
+  if (targetError) {
+    return { error: targetError };
+  }
+
+  if (player.combatStats.mp < skill.mpCost) {
+    return { error: ERROR_CODES.NOT_ENOUGH_MP };
+  }
+
+  return { skill, recipient };
+}
+
+/**
+ * Usa uma habilidade aprendida
+ *
+ * Repete as validações de checkSkill, gasta o MP e inicia as recargas (o
+ * atraso pós-conjuração prolonga a recarga global); cura e efeitos de
+ * status são aplicados aqui. O dano de habilidades de ataque e de área é
+ * apenas calculado (um acerto por monstro em `hits`): quem chama aplica aos
+ * monstros pelo mesmo fluxo do ataque básico (crédito, morte, experiência e
+ * drops).
+ * @param {Object} player - Jogador do servidor
+ * @param {Object} target - Monstro alvo ou posição ({ x, z }) em habilidades de
+ *   alvo 'ground' (ignorado em habilidades de alvo 'self')
+ * @param {string} skillId - ID da habilidade
+ * @param {number} level - Nível desejado (opcional, limitado ao nível aprendido)
+ * @param {number} now - Tempo atual
+ * @param {Array<Object>} candidates - Monstros que uma habilidade de área pode atingir
+ * @returns {{ error: string, remaining?: number }|Object} Código de erro (com o
+ *   tempo restante da recarga) ou
+ *   { skill, recipient, center, hits: [{ target, damageResult }], healed, effects, cooldown, globalCooldown }
+ */
+function useSkill(player, target, skillId, level = null, now = Date.now(), candidates = []) {
+  const check = checkSkill(player, target, skillId, level, now);
+  if (check.error) {
+    return check;
+  }
+
+  const { skill, recipient } = check;
+  if (!player.combatStats.consumeMp(skill.mpCost)) {
+    return { error: ERROR_CODES.NOT_ENOUGH_MP };
+  }
+  syncStats(player);
+
+  const globalCooldown = Math.max(skill.globalCooldown, skill.afterCastDelay);
+  getSkillCooldowns(player).start(skill.id, skill.cooldown, globalCooldown, now);
+
+  const healed = skill.type === SKILL_TYPES.HEAL
+    ? player.combatStats.heal(skill.heal, player.id, { skillId: skill.id })
+    : 0;
+
+  // Habilidades de área atingem os monstros vivos ao redor do jogador ou da posição escolhida
+  const isArea = skill.type === SKILL_TYPES.AREA;
+  const center = isArea ? (skill.target === SKILL_TARGETS.GROUND ? target : player.position) : null;
+  const affected = isArea
+    ? findEntitiesInArea(candidates.filter(entity => entity.combatStats && !entity.combatStats.isDead), center, skill.area)
+    : [recipient];
+
+  // Buffs no próprio jogador, debuffs nos alvos (o mesmo efeito apenas é renovado)
+  affected.forEach(entity => {
+    skill.effects.forEach(effect => {
+      if (entity.statusEffects) {
+        entity.statusEffects.applyEffect(StatusEffect.create(effect, syncStats), player.id);
+      }
+    });
+  });
+
+  const hits = isArea || skill.type === SKILL_TYPES.ATTACK || skill.type === SKILL_TYPES.PROJECTILE
+    ? affected.map(entity => ({ target: entity, damageResult: DamageCalculator.calculateSkillDamage(player, entity, skill) }))
+    : [];
+
+  syncStats(player);
+
+  return {
+    skill,
+    recipient,
+    center,
+    hits,
+    healed,
+    effects: skill.effects.map(effect => effect.id),
+    cooldown: skill.cooldown,
+    globalCooldown
+  };
+}
+
+module.exports = { attachSkills, checkSkill, useSkill, getSkillCooldowns };
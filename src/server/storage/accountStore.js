@@ -0,0 +1,41 @@
+/**
+ * Interface base dos armazenamentos de contas.
+ *
+ * As contas são indexadas pelo nome de usuário, sem diferenciar
+ * maiúsculas de minúsculas.
+ */
+class AccountStore {
+  /**
+   * Prepara o armazenamento
+   * @returns {Promise<void>}
+   */
+  async init() {
+    throw new Error('AccountStore.init não implementado');
+  }
+
+  /**
+   * Carrega uma conta pelo nome de usuário
+   * @param {string} username - Nome da conta
+   * @returns {Promise<Object|null>} Conta salva ou null se não existir
+   */
+  async load(username) {
+    throw new Error('AccountStore.load não implementado');
+  }
+
+  /**
+   * Cria uma conta nova
+   * @param {Object} account - Dados da conta (username, passwordHash)
+   * @returns {Promise<boolean>} false se o nome já estiver em uso
+   */
+  async create(account) {
+    throw new Error('AccountStore.create não implementado');
+  }
+
+  /**
+   * Libera os recursos do armazenamento
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = { AccountStore };
@@ -0,0 +1,73 @@
+/**
+ * Interface base dos armazenamentos de personagens.
+ *
+ * Implementações (arquivo JSON, SQLite, banco remoto...) devem sobrescrever
+ * todos os métodos. Os registros são objetos simples, indexados pelo nome do
+ * personagem sem diferenciar maiúsculas de minúsculas (único); o registro
+ * guarda o nome como foi criado, para exibição.
+ */
+class CharacterStore {
+  /**
+   * Prepara o armazenamento (abrir arquivo, conexão, etc.)
+   * @returns {Promise<void>}
+   */
+  async init() {
+    throw new Error('CharacterStore.init não implementado');
+  }
+
+  /**
+   * Carrega um personagem pelo nome
+   * @param {string} name - Nome do personagem
+   * @returns {Promise<Object|null>} Registro salvo ou null se não existir
+   */
+  async load(name) {
+    throw new Error('CharacterStore.load não implementado');
+  }
+
+  /**
+   * Lista os personagens de uma conta
+   * @param {string} accountId - Identificador da conta
+   * @returns {Promise<Array<Object>>} Registros dos personagens da conta
+   */
+  async listByAccount(accountId) {
+    throw new Error('CharacterStore.listByAccount não implementado');
+  }
+
+  /**
+   * Cria um personagem novo
+   * @param {Object} character - Registro do personagem
+   * @returns {Promise<boolean>} false se o nome já estiver em uso (mesmo com
+   *   outra combinação de maiúsculas e minúsculas)
+   */
+  async create(character) {
+    throw new Error('CharacterStore.create não implementado');
+  }
+
+  /**
+   * Salva (cria ou atualiza) um personagem
+   * @param {Object} character - Registro do personagem
+   * @returns {Promise<void>}
+   */
+  async save(character) {
+    throw new Error('CharacterStore.save não implementado');
+  }
+
+  /**
+   * Salva vários personagens de uma vez
+   * @param {Array<Object>} characters - Registros dos personagens
+   * @returns {Promise<void>}
+   */
+  async saveAll(characters) {
+    for (const character of characters) {
+      await this.save(character);
+    }
+  }
+
+  /**
+   * Libera os recursos do armazenamento
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = { CharacterStore };
@@ -0,0 +1,84 @@
+const path = require('path');
+const { SERVER_CONFIG } = require('../../game/core/config');
+const { CharacterStore } = require('./characterStore');
+const { AccountStore } = require('./accountStore');
+const { JsonFileCharacterStore, JsonFileAccountStore } = require('./jsonFileStore');
+
+// Raiz do projeto, usada para resolver caminhos relativos de armazenamento
+const PROJECT_ROOT = path.join(__dirname, '../../..');
+
+/**
+ * Cria o armazenamento de personagens configurado
+ * @param {Object} options - Sobrescreve SERVER_CONFIG.storage
+ * @returns {CharacterStore} Instância do armazenamento
+ */
+function createCharacterStore(options = {}) {
+  const config = { ...SERVER_CONFIG.storage, ...options };
+  const driver = process.env.STORAGE_DRIVER || config.driver;
+
+  switch (driver) {
+    case 'json': {
+      const filePath = path.resolve(PROJECT_ROOT, process.env.STORAGE_PATH || config.path);
+      return new JsonFileCharacterStore(filePath);
+    }
+    default:
+      throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+  }
+}
+
+/**
+ * Cria o armazenamento de contas configurado
+ * @param {Object} options - Sobrescreve SERVER_CONFIG.storage
+ * @returns {AccountStore} Instância do armazenamento
+ */
+function createAccountStore(options = {}) {
+  const config = { ...SERVER_CONFIG.storage, ...options };
+  const driver = process.env.STORAGE_DRIVER || config.driver;
+
+  switch (driver) {
+    case 'json': {
+      const filePath = path.resolve(PROJECT_ROOT, process.env.ACCOUNTS_PATH || config.accountsPath);
+      return new JsonFileAccountStore(filePath);
+    }
+    default:
+      throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+  }
+}
+
+/**
+ * Converte um jogador do servidor em um registro persistente
+ * @param {Object} player - Dados do jogador no servidor
+ * @returns {Object} Registro do personagem
+ */
+function toCharacterRecord(player) {
+  const stats = player.combatStats;
+
+  return {
+    name: player.name,
+    accountId: player.accountId,
+    class: player.class,
+    color: player.color,
+    level: stats ? stats.level : player.level,
+    exp: player.exp || 0,
+    hp: stats ? stats.hp : player.hp,
+    maxHp: stats ? stats.maxHp : player.maxHp,
+    mp: stats ? stats.mp : player.mp,
+    maxMp: stats ? stats.maxMp : player.maxMp,
+    position: { ...player.position },
+    inventory: player.inventory ? player.inventory.toRecord() : [],
+    equipment: player.equipment ? player.equipment.toRecord() : {},
+    skills: player.skills ? player.skills.toRecord() : null,
+    stats: player.primaryStats ? player.primaryStats.toRecord() : null,
+    hotbar: player.hotbar ? [...player.hotbar] : []
+  };
+}
+
+module.exports = {
+  CharacterStore,
+  AccountStore,
+  JsonFileCharacterStore,
+  JsonFileAccountStore,
+  createCharacterStore,
+  createAccountStore,
+  toCharacterRecord
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { CharacterStore } = require('./characterStore');
+const { AccountStore } = require('./accountStore');
+
+/**
+ * Coleção de registros persistida em um arquivo JSON local.
+ *
+ * Mantém os registros em memória e grava o arquivo inteiro a cada alteração,
+ * usando um arquivo temporário + rename para não corromper os dados se o
+ * processo for interrompido no meio da escrita.
+ */
+class JsonFileCollection {
+  /**
+   * @param {string} filePath - Caminho do arquivo JSON
+   * @param {string} rootKey - Chave do objeto de registros dentro do arquivo
+   */
+  constructor(filePath, rootKey) {
+    this.filePath = filePath;
+    this.rootKey = rootKey;
+    // Sem protótipo: chaves como 'constructor' não devem achar propriedades herdadas
+    this.records = Object.create(null);
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Lê o arquivo do disco (ou inicia vazio se não existir)
+   */
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(content);
+      this.records = Object.assign(Object.create(null), data[this.rootKey]);
+      console.log(`[Storage] ${Object.keys(this.records).length} registros (${this.rootKey}) carregados de ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      console.log(`[Storage] Arquivo ${this.filePath} não encontrado, iniciando vazio`);
+      this.records = Object.create(null);
+    }
+  }
+
+  /**
+   * Obtém uma cópia de um registro
+   * @param {string} key - Chave do registro
+   * @returns {Object|null} Registro ou null
+   */
+  get(key) {
+    const record = this.records[key];
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+
+  /**
+   * Verifica se existe um registro
+   * @param {string} key - Chave do registro
+   * @returns {boolean} Se o registro existe
+   */
+  has(key) {
+    return key in this.records;
+  }
+
+  /**
+   * Define um registro (sem gravar no disco)
+   *
+   * Os dados são mesclados ao registro existente: campos que o chamador não
+   * informa (ex: createdAt) são mantidos.
+   * @param {string} key - Chave do registro
+   * @param {Object} record - Dados do registro
+   */
+  set(key, record) {
+    this.records[key] = { ...this.records[key], ...record, updatedAt: Date.now() };
+  }
+
+  /**
+   * Cria um registro se a chave estiver livre e grava no disco.
+   *
+   * A verificação e a escrita rodam juntas na fila de gravação: inserções
+   * concorrentes com a mesma chave não passam ambas pela verificação.
+   * @param {string} key - Chave do registro
+   * @param {Object} record - Dados do registro
+   * @returns {Promise<boolean>} false se a chave já existir
+   */
+  insert(key, record) {
+    return this.enqueue(async () => {
+      if (this.has(key)) {
+        return false;
+      }
+
+      this.set(key, { ...record, createdAt: Date.now() });
+      await this.write();
+      return true;
+    });
+  }
+
+  /**
+   * Grava os registros no disco, serializando escritas concorrentes
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.enqueue(() => this.write());
+  }
+
+  /**
+   * Coloca uma operação na fila de gravação (uma por vez, na ordem de chegada)
+   * @private
+   * @param {Function} operation - Operação assíncrona
+   * @returns {Promise<*>} Resultado da operação
+   */
+  enqueue(operation) {
+    const result = this.writeQueue
+      .catch(() => {})
+      .then(operation);
+
+    this.writeQueue = result;
+    return result;
+  }
+
+  /**
+   * Escreve o arquivo inteiro (arquivo temporário + rename)
+   * @private
+   */
+  async write() {
+    const tempPath = `${this.filePath}.tmp`;
+    const content = JSON.stringify({ [this.rootKey]: this.records }, null, 2);
+    await fs.promises.writeFile(tempPath, content, 'utf8');
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Armazenamento de personagens em um arquivo JSON local
+ */
+class JsonFileCharacterStore extends CharacterStore {
+  /**
+   * @param {string} filePath - Caminho do arquivo JSON
+   */
+  constructor(filePath) {
+    super();
+    this.collection = new JsonFileCollection(filePath, 'characters');
+  }
+
+  async init() {
+    await this.collection.load();
+  }
+
+  async load(name) {
+    return this.collection.get(name.toLowerCase());
+  }
+
+  async listByAccount(accountId) {
+    return Object.keys(this.collection.records)
+      .filter(key => this.collection.records[key].accountId === accountId)
+      .map(key => this.collection.get(key));
+  }
+
+  async create(character) {
+    return this.collection.insert(character.name.toLowerCase(), character);
+  }
+
+  async save(character) {
+    this.collection.set(character.name.toLowerCase(), character);
+    await this.collection.flush();
+  }
+
+  async saveAll(characters) {
+    characters.forEach(character => this.collection.set(character.name.toLowerCase(), character));
+    await this.collection.flush();
+  }
+
+  async close() {
+    await this.collection.writeQueue;
+  }
+}
+
+/**
+ * Armazenamento de contas em um arquivo JSON local
+ */
+class JsonFileAccountStore extends AccountStore {
+  /**
+   * @param {string} filePath - Caminho do arquivo JSON
+   */
+  constructor(filePath) {
+    super();
+    this.collection = new JsonFileCollection(filePath, 'accounts');
+  }
+
+  async init() {
+    await this.collection.load();
+  }
+
+  async load(username) {
+    return this.collection.get(username.toLowerCase());
+  }
+
+  async create(account) {
+    return this.collection.insert(account.username.toLowerCase(), account);
+  }
+
+  async close() {
+    await this.collection.writeQueue;
+  }
+}
+
+module.exports = { JsonFileCollection, JsonFileCharacterStore, JsonFileAccountStore };